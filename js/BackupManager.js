@@ -0,0 +1,552 @@
+/**
+ * BackupManager - Handles full-fidelity JSON backups and the Backups panel, which lists the
+ * automatic snapshots taken by WorkoutDataManager and lets the user preview, download, restore or delete them
+ */
+class BackupManager {
+    constructor(dataManager, notificationManager, refreshCallback = null, validationManager = null,
+        exerciseTypeManager = null, uiManager = null, historyManager = null, importManager = null) {
+        this.dataManager = dataManager;
+        this.notificationManager = notificationManager;
+        this.refreshCallback = refreshCallback;
+        this.validationManager = validationManager;
+        this.exerciseTypeManager = exerciseTypeManager;
+        this.uiManager = uiManager;
+        this.historyManager = historyManager;
+        this.importManager = importManager;
+        this.backupSchema = 'workouttrackr-backup';
+        this.backupFormatVersion = 1;
+        this.domElements = {
+            backupsPanel: document.getElementById('backups-panel'),
+            backupsHeader: document.getElementById('backups-header'),
+            backupCount: document.getElementById('backup-count'),
+            backupList: document.getElementById('backup-list'),
+            createBackupBtn: document.getElementById('create-backup-btn')
+        };
+    }
+
+    // ============================================
+    // JSON BACKUP METHODS
+    // ============================================
+
+    /**
+     * Build a backup object. The checksum covers the serialized content.
+     * @param {Array} workouts - Workouts to include (defaults to the current data)
+     * @param {number} dataVersion - Data version of the workouts
+     * @returns {Object} Backup object
+     */
+    createBackup(workouts = this.dataManager.getAllWorkouts(), dataVersion = this.dataManager.CURRENT_DATA_VERSION) {
+        const content = {
+            dataVersion,
+            workouts,
+            exerciseTypes: this.exerciseTypeManager ? this.exerciseTypeManager.getExerciseTypes() : [],
+            exerciseColors: this.exerciseTypeManager ? this.exerciseTypeManager.getAllExerciseColors() : {},
+            settings: this.uiManager ? this.uiManager.getUISettings() : {}
+        };
+        // Serialize once so Date objects are stored exactly as the checksum saw them
+        const contentJson = JSON.stringify(content);
+
+        return {
+            schema: this.backupSchema,
+            formatVersion: this.backupFormatVersion,
+            createdAt: new Date().toISOString(),
+            checksum: {
+                algorithm: 'crc32',
+                value: BinaryUtils.crc32Hex(contentJson)
+            },
+            content: JSON.parse(contentJson)
+        };
+    }
+
+    /**
+     * Download all data as a JSON backup file
+     * @returns {boolean} True if the export was successful
+     */
+    exportBackup() {
+        try {
+            if (this.dataManager.getAllWorkouts().length === 0) {
+                this.notificationManager.showInfo('No workout data to export.');
+                return false;
+            }
+
+            const backup = this.createBackup();
+            this.downloadJSON(backup, `workout_backup_${backup.createdAt.slice(0, 10)}.json`);
+            this.notificationManager.showSuccess('Backup downloaded successfully!');
+            return true;
+        } catch (error) {
+            console.error('Error exporting backup:', error);
+            this.notificationManager.showError('An error occurred while creating the backup.');
+            return false;
+        }
+    }
+
+    /**
+     * Read and validate a JSON backup file, then ask whether to merge or replace
+     * @param {File} file - Backup file
+     * @returns {boolean} True if the file was valid
+     */
+    async importBackup(file) {
+        const fileValidation = this.validationManager.validateBackupFile(file);
+        if (!fileValidation.isValid) {
+            this.notificationManager.showError(fileValidation.errors[0]);
+            return false;
+        }
+
+        try {
+            const parsed = this.parseBackup(await file.text());
+            if (!parsed) {
+                return false;
+            }
+
+            this.showImportOptions(parsed.backup, parsed.workouts, parsed.invalidCount);
+            return true;
+        } catch (error) {
+            console.error('Error importing backup:', error);
+            this.notificationManager.showError('An error occurred while reading the backup.');
+            return false;
+        }
+    }
+
+    /**
+     * Parse and validate the JSON text of a backup (from a file or a WebDAV server)
+     * @param {string} text - Backup JSON
+     * @returns {Object|null} { backup, workouts: valid workouts, invalidCount }, or null after showing the problem
+     */
+    parseBackup(text) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (parseError) {
+            this.notificationManager.showError('The backup is not valid JSON.');
+            return null;
+        }
+
+        const validation = this.validationManager.validateBackupData(backup, this.backupSchema, this.backupFormatVersion);
+        if (!validation.isValid) {
+            this.notificationManager.showError(validation.errors[0]);
+            return null;
+        }
+
+        const { content } = backup;
+        if (content.dataVersion > this.dataManager.CURRENT_DATA_VERSION) {
+            this.notificationManager.showError('The backup was created by a newer version of WorkoutTrackr. Please update the app.');
+            return null;
+        }
+
+        const workouts = this.dataManager.convertStoredData({ version: content.dataVersion, data: content.workouts });
+        const workoutValidation = this.validationManager.validateParsedWorkouts(workouts);
+        if (workouts.length > 0 && !workoutValidation.isValid) {
+            this.notificationManager.showError('No valid workouts found in the backup.');
+            return null;
+        }
+
+        return { backup, workouts: workoutValidation.validWorkouts, invalidCount: workoutValidation.invalidCount || 0 };
+    }
+
+    /**
+     * Ask how a validated backup should be imported
+     * @param {Object} backup - Validated backup object
+     * @param {Array} workouts - Valid workouts from the backup
+     * @param {number} invalidCount - Number of invalid workouts that will be skipped
+     * @returns {Promise<boolean>} True if the backup was imported
+     */
+    showImportOptions(backup, workouts, invalidCount) {
+        const exerciseTypes = backup.content.exerciseTypes || [];
+        return new Promise(resolve => {
+            const { dialog, close } = this.notificationManager.createModal(`
+                <h3>Import Backup</h3>
+                <div style="background: #f5f5f5; padding: 15px; border-radius: 4px; margin: 15px 0; text-align: left;">
+                    Created: ${this.formatDateTime(backup.createdAt)}<br>
+                    Workouts: ${workouts.length}${invalidCount > 0 ? ` (${invalidCount} invalid will be skipped)` : ''}<br>
+                    Exercise types: ${exerciseTypes.length}
+                </div>
+                <p><strong>Merge</strong> adds the workouts and series you don't have yet, after a preview of duplicates.<br>
+                <strong>Replace All</strong> replaces your workouts, exercise types and settings with the backup.</p>
+                <button id="backup-import-merge" class="modal-btn btn-green mr-10">Merge</button>
+                <button id="backup-import-replace" class="modal-btn btn-blue mr-10">Replace All</button>
+                <button id="backup-import-cancel" class="modal-btn btn-grey">Cancel</button>
+            `, { maxWidth: '450px' });
+
+            dialog.querySelector('#backup-import-merge').addEventListener('click', async () => {
+                close();
+                const strategy = this.importManager
+                    ? await this.importManager.showPreview(workouts, { title: 'Merge Backup' })
+                    : 'merge';
+                resolve(strategy ? await this.applyBackup(backup, workouts, false, strategy) : false);
+            });
+            dialog.querySelector('#backup-import-replace').addEventListener('click', async () => {
+                close();
+                resolve(await this.applyBackup(backup, workouts, true));
+            });
+            dialog.querySelector('#backup-import-cancel').addEventListener('click', () => {
+                close();
+                resolve(false);
+            });
+        });
+    }
+
+    /**
+     * Import a validated backup
+     * @param {Object} backup - Validated backup object
+     * @param {Array} workouts - Valid workouts from the backup
+     * @param {boolean} replace - Replace all data instead of merging
+     * @param {string} strategy - How to merge workouts that already exist (see WorkoutDataManager.mergeWorkouts)
+     * @returns {Promise<boolean>} True if the backup was imported
+     */
+    async applyBackup(backup, workouts, replace, strategy = 'merge') {
+        const { exerciseTypes, exerciseColors, settings } = backup.content;
+
+        try {
+            let message;
+            if (replace) {
+                // Apply settings first: changing the day rollover hour re-buckets the data
+                if (this.uiManager) {
+                    this.uiManager.applyUISettings(settings);
+                }
+                this.dataManager.replaceAllData(workouts, 'Before restoring a JSON backup');
+                if (this.exerciseTypeManager) {
+                    if (Array.isArray(exerciseTypes)) {
+                        await this.exerciseTypeManager.setExerciseTypes(exerciseTypes);
+                    }
+                    this.exerciseTypeManager.setExerciseColors(exerciseColors, true);
+                }
+                message = `Replaced all data with ${workouts.length} workouts from the backup.`;
+            } else {
+                const result = this.dataManager.mergeWorkouts(workouts, strategy);
+                if (this.exerciseTypeManager) {
+                    if (Array.isArray(exerciseTypes)) {
+                        const currentTypes = this.exerciseTypeManager.getExerciseTypes();
+                        const newTypes = exerciseTypes.filter(type => !currentTypes.includes(type));
+                        if (newTypes.length > 0) {
+                            await this.exerciseTypeManager.setExerciseTypes(currentTypes.concat(newTypes));
+                        }
+                    }
+                    this.exerciseTypeManager.setExerciseColors(exerciseColors, false);
+                }
+                message = this.importManager
+                    ? `Merged backup: ${this.importManager.formatResult(result)}.`
+                    : `Merged backup: ${result.added} workouts added, ${result.updated} updated, ${result.unchanged} already present.`;
+            }
+
+            await this.dataManager.saveWorkoutData();
+            this.notificationManager.showSuccess(
+                message,
+                undefined,
+                this.historyManager ? this.historyManager.createUndoAction() : null
+            );
+
+            if (this.refreshCallback) {
+                this.refreshCallback();
+            }
+            return true;
+        } catch (error) {
+            console.error('Error applying backup:', error);
+            this.notificationManager.showError('An error occurred while importing the backup.');
+            return false;
+        }
+    }
+
+    /**
+     * Download an object as a JSON file
+     * @param {Object} data - Data to serialize
+     * @param {string} filename - File name
+     */
+    downloadJSON(data, filename) {
+        const json = JSON.stringify(data, null, 2);
+        const blob = new Blob([json], { type: 'application/json;charset=utf-8;' });
+        DOMUtils.downloadBlob(blob, filename);
+    }
+
+    // ============================================
+    // BACKUPS PANEL METHODS
+    // ============================================
+
+    /**
+     * Set up the Backups panel
+     */
+    async initializeBackupsPanel() {
+        const { backupsPanel, backupsHeader, createBackupBtn } = this.domElements;
+        if (!backupsPanel) {
+            return;
+        }
+
+        if (backupsHeader) {
+            backupsHeader.addEventListener('click', () => {
+                backupsPanel.classList.toggle('collapsed');
+                if (!backupsPanel.classList.contains('collapsed')) {
+                    this.updateBackupList();
+                }
+            });
+        }
+
+        if (createBackupBtn) {
+            createBackupBtn.addEventListener('click', () => this.handleCreateBackup());
+        }
+
+        await this.updateBackupList();
+    }
+
+    /**
+     * Render the list of snapshots
+     */
+    async updateBackupList() {
+        const { backupList, backupCount } = this.domElements;
+        if (!backupList) {
+            return;
+        }
+
+        let snapshots = [];
+        try {
+            snapshots = await this.dataManager.listSnapshots();
+        } catch (error) {
+            console.error('Error listing backups:', error);
+        }
+
+        if (backupCount) {
+            backupCount.textContent = `${snapshots.length} snapshot${snapshots.length === 1 ? '' : 's'}`;
+        }
+
+        backupList.innerHTML = '';
+        if (snapshots.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'setting-hint';
+            empty.textContent = 'No snapshots yet.';
+            backupList.appendChild(empty);
+            return;
+        }
+
+        snapshots.forEach(snapshot => backupList.appendChild(this.createBackupItem(snapshot)));
+    }
+
+    /**
+     * Create the list entry for a snapshot
+     * @param {Object} snapshot - Snapshot metadata
+     * @returns {HTMLElement} The list item element
+     */
+    createBackupItem(snapshot) {
+        const item = document.createElement('div');
+        item.className = 'backup-item';
+
+        const info = document.createElement('div');
+        info.className = 'backup-info';
+
+        const title = document.createElement('span');
+        title.className = 'backup-title';
+        title.textContent = `${this.formatDateTime(snapshot.createdAt)} · ${snapshot.label}`;
+
+        const details = document.createElement('span');
+        details.className = 'backup-details';
+        details.textContent = `${snapshot.workoutCount} workouts, ${snapshot.seriesCount} series · ${this.formatSize(snapshot.size)}`;
+
+        info.appendChild(title);
+        info.appendChild(details);
+
+        const actions = document.createElement('div');
+        actions.className = 'backup-item-actions';
+        [
+            { label: 'Preview', handler: () => this.showPreview(snapshot.id) },
+            { label: 'Download', handler: () => this.downloadSnapshot(snapshot.id) },
+            { label: 'Restore', handler: () => this.confirmRestore(snapshot), className: 'backup-restore-btn' },
+            { label: 'Delete', handler: () => this.deleteSnapshot(snapshot), className: 'backup-delete-btn' }
+        ].forEach(({ label, handler, className }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            if (className) {
+                button.className = className;
+            }
+            button.addEventListener('click', handler);
+            actions.appendChild(button);
+        });
+
+        item.appendChild(info);
+        item.appendChild(actions);
+        return item;
+    }
+
+    /**
+     * Take a manual snapshot of the current data
+     */
+    async handleCreateBackup() {
+        if (this.dataManager.getAllWorkouts().length === 0) {
+            this.notificationManager.showInfo('There is no workout data to back up.');
+            return;
+        }
+
+        const snapshot = await this.dataManager.createSnapshot('manual', 'Manual snapshot');
+        if (snapshot) {
+            this.notificationManager.showSuccess('Snapshot created');
+        } else {
+            this.notificationManager.showError('Failed to create snapshot. Storage might be full.');
+        }
+        await this.updateBackupList();
+    }
+
+    /**
+     * Show a summary of a snapshot's contents
+     * @param {string} id - Snapshot ID
+     */
+    async showPreview(id) {
+        try {
+            const snapshot = await this.dataManager.getSnapshot(id);
+            const workouts = snapshot.data || [];
+            const summary = this.summarizeWorkouts(workouts);
+
+            const exerciseRows = summary.exercises
+                .map(({ exercise, workouts: count, reps }) =>
+                    `<tr><td>${DOMUtils.escapeHtml(exercise)}</td><td style="text-align: right;">${count}</td><td style="text-align: right;">${reps}</td></tr>`)
+                .join('');
+
+            const { dialog, close } = this.notificationManager.createModal(`
+                <h3>${DOMUtils.escapeHtml(snapshot.label)}</h3>
+                <p>Taken ${this.formatDateTime(snapshot.createdAt)}</p>
+                <div style="background: #f5f5f5; padding: 15px; border-radius: 4px; margin: 15px 0; text-align: left;">
+                    Workouts: ${snapshot.workoutCount}<br>
+                    Series: ${snapshot.seriesCount}<br>
+                    Dates: ${summary.firstDate ? `${summary.firstDate} to ${summary.lastDate}` : '-'}<br>
+                    Size: ${this.formatSize(snapshot.size)}
+                </div>
+                <div style="max-height: 240px; overflow-y: auto; margin-bottom: 15px;">
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <tr><th style="text-align: left;">Exercise</th><th style="text-align: right;">Workouts</th><th style="text-align: right;">Reps</th></tr>
+                        ${exerciseRows}
+                    </table>
+                </div>
+                <button id="backup-preview-restore" class="modal-btn btn-blue mr-10">Restore</button>
+                <button id="backup-preview-close" class="modal-btn btn-grey">Close</button>
+            `, { maxWidth: '500px' });
+
+            dialog.querySelector('#backup-preview-restore').addEventListener('click', () => {
+                close();
+                this.confirmRestore(snapshot);
+            });
+            dialog.querySelector('#backup-preview-close').addEventListener('click', close);
+        } catch (error) {
+            console.error('Error previewing backup:', error);
+            this.notificationManager.showError('Failed to load snapshot.');
+        }
+    }
+
+    /**
+     * Summarize workouts per exercise
+     * @param {Array} workouts - Array of workouts
+     * @returns {Object} Object with per-exercise totals and the date range
+     */
+    summarizeWorkouts(workouts) {
+        const exercises = new Map();
+        const dates = [];
+
+        workouts.forEach(workout => {
+            const entry = exercises.get(workout.exercise) || { exercise: workout.exercise, workouts: 0, reps: 0 };
+            entry.workouts++;
+            entry.reps += workout.totalReps || 0;
+            exercises.set(workout.exercise, entry);
+            if (workout.dateString) {
+                dates.push(workout.dateString);
+            }
+        });
+
+        dates.sort();
+        return {
+            exercises: [...exercises.values()].sort((a, b) => b.workouts - a.workouts),
+            firstDate: dates[0] || null,
+            lastDate: dates[dates.length - 1] || null
+        };
+    }
+
+    /**
+     * Download a snapshot as a JSON backup file
+     * @param {string} id - Snapshot ID
+     */
+    async downloadSnapshot(id) {
+        try {
+            const snapshot = await this.dataManager.getSnapshot(id);
+            const backup = this.createBackup(snapshot.data, snapshot.version);
+            this.downloadJSON(backup, `workout_snapshot_${snapshot.createdAt.slice(0, 10)}.json`);
+        } catch (error) {
+            console.error('Error downloading backup:', error);
+            this.notificationManager.showError('Failed to download snapshot.');
+        }
+    }
+
+    /**
+     * Ask for confirmation and restore a snapshot
+     * @param {Object} snapshot - Snapshot metadata
+     */
+    confirmRestore(snapshot) {
+        this.notificationManager.showConfirmation(
+            `Replace your current data with the snapshot from ${this.formatDateTime(snapshot.createdAt)} (${snapshot.workoutCount} workouts)? ` +
+            'A snapshot of your current data will be taken first.',
+            () => this.restoreSnapshot(snapshot.id)
+        );
+    }
+
+    /**
+     * Restore a snapshot
+     * @param {string} id - Snapshot ID
+     */
+    async restoreSnapshot(id) {
+        try {
+            const workoutCount = await this.dataManager.restoreSnapshot(id);
+            this.notificationManager.showSuccess(`Restored ${workoutCount} workouts from snapshot.`);
+            if (this.refreshCallback) {
+                this.refreshCallback();
+            }
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            this.notificationManager.showError('Failed to restore snapshot.');
+        }
+        await this.updateBackupList();
+    }
+
+    /**
+     * Delete a snapshot after confirmation
+     * @param {Object} snapshot - Snapshot metadata
+     */
+    deleteSnapshot(snapshot) {
+        this.notificationManager.showConfirmation(
+            `Delete the snapshot from ${this.formatDateTime(snapshot.createdAt)}?`,
+            async () => {
+                try {
+                    await this.dataManager.deleteSnapshot(snapshot.id);
+                } catch (error) {
+                    console.error('Error deleting backup:', error);
+                    this.notificationManager.showError('Failed to delete snapshot.');
+                }
+                await this.updateBackupList();
+            }
+        );
+    }
+
+    /**
+     * Format an ISO timestamp for display
+     * @param {string} isoString - ISO date string
+     * @returns {string} Localized date and time
+     */
+    formatDateTime(isoString) {
+        return new Date(isoString).toLocaleString(undefined, {
+            year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+    }
+
+    /**
+     * Format a size in bytes
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Human readable size
+     */
+    formatSize(bytes) {
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        if (bytes < 1024 * 1024) {
+            return `${(bytes / 1024).toFixed(1)} KB`;
+        }
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BackupManager;
+} else {
+    window.BackupManager = BackupManager;
+}
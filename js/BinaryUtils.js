@@ -0,0 +1,299 @@
+// BinaryUtils - Pure helpers for byte encoding, checksums, deflate, encryption and zip archives (no DOM access)
+(function (global) {
+    'use strict';
+
+    let crcTable = null;
+
+    // Encrypted data: version byte, PBKDF2 salt, AES-GCM IV, then the ciphertext with its 16-byte tag
+    const ENCRYPTION_VERSION = 1;
+    const PBKDF2_ITERATIONS = 600000;
+    const SALT_LENGTH = 16;
+    const IV_LENGTH = 12;
+    const TAG_LENGTH = 16;
+
+    function getCrcTable() {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+        return crcTable;
+    }
+
+    /**
+     * Encode a string as UTF-8 bytes
+     * @param {string} text - Text to encode
+     * @returns {Uint8Array} UTF-8 bytes
+     */
+    function utf8Encode(text) {
+        return new TextEncoder().encode(text);
+    }
+
+    /**
+     * Decode UTF-8 bytes into a string
+     * @param {Uint8Array} bytes - UTF-8 bytes
+     * @returns {string} Decoded text
+     */
+    function utf8Decode(bytes) {
+        return new TextDecoder().decode(bytes);
+    }
+
+    /**
+     * Compute the CRC-32 (IEEE 802.3, as used by zip and PNG) of a string or byte array
+     * @param {string|Uint8Array} input - Text (hashed as UTF-8) or bytes
+     * @returns {number} Unsigned 32-bit checksum
+     */
+    function crc32(input) {
+        const bytes = typeof input === 'string' ? utf8Encode(input) : input;
+        const table = getCrcTable();
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Compute the CRC-32 of a string or byte array as 8 lowercase hex digits
+     * @param {string|Uint8Array} input - Text (hashed as UTF-8) or bytes
+     * @returns {string} Hex checksum
+     */
+    function crc32Hex(input) {
+        return crc32(input).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Convert a date to MS-DOS time and date fields, as used in zip headers (local time, 2 second steps)
+     * @param {Date} date - Date
+     * @returns {Object} { time, date }
+     */
+    function toDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Create a zip archive with uncompressed (stored) entries
+     * @param {Array<{name: string, data: string|Uint8Array}>} entries - Files; strings are stored as UTF-8
+     * @param {Date} modified - Modification time of all entries
+     * @returns {Uint8Array} Zip file bytes
+     */
+    function createZip(entries, modified = new Date()) {
+        const { time, date } = toDosDateTime(modified);
+        const parts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        entries.forEach(entry => {
+            const name = utf8Encode(entry.name);
+            const data = typeof entry.data === 'string' ? utf8Encode(entry.data) : entry.data;
+            const checksum = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true); // Version needed to extract
+            local.setUint16(6, 0x0800, true); // UTF-8 file names
+            local.setUint16(8, 0, true); // Stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, checksum, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true); // Version made by
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, checksum, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+
+            parts.push(new Uint8Array(local.buffer), name, data);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return concatBytes(parts.concat(centralParts, [new Uint8Array(end.buffer)]));
+    }
+
+    /**
+     * Concatenate byte arrays
+     * @param {Array<Uint8Array>} arrays - Byte arrays
+     * @returns {Uint8Array} Concatenated bytes
+     */
+    function concatBytes(arrays) {
+        const result = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+        let position = 0;
+        arrays.forEach(array => {
+            result.set(array, position);
+            position += array.length;
+        });
+        return result;
+    }
+
+    /**
+     * Encode bytes as URL-safe base64 without padding
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} base64url text
+     */
+    function toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode URL-safe base64 (padding optional) into bytes
+     * @param {string} text - base64url text
+     * @returns {Uint8Array} Decoded bytes
+     */
+    function fromBase64Url(text) {
+        let b64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        while (b64.length % 4) b64 += '=';
+        const binary = atob(b64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Check whether the browser can deflate and inflate (CompressionStream and DecompressionStream)
+     * @returns {boolean} True if deflateRaw and inflateRaw are available
+     */
+    function supportsDeflate() {
+        return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+    }
+
+    async function transformBytes(bytes, stream) {
+        const output = new Blob([bytes]).stream().pipeThrough(stream);
+        return new Uint8Array(await new Response(output).arrayBuffer());
+    }
+
+    /**
+     * Compress bytes with raw deflate (RFC 1951, no zlib header)
+     * @param {Uint8Array} bytes - Bytes to compress
+     * @returns {Promise<Uint8Array>} Compressed bytes
+     */
+    function deflateRaw(bytes) {
+        return transformBytes(bytes, new CompressionStream('deflate-raw'));
+    }
+
+    /**
+     * Decompress raw deflate bytes
+     * @param {Uint8Array} bytes - Compressed bytes
+     * @returns {Promise<Uint8Array>} Decompressed bytes
+     */
+    function inflateRaw(bytes) {
+        return transformBytes(bytes, new DecompressionStream('deflate-raw'));
+    }
+
+    /**
+     * Check whether the browser can encrypt (Web Crypto, which needs a secure context: https or localhost)
+     * @returns {boolean} True if encryptBytes and decryptBytes are available
+     */
+    function supportsEncryption() {
+        return typeof crypto !== 'undefined' && Boolean(crypto.subtle) && typeof crypto.getRandomValues === 'function';
+    }
+
+    async function deriveKey(passphrase, salt) {
+        const material = await crypto.subtle.importKey('raw', utf8Encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: PBKDF2_ITERATIONS },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypt bytes with a passphrase: AES-256-GCM with a key derived from the passphrase and a random salt
+     * by PBKDF2-SHA-256
+     * @param {Uint8Array} bytes - Bytes to encrypt
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<Uint8Array>} Version, salt, IV and ciphertext
+     */
+    async function encryptBytes(bytes, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+        const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+        const key = await deriveKey(passphrase, salt);
+        const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes));
+        return concatBytes([Uint8Array.of(ENCRYPTION_VERSION), salt, iv, ciphertext]);
+    }
+
+    /**
+     * Get the length of what encryptBytes returns, without deriving a key
+     * @param {number} length - Number of bytes to encrypt
+     * @returns {number} Number of encrypted bytes
+     */
+    function getEncryptedLength(length) {
+        return 1 + SALT_LENGTH + IV_LENGTH + length + TAG_LENGTH;
+    }
+
+    /**
+     * Decrypt bytes written by encryptBytes
+     * @param {Uint8Array} bytes - Encrypted bytes
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<Uint8Array|null>} Decrypted bytes, or null if the passphrase is wrong or the data was changed
+     */
+    async function decryptBytes(bytes, passphrase) {
+        const headerLength = 1 + SALT_LENGTH + IV_LENGTH;
+        if (bytes.length < headerLength + TAG_LENGTH || bytes[0] !== ENCRYPTION_VERSION) {
+            throw new Error('Encrypted data is damaged or in an unknown format');
+        }
+        const key = await deriveKey(passphrase, bytes.subarray(1, 1 + SALT_LENGTH));
+        try {
+            const iv = bytes.subarray(1 + SALT_LENGTH, headerLength);
+            return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, bytes.subarray(headerLength)));
+        } catch (error) {
+            // AES-GCM authentication fails the same way for a wrong key and for changed data
+            return null;
+        }
+    }
+
+    global.BinaryUtils = {
+        utf8Encode,
+        utf8Decode,
+        crc32,
+        crc32Hex,
+        concatBytes,
+        createZip,
+        toBase64Url,
+        fromBase64Url,
+        supportsDeflate,
+        deflateRaw,
+        inflateRaw,
+        supportsEncryption,
+        encryptBytes,
+        getEncryptedLength,
+        decryptBytes
+    };
+
+})(typeof window !== 'undefined' ? window : this);
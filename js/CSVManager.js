@@ -1,18 +1,224 @@
 /**
- * CSVManager - Handles CSV import and export functionality
+ * CSVManager - Handles CSV import and export functionality, and the Excel (XLSX) export
  */
 class CSVManager {
-    constructor(dataManager, notificationManager, validationManager) {
+    constructor(dataManager, notificationManager, validationManager, historyManager = null, importManager = null,
+        exerciseTypeManager = null) {
         this.dataManager = dataManager;
         this.notificationManager = notificationManager;
         this.validationManager = validationManager;
+        this.historyManager = historyManager;
+        this.importManager = importManager;
+        this.exerciseTypeManager = exerciseTypeManager;
+        this.exportOptionsKey = 'csvExportOptions';
+        // Headers are always in English, so exported files can be read back whatever the options were
+        this.exportColumns = [
+            { key: 'date', header: 'Workout Date', required: true },
+            { key: 'exercise', header: 'Exercise', required: true },
+            { key: 'seriesNumber', header: 'Series Number' },
+            { key: 'reps', header: 'Reps', required: true },
+            { key: 'weight', header: 'Weight' },
+            { key: 'seriesTime', header: 'Series Time' },
+            { key: 'totalReps', header: 'Total Workout Reps' },
+            { key: 'totalTime', header: 'Total Workout Time (min)' },
+            { key: 'workoutId', header: 'Workout ID' },
+            { key: 'seriesId', header: 'Series ID' }
+        ];
+        // Date patterns are written into the header, e.g. "Workout Date (DD/MM/YYYY HH:mm:ss)"
+        this.dateFormats = {
+            iso: { label: 'ISO 8601 (2024-03-26T07:51:00.000Z)', pattern: null },
+            local: { label: 'Local time (2024-03-26 08:51:00)', pattern: 'YYYY-MM-DD HH:mm:ss' },
+            dmy: { label: 'Day first (26/03/2024 08:51:00)', pattern: 'DD/MM/YYYY HH:mm:ss' },
+            mdy: { label: 'Month first (03/26/2024 08:51:00)', pattern: 'MM/DD/YYYY HH:mm:ss' }
+        };
+    }
+
+    /**
+     * Get the "Undo" action for import notifications
+     * @returns {Object|null} Action object, or null if undo is not available
+     */
+    getUndoAction() {
+        return this.historyManager ? this.historyManager.createUndoAction() : null;
+    }
+
+    /**
+     * Get the default CSV export options, which produce the classic WorkoutTrackr format
+     * @returns {Object} Export options
+     */
+    getDefaultExportOptions() {
+        return {
+            columns: this.exportColumns.map(column => column.key),
+            delimiter: ',',
+            dateFormat: 'iso',
+            decimalSeparator: '.',
+            weightUnit: 'kg',
+            from: '',
+            to: '',
+            excludedExercises: []
+        };
+    }
+
+    /**
+     * Load the export options chosen last time
+     * @returns {Object} Export options
+     */
+    loadExportOptions() {
+        const defaults = this.getDefaultExportOptions();
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.exportOptionsKey));
+            if (!stored || typeof stored !== 'object') {
+                return defaults;
+            }
+
+            const options = { ...defaults, ...stored };
+            const knownKeys = defaults.columns;
+            options.columns = Array.isArray(stored.columns)
+                ? stored.columns.filter(key => knownKeys.includes(key))
+                : defaults.columns;
+            // Required columns can't be deselected
+            this.exportColumns.filter(column => column.required && !options.columns.includes(column.key))
+                .forEach(column => options.columns.push(column.key));
+            if (![',', ';', '\t'].includes(options.delimiter)) options.delimiter = defaults.delimiter;
+            if (!this.dateFormats[options.dateFormat]) options.dateFormat = defaults.dateFormat;
+            if (!['.', ','].includes(options.decimalSeparator)) options.decimalSeparator = defaults.decimalSeparator;
+            if (!['kg', 'lbs'].includes(options.weightUnit)) options.weightUnit = defaults.weightUnit;
+            if (!Array.isArray(options.excludedExercises)) options.excludedExercises = [];
+            return options;
+        } catch (error) {
+            console.warn('Could not load CSV export options:', error);
+            return defaults;
+        }
+    }
+
+    /**
+     * Remember the export options
+     * @param {Object} options - Export options
+     */
+    saveExportOptions(options) {
+        try {
+            localStorage.setItem(this.exportOptionsKey, JSON.stringify(options));
+        } catch (error) {
+            console.warn('Could not save CSV export options:', error);
+        }
+    }
+
+    /**
+     * Show the export options dialog and export with the chosen options
+     * @returns {Promise<boolean>} True if a file was exported
+     */
+    async showExportOptions() {
+        if (this.dataManager.getAllWorkouts().length === 0) {
+            this.notificationManager.showInfo("No workout data to export.");
+            return false;
+        }
+
+        const options = this.loadExportOptions();
+        const exercises = [...new Set(this.dataManager.getAllWorkouts().map(workout => workout.exercise))].sort();
+        const orderedColumns = options.columns
+            .concat(this.exportColumns.map(column => column.key).filter(key => !options.columns.includes(key)))
+            .map(key => this.exportColumns.find(column => column.key === key));
+
+        const columnItems = orderedColumns.map(column => `
+            <li data-key="${column.key}" style="display: flex; align-items: center; gap: 6px; margin-bottom: 4px;">
+                <label style="flex: 1;">
+                    <input type="checkbox"${options.columns.includes(column.key) ? ' checked' : ''}${column.required ? ' disabled' : ''}>
+                    ${column.header}
+                </label>
+                <button type="button" class="csv-column-up" title="Move up">&uarr;</button>
+                <button type="button" class="csv-column-down" title="Move down">&darr;</button>
+            </li>`).join('');
+        const exerciseItems = exercises.map(exercise => `
+            <label style="display: block;">
+                <input type="checkbox" value="${DOMUtils.escapeHtml(exercise)}"${options.excludedExercises.includes(exercise) ? '' : ' checked'}>
+                ${DOMUtils.escapeHtml(exercise)}
+            </label>`).join('');
+        const select = (id, choices, value) => `<select id="${id}">${choices.map(([optionValue, label]) =>
+            `<option value="${optionValue}"${optionValue === value ? ' selected' : ''}>${label}</option>`).join('')}</select>`;
+
+        return new Promise(resolve => {
+            let exported = false;
+            const { dialog, close } = this.notificationManager.createModal(`
+                <h3>Export CSV</h3>
+                <div class="csv-export-options" style="text-align: left; max-height: 60vh; overflow-y: auto; margin-bottom: 15px;">
+                    <p><strong>Columns</strong></p>
+                    <ul class="csv-export-columns" style="list-style: none; padding: 0; margin: 0 0 15px;">${columnItems}</ul>
+                    <div class="setting-row">
+                        <label for="csv-export-delimiter">Delimiter</label>
+                        ${select('csv-export-delimiter', [[',', 'Comma (,)'], [';', 'Semicolon (;)'], ['\t', 'Tab']], options.delimiter)}
+                    </div>
+                    <div class="setting-row">
+                        <label for="csv-export-decimal">Decimal separator</label>
+                        ${select('csv-export-decimal', [['.', 'Point (12.5)'], [',', 'Comma (12,5)']], options.decimalSeparator)}
+                    </div>
+                    <p class="setting-hint">For Excel in most European languages, use a semicolon with a decimal comma.</p>
+                    <div class="setting-row">
+                        <label for="csv-export-date-format">Date format</label>
+                        ${select('csv-export-date-format', Object.entries(this.dateFormats).map(([key, format]) => [key, format.label]), options.dateFormat)}
+                    </div>
+                    <div class="setting-row">
+                        <label for="csv-export-unit">Weight unit</label>
+                        ${select('csv-export-unit', [['kg', 'kg'], ['lbs', 'lbs']], options.weightUnit)}
+                    </div>
+                    <div class="setting-row">
+                        <label for="csv-export-from">From</label>
+                        <input type="date" id="csv-export-from" value="${options.from}">
+                    </div>
+                    <div class="setting-row">
+                        <label for="csv-export-to">To</label>
+                        <input type="date" id="csv-export-to" value="${options.to}">
+                    </div>
+                    <p><strong>Exercises</strong></p>
+                    <div class="csv-export-exercises">${exerciseItems}</div>
+                </div>
+                <button id="csv-export-confirm" class="modal-btn btn-green mr-10">Export</button>
+                <button id="csv-export-reset" class="modal-btn btn-blue mr-10">Defaults</button>
+                <button id="csv-export-cancel" class="modal-btn btn-grey">Cancel</button>
+            `, { maxWidth: '500px', onClose: () => resolve(exported) });
+
+            const columnList = dialog.querySelector('.csv-export-columns');
+            columnList.addEventListener('click', event => {
+                const item = event.target.closest('li');
+                if (event.target.classList.contains('csv-column-up') && item.previousElementSibling) {
+                    columnList.insertBefore(item, item.previousElementSibling);
+                } else if (event.target.classList.contains('csv-column-down') && item.nextElementSibling) {
+                    columnList.insertBefore(item.nextElementSibling, item);
+                }
+            });
+
+            dialog.querySelector('#csv-export-confirm').addEventListener('click', async () => {
+                const chosen = {
+                    columns: Array.from(columnList.querySelectorAll('li'))
+                        .filter(item => item.querySelector('input').checked)
+                        .map(item => item.dataset.key),
+                    delimiter: dialog.querySelector('#csv-export-delimiter').value,
+                    dateFormat: dialog.querySelector('#csv-export-date-format').value,
+                    decimalSeparator: dialog.querySelector('#csv-export-decimal').value,
+                    weightUnit: dialog.querySelector('#csv-export-unit').value,
+                    from: dialog.querySelector('#csv-export-from').value,
+                    to: dialog.querySelector('#csv-export-to').value,
+                    excludedExercises: Array.from(dialog.querySelectorAll('.csv-export-exercises input'))
+                        .filter(input => !input.checked)
+                        .map(input => input.value)
+                };
+                this.saveExportOptions(chosen);
+                exported = await this.exportToCSV(chosen);
+                close();
+            });
+            dialog.querySelector('#csv-export-reset').addEventListener('click', () => {
+                localStorage.removeItem(this.exportOptionsKey);
+                close();
+                this.showExportOptions();
+            });
+            dialog.querySelector('#csv-export-cancel').addEventListener('click', close);
+        });
     }
 
     /**
      * Export workout data to CSV
+     * @param {Object} options - Export options (see getDefaultExportOptions)
      * @returns {boolean} True if export was successful
      */
-    async exportToCSV() {
+    async exportToCSV(options = this.getDefaultExportOptions()) {
         try {
             const workouts = this.dataManager.getAllWorkouts();
 
@@ -21,8 +227,14 @@ class CSVManager {
                 return false;
             }
 
+            const selectedWorkouts = this.filterWorkoutsForExport(workouts, options);
+            if (selectedWorkouts.length === 0) {
+                this.notificationManager.showInfo("No workouts match the selected dates and exercises.");
+                return false;
+            }
+
             // Convert to CSV format
-            const csvData = this.convertWorkoutsToCSV(workouts);
+            const csvData = this.convertWorkoutsToCSV(selectedWorkouts, options);
 
             if (!csvData || csvData.length <= 1) {
                 this.notificationManager.showWarning("No valid workout data found to export.");
@@ -30,7 +242,7 @@ class CSVManager {
             }
 
             // Create and download CSV file
-            this.downloadCSVFile(csvData);
+            this.downloadCSVFile(csvData, 'workout_data', options.delimiter);
             this.notificationManager.showSuccess("CSV file downloaded successfully!");
             return true;
 
@@ -41,15 +253,182 @@ class CSVManager {
         }
     }
 
+    /**
+     * Export workout data to an Excel workbook with sheets for the series, the workouts,
+     * a monthly summary per exercise and the personal records. Weights are in kg.
+     * @returns {boolean} True if export was successful
+     */
+    async exportToXLSX() {
+        try {
+            const workouts = this.dataManager.getAllWorkouts();
+
+            if (workouts.length === 0) {
+                this.notificationManager.showInfo("No workout data to export.");
+                return false;
+            }
+
+            const workbook = XLSXUtils.createWorkbook(this.createWorkbookSheets(workouts));
+            const blob = new Blob([workbook], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+            this.downloadBlob(blob, 'workout_data', 'xlsx');
+            this.notificationManager.showSuccess("Excel file downloaded successfully!");
+            return true;
+
+        } catch (error) {
+            console.error("Error exporting XLSX:", error);
+            this.notificationManager.showError("Failed to export Excel file. Please try again.");
+            return false;
+        }
+    }
+
+    /**
+     * Build the sheets of the Excel export
+     * @param {Array} workouts - Array of workout objects
+     * @returns {Array} Sheets for XLSXUtils.createWorkbook
+     */
+    createWorkbookSheets(workouts) {
+        const sortedWorkouts = [...workouts].sort((a, b) => new Date(a.date) - new Date(b.date));
+        const round = value => Math.round(value * 100) / 100;
+        const day = dateString => ({ type: 'date', value: ImportFormats.parseLocalDateTime(dateString, 0) });
+
+        const seriesRows = [['Date', 'Training Day', 'Exercise', 'Series', 'Reps', 'Weight (kg)', 'Volume (kg)', 'Workout ID', 'Series ID']];
+        const workoutRows = [['Date', 'Training Day', 'Exercise', 'Series', 'Total Reps', 'Best Set', 'Max Weight (kg)', 'Volume (kg)', 'Duration (min)', 'Workout ID']];
+
+        sortedWorkouts.forEach(workout => {
+            const series = workout.series || [];
+            series.forEach((s, index) => {
+                seriesRows.push([
+                    new Date(s.timestamp),
+                    day(workout.dateString),
+                    workout.exercise,
+                    index + 1,
+                    s.reps,
+                    s.weight,
+                    s.weight ? round(s.reps * s.weight) : null,
+                    workout.id,
+                    s.id
+                ]);
+            });
+
+            const weights = series.filter(s => s.weight).map(s => s.weight);
+            const volume = ChartDataUtils.getWorkoutVolume(workout);
+            workoutRows.push([
+                new Date(workout.date),
+                day(workout.dateString),
+                workout.exercise,
+                series.length,
+                workout.totalReps,
+                series.length > 0 ? Math.max(...series.map(s => s.reps)) : null,
+                weights.length > 0 ? Math.max(...weights) : null,
+                volume > 0 ? round(volume) : null,
+                workout.totalTime ? round(workout.totalTime) : null,
+                workout.id
+            ]);
+        });
+
+        const summaryRows = [['Month', 'Exercise', 'Workouts', 'Series', 'Reps', 'Avg Reps per Series', 'Best Set', 'Max Weight (kg)', 'Volume (kg)']];
+        ChartDataUtils.summarizeByExercisePeriod(sortedWorkouts, 'monthly').forEach(summary => {
+            summaryRows.push([
+                summary.period,
+                summary.exercise,
+                summary.workouts,
+                summary.series,
+                summary.reps,
+                summary.series > 0 ? round(summary.reps / summary.series) : null,
+                summary.maxReps || null,
+                summary.maxWeight,
+                summary.volume > 0 ? round(summary.volume) : null
+            ]);
+        });
+
+        const recordRows = [['Exercise', 'Most Reps in a Set', 'Date', 'Heaviest Weight (kg)', 'Reps', 'Date', 'Most Reps in a Workout', 'Date', 'Most Volume in a Workout (kg)', 'Date']];
+        ChartDataUtils.getPersonalRecords(sortedWorkouts).forEach(record => {
+            const { mostReps, heaviest, mostWorkoutReps, mostVolume } = record;
+            recordRows.push([
+                record.exercise,
+                mostReps && mostReps.value, mostReps && day(mostReps.date),
+                heaviest && heaviest.value, heaviest && heaviest.reps, heaviest && day(heaviest.date),
+                mostWorkoutReps && mostWorkoutReps.value, mostWorkoutReps && day(mostWorkoutReps.date),
+                mostVolume && round(mostVolume.value), mostVolume && day(mostVolume.date)
+            ]);
+        });
+
+        return [
+            { name: 'Series', rows: seriesRows, widths: [17, 12, 22, 8, 8, 12, 12, 28, 28] },
+            { name: 'Workouts', rows: workoutRows, widths: [17, 12, 22, 8, 11, 10, 15, 12, 14, 28] },
+            { name: 'Monthly Summary', rows: summaryRows, widths: [10, 22, 10, 8, 8, 19, 10, 15, 12] },
+            { name: 'Personal Records', rows: recordRows, widths: [22, 18, 12, 20, 8, 12, 22, 12, 28, 12] }
+        ];
+    }
+
+    /**
+     * Select the workouts in the export date range (training days, inclusive) and exercises
+     * @param {Array} workouts - Array of workout objects
+     * @param {Object} options - Export options
+     * @returns {Array} Selected workouts
+     */
+    filterWorkoutsForExport(workouts, options) {
+        return workouts.filter(workout =>
+            (!options.from || workout.dateString >= options.from) &&
+            (!options.to || workout.dateString <= options.to) &&
+            !options.excludedExercises.includes(workout.exercise)
+        );
+    }
+
+    /**
+     * Get the header of an export column for the given options
+     * @param {Object} column - Column definition
+     * @param {Object} options - Export options
+     * @returns {string} Header text
+     */
+    getExportHeader(column, options) {
+        const pattern = this.dateFormats[options.dateFormat].pattern;
+        if ((column.key === 'date' || column.key === 'seriesTime') && pattern) {
+            return `${column.header} (${pattern})`;
+        }
+        if (column.key === 'weight' && options.weightUnit === 'lbs') {
+            return `${column.header} (lbs)`;
+        }
+        return column.header;
+    }
+
+    /**
+     * Format a date for export
+     * @param {Date} date - Date
+     * @param {string} dateFormat - Key of this.dateFormats
+     * @returns {string} Formatted date
+     */
+    formatExportDate(date, dateFormat) {
+        const pattern = this.dateFormats[dateFormat].pattern;
+        if (!pattern) {
+            return date.toISOString();
+        }
+        const pad = value => String(value).padStart(2, '0');
+        const parts = {
+            YYYY: date.getFullYear(), MM: pad(date.getMonth() + 1), DD: pad(date.getDate()),
+            HH: pad(date.getHours()), mm: pad(date.getMinutes()), ss: pad(date.getSeconds())
+        };
+        return pattern.replace(/YYYY|MM|DD|HH|mm|ss/g, token => parts[token]);
+    }
+
+    /**
+     * Format a number for export
+     * @param {number} value - Number
+     * @param {string} decimalSeparator - '.' or ','
+     * @returns {string} Formatted number
+     */
+    formatExportNumber(value, decimalSeparator) {
+        return String(value).replace('.', decimalSeparator);
+    }
+
     /**
      * Convert workouts to CSV format
      * @param {Array} workouts - Array of workout objects
+     * @param {Object} options - Export options (see getDefaultExportOptions)
      * @returns {Array} Array of CSV rows
      */
-    convertWorkoutsToCSV(workouts) {
-        const csvRows = [
-            ['Workout Date', 'Exercise', 'Series Number', 'Reps', 'Weight', 'Series Time', 'Total Workout Reps', 'Total Workout Time (min)']
-        ];
+    convertWorkoutsToCSV(workouts, options = this.getDefaultExportOptions()) {
+        const columns = options.columns.map(key => this.exportColumns.find(column => column.key === key));
+        const csvRows = [columns.map(column => this.getExportHeader(column, options))];
 
         workouts.forEach(workout => {
             try {
@@ -71,16 +450,23 @@ class CSVManager {
                             return;
                         }
 
-                        csvRows.push([
-                            workoutDate.toISOString(),
-                            workout.exercise,
-                            index + 1,
-                            series.reps,
-                            series.weight || 'BW', // BW for bodyweight (null weight)
-                            seriesTime.toISOString(),
-                            totalReps,
-                            workout.totalTime || 0
-                        ]);
+                        const weight = series.weight
+                            ? this.formatExportNumber(ImportFormats.fromKilograms(series.weight, options.weightUnit), options.decimalSeparator)
+                            : 'BW'; // BW for bodyweight (null weight)
+                        const values = {
+                            date: this.formatExportDate(workoutDate, options.dateFormat),
+                            exercise: workout.exercise,
+                            seriesNumber: index + 1,
+                            reps: series.reps,
+                            weight: weight,
+                            seriesTime: this.formatExportDate(seriesTime, options.dateFormat),
+                            totalReps: totalReps,
+                            totalTime: workout.totalTime || 0,
+                            workoutId: workout.id || '',
+                            seriesId: series.id || ''
+                        };
+
+                        csvRows.push(columns.map(column => values[column.key]));
                     } catch (seriesError) {
                         console.error("Error processing series:", seriesError, series);
                     }
@@ -96,22 +482,24 @@ class CSVManager {
     /**
      * Download CSV file
      * @param {Array} csvRows - Array of CSV rows
+     * @param {string} filenamePrefix - File name before the date
+     * @param {string} delimiter - Field delimiter
      */
-    downloadCSVFile(csvRows) {
-        const csv = csvRows.map(row => row.join(',')).join('\n');
-        const csvContent = 'data:text/csv;charset=utf-8,' + csv;
-        const encodedUri = encodeURI(csvContent);
-
-        // Get current date in YYYY-MM-DD format for the filename
-        const now = new Date();
-        const dateStr = now.toISOString().split('T')[0];
+    downloadCSVFile(csvRows, filenamePrefix = 'workout_data', delimiter = ',') {
+        // The byte order mark lets spreadsheet applications detect UTF-8 exercise names
+        const csv = '\uFEFF' + CSVUtils.stringifyCSV(csvRows, { delimiter: delimiter });
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+        this.downloadBlob(blob, filenamePrefix, 'csv');
+    }
 
-        const link = document.createElement('a');
-        link.setAttribute('href', encodedUri);
-        link.setAttribute('download', `workout_data_${dateStr}.csv`);
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+    /**
+     * Download a file named after the current date, e.g. workout_data_2024-03-26.xlsx
+     * @param {Blob} blob - File content
+     * @param {string} filenamePrefix - File name before the date
+     * @param {string} extension - File extension
+     */
+    downloadBlob(blob, filenamePrefix, extension) {
+        DOMUtils.downloadBlob(blob, `${filenamePrefix}_${DOMUtils.getFileDateString()}.${extension}`);
     }
 
     /**
@@ -128,6 +516,9 @@ class CSVManager {
             }
 
             const hideLoading = this.notificationManager.showLoading('Processing CSV file...');
+            let validation = null;
+            let report;
+            let external;
 
             try {
                 const csvData = await this.readFileAsText(file);
@@ -139,48 +530,101 @@ class CSVManager {
                     return false;
                 }
 
-                const parsedData = this.parseCSVData(csvData);
+                let parsed;
+                try {
+                    parsed = this.parseCSVData(csvData);
+                } catch (parseError) {
+                    this.notificationManager.showError(`Could not read the CSV file: ${parseError.message}`);
+                    return false;
+                }
+                report = parsed.report;
+                external = parsed.external;
+
+                if (parsed.workouts.length > 0) {
+                    // Validate parsed workouts
+                    validation = this.validationManager.validateParsedWorkouts(parsed.workouts);
 
-                if (!parsedData || parsedData.length === 0) {
+                    if (!validation.isValid) {
+                        this.notificationManager.showError("No valid workouts found in the CSV file.");
+                        return false;
+                    }
+                } else if (report.rejectedRows.length === 0) {
                     this.notificationManager.showError("No valid workout data found in the CSV file.");
                     return false;
                 }
+            } finally {
+                hideLoading();
+            }
 
-                // Validate parsed workouts
-                const validation = this.validationManager.validateParsedWorkouts(parsedData);
+            // Every data row was rejected: explain why instead of importing nothing
+            if (!validation) {
+                this.showImportReport(report, false);
+                return false;
+            }
 
-                if (!validation.isValid) {
-                    this.notificationManager.showError("No valid workouts found in the CSV file.");
+            let workouts = validation.validWorkouts;
+            let newTypes = [];
+            const source = external ? `${external.name} CSV` : 'CSV';
+
+            // Exports of other apps use their own exercise names
+            if (external) {
+                const mapped = await this.mapExternalWorkouts(workouts, external);
+                if (!mapped) {
                     return false;
                 }
+                ({ workouts, newTypes } = mapped);
+            }
 
-                // Update data
-                if (replace) {
-                    this.dataManager.replaceAllData(validation.validWorkouts);
-                    this.notificationManager.showSuccess(
-                        `Replaced all data with ${validation.validWorkouts.length} workouts from CSV.`
-                    );
-                } else {
-                    this.dataManager.addMultipleWorkouts(validation.validWorkouts);
-                    this.notificationManager.showSuccess(
-                        `Imported ${validation.validWorkouts.length} workouts from CSV.`
-                    );
+            // Update data
+            if (replace) {
+                this.dataManager.replaceAllData(workouts, 'Before CSV import (replace all)');
+                this.notificationManager.showSuccess(
+                    `Replaced all data with ${workouts.length} workouts from ${source}.`,
+                    undefined,
+                    this.getUndoAction()
+                );
+            } else if (this.importManager) {
+                // Let the user review duplicates and conflicts before anything is changed
+                const strategy = await this.importManager.showPreview(workouts, {
+                    title: `Import ${source}`,
+                    invalidCount: validation.invalidCount
+                });
+                if (!strategy) {
+                    return false;
                 }
 
-                // Show warning if some workouts were invalid
-                if (validation.invalidCount > 0) {
-                    this.notificationManager.showWarning(
-                        `${validation.invalidCount} invalid workouts were skipped during import.`
-                    );
-                }
+                const result = this.dataManager.mergeWorkouts(workouts, strategy);
+                this.notificationManager.showSuccess(
+                    `Imported ${source}: ${this.importManager.formatResult(result)}.`,
+                    undefined,
+                    this.getUndoAction()
+                );
+            } else {
+                this.dataManager.addMultipleWorkouts(workouts);
+                this.notificationManager.showSuccess(
+                    `Imported ${workouts.length} workouts from ${source}.`,
+                    undefined,
+                    this.getUndoAction()
+                );
+            }
+            await this.addExerciseTypes(newTypes);
 
-                // Save data
-                await this.dataManager.saveWorkoutData();
-                return true;
+            // Show warning if some workouts were invalid
+            if (validation.invalidCount > 0) {
+                this.notificationManager.showWarning(
+                    `${validation.invalidCount} invalid workouts were skipped during import.`,
+                    undefined,
+                    this.getUndoAction()
+                );
+            }
 
-            } finally {
-                hideLoading();
+            // Save data
+            await this.dataManager.saveWorkoutData();
+
+            if (report.rejectedRows.length > 0) {
+                this.showImportReport(report, true);
             }
+            return true;
 
         } catch (error) {
             console.error("Error importing CSV:", error);
@@ -189,6 +633,24 @@ class CSVManager {
         }
     }
 
+    /**
+     * Show which rows of a CSV import were rejected and why
+     * @param {Object} report - Import report from parseCSVData
+     * @param {boolean} imported - Whether the accepted rows were imported
+     */
+    showImportReport(report, imported) {
+        if (this.importManager) {
+            this.importManager.showReport(report, {
+                imported: imported,
+                onDownloadRejected: () => this.downloadRejectedRows(report)
+            });
+        } else {
+            this.notificationManager.showWarning(
+                `${report.rejectedRows.length} of ${report.totalRows} CSV rows were skipped because they contain invalid values.`
+            );
+        }
+    }
+
     /**
      * Read file as text
      * @param {File} file - File to read
@@ -213,153 +675,480 @@ class CSVManager {
     /**
      * Parse CSV data into workout objects
      * @param {string} csvData - CSV data string
-     * @returns {Array} Array of workout objects
+     * @returns {Object} { workouts, report, external } where report lists the rows that were rejected and why,
+     *   and external describes the app that exported the file (null for WorkoutTrackr files)
      */
     parseCSVData(csvData) {
-        const rows = csvData.split('\n').filter(row => row.trim() !== '');
-        const parsedData = [];
+        // Exports of other apps may use semicolons, depending on the language of the phone
+        const delimiter = CSVUtils.detectDelimiter(csvData);
+        const records = CSVUtils.parseCSVRecords(csvData, { delimiter: delimiter })
+            .filter(record => record.fields.some(field => field.trim() !== ''));
 
-        if (rows.length < 2) {
-            return parsedData;
+        if (records.length === 0) {
+            return { workouts: [], report: this.createImportReport([], delimiter) };
         }
 
         // Check the header to determine the CSV format
-        const header = rows[0].split(',').map(col => col.trim());
+        const header = records[0].fields.map(col => col.trim());
+        const report = this.createImportReport(header, delimiter);
+
+        // New format - one row per series. Files written with custom export options have the
+        // columns in any order; older files always have the first 7 or 8 columns.
+        if ((header.length >= 7 && header.includes('Series Number')) || this.findColumn(header, 'Workout Date').index !== -1) {
+            return { workouts: this.parseNewFormatCSV(records, report), report, external: null };
+        }
 
-        // New format - has 8 columns including series data
-        if (header.length >= 7 && header.includes('Series Number')) {
-            return this.parseNewFormatCSV(rows);
+        // Exports of Strong, Hevy and FitNotes
+        const reader = ImportFormats.detectFormat(header);
+        if (reader) {
+            const external = { name: reader.name, unknownUnitSeries: [] };
+            return { workouts: this.parseExternalCSV(records, reader, report, external), report, external };
         }
+
         // Old format - 3 columns: date, pushUps, timeBetweenFirstAndLast
-        else if (header.length >= 3) {
-            return this.parseOldFormatCSV(rows);
+        if (header.length >= 3) {
+            return { workouts: this.parseOldFormatCSV(records, report), report, external: null };
         }
 
-        return parsedData;
+        return { workouts: [], report, external: null };
+    }
+
+    /**
+     * Create an empty import report
+     * @param {Array} header - Header fields of the file
+     * @param {string} delimiter - Field delimiter of the file
+     * @returns {Object} Report with the header, delimiter, row counts and rejected rows
+     */
+    createImportReport(header, delimiter = ',') {
+        return {
+            header: header,
+            delimiter: delimiter,
+            totalRows: 0,
+            acceptedRows: 0,
+            rejectedRows: [] // { line, fields, issues: [{ column, value, reason }] }
+        };
+    }
+
+    /**
+     * Record the result of parsing a data row
+     * @param {Object} report - Import report
+     * @param {Object} record - CSV record ({ fields, line })
+     * @param {Array} issues - Problems found in the row ({ column, value, reason }); empty if accepted
+     * @returns {boolean} True if the row was accepted
+     */
+    recordRow(report, record, issues) {
+        report.totalRows++;
+        if (issues.length > 0) {
+            report.rejectedRows.push({ line: record.line, fields: record.fields, issues: issues });
+            return false;
+        }
+        report.acceptedRows++;
+        return true;
+    }
+
+    /**
+     * Parse a whole number field
+     * @param {string} value - Raw field value
+     * @returns {number} The number, or NaN if the field is not a whole number
+     */
+    parseIntegerField(value) {
+        const text = (value || '').trim();
+        return /^\+?\d+$/.test(text) ? parseInt(text, 10) : NaN;
+    }
+
+    /**
+     * Parse a decimal number field (with a dot or a comma as decimal separator)
+     * @param {string} value - Raw field value
+     * @returns {number} The number, or NaN if the field is not a number
+     */
+    parseDecimalField(value) {
+        const text = (value || '').trim().replace(',', '.');
+        return /^\+?(\d+\.?\d*|\.\d+)$/.test(text) ? parseFloat(text) : NaN;
+    }
+
+    /**
+     * Find an export column in a header, either by its exact name or followed by a qualifier
+     * in parentheses, such as "Workout Date (DD/MM/YYYY HH:mm:ss)" or "Weight (lbs)"
+     * @param {Array} header - Trimmed header fields
+     * @param {string} name - Column header name
+     * @returns {Object} { index, qualifier } with index -1 if the column is missing
+     */
+    findColumn(header, name) {
+        const exact = header.indexOf(name);
+        if (exact !== -1) {
+            return { index: exact, qualifier: null };
+        }
+        const index = header.findIndex(col => col.startsWith(`${name} (`) && col.endsWith(')'));
+        return { index: index, qualifier: index !== -1 ? header[index].slice(name.length + 2, -1) : null };
+    }
+
+    /**
+     * Parse a date field written with one of the export date formats
+     * @param {string} value - Raw field value
+     * @param {string|null} pattern - Pattern from the header, or null for ISO 8601
+     * @returns {Date} The date (invalid if the field does not match)
+     */
+    parseDateField(value, pattern) {
+        const text = (value || '').trim();
+        const format = Object.values(this.dateFormats).find(candidate => candidate.pattern === pattern);
+        if (!pattern || !format) {
+            return new Date(text);
+        }
+
+        const tokens = [];
+        const regex = new RegExp('^' + pattern.replace(/YYYY|MM|DD|HH|mm|ss|[/.]/g, token => {
+            if (token === '/' || token === '.') {
+                return '\\' + token;
+            }
+            tokens.push(token);
+            return token === 'YYYY' ? '(\\d{4})' : '(\\d{1,2})';
+        }) + '$');
+        const match = regex.exec(text);
+        if (!match) {
+            return new Date(NaN);
+        }
+
+        const parts = {};
+        tokens.forEach((token, index) => {
+            parts[token] = parseInt(match[index + 1], 10);
+        });
+        const date = new Date(parts.YYYY, parts.MM - 1, parts.DD, parts.HH || 0, parts.mm || 0, parts.ss || 0);
+        // Reject dates like 31/02 that JavaScript would roll over into the next month
+        return date.getMonth() === parts.MM - 1 && date.getDate() === parts.DD ? date : new Date(NaN);
     }
 
     /**
-     * Parse new format CSV (with series data)
-     * @param {Array} rows - CSV rows
+     * Parse new format CSV (with series data). Columns are found by their header, so files exported
+     * with any column selection, order, date format, decimal separator or weight unit can be read.
+     * @param {Array} records - CSV records ({ fields, line }), starting with the header
+     * @param {Object} report - Import report that collects rejected rows
      * @returns {Array} Array of workout objects
      */
-    parseNewFormatCSV(rows) {
-        const workoutMap = new Map(); // Map to group series by workout date AND exercise type
+    parseNewFormatCSV(records, report) {
+        const workoutMap = new Map(); // Map to group series by workout ID, or by date AND exercise type
+
+        const header = records[0].fields.map(col => col.trim());
+        const legacy = header.includes('Series Number') && this.findColumn(header, 'Workout Date').index === -1;
+        const columns = {};
+        this.exportColumns.forEach((column, position) => {
+            const found = this.findColumn(header, column.header);
+            // Files from before the headers were used only have the columns in their standard positions
+            if (found.index === -1 && legacy && position < 8 && position < header.length) {
+                found.index = position;
+            }
+            columns[column.key] = found;
+        });
+        const weightUnit = columns.weight.qualifier === 'lbs' ? 'lbs' : 'kg';
+        const columnName = (index) => header[index] || `Column ${index + 1}`;
+
+        const missing = ['date', 'exercise', 'reps'].filter(key => columns[key].index === -1);
+        if (missing.length > 0) {
+            const names = missing.map(key => this.exportColumns.find(column => column.key === key).header);
+            throw new Error(`Missing required columns: ${names.join(', ')}`);
+        }
 
         // Skip header row
-        for (let i = 1; i < rows.length; i++) {
-            const columns = rows[i].split(',');
-            if (columns.length >= 7) {
-                try {
-                    const workoutDate = new Date(columns[0]);
-                    const dateString = workoutDate.toISOString().split('T')[0];
-                    const exercise = columns[1];
-                    const seriesNumber = parseInt(columns[2]);
-                    const reps = parseInt(columns[3]);
-                    const weight = columns[4] === 'BW' ? null : parseFloat(columns[4]);
-                    const seriesTime = new Date(columns[5]);
-                    const totalReps = parseInt(columns[6]);
-                    const totalTime = columns.length >= 8 ? parseInt(columns[7]) : 0;
-
-                    // Skip invalid data
-                    if (isNaN(workoutDate.getTime()) || isNaN(reps) || isNaN(totalReps)) {
-                        continue;
-                    }
+        for (let i = 1; i < records.length; i++) {
+            const fields = records[i].fields;
+            const issues = [];
+            const value = (key) => columns[key].index !== -1 ? (fields[columns[key].index] || '').trim() : '';
+            const reject = (key, reason) => issues.push({ column: columnName(columns[key].index), value: value(key), reason: reason });
 
-                    // Create a unique key using both date and exercise type
-                    const workoutKey = `${dateString}-${exercise}`;
+            const workoutDate = this.parseDateField(value('date'), columns.date.qualifier);
+            const exercise = value('exercise');
+            const reps = this.parseIntegerField(value('reps'));
+            const weightText = value('weight');
+            // BW (bodyweight) or an empty field means no weight
+            const weight = weightText === 'BW' || weightText === '' ? null : this.parseDecimalField(weightText);
+            const seriesTime = value('seriesTime') !== '' ? this.parseDateField(value('seriesTime'), columns.seriesTime.qualifier) : null;
+            const totalReps = value('totalReps') !== '' ? this.parseIntegerField(value('totalReps')) : null;
+            const totalTime = value('totalTime') === '' ? 0 : this.parseIntegerField(value('totalTime'));
+            const workoutId = value('workoutId');
+            const seriesId = value('seriesId');
 
-                    // Create or update the workout in the map
-                    if (!workoutMap.has(workoutKey)) {
-                        workoutMap.set(workoutKey, {
-                            date: workoutDate,
-                            dateString: dateString,
-                            exercise: exercise,
-                            series: [],
-                            totalReps: totalReps,
-                            totalTime: totalTime
-                        });
-                    }
+            if (isNaN(workoutDate.getTime())) reject('date', 'Invalid date');
+            if (exercise === '') reject('exercise', 'Missing exercise');
+            if (isNaN(reps)) reject('reps', 'Not a whole number');
+            else if (reps <= 0) reject('reps', 'Reps must be greater than 0');
+            if (Number.isNaN(weight)) reject('weight', 'Not a number (use BW for bodyweight)');
+            if (seriesTime && isNaN(seriesTime.getTime())) reject('seriesTime', 'Invalid date');
+            if (Number.isNaN(totalReps)) reject('totalReps', 'Not a whole number');
+            if (isNaN(totalTime)) reject('totalTime', 'Not a whole number');
 
-                    // Add the series to the workout
-                    const workout = workoutMap.get(workoutKey);
-                    workout.series.push({
-                        reps: reps,
-                        weight: weight,
-                        timestamp: seriesTime
-                    });
-                } catch (error) {
-                    console.warn(`Error parsing CSV row ${i}:`, error);
-                }
+            if (!this.recordRow(report, records[i], issues)) {
+                continue;
+            }
+
+            const dateString = this.dataManager.getDayString(workoutDate);
+
+            // Group by workout ID when available, otherwise by date and exercise type
+            const workoutKey = workoutId || `${dateString}-${exercise}`;
+
+            // Create or update the workout in the map
+            if (!workoutMap.has(workoutKey)) {
+                workoutMap.set(workoutKey, {
+                    id: workoutId || undefined,
+                    date: workoutDate,
+                    dateString: dateString,
+                    exercise: exercise,
+                    series: [],
+                    totalReps: totalReps,
+                    totalTime: totalTime
+                });
             }
+
+            // Add the series to the workout. Without a series time the series are a minute apart.
+            const workout = workoutMap.get(workoutKey);
+            workout.series.push({
+                id: seriesId || undefined,
+                reps: reps,
+                weight: weightUnit === 'lbs' ? ImportFormats.toKilograms(weight, 'lbs') : weight,
+                timestamp: seriesTime || new Date(workoutDate.getTime() + workout.series.length * 60000)
+            });
         }
 
-        // Convert the map to an array
-        return Array.from(workoutMap.values());
+        // Without a total column the total is the sum of the series
+        const workouts = Array.from(workoutMap.values());
+        workouts.forEach(workout => {
+            if (workout.totalReps === null) {
+                workout.totalReps = workout.series.reduce((sum, series) => sum + series.reps, 0);
+            }
+        });
+        return workouts;
     }
 
     /**
      * Parse old format CSV (legacy format)
-     * @param {Array} rows - CSV rows
+     * @param {Array} records - CSV records ({ fields, line }), starting with the header
+     * @param {Object} report - Import report that collects rejected rows
      * @returns {Array} Array of workout objects
      */
-    parseOldFormatCSV(rows) {
+    parseOldFormatCSV(records, report) {
         const parsedData = [];
+        const header = records[0].fields.map(col => col.trim());
+        const column = (index) => header[index] || `Column ${index + 1}`;
 
         // Process as old format and convert to new format
-        for (let i = 1; i < rows.length; i++) {
-            const columns = rows[i].split(',');
-            if (columns.length >= 3) {
-                try {
-                    const date = new Date(columns[0]);
-                    const pushUps = parseInt(columns[1]);
-                    const timeBetweenFirstAndLast = parseInt(columns[2]);
+        for (let i = 1; i < records.length; i++) {
+            const columns = records[i].fields;
+            const issues = [];
+            const reject = (index, reason) => issues.push({ column: column(index), value: columns[index] || '', reason: reason });
 
-                    // Skip invalid data
-                    if (isNaN(date.getTime()) || isNaN(pushUps) || isNaN(timeBetweenFirstAndLast)) {
-                        continue;
-                    }
+            if (columns.length < 3) {
+                issues.push({ column: '', value: '', reason: `Expected at least 3 columns, found ${columns.length}` });
+                this.recordRow(report, records[i], issues);
+                continue;
+            }
 
-                    // Convert to new format with series
-                    const dateString = date.toISOString().split('T')[0];
+            const date = new Date(columns[0].trim());
+            const pushUps = this.parseIntegerField(columns[1]);
+            const timeBetweenFirstAndLast = this.parseIntegerField(columns[2]);
 
-                    // Calculate 4 equal series for the data
-                    const repsPerSeries = Math.ceil(pushUps / 4);
-                    const seriesTimeGap = Math.floor(timeBetweenFirstAndLast / 4);
+            if (isNaN(date.getTime())) reject(0, 'Invalid date');
+            if (isNaN(pushUps)) reject(1, 'Not a whole number');
+            else if (pushUps <= 0) reject(1, 'Reps must be greater than 0');
+            if (isNaN(timeBetweenFirstAndLast)) reject(2, 'Not a whole number');
 
-                    const series = [];
-                    for (let j = 0; j < 4; j++) {
-                        // Last series might have fewer reps to match total
-                        const reps = (j === 3) ?
-                            pushUps - (repsPerSeries * 3) :
-                            repsPerSeries;
+            if (!this.recordRow(report, records[i], issues)) {
+                continue;
+            }
 
-                        if (reps <= 0) continue;
+            // Convert to new format with series
+            const dateString = this.dataManager.getDayString(date);
 
-                        const seriesTime = new Date(date.getTime() + (j * seriesTimeGap * 60000));
+            // Calculate 4 equal series for the data
+            const repsPerSeries = Math.ceil(pushUps / 4);
+            const seriesTimeGap = Math.floor(timeBetweenFirstAndLast / 4);
 
-                        series.push({
-                            reps: reps,
-                            weight: null,
-                            timestamp: seriesTime
-                        });
-                    }
+            const series = [];
+            for (let j = 0; j < 4; j++) {
+                // Last series might have fewer reps to match total
+                const reps = (j === 3) ?
+                    pushUps - (repsPerSeries * 3) :
+                    repsPerSeries;
+
+                if (reps <= 0) continue;
+
+                const seriesTime = new Date(date.getTime() + (j * seriesTimeGap * 60000));
+
+                series.push({
+                    reps: reps,
+                    weight: null,
+                    timestamp: seriesTime
+                });
+            }
+
+            parsedData.push({
+                date: date,
+                dateString: dateString,
+                exercise: "Push-ups",
+                series: series,
+                totalTime: timeBetweenFirstAndLast,
+                totalReps: pushUps
+            });
+        }
+
+        return parsedData;
+    }
+
+    /**
+     * Parse the CSV export of another app into workout objects, one per exercise and session.
+     * Weights are converted to kilograms; series whose unit the file does not state are collected
+     * in external.unknownUnitSeries and converted once the user has chosen the unit.
+     * @param {Array} records - CSV records ({ fields, line }), starting with the header
+     * @param {Object} reader - Format reader from ImportFormats.detectFormat
+     * @param {Object} report - Import report that collects rejected rows
+     * @param {Object} external - Import details ({ name, unknownUnitSeries })
+     * @returns {Array} Array of workout objects
+     */
+    parseExternalCSV(records, reader, report, external) {
+        const header = records[0].fields.map(col => col.trim());
+        const sessions = new Map();
+
+        for (let i = 1; i < records.length; i++) {
+            const result = ImportFormats.readRow(reader, records[i].fields, header);
+            // Rows for rest timers or notes are not sets and not errors either
+            if (result.ignored || !this.recordRow(report, records[i], result.issues || [])) {
+                continue;
+            }
+
+            if (!sessions.has(result.set.sessionKey)) {
+                sessions.set(result.set.sessionKey, []);
+            }
+            sessions.get(result.set.sessionKey).push(result.set);
+        }
+
+        const workouts = [];
+        sessions.forEach(sessionSets => {
+            const sets = ImportFormats.sortSessionSets(sessionSets);
+            const { start, durationMinutes } = sets[0];
+            const dateString = this.dataManager.getDayString(start);
+            // The apps only record when a session started, so the sets are spread over its duration in
+            // the order they were done (one minute apart if unknown, at least a second apart). The timestamps
+            // are the same every time the file is imported, so importing it again is recognized as a duplicate.
+            const stepSeconds = durationMinutes > 0 ? Math.max(1, Math.round(durationMinutes * 60 / sets.length)) : 60;
+            const sessionWorkouts = new Map();
 
-                    parsedData.push({
-                        date: date,
+            sets.forEach((set, index) => {
+                if (!sessionWorkouts.has(set.exercise)) {
+                    const workout = {
+                        date: start,
                         dateString: dateString,
-                        exercise: "Push-ups",
-                        series: series,
-                        totalTime: timeBetweenFirstAndLast,
-                        totalReps: pushUps
-                    });
-                } catch (error) {
-                    console.warn(`Error parsing CSV row ${i}:`, error);
+                        exercise: set.exercise,
+                        series: [],
+                        totalReps: 0,
+                        totalTime: Math.round(durationMinutes)
+                    };
+                    sessionWorkouts.set(set.exercise, workout);
+                    workouts.push(workout);
                 }
+
+                const series = {
+                    reps: set.reps,
+                    weight: set.weightUnit ? ImportFormats.toKilograms(set.weight, set.weightUnit) : set.weight,
+                    timestamp: new Date(start.getTime() + index * stepSeconds * 1000)
+                };
+                if (!set.weightUnit && set.weight !== null) {
+                    external.unknownUnitSeries.push(series);
+                }
+
+                const workout = sessionWorkouts.get(set.exercise);
+                workout.series.push(series);
+                workout.totalReps += set.reps;
+            });
+        });
+
+        return workouts;
+    }
+
+    /**
+     * Let the user link the exercise names of another app to existing exercise types, and choose
+     * the weight unit if the file does not state it
+     * @param {Array} workouts - Validated workouts from parseExternalCSV
+     * @param {Object} external - Import details ({ name, unknownUnitSeries })
+     * @returns {Promise<Object|null>} { workouts, newTypes } with renamed and combined workouts and the
+     *   exercise types to create, or null if the user cancelled
+     */
+    async mapExternalWorkouts(workouts, external) {
+        const existingTypes = this.exerciseTypeManager ? this.exerciseTypeManager.getExerciseTypes() : [];
+        const unknownNames = [...new Set(workouts.map(workout => workout.exercise))]
+            .filter(name => !existingTypes.includes(name));
+        const askWeightUnit = external.unknownUnitSeries.length > 0;
+
+        let choice = { mapping: {}, weightUnit: 'kg' };
+        if (this.importManager && (unknownNames.length > 0 || askWeightUnit)) {
+            choice = await this.importManager.showExerciseMapping(unknownNames, existingTypes, {
+                source: external.name,
+                askWeightUnit: askWeightUnit
+            });
+            if (!choice) {
+                return null;
             }
         }
 
-        return parsedData;
+        external.unknownUnitSeries.forEach(series => {
+            series.weight = ImportFormats.toKilograms(series.weight, choice.weightUnit);
+        });
+
+        // Several names can be mapped to the same exercise type, so workouts may have to be combined
+        const combined = new Map();
+        workouts.forEach(workout => {
+            const exercise = choice.mapping[workout.exercise] || workout.exercise;
+            const key = `${workout.dateString}|${exercise}`;
+            const existing = combined.get(key);
+            if (!existing) {
+                combined.set(key, { ...workout, exercise: exercise, series: workout.series.slice() });
+            } else {
+                existing.series.push(...workout.series);
+                existing.series.sort((a, b) => a.timestamp - b.timestamp);
+                existing.totalReps += workout.totalReps;
+                existing.totalTime = Math.max(existing.totalTime, workout.totalTime);
+            }
+        });
+
+        const combinedWorkouts = Array.from(combined.values());
+        const newTypes = [...new Set(combinedWorkouts.map(workout => workout.exercise))]
+            .filter(name => !existingTypes.includes(name));
+
+        return { workouts: combinedWorkouts, newTypes: newTypes };
+    }
+
+    /**
+     * Add exercise types created by an import
+     * @param {Array} names - Exercise type names
+     */
+    async addExerciseTypes(names) {
+        if (!this.exerciseTypeManager || names.length === 0) {
+            return;
+        }
+        const currentTypes = this.exerciseTypeManager.getExerciseTypes();
+        const newTypes = names.filter(name => !currentTypes.includes(name));
+        if (newTypes.length > 0) {
+            await this.exerciseTypeManager.setExerciseTypes(currentTypes.concat(newTypes));
+            newTypes.forEach(name => this.exerciseTypeManager.assignColorToExerciseType(name));
+        }
+    }
+
+    /**
+     * Download the rejected rows of an import as CSV, with the reasons in an extra column.
+     * The file uses the delimiter of the imported file, so it can be fixed and imported again;
+     * the extra column is ignored on import.
+     * @param {Object} report - Import report
+     */
+    downloadRejectedRows(report) {
+        const csvRows = [report.header.concat('Import Error')];
+        report.rejectedRows.forEach(row => {
+            const reasons = row.issues
+                .map(issue => issue.column ? `${issue.column}: ${issue.reason}` : issue.reason)
+                .join('; ');
+            const fields = row.fields.slice();
+            // Pad short rows so the reason always lands in the error column
+            while (fields.length < report.header.length) {
+                fields.push('');
+            }
+            csvRows.push(fields.concat(reasons));
+        });
+        this.downloadCSVFile(csvRows, 'rejected_rows', report.delimiter);
     }
 }
 
@@ -0,0 +1,169 @@
+// CSVUtils - RFC 4180 CSV tokenizer and serializer (no DOM access)
+(function (global) {
+    'use strict';
+
+    /**
+     * Parse CSV text into records that remember the line they start on (1-based), for error reporting.
+     * Handles quoted fields, escaped quotes (""), delimiters and line breaks inside quotes,
+     * CRLF/LF/CR line endings, a leading byte order mark and trailing delimiters.
+     * @param {string} text - CSV text
+     * @param {Object} options - { delimiter: ',', skipEmptyLines: true }
+     * @returns {Array<{fields: Array<string>, line: number}>} Array of records
+     * @throws {Error} If a quoted field is not closed
+     */
+    function parseCSVRecords(text, { delimiter = ',', skipEmptyLines = true } = {}) {
+        const records = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        let rowHasQuotes = false;
+        let quoteStartLine = 0;
+        let line = 1;
+        let rowStartLine = 1;
+        let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+        const endRow = () => {
+            row.push(field);
+            field = '';
+            // A line without any content is an empty line, not a record with one empty field
+            if (!(skipEmptyLines && row.length === 1 && row[0] === '' && !rowHasQuotes)) {
+                records.push({ fields: row, line: rowStartLine });
+            }
+            row = [];
+            rowHasQuotes = false;
+        };
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"') {
+                    if (text[i + 1] === '"') {
+                        field += '"';
+                        i += 2;
+                        continue;
+                    }
+                    inQuotes = false;
+                } else {
+                    if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) {
+                        line++;
+                    }
+                    field += char;
+                }
+                i++;
+                continue;
+            }
+
+            if (char === '"' && field === '') {
+                inQuotes = true;
+                rowHasQuotes = true;
+                quoteStartLine = line;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                endRow();
+                line++;
+                rowStartLine = line;
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+            } else {
+                // Quotes in the middle of an unquoted field are kept literally
+                field += char;
+            }
+            i++;
+        }
+
+        if (inQuotes) {
+            throw new Error(`Unterminated quoted field starting on line ${quoteStartLine}`);
+        }
+
+        // Last record without a trailing line break
+        if (field !== '' || row.length > 0 || rowHasQuotes) {
+            endRow();
+        }
+
+        return records;
+    }
+
+    /**
+     * Parse CSV text into rows of string fields (see parseCSVRecords)
+     * @param {string} text - CSV text
+     * @param {Object} options - { delimiter: ',', skipEmptyLines: true }
+     * @returns {Array<Array<string>>} Array of rows
+     * @throws {Error} If a quoted field is not closed
+     */
+    function parseCSV(text, options = {}) {
+        return parseCSVRecords(text, options).map(record => record.fields);
+    }
+
+    /**
+     * Guess the delimiter of a CSV file from its first line (the one outside quotes used most)
+     * @param {string} text - CSV text
+     * @param {Array<string>} candidates - Delimiters to consider, the first one is the default
+     * @returns {string} Delimiter
+     */
+    function detectDelimiter(text, candidates = [',', ';', '\t']) {
+        const counts = new Map(candidates.map(candidate => [candidate, 0]));
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && (char === '\n' || char === '\r')) {
+                break;
+            } else if (!inQuotes && counts.has(char)) {
+                counts.set(char, counts.get(char) + 1);
+            }
+        }
+
+        let best = candidates[0];
+        counts.forEach((count, candidate) => {
+            if (count > counts.get(best)) {
+                best = candidate;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Quote a field if it contains the delimiter, quotes, line breaks or surrounding spaces
+     * @param {*} value - Field value (null and undefined become empty)
+     * @param {string} delimiter - Field delimiter
+     * @returns {string} Serialized field
+     */
+    function escapeCSVField(value, delimiter = ',') {
+        const text = value === null || value === undefined ? '' : String(value);
+        if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    /**
+     * Serialize rows into CSV text. parseCSV(stringifyCSV(rows)) returns the same rows (as strings).
+     * @param {Array<Array<*>>} rows - Array of rows
+     * @param {Object} options - { delimiter: ',', lineEnding: '\r\n' }
+     * @returns {string} CSV text
+     */
+    function stringifyCSV(rows, { delimiter = ',', lineEnding = '\r\n' } = {}) {
+        return rows.map(row => {
+            // A single empty field must be quoted, otherwise it reads back as an empty line
+            if (row.length === 1 && escapeCSVField(row[0], delimiter) === '') {
+                return '""';
+            }
+            return row.map(value => escapeCSVField(value, delimiter)).join(delimiter);
+        }).join(lineEnding);
+    }
+
+    global.CSVUtils = {
+        parseCSV,
+        parseCSVRecords,
+        detectDelimiter,
+        stringifyCSV,
+        escapeCSVField
+    };
+
+})(typeof window !== 'undefined' ? window : this);
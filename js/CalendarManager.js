@@ -0,0 +1,386 @@
+/**
+ * CalendarManager - Exports workouts and planned sessions as an iCalendar (.ics) file and imports
+ * planned sessions from calendar apps
+ */
+class CalendarManager {
+    constructor(dataManager, notificationManager, exerciseTypeManager = null, importManager = null) {
+        this.dataManager = dataManager;
+        this.notificationManager = notificationManager;
+        this.exerciseTypeManager = exerciseTypeManager;
+        this.importManager = importManager;
+        this.storageKey = 'plannedSessions';
+        // Recurring events are read up to this many days after today (or their start, if later)
+        this.recurrenceDays = 366;
+    }
+
+    /**
+     * Get the planned sessions, sorted by start
+     * @returns {Array} Planned sessions: { id, start, end, allDay, exercise, targetReps, notes }
+     *   with start and end as ISO strings (end may be null)
+     */
+    getPlannedSessions() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (Array.isArray(stored)) {
+                return stored
+                    .filter(session => session && session.id && !isNaN(new Date(session.start).getTime()))
+                    .sort((a, b) => new Date(a.start) - new Date(b.start));
+            }
+        } catch (error) {
+            console.warn('Could not read planned sessions:', error);
+        }
+        return [];
+    }
+
+    /**
+     * Save the planned sessions
+     * @param {Array} sessions - Planned sessions
+     */
+    savePlannedSessions(sessions) {
+        localStorage.setItem(this.storageKey, JSON.stringify(sessions));
+    }
+
+    /**
+     * Show the calendar export options and export with the chosen options
+     * @returns {Promise<boolean>} True if a file was exported
+     */
+    async showExportOptions() {
+        const workouts = this.dataManager.getAllWorkouts();
+        const planned = this.getPlannedSessions();
+        if (workouts.length === 0 && planned.length === 0) {
+            this.notificationManager.showInfo("No workouts or planned sessions to export.");
+            return false;
+        }
+
+        const exercises = [...new Set(workouts.map(workout => workout.exercise)
+            .concat(planned.map(session => session.exercise)))].sort();
+        const exerciseItems = exercises.map(exercise => `
+            <label style="display: block;">
+                <input type="checkbox" value="${DOMUtils.escapeHtml(exercise)}" checked>
+                ${DOMUtils.escapeHtml(exercise)}
+            </label>`).join('');
+
+        return new Promise(resolve => {
+            let exported = false;
+            const { dialog, close } = this.notificationManager.createModal(`
+                <h3>Export Calendar</h3>
+                <div class="csv-export-options" style="text-align: left; max-height: 60vh; overflow-y: auto; margin-bottom: 15px;">
+                    <label style="display: block;"><input type="checkbox" id="ics-export-workouts" checked> Workouts (${workouts.length})</label>
+                    <label style="display: block; margin-bottom: 10px;"><input type="checkbox" id="ics-export-planned"${planned.length > 0 ? ' checked' : ' disabled'}> Planned sessions (${planned.length})</label>
+                    <div class="setting-row">
+                        <label for="ics-export-from">From</label>
+                        <input type="date" id="ics-export-from">
+                    </div>
+                    <div class="setting-row">
+                        <label for="ics-export-to">To</label>
+                        <input type="date" id="ics-export-to">
+                    </div>
+                    <p class="setting-hint">Leave the dates empty to export everything.</p>
+                    <p><strong>Exercises</strong></p>
+                    <div class="ics-export-exercises">${exerciseItems}</div>
+                </div>
+                <button id="ics-export-confirm" class="modal-btn btn-green mr-10">Export</button>
+                <button id="ics-export-cancel" class="modal-btn btn-grey">Cancel</button>
+            `, { maxWidth: '500px', onClose: () => resolve(exported) });
+
+            dialog.querySelector('#ics-export-confirm').addEventListener('click', () => {
+                exported = this.exportToICS({
+                    includeWorkouts: dialog.querySelector('#ics-export-workouts').checked,
+                    includePlanned: dialog.querySelector('#ics-export-planned').checked,
+                    from: dialog.querySelector('#ics-export-from').value,
+                    to: dialog.querySelector('#ics-export-to').value,
+                    excludedExercises: Array.from(dialog.querySelectorAll('.ics-export-exercises input'))
+                        .filter(input => !input.checked)
+                        .map(input => input.value)
+                });
+                if (exported) {
+                    close();
+                }
+            });
+            dialog.querySelector('#ics-export-cancel').addEventListener('click', close);
+        });
+    }
+
+    /**
+     * Export workouts and planned sessions to an .ics file
+     * @param {Object} options - { includeWorkouts, includePlanned, from, to: days (YYYY-MM-DD, inclusive,
+     *   empty for no limit), excludedExercises }
+     * @returns {boolean} True if export was successful
+     */
+    exportToICS({ includeWorkouts = true, includePlanned = true, from = '', to = '', excludedExercises = [] } = {}) {
+        try {
+            const inRange = (day, exercise) =>
+                (!from || day >= from) && (!to || day <= to) && !excludedExercises.includes(exercise);
+
+            const events = [];
+            if (includeWorkouts) {
+                this.dataManager.getAllWorkouts()
+                    .filter(workout => inRange(workout.dateString, workout.exercise))
+                    .forEach(workout => events.push(this.createWorkoutEvent(workout)));
+            }
+            if (includePlanned) {
+                this.getPlannedSessions()
+                    .filter(session => inRange(ChartDataUtils.createShortFormattedDate(new Date(session.start)), session.exercise))
+                    .forEach(session => events.push(this.createPlannedEvent(session)));
+            }
+
+            if (events.length === 0) {
+                this.notificationManager.showInfo("Nothing matches the selected dates and exercises.");
+                return false;
+            }
+
+            events.sort((a, b) => a.start - b.start);
+            const ics = ICSUtils.stringifyCalendar(events, { name: 'WorkoutTrackr' });
+            const blob = new Blob([ics], { type: 'text/calendar;charset=utf-8;' });
+            DOMUtils.downloadBlob(blob, `workouts_${DOMUtils.getFileDateString()}.ics`);
+
+            this.notificationManager.showSuccess(`Calendar with ${events.length} events downloaded successfully!`);
+            return true;
+
+        } catch (error) {
+            console.error("Error exporting calendar:", error);
+            this.notificationManager.showError("Failed to export the calendar. Please try again.");
+            return false;
+        }
+    }
+
+    /**
+     * Turn a workout into a calendar event that lasts from its first to its last series
+     * @param {Object} workout - Workout object
+     * @returns {Object} Event for ICSUtils.stringifyCalendar
+     */
+    createWorkoutEvent(workout) {
+        const series = [...(workout.series || [])].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const start = series.length > 0 ? new Date(series[0].timestamp) : new Date(workout.date);
+        let end = series.length > 0 ? new Date(series[series.length - 1].timestamp) : start;
+        if (end <= start) {
+            // A single series still gets a visible event
+            end = new Date(start.getTime() + 60000);
+        }
+
+        const time = date => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+        const lines = series.map((s, index) =>
+            `Series ${index + 1}: ${s.reps} reps${s.weight ? ` @ ${s.weight} kg` : ''} (${time(new Date(s.timestamp))})`);
+        lines.push(`Total: ${workout.totalReps} reps`);
+
+        return {
+            uid: `workout-${workout.id}@workouttrackr`,
+            start: start,
+            end: end,
+            summary: `${workout.exercise} - ${workout.totalReps} reps`,
+            description: lines.join('\n'),
+            categories: 'Workout',
+            status: 'CONFIRMED'
+        };
+    }
+
+    /**
+     * Turn a planned session into a tentative calendar event
+     * @param {Object} session - Planned session
+     * @returns {Object} Event for ICSUtils.stringifyCalendar
+     */
+    createPlannedEvent(session) {
+        const start = new Date(session.start);
+        const end = session.end ? new Date(session.end) : new Date(start.getTime() + 3600000);
+        return {
+            uid: session.id,
+            start: start,
+            end: end > start ? end : new Date(start.getTime() + 3600000),
+            allDay: session.allDay,
+            summary: session.targetReps ? `${session.exercise} - ${session.targetReps} reps` : session.exercise,
+            description: session.notes,
+            categories: 'Planned workout',
+            status: 'TENTATIVE'
+        };
+    }
+
+    /**
+     * Import planned sessions from an .ics file. Events exported from logged workouts are skipped,
+     * recurring events are expanded, and sessions imported before are updated.
+     * @param {File} file - Calendar file
+     * @returns {Promise<boolean>} True if sessions were imported
+     */
+    async importFromICS(file) {
+        let events;
+        try {
+            events = ICSUtils.parseCalendar(await file.text());
+        } catch (error) {
+            console.error("Error reading calendar:", error);
+            this.notificationManager.showError(`Could not read the calendar file: ${error.message}`);
+            return false;
+        }
+
+        const { sessions, logged, unsupported } = this.readPlannedSessions(events);
+        if (sessions.length === 0) {
+            this.notificationManager.showInfo(logged > 0
+                ? "The calendar only contains logged workouts, which are already in your data."
+                : "No events found in the calendar file.");
+            return false;
+        }
+
+        const existing = this.getPlannedSessions();
+        const byId = new Map(existing.map(session => [session.id, session]));
+        let added = 0;
+        sessions.forEach(session => {
+            if (!byId.has(session.id)) added++;
+            byId.set(session.id, session);
+        });
+
+        try {
+            this.savePlannedSessions(Array.from(byId.values()));
+        } catch (error) {
+            console.error("Error saving planned sessions:", error);
+            this.notificationManager.showError("Failed to save the planned sessions.");
+            return false;
+        }
+
+        const parts = [`${added} planned sessions added`, `${sessions.length - added} updated`];
+        if (logged > 0) parts.push(`${logged} logged workouts skipped`);
+        if (unsupported > 0) parts.push(`${unsupported} repeating events imported once only`);
+        this.notificationManager.showSuccess(parts.join(', '), 5000, {
+            label: 'View',
+            onClick: () => this.showPlannedSessions()
+        });
+        return true;
+    }
+
+    /**
+     * Turn calendar events into planned sessions
+     * @param {Array} events - Events from ICSUtils.parseCalendar
+     * @returns {Object} { sessions, logged: events of logged workouts, unsupported: recurring events whose rule
+     *   is not supported and that were read as a single session }
+     */
+    readPlannedSessions(events) {
+        const sessions = [];
+        let logged = 0;
+        let unsupported = 0;
+        const exerciseTypes = this.exerciseTypeManager ? this.exerciseTypeManager.getExerciseTypes() : [];
+
+        events.forEach(event => {
+            if (/^workout-.+@workouttrackr$/.test(event.uid)) {
+                logged++;
+                return;
+            }
+
+            // Our own exports use "Exercise - 40 reps"
+            const match = /^(.+?)\s+[-–]\s+(\d+)\s*reps?$/i.exec(event.summary);
+            const name = (match ? match[1] : event.summary).trim() || 'Workout';
+            const exercise = exerciseTypes.includes(name) ? name
+                : (this.importManager && this.importManager.findSimilarExerciseType(name, exerciseTypes)) || name;
+            const duration = event.end ? event.end - event.start : null;
+            const id = event.uid || `planned-${event.start.getTime()}-${event.summary}`;
+
+            let starts = [event.start];
+            if (event.rrule) {
+                const until = new Date(Math.max(Date.now(), event.start.getTime()) + this.recurrenceDays * 86400000);
+                const occurrences = ICSUtils.expandRecurrence(event, { until: until });
+                if (occurrences) {
+                    starts = occurrences;
+                } else {
+                    unsupported++;
+                }
+            }
+
+            starts.forEach(start => {
+                sessions.push({
+                    // Occurrences of a recurring event share its UID
+                    id: starts.length > 1 || event.rrule ? `${id}-${ChartDataUtils.createShortFormattedDate(start).replace(/-/g, '')}` : id,
+                    start: start.toISOString(),
+                    end: duration !== null && duration > 0 ? new Date(start.getTime() + duration).toISOString() : null,
+                    allDay: event.allDay,
+                    exercise: exercise,
+                    targetReps: match ? Number(match[2]) : null,
+                    notes: event.description || ''
+                });
+            });
+        });
+
+        return { sessions, logged, unsupported };
+    }
+
+    /**
+     * Show the planned sessions, with buttons to remove them and to import more
+     */
+    showPlannedSessions() {
+        let listedIds = [];
+        const render = () => {
+            const sessions = this.getPlannedSessions();
+            const today = ChartDataUtils.createShortFormattedDate(new Date());
+            const upcoming = sessions.filter(session => this.getSessionDay(session) >= today);
+            const pastCount = sessions.length - upcoming.length;
+            listedIds = upcoming.map(session => session.id);
+
+            const rows = upcoming.map((session, index) => `<tr>
+                    <td>${this.formatSessionDate(session)}</td>
+                    <td>${DOMUtils.escapeHtml(session.exercise)}</td>
+                    <td style="text-align: right;">${session.targetReps || ''}</td>
+                    <td style="text-align: right;"><button class="planned-remove" data-index="${index}" title="Remove">&times;</button></td>
+                </tr>`).join('');
+
+            return `
+                <h3>Planned Sessions</h3>
+                ${upcoming.length > 0 ? `
+                <div style="max-height: 260px; overflow-y: auto; margin-bottom: 15px; text-align: left;">
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <tr><th style="text-align: left;">When</th><th style="text-align: left;">Exercise</th><th style="text-align: right;">Reps</th><th></th></tr>
+                        ${rows}
+                    </table>
+                </div>` : '<p>No upcoming sessions. Import them from your calendar app as an .ics file.</p>'}
+                ${pastCount > 0 ? `<p>${pastCount} past sessions</p>` : ''}
+                <button id="planned-import" class="modal-btn btn-green mr-10">Import Calendar (.ics)</button>
+                ${pastCount > 0 ? '<button id="planned-remove-past" class="modal-btn btn-blue mr-10">Remove Past</button>' : ''}
+                <button id="planned-close" class="modal-btn btn-grey">Close</button>`;
+        };
+
+        const { dialog, close } = this.notificationManager.createModal(render(), { maxWidth: '550px' });
+
+        dialog.addEventListener('click', event => {
+            const target = event.target;
+            if (target.classList.contains('planned-remove')) {
+                const id = listedIds[Number(target.dataset.index)];
+                this.savePlannedSessions(this.getPlannedSessions().filter(session => session.id !== id));
+                dialog.innerHTML = render();
+            } else if (target.id === 'planned-remove-past') {
+                const today = ChartDataUtils.createShortFormattedDate(new Date());
+                this.savePlannedSessions(this.getPlannedSessions().filter(session => this.getSessionDay(session) >= today));
+                dialog.innerHTML = render();
+            } else if (target.id === 'planned-import') {
+                close();
+                const input = document.getElementById('ics-file-input');
+                if (input) input.click();
+            } else if (target.id === 'planned-close') {
+                close();
+            }
+        });
+    }
+
+    /**
+     * Get the local calendar day of a planned session (the day rollover hour does not apply to plans)
+     * @param {Object} session - Planned session
+     * @returns {string} Day (YYYY-MM-DD)
+     */
+    getSessionDay(session) {
+        return ChartDataUtils.createShortFormattedDate(new Date(session.start));
+    }
+
+    /**
+     * Format the start of a planned session for display
+     * @param {Object} session - Planned session
+     * @returns {string} Formatted date, with the time unless the session lasts all day
+     */
+    formatSessionDate(session) {
+        const options = { weekday: 'short', month: 'short', day: 'numeric' };
+        if (!session.allDay) {
+            options.hour = '2-digit';
+            options.minute = '2-digit';
+        }
+        return new Intl.DateTimeFormat(undefined, options).format(new Date(session.start));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CalendarManager;
+} else {
+    window.CalendarManager = CalendarManager;
+}
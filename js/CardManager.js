@@ -0,0 +1,543 @@
+/**
+ * CardManager - Renders image cards to post in a chat or on social media: a single workout, a weekly
+ * summary or the personal record progression of an exercise, in the exercise colors. Cards are square
+ * PNG images that can be downloaded or handed to the Web Share API.
+ */
+class CardManager {
+    constructor(dataManager, notificationManager, exerciseTypeManager, chartManager) {
+        this.dataManager = dataManager;
+        this.notificationManager = notificationManager;
+        this.exerciseTypeManager = exerciseTypeManager;
+        this.chartManager = chartManager;
+        this.cardSize = 1080;
+        this.fontFamily = 'Montserrat, Arial, sans-serif';
+        this.maxWorkoutChoices = 100;
+    }
+
+    /**
+     * Show the card dialog with a live preview
+     * @returns {Promise<boolean>} True if a card was downloaded or shared
+     */
+    async showCardOptions() {
+        const workouts = [...this.dataManager.getAllWorkouts()].sort((a, b) => new Date(b.date) - new Date(a.date));
+        if (workouts.length === 0) {
+            this.notificationManager.showInfo("No workout data for a card.");
+            return false;
+        }
+
+        const workoutOptions = workouts.slice(0, this.maxWorkoutChoices).map(workout => `
+            <option value="${DOMUtils.escapeHtml(workout.id)}">${DOMUtils.escapeHtml(
+                `${workout.dateString} - ${workout.exercise} - ${workout.totalReps} reps`)}</option>`).join('');
+        const exerciseOptions = [...new Set(workouts.map(workout => workout.exercise))].sort().map(exercise => `
+            <option value="${DOMUtils.escapeHtml(exercise)}"${exercise === workouts[0].exercise ? ' selected' : ''}>${DOMUtils.escapeHtml(exercise)}</option>`
+        ).join('');
+        const canShare = this.canShareFiles();
+
+        return new Promise(resolve => {
+            let done = false;
+            const { dialog, close } = this.notificationManager.createModal(`
+                <h3>Image Card</h3>
+                <div class="csv-export-options" style="text-align: left; margin-bottom: 15px;">
+                    <div class="setting-row">
+                        <label for="card-type">Card</label>
+                        <select id="card-type">
+                            <option value="workout">Workout</option>
+                            <option value="week">Weekly summary</option>
+                            <option value="record">Personal record</option>
+                        </select>
+                    </div>
+                    <div class="setting-row" data-card="workout">
+                        <label for="card-workout">Workout</label>
+                        <select id="card-workout">${workoutOptions}</select>
+                    </div>
+                    <div class="setting-row" data-card="week" style="display: none;">
+                        <label for="card-week">Week of</label>
+                        <input type="date" id="card-week" value="${workouts[0].dateString}">
+                    </div>
+                    <div class="setting-row" data-card="record" style="display: none;">
+                        <label for="card-exercise">Exercise</label>
+                        <select id="card-exercise">${exerciseOptions}</select>
+                    </div>
+                </div>
+                <canvas id="card-preview" style="width: 100%; max-width: 360px; border-radius: 8px; margin-bottom: 15px;"></canvas>
+                <br>
+                ${canShare ? '<button id="card-share" class="modal-btn btn-green mr-10">Share</button>' : ''}
+                <button id="card-download" class="modal-btn btn-blue mr-10">Download PNG</button>
+                <button id="card-cancel" class="modal-btn btn-grey">Close</button>
+            `, { maxWidth: '500px', onClose: () => resolve(done) });
+
+            const canvas = dialog.querySelector('#card-preview');
+            const typeSelect = dialog.querySelector('#card-type');
+            let card = null;
+
+            const update = () => {
+                const type = typeSelect.value;
+                dialog.querySelectorAll('[data-card]').forEach(row => {
+                    row.style.display = row.dataset.card === type ? '' : 'none';
+                });
+                try {
+                    card = this.prepareCard(type, {
+                        workoutId: dialog.querySelector('#card-workout').value,
+                        day: dialog.querySelector('#card-week').value,
+                        exercise: dialog.querySelector('#card-exercise').value
+                    });
+                    this.renderCard(canvas, card);
+                } catch (error) {
+                    console.error("Error rendering card:", error);
+                    card = null;
+                }
+            };
+            dialog.addEventListener('change', update);
+            update();
+
+            const save = async share => {
+                if (!card) {
+                    this.notificationManager.showWarning("Choose what the card should show.");
+                    return;
+                }
+                try {
+                    const blob = await this.toBlob(canvas);
+                    done = share ? await this.shareCard(blob, card) : this.downloadCard(blob, card.fileName);
+                    if (done) {
+                        close();
+                    }
+                } catch (error) {
+                    console.error("Error saving card:", error);
+                    this.notificationManager.showError("Failed to create the card. Please try again.");
+                }
+            };
+
+            const shareBtn = dialog.querySelector('#card-share');
+            if (shareBtn) {
+                shareBtn.addEventListener('click', () => save(true));
+            }
+            dialog.querySelector('#card-download').addEventListener('click', () => save(false));
+            dialog.querySelector('#card-cancel').addEventListener('click', close);
+        });
+    }
+
+    /**
+     * Collect what a card shows
+     * @param {string} type - 'workout', 'week' or 'record'
+     * @param {Object} options - { workoutId, day: any day of the week (YYYY-MM-DD), exercise }
+     * @returns {Object} Card data with type, fileName and the fields of its type
+     */
+    prepareCard(type, { workoutId = '', day = '', exercise = '' } = {}) {
+        const workouts = this.dataManager.getAllWorkouts();
+        switch (type) {
+            case 'workout': {
+                const workout = workouts.find(candidate => candidate.id === workoutId);
+                if (!workout) throw new Error(`Workout not found: ${workoutId}`);
+                return this.prepareWorkoutCard(workout);
+            }
+            case 'week':
+                return this.prepareWeekCard(workouts, day || this.dataManager.getDayString(new Date()));
+            case 'record':
+                return this.prepareRecordCard(workouts, exercise);
+            default:
+                throw new Error(`Unknown card type: ${type}`);
+        }
+    }
+
+    /**
+     * @param {Object} workout - Workout
+     * @returns {Object} { type, fileName, exercise, dateString, totalReps, totalTime, series: [{ reps, weight }], bestSet }
+     */
+    prepareWorkoutCard(workout) {
+        const series = [...(workout.series || [])]
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .map(s => ({ reps: s.reps, weight: s.weight }));
+        return {
+            type: 'workout',
+            fileName: `workout_card_${workout.dateString}.png`,
+            exercise: workout.exercise,
+            dateString: workout.dateString,
+            totalReps: workout.totalReps,
+            totalTime: workout.totalTime || 0,
+            series,
+            bestSet: series.length > 0 ? Math.max(...series.map(s => s.reps)) : 0
+        };
+    }
+
+    /**
+     * @param {Array} workouts - All workouts
+     * @param {string} day - Any day of the week (YYYY-MM-DD); weeks start on Monday
+     * @returns {Object} { type, fileName, from, to, totalReps, workoutCount, trainingDays,
+     *   exercises: [{ exercise, reps }] (most reps first), days: [{ dateString, exercises }] (Monday to Sunday) }
+     */
+    prepareWeekCard(workouts, day) {
+        const monday = ChartDataUtils.getWorkoutDay({ dateString: day });
+        monday.setDate(monday.getDate() - (monday.getDay() + 6) % 7);
+        const days = Array.from({ length: 7 }, (_, index) => {
+            const date = new Date(monday);
+            date.setDate(monday.getDate() + index);
+            return { dateString: ChartDataUtils.createShortFormattedDate(date), exercises: [] };
+        });
+        const from = days[0].dateString;
+        const to = days[6].dateString;
+
+        const weekWorkouts = workouts.filter(workout => workout.dateString >= from && workout.dateString <= to);
+        const repsByExercise = new Map();
+        weekWorkouts.forEach(workout => {
+            repsByExercise.set(workout.exercise, (repsByExercise.get(workout.exercise) || 0) + workout.totalReps);
+            const entry = days.find(candidate => candidate.dateString === workout.dateString);
+            if (!entry.exercises.includes(workout.exercise)) entry.exercises.push(workout.exercise);
+        });
+
+        return {
+            type: 'week',
+            fileName: `week_card_${from}.png`,
+            from,
+            to,
+            totalReps: weekWorkouts.reduce((sum, workout) => sum + workout.totalReps, 0),
+            workoutCount: weekWorkouts.length,
+            trainingDays: days.filter(entry => entry.exercises.length > 0).length,
+            exercises: Array.from(repsByExercise, ([exercise, reps]) => ({ exercise, reps })).sort((a, b) => b.reps - a.reps),
+            days
+        };
+    }
+
+    /**
+     * Personal record progression of an exercise: the best single set by month, from preparePersonalRecordsData
+     * @param {Array} workouts - All workouts
+     * @param {string} exercise - Exercise
+     * @returns {Object} { type, fileName, exercise, record, recordDate, previous, months: [{ month, best }] }
+     */
+    prepareRecordCard(workouts, exercise) {
+        const exerciseWorkouts = workouts
+            .filter(workout => workout.exercise === exercise)
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+        if (exerciseWorkouts.length === 0) throw new Error(`No workouts for ${exercise}`);
+
+        const prData = ChartDataUtils.preparePersonalRecordsData(
+            exerciseWorkouts,
+            [exercise],
+            this.chartManager.getExerciseBaseColor.bind(this.chartManager),
+            ColorUtils.convertToValidColor,
+            ColorUtils.adjustColorOpacity
+        );
+        const dataset = prData.datasets[0];
+        const months = prData.labels
+            .map((month, index) => ({ month, best: dataset.data[index] }))
+            .filter(entry => entry.best !== null);
+
+        // When the current record was set, and the record before it
+        let record = 0;
+        let previous = 0;
+        let recordDate = '';
+        exerciseWorkouts.forEach(workout => {
+            const best = Math.max(0, ...(workout.series || []).map(s => s.reps));
+            if (best > record) {
+                previous = record;
+                record = best;
+                recordDate = workout.dateString;
+            }
+        });
+
+        return {
+            type: 'record',
+            fileName: `record_card_${exercise.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'exercise'}.png`,
+            exercise,
+            record,
+            recordDate,
+            previous,
+            months
+        };
+    }
+
+    // ---------- Drawing ----------
+    getHue(exercise) {
+        const color = this.exerciseTypeManager.getExerciseColor(exercise);
+        return color && typeof color.hue === 'number' ? color.hue : 210;
+    }
+
+    font(size, weight = 'normal') {
+        return `${weight} ${size}px ${this.fontFamily}`;
+    }
+
+    // Draws text, shrinking the font until it fits the width
+    fitText(ctx, text, x, y, maxWidth, size, weight = 'bold') {
+        let fontSize = size;
+        ctx.font = this.font(fontSize, weight);
+        while (fontSize > 12 && ctx.measureText(text).width > maxWidth) {
+            fontSize -= 2;
+            ctx.font = this.font(fontSize, weight);
+        }
+        ctx.fillText(text, x, y);
+    }
+
+    formatDate(dateString, options = { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }) {
+        return ChartDataUtils.getWorkoutDay({ dateString }).toLocaleDateString(undefined, options);
+    }
+
+    /**
+     * Draw a card on a canvas
+     * @param {HTMLCanvasElement} canvas - Canvas (resized to the card size)
+     * @param {Object} card - Result of prepareCard
+     */
+    renderCard(canvas, card) {
+        const size = this.cardSize;
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        const hue = card.type === 'week'
+            ? (card.exercises.length > 0 ? this.getHue(card.exercises[0].exercise) : 210)
+            : this.getHue(card.exercise);
+
+        const background = ctx.createLinearGradient(0, 0, size, size);
+        background.addColorStop(0, `hsl(${hue}, 45%, 16%)`);
+        background.addColorStop(1, `hsl(${hue}, 55%, 30%)`);
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, size, size);
+        ctx.textBaseline = 'alphabetic';
+
+        if (card.type === 'workout') this.drawWorkoutCard(ctx, card, hue);
+        else if (card.type === 'week') this.drawWeekCard(ctx, card);
+        else this.drawRecordCard(ctx, card, hue);
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.font = this.font(30, 'bold');
+        ctx.textAlign = 'right';
+        ctx.fillText('WorkoutTrackr', size - 70, size - 60);
+        ctx.textAlign = 'left';
+    }
+
+    drawStats(ctx, stats, y) {
+        const width = (this.cardSize - 140) / stats.length;
+        stats.forEach(([value, label], index) => {
+            const x = 70 + index * width;
+            ctx.fillStyle = '#fff';
+            this.fitText(ctx, String(value), x, y, width - 20, 64);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.font = this.font(28);
+            ctx.fillText(label, x, y + 45);
+        });
+    }
+
+    drawWorkoutCard(ctx, card, hue) {
+        ctx.fillStyle = `hsl(${hue}, 70%, 60%)`;
+        ctx.font = this.font(34, 'bold');
+        ctx.fillText(this.formatDate(card.dateString).toUpperCase(), 70, 120);
+        ctx.fillStyle = '#fff';
+        this.fitText(ctx, card.exercise, 70, 220, this.cardSize - 140, 88);
+
+        ctx.font = this.font(200, 'bold');
+        ctx.fillText(String(card.totalReps), 70, 450);
+        const repsWidth = ctx.measureText(String(card.totalReps)).width;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.font = this.font(40);
+        ctx.fillText('reps', 90 + repsWidth, 450);
+
+        this.drawStats(ctx, [
+            [card.series.length, 'series'],
+            [card.bestSet, 'best set'],
+            [card.totalTime > 0 ? `${card.totalTime} min` : '-', 'duration']
+        ], 580);
+
+        // One bar per series, labelled with its reps and weight
+        const chartTop = 700;
+        const chartBottom = 930;
+        const count = Math.min(card.series.length, 20);
+        if (count === 0) return;
+        const gap = 14;
+        const barWidth = Math.min(120, (this.cardSize - 140 - gap * (count - 1)) / count);
+        const maxReps = Math.max(1, ...card.series.map(s => s.reps));
+        card.series.slice(0, count).forEach((s, index) => {
+            const height = Math.max(6, (chartBottom - chartTop - 50) * s.reps / maxReps);
+            const x = 70 + index * (barWidth + gap);
+            ctx.fillStyle = `hsl(${hue}, 70%, 55%)`;
+            ctx.fillRect(x, chartBottom - height, barWidth, height);
+            ctx.fillStyle = '#fff';
+            ctx.textAlign = 'center';
+            ctx.font = this.font(Math.min(30, barWidth / 2), 'bold');
+            ctx.fillText(String(s.reps), x + barWidth / 2, chartBottom - height - 12);
+            if (s.weight && barWidth >= 60) {
+                ctx.font = this.font(20);
+                ctx.fillText(`${s.weight} kg`, x + barWidth / 2, chartBottom + 30);
+            }
+            ctx.textAlign = 'left';
+        });
+    }
+
+    drawWeekCard(ctx, card) {
+        const range = `${this.formatDate(card.from, { day: 'numeric', month: 'short' })} - ` +
+            this.formatDate(card.to, { day: 'numeric', month: 'short', year: 'numeric' });
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.font = this.font(34, 'bold');
+        ctx.fillText(range.toUpperCase(), 70, 120);
+        ctx.fillStyle = '#fff';
+        ctx.font = this.font(88, 'bold');
+        ctx.fillText('My training week', 70, 220);
+
+        this.drawStats(ctx, [
+            [card.totalReps, 'reps'],
+            [card.workoutCount, 'workouts'],
+            [`${card.trainingDays}/7`, 'training days']
+        ], 340);
+
+        // Days of the week with a dot per exercise trained
+        const dayWidth = (this.cardSize - 140) / 7;
+        card.days.forEach((entry, index) => {
+            const x = 70 + index * dayWidth + dayWidth / 2;
+            ctx.fillStyle = entry.exercises.length > 0 ? '#fff' : 'rgba(255, 255, 255, 0.4)';
+            ctx.textAlign = 'center';
+            ctx.font = this.font(26, 'bold');
+            ctx.fillText(this.formatDate(entry.dateString, { weekday: 'short' }), x, 460);
+            if (entry.exercises.length === 0) {
+                ctx.beginPath();
+                ctx.arc(x, 505, 10, 0, Math.PI * 2);
+                ctx.fill();
+            }
+            entry.exercises.slice(0, 4).forEach((exercise, row) => {
+                ctx.fillStyle = `hsl(${this.getHue(exercise)}, 70%, 55%)`;
+                ctx.beginPath();
+                ctx.arc(x, 505 + row * 34, 14, 0, Math.PI * 2);
+                ctx.fill();
+            });
+            ctx.textAlign = 'left';
+        });
+
+        // Reps per exercise
+        const shown = card.exercises.slice(0, 5);
+        const maxReps = Math.max(1, ...shown.map(entry => entry.reps));
+        shown.forEach((entry, index) => {
+            const y = 670 + index * 64;
+            ctx.fillStyle = `hsl(${this.getHue(entry.exercise)}, 70%, 55%)`;
+            ctx.fillRect(70, y, Math.max(8, 560 * entry.reps / maxReps), 40);
+            ctx.fillStyle = '#fff';
+            this.fitText(ctx, `${entry.exercise} - ${entry.reps}`, 650, y + 31, this.cardSize - 720, 30);
+        });
+        if (card.exercises.length === 0) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.font = this.font(36);
+            ctx.fillText('Rest week', 70, 700);
+        }
+    }
+
+    drawRecordCard(ctx, card, hue) {
+        ctx.fillStyle = `hsl(${hue}, 70%, 60%)`;
+        const recordDate = card.recordDate
+            ? ` - ${this.formatDate(card.recordDate, { day: 'numeric', month: 'short', year: 'numeric' })}`
+            : '';
+        this.fitText(ctx, `Personal record${recordDate}`.toUpperCase(), 70, 120, this.cardSize - 140, 34);
+        ctx.fillStyle = '#fff';
+        this.fitText(ctx, card.exercise, 70, 220, this.cardSize - 140, 88);
+
+        ctx.font = this.font(200, 'bold');
+        ctx.fillText(String(card.record), 70, 450);
+        const recordWidth = ctx.measureText(String(card.record)).width;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.font = this.font(40);
+        ctx.fillText('reps in one set', 90 + recordWidth, 450);
+        if (card.previous > 0) {
+            ctx.fillText(`+${card.record - card.previous} over the previous record of ${card.previous}`, 70, 520);
+        }
+
+        // Best single set by month
+        const left = 110;
+        const right = this.cardSize - 90;
+        const top = 600;
+        const bottom = 900;
+        const maxBest = Math.max(1, ...card.months.map(entry => entry.best));
+        const xAt = index => card.months.length === 1 ? (left + right) / 2 : left + (right - left) * index / (card.months.length - 1);
+        const yAt = best => bottom - (bottom - top) * best / maxBest;
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(left, bottom);
+        ctx.lineTo(right, bottom);
+        ctx.stroke();
+
+        ctx.strokeStyle = `hsl(${hue}, 70%, 60%)`;
+        ctx.lineWidth = 8;
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        card.months.forEach((entry, index) => {
+            if (index === 0) ctx.moveTo(xAt(index), yAt(entry.best));
+            else ctx.lineTo(xAt(index), yAt(entry.best));
+        });
+        ctx.stroke();
+        card.months.forEach((entry, index) => {
+            ctx.fillStyle = '#fff';
+            ctx.beginPath();
+            ctx.arc(xAt(index), yAt(entry.best), 9, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        if (card.months.length > 0) {
+            const monthLabel = month => {
+                const [year, monthNumber] = month.split('-').map(Number);
+                return new Date(year, monthNumber - 1, 1).toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+            };
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.font = this.font(24);
+            ctx.fillText(monthLabel(card.months[0].month), left, bottom + 40);
+            if (card.months.length > 1) {
+                ctx.textAlign = 'right';
+                ctx.fillText(monthLabel(card.months[card.months.length - 1].month), right, bottom + 40);
+                ctx.textAlign = 'left';
+            }
+        }
+    }
+
+    // ---------- Saving ----------
+    toBlob(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not create the PNG image'))), 'image/png');
+        });
+    }
+
+    /**
+     * Check whether the browser can share image files (Web Share API level 2)
+     * @returns {boolean} True if files can be shared
+     */
+    canShareFiles() {
+        try {
+            return typeof navigator.canShare === 'function' && typeof File !== 'undefined' &&
+                navigator.canShare({ files: [new File([''], 'card.png', { type: 'image/png' })] });
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Hand a card to the Web Share API, or download it where sharing files is not available
+     * @param {Blob} blob - PNG image
+     * @param {Object} card - Card data
+     * @returns {Promise<boolean>} True if the card was shared or downloaded
+     */
+    async shareCard(blob, card) {
+        const file = new File([blob], card.fileName, { type: 'image/png' });
+        if (!this.canShareFiles() || !navigator.canShare({ files: [file] })) {
+            return this.downloadCard(blob, card.fileName);
+        }
+        try {
+            await navigator.share({ files: [file], title: card.exercise || 'My training week' });
+            return true;
+        } catch (error) {
+            // Closing the share sheet is not an error
+            if (error.name === 'AbortError') return false;
+            throw error;
+        }
+    }
+
+    /**
+     * Download a card
+     * @param {Blob} blob - PNG image
+     * @param {string} fileName - File name
+     * @returns {boolean} True
+     */
+    downloadCard(blob, fileName) {
+        DOMUtils.downloadBlob(blob, fileName);
+        this.notificationManager.showSuccess("Card downloaded successfully!");
+        return true;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CardManager;
+} else {
+    window.CardManager = CardManager;
+}
@@ -1,4 +1,4 @@
-// ChartDataUtils - pure data aggregation and date/period helpers used by ChartManager
+// ChartDataUtils - pure data aggregation and date/period helpers used by ChartManager and the exports
 
 function createShortFormattedDate(date) {
     const year = date.getFullYear();
@@ -7,6 +7,20 @@ function createShortFormattedDate(date) {
     return `${year}-${month}-${day}`;
 }
 
+/**
+ * Get the training day of a workout as a local Date at midnight.
+ * Uses the stored dateString (which honors the day rollover hour) when available.
+ * @param {Object} workout - Workout object
+ * @returns {Date} Local midnight of the workout's training day
+ */
+function getWorkoutDay(workout) {
+    if (typeof workout.dateString === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(workout.dateString)) {
+        const [year, month, day] = workout.dateString.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+    return new Date(workout.date);
+}
+
 function createMonthKey(year, month) {
     const monthNumber = parseInt(month, 10);
     const safeMonth = isNaN(monthNumber) ? 1 : Math.min(Math.max(monthNumber, 1), 12);
@@ -44,7 +58,7 @@ function getPeriodKey(date, period) {
 }
 
 function generatePeriodRange(workouts, period) {
-    const workoutDates = workouts.map(w => new Date(w.date)).sort((a, b) => a - b);
+    const workoutDates = workouts.map(getWorkoutDay).sort((a, b) => a - b);
     const firstDate = workoutDates[0];
     const lastDate = workoutDates[workoutDates.length - 1];
     const periods = [];
@@ -96,7 +110,7 @@ function aggregateDataByMonth(workouts) {
     const monthlyData = {};
 
     workouts.forEach(workout => {
-        const date = new Date(workout.date);
+        const date = getWorkoutDay(workout);
         const year = date.getFullYear();
         const month = date.getMonth() + 1;
         const key = createMonthKey(year, month);
@@ -122,7 +136,7 @@ function getAllDatesBetweenWorkouts(workouts, maxDays = 90) {
         return [];
     }
 
-    const workoutDates = workouts.map(w => new Date(w.date)).sort((a, b) => a - b);
+    const workoutDates = workouts.map(getWorkoutDay).sort((a, b) => a - b);
     const firstDate = workoutDates[0];
     const lastDate = workoutDates[workoutDates.length - 1];
 
@@ -156,7 +170,7 @@ function prepareWeeklyChartData(workouts) {
     const weeklyData = {};
 
     workouts.forEach(workout => {
-        const date = new Date(workout.date);
+        const date = getWorkoutDay(workout);
         const year = date.getFullYear();
         const week = getWeekNumber(date);
         const key = `${year}-W${week.toString().padStart(2, '0')}`;
@@ -212,7 +226,7 @@ function preparePeriodRepsData(workouts, exerciseTypes, period, getExerciseBaseC
     }
 
     workouts.forEach(workout => {
-        const date = new Date(workout.date);
+        const date = getWorkoutDay(workout);
         const periodKey = getPeriodKey(date, period);
 
         if (!periodData[periodKey]) {
@@ -274,7 +288,7 @@ function preparePeriodRepsPerMinuteData(workouts, exerciseTypes, period, getExer
     }
 
     workouts.forEach(workout => {
-        const date = new Date(workout.date);
+        const date = getWorkoutDay(workout);
         const periodKey = getPeriodKey(date, period);
 
         if (!periodData[periodKey]) {
@@ -357,11 +371,11 @@ function preparePersonalRecordsData(workouts, exerciseTypes, getExerciseBaseColo
     });
 
     // Sort workouts by date
-    const sortedWorkouts = [...workouts].sort((a, b) => new Date(a.date) - new Date(b.date));
+    const sortedWorkouts = [...workouts].sort((a, b) => getWorkoutDay(a) - getWorkoutDay(b));
 
     // Process each workout
     sortedWorkouts.forEach(workout => {
-        const date = new Date(workout.date);
+        const date = getWorkoutDay(workout);
         const monthKey = createMonthKey(date.getFullYear(), date.getMonth() + 1);
         const exercise = workout.exercise;
 
@@ -431,9 +445,114 @@ function preparePersonalRecordsData(workouts, exerciseTypes, getExerciseBaseColo
     };
 }
 
+/**
+ * Get the volume (reps x weight) of a workout. Bodyweight series have no volume.
+ * @param {Object} workout - Workout object
+ * @returns {number} Volume in kg
+ */
+function getWorkoutVolume(workout) {
+    return (workout.series || []).reduce((sum, s) => sum + (s.weight ? s.reps * s.weight : 0), 0);
+}
+
+/**
+ * Summarize workouts per exercise and period
+ * @param {Array} workouts - Array of workout data
+ * @param {string} period - 'daily', 'weekly', 'monthly' or 'yearly'
+ * @returns {Array} Rows sorted by period and exercise:
+ *   { period: key from getPeriodKey, exercise, workouts, series, reps, volume, maxReps, maxWeight }
+ */
+function summarizeByExercisePeriod(workouts, period = 'monthly') {
+    const summaries = {};
+
+    workouts.forEach(workout => {
+        const periodKey = getPeriodKey(getWorkoutDay(workout), period);
+        const key = `${periodKey}|${workout.exercise}`;
+
+        if (!summaries[key]) {
+            summaries[key] = {
+                period: periodKey,
+                exercise: workout.exercise,
+                workouts: 0,
+                series: 0,
+                reps: 0,
+                volume: 0,
+                maxReps: 0,
+                maxWeight: null
+            };
+        }
+
+        const summary = summaries[key];
+        const series = workout.series || [];
+        summary.workouts++;
+        summary.series += series.length;
+        summary.reps += workout.totalReps;
+        summary.volume += getWorkoutVolume(workout);
+        series.forEach(s => {
+            summary.maxReps = Math.max(summary.maxReps, s.reps);
+            if (s.weight && (summary.maxWeight === null || s.weight > summary.maxWeight)) {
+                summary.maxWeight = s.weight;
+            }
+        });
+    });
+
+    return Object.values(summaries).sort((a, b) =>
+        a.period.localeCompare(b.period) || a.exercise.localeCompare(b.exercise));
+}
+
+/**
+ * Find the personal records of every exercise. Each record remembers the training day it was set on;
+ * ties keep the earliest day.
+ * @param {Array} workouts - Array of workout data
+ * @returns {Array} Records sorted by exercise:
+ *   { exercise, mostReps, heaviest, mostWorkoutReps, mostVolume } where each record is
+ *   { value, date } ({ value, reps, date } for heaviest) or null when there is none
+ */
+function getPersonalRecords(workouts) {
+    const records = {};
+    const sortedWorkouts = [...workouts].sort((a, b) => getWorkoutDay(a) - getWorkoutDay(b));
+
+    const improve = (record, value, date, extra = {}) =>
+        (record === null || value > record.value ? { value, date, ...extra } : record);
+
+    sortedWorkouts.forEach(workout => {
+        const exercise = workout.exercise;
+        const date = createShortFormattedDate(getWorkoutDay(workout));
+
+        if (!records[exercise]) {
+            records[exercise] = {
+                exercise: exercise,
+                mostReps: null,
+                heaviest: null,
+                mostWorkoutReps: null,
+                mostVolume: null
+            };
+        }
+
+        const record = records[exercise];
+        (workout.series || []).forEach(s => {
+            record.mostReps = improve(record.mostReps, s.reps, date);
+            if (s.weight) {
+                // A heavier weight, or more reps at the same weight
+                if (record.heaviest === null || s.weight > record.heaviest.value ||
+                    (s.weight === record.heaviest.value && s.reps > record.heaviest.reps)) {
+                    record.heaviest = { value: s.weight, reps: s.reps, date };
+                }
+            }
+        });
+        record.mostWorkoutReps = improve(record.mostWorkoutReps, workout.totalReps, date);
+        const volume = getWorkoutVolume(workout);
+        if (volume > 0) {
+            record.mostVolume = improve(record.mostVolume, volume, date);
+        }
+    });
+
+    return Object.values(records).sort((a, b) => a.exercise.localeCompare(b.exercise));
+}
+
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         createShortFormattedDate,
+        getWorkoutDay,
         createMonthKey,
         getWeekNumber,
         getPeriodKey,
@@ -443,11 +562,15 @@ if (typeof module !== 'undefined' && module.exports) {
         prepareWeeklyChartData,
         preparePeriodRepsData,
         preparePeriodRepsPerMinuteData,
-        preparePersonalRecordsData
+        preparePersonalRecordsData,
+        getWorkoutVolume,
+        summarizeByExercisePeriod,
+        getPersonalRecords
     };
 } else {
     window.ChartDataUtils = {
         createShortFormattedDate,
+        getWorkoutDay,
         createMonthKey,
         getWeekNumber,
         getPeriodKey,
@@ -457,6 +580,9 @@ if (typeof module !== 'undefined' && module.exports) {
         prepareWeeklyChartData,
         preparePeriodRepsData,
         preparePeriodRepsPerMinuteData,
-        preparePersonalRecordsData
+        preparePersonalRecordsData,
+        getWorkoutVolume,
+        summarizeByExercisePeriod,
+        getPersonalRecords
     };
 }
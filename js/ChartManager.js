@@ -341,11 +341,12 @@ class ChartManager {
 
     /**
      * Prepare personal records data
+     * @param {Array} workouts - Workouts to include (all by default)
      */
-    preparePersonalRecordsData() {
+    preparePersonalRecordsData(workouts = this.dataManager.getAllWorkouts()) {
         const exerciseTypes = this.getExerciseTypes();
         return ChartDataUtils.preparePersonalRecordsData(
-            this.dataManager.getAllWorkouts(),
+            workouts,
             exerciseTypes,
             this.getExerciseBaseColor.bind(this),
             ColorUtils.convertToValidColor,
@@ -585,6 +586,102 @@ class ChartManager {
         return new Chart(canvas, cfg);
     }
 
+    /**
+     * Render a chart on a detached canvas and return it as an image, for reports
+     * @param {string} type - Chart type
+     * @param {Object} data - Chart data
+     * @param {Object} options - Chart options
+     * @param {number} width - Width in CSS pixels
+     * @param {number} height - Height in CSS pixels
+     * @returns {string} PNG data URL
+     */
+    renderChartImage(type, data, options, width = 900, height = 420) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        // Rendered at twice the size so the image stays sharp when printed
+        const chart = this.createChart(canvas, type, data, {
+            options: { ...options, responsive: false, animation: false, devicePixelRatio: 2 }
+        });
+        try {
+            return chart.toBase64Image('image/png');
+        } finally {
+            chart.destroy();
+        }
+    }
+
+    /**
+     * Render the charts of a training report for a selection of workouts
+     * @param {Array} workouts - Workouts in the report
+     * @returns {Array<{title: string, image: string}>} Chart images
+     */
+    createReportChartImages(workouts) {
+        if (workouts.length === 0) {
+            return [];
+        }
+
+        const present = new Set(workouts.map(workout => workout.exercise));
+        const exerciseTypes = this.getExerciseTypes().filter(type => present.has(type));
+        present.forEach(exercise => {
+            if (!exerciseTypes.includes(exercise)) exerciseTypes.push(exercise);
+        });
+
+        const weeklyData = ChartDataUtils.preparePeriodRepsData(
+            workouts,
+            exerciseTypes,
+            'weekly',
+            this.getExerciseBaseColor.bind(this),
+            ColorUtils.convertToValidColor,
+            ColorUtils.adjustColorOpacity,
+            this.generateColorScale.bind(this)
+        );
+        const consistencyData = this.prepareConsistencyChartData(workouts);
+        const prData = ChartDataUtils.preparePersonalRecordsData(
+            workouts,
+            exerciseTypes,
+            this.getExerciseBaseColor.bind(this),
+            ColorUtils.convertToValidColor,
+            ColorUtils.adjustColorOpacity
+        );
+
+        const charts = [
+            {
+                title: 'Weekly Total Reps by Exercise',
+                type: 'bar',
+                data: weeklyData,
+                options: this.getChartOptions('Weekly Total Reps by Exercise', {
+                    scales: {
+                        x: { stacked: true, ticks: { callback: this.getXAxisTickCallback('weekly') } },
+                        y: { stacked: true }
+                    }
+                })
+            },
+            {
+                title: 'Personal Records (Best Single Set)',
+                type: 'line',
+                data: prData,
+                options: this.getChartOptions('Personal Records (Best Single Set)', {
+                    elements: { line: { borderWidth: 3, tension: 0.3 } }
+                })
+            },
+            {
+                title: 'Training Consistency',
+                type: 'bar',
+                data: consistencyData,
+                options: this.getChartOptions('Training Consistency', {
+                    scales: {
+                        y: { beginAtZero: true, max: 7, ticks: { stepSize: 1 } }
+                    }
+                })
+            }
+        ];
+
+        return charts.map(chart => ({
+            title: chart.title,
+            image: this.renderChartImage(chart.type, chart.data, chart.options)
+        }));
+    }
+
     /**
      * Get exercise types from manager or data
      */
@@ -606,7 +703,7 @@ class ChartManager {
             // Create mapping of dates to aggregated values for this exercise
             const dateToValue = {};
             exerciseData.forEach(workout => {
-                const formattedDate = ChartDataUtils.createShortFormattedDate(new Date(workout.date));
+                const formattedDate = ChartDataUtils.createShortFormattedDate(ChartDataUtils.getWorkoutDay(workout));
 
                 if (!dateToValue[formattedDate]) {
                     dateToValue[formattedDate] = isRepsPerMinute
@@ -942,7 +1039,7 @@ class ChartManager {
             const dateString = workout.dateString;
             if (!dateExerciseData[dateString]) {
                 dateExerciseData[dateString] = {
-                    date: new Date(workout.date),
+                    date: ChartDataUtils.getWorkoutDay(workout),
                     exercises: {},
                     totalReps: 0
                 };
@@ -1259,9 +1356,9 @@ class ChartManager {
 
     /**
      * Prepare consistency chart data - shows training frequency per week
+     * @param {Array} workouts - Workouts to include (all by default)
      */
-    prepareConsistencyChartData() {
-        const workouts = this.dataManager.getAllWorkouts();
+    prepareConsistencyChartData(workouts = this.dataManager.getAllWorkouts()) {
         if (workouts.length === 0) {
             return { labels: [], datasets: [], stats: { currentStreak: 0, longestStreak: 0, avgDaysPerWeek: 0 } };
         }
@@ -1271,8 +1368,8 @@ class ChartManager {
         const trainingDates = new Set();
 
         workouts.forEach(workout => {
-            const date = new Date(workout.date);
-            const dateStr = date.toISOString().split('T')[0];
+            const date = ChartDataUtils.getWorkoutDay(workout);
+            const dateStr = ChartDataUtils.createShortFormattedDate(date);
             trainingDates.add(dateStr);
             
             const weekKey = ChartDataUtils.getPeriodKey(date, 'weekly');
@@ -1296,12 +1393,12 @@ class ChartManager {
         let longestStreak = 0;
         let tempStreak = 0;
         
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const todayStr = today.toISOString().split('T')[0];
+        // "Today" is the current training day, which honors the day rollover hour
+        const todayStr = this.dataManager.getDayString(new Date());
+        const today = ChartDataUtils.getWorkoutDay({ dateString: todayStr });
         const yesterday = new Date(today);
         yesterday.setDate(yesterday.getDate() - 1);
-        const yesterdayStr = yesterday.toISOString().split('T')[0];
+        const yesterdayStr = ChartDataUtils.createShortFormattedDate(yesterday);
 
         for (let i = 0; i < sortedDates.length; i++) {
             if (i === 0) {
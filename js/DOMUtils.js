@@ -0,0 +1,49 @@
+// DOMUtils - HTML escaping, file downloads and other helpers shared by the managers
+(function (global) {
+    'use strict';
+
+    /**
+     * Escape text for HTML content and for quoted attribute values (value="...")
+     * @param {*} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Let the browser download a file
+     * @param {Blob} blob - File content
+     * @param {string} fileName - File name
+     */
+    function downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.setAttribute('href', url);
+        link.setAttribute('download', fileName);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Today's date for file names, e.g. 2024-03-26
+     * @returns {string} Date in YYYY-MM-DD format
+     */
+    function getFileDateString() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    global.DOMUtils = {
+        escapeHtml,
+        downloadBlob,
+        getFileDateString
+    };
+
+})(typeof window !== 'undefined' ? window : this);
@@ -9,7 +9,8 @@ class ExerciseTypeManager {
         
         // Configuration options
         this.hideDeletedExercisesFromTable = false; // Set to true to completely hide deleted exercises from table
-        this.isCollapsed = true; // Start collapsed to save space
+        this.sandboxed = false; // Set to true to keep exercise types and colors in memory only (shared link viewer)
+        this.isCollapsed = this.loadCollapsedState(); // Start collapsed to save space
         
         this.exerciseColors = {
             'Push-ups': { hue: 130, name: 'Push-ups' },      // Green
@@ -36,6 +37,11 @@ class ExerciseTypeManager {
         console.log('Initializing exercise types...');
         try {
             const storedTypes = localStorage.getItem('exerciseTypes');
+            const storedColors = localStorage.getItem('exerciseColors');
+            if (storedColors) {
+                Object.assign(this.exerciseColors, JSON.parse(storedColors));
+            }
+
             if (storedTypes) {
                 this.exerciseTypes = JSON.parse(storedTypes);
             } else {
@@ -54,6 +60,9 @@ class ExerciseTypeManager {
      * Save exercise types to localStorage
      */
     async saveExerciseTypes() {
+        if (this.sandboxed) {
+            return;
+        }
         try {
             localStorage.setItem('exerciseTypes', JSON.stringify(this.exerciseTypes));
         } catch (error) {
@@ -63,6 +72,20 @@ class ExerciseTypeManager {
         }
     }
 
+    /**
+     * Save exercise colors to localStorage
+     */
+    saveExerciseColors() {
+        if (this.sandboxed) {
+            return;
+        }
+        try {
+            localStorage.setItem('exerciseColors', JSON.stringify(this.exerciseColors));
+        } catch (error) {
+            console.error('Error saving exercise colors:', error);
+        }
+    }
+
     /**
      * Get all exercise types
      * @returns {Array} Array of exercise type names
@@ -151,6 +174,7 @@ class ExerciseTypeManager {
             
             // Remove color assignment
             delete this.exerciseColors[exerciseType];
+            this.saveExerciseColors();
             
             this.notificationManager.showSuccess(`Exercise type "${exerciseType}" deleted successfully.`);
             return true;
@@ -195,6 +219,7 @@ class ExerciseTypeManager {
             hue: hue,
             name: exerciseType
         };
+        this.saveExerciseColors();
     }
 
     /**
@@ -217,6 +242,25 @@ class ExerciseTypeManager {
         return { ...this.exerciseColors };
     }
 
+    /**
+     * Set exercise colors (for importing)
+     * @param {Object} exerciseColors - Object mapping exercise types to colors ({ hue, name })
+     * @param {boolean} overwrite - Replace existing colors; otherwise only missing colors are added
+     */
+    setExerciseColors(exerciseColors, overwrite = true) {
+        if (!exerciseColors || typeof exerciseColors !== 'object') {
+            return;
+        }
+
+        Object.entries(exerciseColors).forEach(([exerciseType, color]) => {
+            if (!color || typeof color.hue !== 'number' || (!overwrite && this.exerciseColors[exerciseType])) {
+                return;
+            }
+            this.exerciseColors[exerciseType] = { hue: color.hue, name: exerciseType };
+        });
+        this.saveExerciseColors();
+    }
+
     /**
      * Reset exercise types to defaults
      */
@@ -240,7 +284,7 @@ class ExerciseTypeManager {
      * Toggle collapsed state
      */
     toggleCollapsed() {
-        this.isCollapsed = !this.isCollapsed;
+        this.setCollapsed(!this.isCollapsed);
         return this.isCollapsed;
     }
 
@@ -256,6 +300,26 @@ class ExerciseTypeManager {
      */
     setCollapsed(collapsed) {
         this.isCollapsed = collapsed;
+        if (this.sandboxed) {
+            return;
+        }
+        try {
+            localStorage.setItem('exerciseManagementCollapsed', String(collapsed));
+        } catch (error) {
+            console.warn('Could not save collapsed state:', error);
+        }
+    }
+
+    /**
+     * Load the saved collapsed state
+     * @returns {boolean} True if the panel should start collapsed
+     */
+    loadCollapsedState() {
+        try {
+            return localStorage.getItem('exerciseManagementCollapsed') !== 'false';
+        } catch (error) {
+            return true;
+        }
     }
 }
 
@@ -0,0 +1,153 @@
+/**
+ * HealthExportManager - Exports workouts as files for health platforms (Apple Health, Google Fit and
+ * Health Connect), so strength sessions can show up in health dashboards without a live connection
+ */
+class HealthExportManager {
+    constructor(dataManager, notificationManager) {
+        this.dataManager = dataManager;
+        this.notificationManager = notificationManager;
+        this.formats = [
+            {
+                value: 'apple',
+                fileName: 'apple_health',
+                label: 'Apple Health (XML)',
+                description: 'Workouts in the structure of the Apple Health export.xml file.',
+                extension: 'xml',
+                type: 'application/xml'
+            },
+            {
+                value: 'googleFit',
+                fileName: 'google_fit',
+                label: 'Google Fit (JSON)',
+                description: 'Strength training sessions and a dataset with the repetitions of every series.',
+                extension: 'json',
+                type: 'application/json'
+            },
+            {
+                value: 'healthConnect',
+                fileName: 'health_connect',
+                label: 'Health Connect (JSON)',
+                description: 'Exercise session records with one segment per series.',
+                extension: 'json',
+                type: 'application/json'
+            }
+        ];
+    }
+
+    /**
+     * Show the health export dialog and export with the chosen format and dates
+     * @returns {Promise<boolean>} True if a file was exported
+     */
+    async showExportOptions() {
+        if (this.dataManager.getAllWorkouts().length === 0) {
+            this.notificationManager.showInfo("No workout data to export.");
+            return false;
+        }
+
+        const formatOptions = this.formats.map(({ value, label, description }, index) => `
+            <label style="display: block; margin-bottom: 8px;">
+                <input type="radio" name="health-export-format" value="${value}"${index === 0 ? ' checked' : ''}>
+                <strong>${label}</strong> - ${description}
+            </label>`).join('');
+
+        return new Promise(resolve => {
+            let exported = false;
+            const { dialog, close } = this.notificationManager.createModal(`
+                <h3>Export for Health Apps</h3>
+                <div class="csv-export-options" style="text-align: left; margin-bottom: 15px;">
+                    ${formatOptions}
+                    <div class="setting-row">
+                        <label for="health-export-from">From</label>
+                        <input type="date" id="health-export-from">
+                    </div>
+                    <div class="setting-row">
+                        <label for="health-export-to">To</label>
+                        <input type="date" id="health-export-to">
+                    </div>
+                    <p class="setting-hint">Leave the dates empty to export all workouts. Weights are in kg.</p>
+                </div>
+                <button id="health-export-confirm" class="modal-btn btn-green mr-10">Export</button>
+                <button id="health-export-cancel" class="modal-btn btn-grey">Cancel</button>
+            `, { maxWidth: '500px', onClose: () => resolve(exported) });
+
+            dialog.querySelector('#health-export-confirm').addEventListener('click', () => {
+                exported = this.exportWorkouts(dialog.querySelector('input[name="health-export-format"]:checked').value, {
+                    from: dialog.querySelector('#health-export-from').value,
+                    to: dialog.querySelector('#health-export-to').value
+                });
+                if (exported) {
+                    close();
+                }
+            });
+            dialog.querySelector('#health-export-cancel').addEventListener('click', close);
+        });
+    }
+
+    /**
+     * Export workouts in a health platform format
+     * @param {string} formatValue - 'apple', 'googleFit' or 'healthConnect'
+     * @param {Object} options - { from, to: training days (YYYY-MM-DD, inclusive, empty for no limit) }
+     * @returns {boolean} True if export was successful
+     */
+    exportWorkouts(formatValue, { from = '', to = '' } = {}) {
+        try {
+            const format = this.formats.find(candidate => candidate.value === formatValue);
+            if (!format) {
+                throw new Error(`Unknown health export format: ${formatValue}`);
+            }
+
+            const workouts = this.dataManager.getAllWorkouts()
+                .filter(workout => (!from || workout.dateString >= from) && (!to || workout.dateString <= to))
+                .sort((a, b) => new Date(a.date) - new Date(b.date));
+            if (workouts.length === 0) {
+                this.notificationManager.showInfo("No workouts match the selected dates.");
+                return false;
+            }
+
+            this.downloadFile(this.createFileContent(format.value, workouts), format);
+            this.notificationManager.showSuccess(`${format.label} file with ${workouts.length} workouts downloaded successfully!`);
+            return true;
+
+        } catch (error) {
+            console.error("Error exporting for health apps:", error);
+            this.notificationManager.showError("Failed to export the file. Please try again.");
+            return false;
+        }
+    }
+
+    /**
+     * Write workouts in a health platform format
+     * @param {string} formatValue - 'apple', 'googleFit' or 'healthConnect'
+     * @param {Array} workouts - Workouts to export
+     * @returns {string} File content
+     */
+    createFileContent(formatValue, workouts) {
+        switch (formatValue) {
+            case 'apple':
+                return HealthFormats.toAppleHealthXML(workouts);
+            case 'googleFit':
+                return JSON.stringify(HealthFormats.toGoogleFit(workouts), null, 2);
+            case 'healthConnect':
+                return JSON.stringify(HealthFormats.toHealthConnect(workouts), null, 2);
+            default:
+                throw new Error(`Unknown health export format: ${formatValue}`);
+        }
+    }
+
+    /**
+     * Download an exported file
+     * @param {string} content - File content
+     * @param {Object} format - Format definition
+     */
+    downloadFile(content, format) {
+        const blob = new Blob([content], { type: `${format.type};charset=utf-8;` });
+        DOMUtils.downloadBlob(blob, `workouts_${format.fileName}_${DOMUtils.getFileDateString()}.${format.extension}`);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HealthExportManager;
+} else {
+    window.HealthExportManager = HealthExportManager;
+}
@@ -0,0 +1,222 @@
+// HealthFormats - Writes workouts in the file formats of Apple Health, Google Fit and Health Connect (no DOM access)
+(function (global) {
+    'use strict';
+
+    // Google Fit activity type for strength training
+    const GOOGLE_FIT_STRENGTH_TRAINING = 80;
+    // Google Fit resistance types: 0 unknown, 1 barbell, 2 cable, 3 dumbbell, 4 kettlebell, 5 machine, 6 bodyweight
+    const GOOGLE_FIT_BODYWEIGHT = 6;
+    // Health Connect ExerciseSessionRecord.EXERCISE_TYPE_STRENGTH_TRAINING and EXERCISE_SEGMENT_TYPE_UNKNOWN
+    const HEALTH_CONNECT_STRENGTH_TRAINING = 70;
+    const HEALTH_CONNECT_SEGMENT_UNKNOWN = 0;
+
+    function escapeXml(text) {
+        return String(text)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Get when a workout started and ended: from its first to its last series. A workout with a
+     * single series lasts one minute, so health apps don't drop it as empty.
+     * @param {Object} workout - Workout object
+     * @returns {Object} { start: Date, end: Date, series: series sorted by time }
+     */
+    function getWorkoutSpan(workout) {
+        const series = [...(workout.series || [])].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const start = series.length > 0 ? new Date(series[0].timestamp) : new Date(workout.date);
+        let end = series.length > 0 ? new Date(series[series.length - 1].timestamp) : start;
+        if (end <= start) {
+            end = new Date(start.getTime() + 60000);
+        }
+        return { start, end, series };
+    }
+
+    /**
+     * Format a date the way Apple Health exports do: "2024-03-26 08:51:00 +0100", in local time
+     * @param {Date} date - Date
+     * @returns {string} Formatted date
+     */
+    function formatAppleDate(date) {
+        const pad = value => String(value).padStart(2, '0');
+        const offset = -date.getTimezoneOffset();
+        const sign = offset >= 0 ? '+' : '-';
+        const zone = `${sign}${pad(Math.floor(Math.abs(offset) / 60))}${pad(Math.abs(offset) % 60)}`;
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+            `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())} ${zone}`;
+    }
+
+    /**
+     * Format the offset of a date from UTC for Health Connect ("+01:00")
+     * @param {Date} date - Date
+     * @returns {string} Zone offset
+     */
+    function formatZoneOffset(date) {
+        const offset = -date.getTimezoneOffset();
+        const pad = value => String(value).padStart(2, '0');
+        return `${offset >= 0 ? '+' : '-'}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+    }
+
+    /**
+     * Describe the series of a workout, one per line
+     * @param {Array} series - Series sorted by time
+     * @returns {string} Description
+     */
+    function describeSeries(series) {
+        return series.map((s, index) => `Series ${index + 1}: ${s.reps} reps${s.weight ? ` @ ${s.weight} kg` : ''}`).join('\n');
+    }
+
+    /**
+     * Write workouts as an Apple Health export (export.xml). Weighted workouts are traditional strength
+     * training, bodyweight workouts functional strength training; exercise and reps are metadata, and every
+     * series is a marker event.
+     * @param {Array} workouts - Workouts
+     * @param {Object} options - { exportDate: Date, sourceName }
+     * @returns {string} XML document
+     */
+    function toAppleHealthXML(workouts, { exportDate = new Date(), sourceName = 'WorkoutTrackr' } = {}) {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<HealthData locale="en_US">',
+            ` <ExportDate value="${formatAppleDate(exportDate)}"/>`
+        ];
+
+        workouts.forEach(workout => {
+            const { start, end, series } = getWorkoutSpan(workout);
+            const weighted = series.some(s => s.weight);
+            const activityType = weighted
+                ? 'HKWorkoutActivityTypeTraditionalStrengthTraining'
+                : 'HKWorkoutActivityTypeFunctionalStrengthTraining';
+            const minutes = Math.round((end - start) / 600) / 100;
+
+            lines.push(` <Workout workoutActivityType="${activityType}" duration="${minutes}" durationUnit="min" ` +
+                `sourceName="${escapeXml(sourceName)}" creationDate="${formatAppleDate(end)}" ` +
+                `startDate="${formatAppleDate(start)}" endDate="${formatAppleDate(end)}">`);
+            if (workout.timeZone) {
+                lines.push(`  <MetadataEntry key="HKTimeZone" value="${escapeXml(workout.timeZone)}"/>`);
+            }
+            lines.push('  <MetadataEntry key="HKIndoorWorkout" value="1"/>');
+            lines.push(`  <MetadataEntry key="HKExternalUUID" value="${escapeXml(workout.id)}"/>`);
+            lines.push(`  <MetadataEntry key="Exercise" value="${escapeXml(workout.exercise)}"/>`);
+            lines.push(`  <MetadataEntry key="Repetitions" value="${workout.totalReps}"/>`);
+            lines.push(`  <MetadataEntry key="Series" value="${series.length}"/>`);
+            series.forEach(s => {
+                lines.push(`  <WorkoutEvent type="HKWorkoutEventTypeMarker" date="${formatAppleDate(new Date(s.timestamp))}"/>`);
+            });
+            lines.push(' </Workout>');
+        });
+
+        lines.push('</HealthData>');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Write workouts the way the Google Fit REST API returns them: strength training sessions, and a
+     * com.google.activity.exercise dataset with one point per series (exercise, repetitions, resistance
+     * type, resistance in kg)
+     * @param {Array} workouts - Workouts
+     * @param {Object} options - { modified: Date, appName }
+     * @returns {Object} { session: [...], dataset: [...] }
+     */
+    function toGoogleFit(workouts, { modified = new Date(), appName = 'WorkoutTrackr' } = {}) {
+        const sessions = [];
+        const points = [];
+        const nanos = date => `${date.getTime()}000000`;
+
+        workouts.forEach(workout => {
+            const { start, end, series } = getWorkoutSpan(workout);
+            sessions.push({
+                id: `workouttrackr-${workout.id}`,
+                name: `${workout.exercise} - ${workout.totalReps} reps`,
+                description: describeSeries(series),
+                startTimeMillis: String(start.getTime()),
+                endTimeMillis: String(end.getTime()),
+                modifiedTimeMillis: String(modified.getTime()),
+                activityType: GOOGLE_FIT_STRENGTH_TRAINING,
+                application: { name: appName }
+            });
+
+            series.forEach(s => {
+                const time = new Date(s.timestamp);
+                points.push({
+                    dataTypeName: 'com.google.activity.exercise',
+                    startTimeNanos: nanos(time),
+                    endTimeNanos: nanos(time),
+                    // Fields in order: exercise, repetitions, resistance_type, resistance, duration (left out)
+                    value: [
+                        { stringVal: workout.exercise },
+                        { intVal: s.reps },
+                        s.weight ? {} : { intVal: GOOGLE_FIT_BODYWEIGHT },
+                        s.weight ? { fpVal: s.weight } : {},
+                        {}
+                    ]
+                });
+            });
+        });
+
+        // Spreading one argument per series into Math.min would exceed the engine's argument limit for long histories
+        const times = points.map(point => Number(point.startTimeNanos.slice(0, -6)));
+        const minTime = times.reduce((min, time) => Math.min(min, time), Infinity);
+        const maxTime = times.reduce((max, time) => Math.max(max, time), -Infinity);
+        return {
+            session: sessions,
+            dataset: points.length > 0 ? [{
+                dataSourceId: `raw:com.google.activity.exercise:${appName}`,
+                minStartTimeNs: `${minTime}000000`,
+                maxEndTimeNs: `${maxTime}000000`,
+                point: points
+            }] : []
+        };
+    }
+
+    /**
+     * Write workouts as Health Connect exercise session records, with one segment per series that carries
+     * its repetitions
+     * @param {Array} workouts - Workouts
+     * @param {Object} options - { appName }
+     * @returns {Object} { records: [...] }
+     */
+    function toHealthConnect(workouts, { appName = 'WorkoutTrackr' } = {}) {
+        const records = workouts.map(workout => {
+            const { start, end, series } = getWorkoutSpan(workout);
+            // Each series lasts until the next one starts; the last one until the end of the workout
+            const segments = series.map((s, index) => {
+                const segmentStart = new Date(s.timestamp);
+                const next = index + 1 < series.length ? new Date(series[index + 1].timestamp) : end;
+                return {
+                    startTime: segmentStart.toISOString(),
+                    endTime: (next > segmentStart ? next : new Date(segmentStart.getTime() + 1000)).toISOString(),
+                    segmentType: HEALTH_CONNECT_SEGMENT_UNKNOWN,
+                    repetitions: s.reps
+                };
+            });
+
+            return {
+                recordType: 'ExerciseSessionRecord',
+                metadata: { clientRecordId: `workouttrackr-${workout.id}`, dataOrigin: appName },
+                startTime: start.toISOString(),
+                startZoneOffset: formatZoneOffset(start),
+                endTime: end.toISOString(),
+                endZoneOffset: formatZoneOffset(end),
+                exerciseType: HEALTH_CONNECT_STRENGTH_TRAINING,
+                title: `${workout.exercise} - ${workout.totalReps} reps`,
+                notes: describeSeries(series),
+                durationSeconds: Math.round((end - start) / 1000),
+                repetitions: workout.totalReps,
+                segments: segments
+            };
+        });
+        return { records };
+    }
+
+    global.HealthFormats = {
+        getWorkoutSpan,
+        toAppleHealthXML,
+        toGoogleFit,
+        toHealthConnect
+    };
+
+})(typeof window !== 'undefined' ? window : this);
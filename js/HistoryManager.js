@@ -0,0 +1,212 @@
+/**
+ * HistoryManager - Keeps an undo/redo history of workout data mutations
+ */
+class HistoryManager {
+    constructor(dataManager, notificationManager, refreshCallback = null) {
+        this.dataManager = dataManager;
+        this.notificationManager = notificationManager;
+        this.refreshCallback = refreshCallback;
+        // localStorage key of the history before it moved into the storage adapter
+        this.legacyStorageKey = 'workoutHistory';
+        this.maxEntries = 30; // Operations kept (and persisted) per stack
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isApplying = false;
+        this.saveQueue = Promise.resolve();
+
+        this.dataManager.addChangeListener(change => this.record(change));
+    }
+
+    /**
+     * Load the persisted history from the storage adapter, moving a history left in localStorage
+     * by earlier versions into it
+     */
+    async loadHistory() {
+        try {
+            const storage = await this.dataManager.getStorage();
+            let history = await storage.loadHistory();
+
+            if (!history && storage.name !== 'localStorage') {
+                const legacyHistory = localStorage.getItem(this.legacyStorageKey);
+                if (legacyHistory !== null) {
+                    history = JSON.parse(legacyHistory);
+                    await storage.saveHistory(history);
+                    localStorage.removeItem(this.legacyStorageKey);
+                }
+            }
+
+            if (history) {
+                this.undoStack = Array.isArray(history.undo) ? history.undo : [];
+                this.redoStack = Array.isArray(history.redo) ? history.redo : [];
+            }
+        } catch (error) {
+            console.warn('Could not load undo history:', error);
+            this.undoStack = [];
+            this.redoStack = [];
+        }
+    }
+
+    /**
+     * Persist the history through the storage adapter, dropping the oldest operations if it does not fit.
+     * Writes are queued so they reach the storage in order.
+     * @returns {Promise} Resolves when the history is written
+     */
+    saveHistory() {
+        this.saveQueue = this.saveQueue.then(async () => {
+            const storage = await this.dataManager.getStorage();
+            while (true) {
+                try {
+                    await storage.saveHistory({
+                        undo: this.undoStack,
+                        redo: this.redoStack
+                    });
+                    return;
+                } catch (error) {
+                    if (this.redoStack.length > 0) {
+                        this.redoStack.shift();
+                    } else if (this.undoStack.length > 0) {
+                        this.undoStack.shift();
+                    } else {
+                        throw error;
+                    }
+                }
+            }
+        }).catch(error => {
+            console.warn('Could not save undo history:', error);
+        });
+        return this.saveQueue;
+    }
+
+    /**
+     * Record a change reported by the data manager
+     * @param {Object} change - Change object from WorkoutDataManager.trackChange
+     */
+    record(change) {
+        // Undo/redo itself, and workouts synced from other devices, are not operations of this device
+        if (change.source === 'history' || change.source === 'sync') {
+            return;
+        }
+
+        // A change that cannot be reverted invalidates everything recorded before it
+        if (!change.undoable) {
+            this.clear();
+            return;
+        }
+
+        this.undoStack.push(change);
+        if (this.undoStack.length > this.maxEntries) {
+            this.undoStack.splice(0, this.undoStack.length - this.maxEntries);
+        }
+        this.redoStack = [];
+        this.saveHistory();
+    }
+
+    /**
+     * Forget all recorded operations
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.saveHistory();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Revert the most recent operation
+     * @param {string} [changeId] - Only undo if the most recent operation is this one
+     * @returns {boolean} True if an operation was undone
+     */
+    async undo(changeId) {
+        return this.step(this.undoStack, this.redoStack, 'undo', changeId);
+    }
+
+    /**
+     * Re-apply the most recently undone operation
+     * @param {string} [changeId] - Only redo if the most recently undone operation is this one
+     * @returns {boolean} True if an operation was redone
+     */
+    async redo(changeId) {
+        return this.step(this.redoStack, this.undoStack, 'redo', changeId);
+    }
+
+    /**
+     * Move one operation between the stacks and apply it
+     * @param {Array} from - Stack to take the operation from
+     * @param {Array} to - Stack to push the operation onto
+     * @param {string} direction - 'undo' or 'redo'
+     * @param {string} [changeId] - Expected ID of the operation; nothing is applied if another one is next
+     * @returns {boolean} True if an operation was applied
+     */
+    async step(from, to, direction, changeId) {
+        if (this.isApplying || from.length === 0) {
+            return false;
+        }
+
+        // An action of an older notification must not apply whatever happens to be next now
+        if (changeId !== undefined && from[from.length - 1].id !== changeId) {
+            this.notificationManager.showInfo(`Nothing to ${direction}: the change was already ${direction === 'undo' ? 'undone' : 'redone'} or other changes were made since.`);
+            return false;
+        }
+
+        this.isApplying = true;
+        const change = from.pop();
+
+        try {
+            this.dataManager.applyChange(change, direction);
+            await this.dataManager.saveWorkoutData();
+            to.push(change);
+            this.saveHistory();
+
+            if (direction === 'undo') {
+                this.notificationManager.showInfo(`Undone: ${change.label}`, undefined, {
+                    label: 'Redo',
+                    onClick: () => this.redo(change.id)
+                });
+            } else {
+                this.notificationManager.showInfo(`Redone: ${change.label}`, undefined, this.createUndoAction());
+            }
+
+            if (this.refreshCallback) {
+                this.refreshCallback();
+            }
+            return true;
+        } catch (error) {
+            console.error(`Error during ${direction}:`, error);
+            from.push(change);
+            this.notificationManager.showError(`Failed to ${direction} the last change.`);
+            return false;
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    /**
+     * Create an "Undo" action for a notification, if there is anything to undo.
+     * The action undoes the operation that is the most recent one now, and nothing else later.
+     * @returns {Object|null} Action object with label and onClick
+     */
+    createUndoAction() {
+        if (!this.canUndo()) {
+            return null;
+        }
+        const changeId = this.undoStack[this.undoStack.length - 1].id;
+        return {
+            label: 'Undo',
+            onClick: () => this.undo(changeId)
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryManager;
+} else {
+    window.HistoryManager = HistoryManager;
+}
@@ -0,0 +1,373 @@
+// ICSUtils - RFC 5545 iCalendar (.ics) writer and reader for events (no DOM access)
+(function (global) {
+    'use strict';
+
+    const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+    /**
+     * Escape a text value (backslash, semicolon, comma and line breaks)
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    function escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r\n|\r|\n/g, '\\n');
+    }
+
+    /**
+     * Reverse escapeText
+     * @param {string} text - Escaped text
+     * @returns {string} Text
+     */
+    function unescapeText(text) {
+        return String(text).replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    }
+
+    /**
+     * Fold a content line into lines of at most 75 octets, continued with a leading space
+     * @param {string} line - Content line
+     * @returns {string} Folded line
+     */
+    function foldLine(line) {
+        const parts = [];
+        let current = '';
+        let octets = 0;
+        for (const char of line) {
+            const size = BinaryUtils.utf8Encode(char).length;
+            // Continuation lines start with a space, which counts towards their 75 octets
+            if (octets + size > (parts.length === 0 ? 75 : 74)) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * Format a date as a UTC date-time (20240326T075100Z)
+     * @param {Date} date - Date
+     * @returns {string} Date-time value
+     */
+    function formatDateTime(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Format a date as a date value (20240326), using its local calendar day
+     * @param {Date} date - Date
+     * @returns {string} Date value
+     */
+    function formatDate(date) {
+        return `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Write a calendar
+     * @param {Array} events - { uid, start: Date, end: Date, allDay, summary, description, categories, status }
+     * @param {Object} options - { name: calendar name, stamp: Date of the export }
+     * @returns {string} iCalendar text
+     */
+    function stringifyCalendar(events, { name = 'WorkoutTrackr', stamp = new Date() } = {}) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//WorkoutTrackr//Workout Calendar//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escapeText(name)}`
+        ];
+
+        events.forEach(event => {
+            lines.push('BEGIN:VEVENT');
+            lines.push(`UID:${event.uid}`);
+            lines.push(`DTSTAMP:${formatDateTime(stamp)}`);
+            if (event.allDay) {
+                const nextDay = new Date(event.start.getFullYear(), event.start.getMonth(), event.start.getDate() + 1);
+                lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`);
+                lines.push(`DTEND;VALUE=DATE:${formatDate(nextDay)}`);
+            } else {
+                lines.push(`DTSTART:${formatDateTime(event.start)}`);
+                lines.push(`DTEND:${formatDateTime(event.end)}`);
+            }
+            lines.push(`SUMMARY:${escapeText(event.summary)}`);
+            if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+            if (event.categories) lines.push(`CATEGORIES:${escapeText(event.categories)}`);
+            if (event.status) lines.push(`STATUS:${event.status}`);
+            lines.push('END:VEVENT');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Split a content line into name, parameters and value
+     * @param {string} line - Unfolded content line
+     * @returns {Object|null} { name, params, value }, or null if the line is not a property
+     */
+    function parseProperty(line) {
+        // The value starts at the first colon outside a quoted parameter value
+        let inQuotes = false;
+        let colon = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') inQuotes = !inQuotes;
+            else if (line[i] === ':' && !inQuotes) {
+                colon = i;
+                break;
+            }
+        }
+        if (colon === -1) {
+            return null;
+        }
+
+        const [name, ...paramParts] = line.slice(0, colon).split(';');
+        const params = {};
+        paramParts.forEach(part => {
+            const equals = part.indexOf('=');
+            if (equals !== -1) {
+                params[part.slice(0, equals).toUpperCase()] = part.slice(equals + 1).replace(/^"|"$/g, '');
+            }
+        });
+        return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+    }
+
+    /**
+     * Get the offset of a time zone from UTC at a moment
+     * @param {number} time - Milliseconds since the epoch
+     * @param {string} timeZone - IANA time zone
+     * @returns {number} Offset in milliseconds
+     * @throws {RangeError} If the time zone is unknown
+     */
+    function getTimeZoneOffset(time, timeZone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }).formatToParts(new Date(time));
+        const get = type => Number(parts.find(part => part.type === type).value);
+        return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - time;
+    }
+
+    /**
+     * Turn a wall-clock time into a Date
+     * @param {number} wallClock - The wall-clock time as if it were UTC (Date.UTC of its fields)
+     * @param {string|null} zone - 'UTC', an IANA time zone, or null for local time.
+     *   Unknown time zones are read as local time.
+     * @returns {Date} Date
+     */
+    function fromWallClock(wallClock, zone) {
+        if (zone === 'UTC') {
+            return new Date(wallClock);
+        }
+        if (zone) {
+            try {
+                const offset = getTimeZoneOffset(wallClock, zone);
+                // The offset can change between the guess and the real moment around daylight saving changes
+                return new Date(wallClock - getTimeZoneOffset(wallClock - offset, zone));
+            } catch (error) {
+                // Fall through to local time
+            }
+        }
+        const fields = new Date(wallClock);
+        return new Date(fields.getUTCFullYear(), fields.getUTCMonth(), fields.getUTCDate(),
+            fields.getUTCHours(), fields.getUTCMinutes(), fields.getUTCSeconds());
+    }
+
+    /**
+     * Read a DTSTART or DTEND value. Times with a TZID are converted from that time zone when the
+     * browser knows it; floating times and unknown time zones are read as local time.
+     * @param {Object} property - Parsed property
+     * @returns {Object|null} { date: Date, allDay, wallClock, zone } (see fromWallClock), or null if invalid
+     */
+    function parseDateValue(property) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(property.value.trim());
+        if (!match) {
+            return null;
+        }
+        const [, year, month, day, hour = 0, minute = 0, second = 0, utc] = match;
+        const allDay = match[4] === undefined;
+        const wallClock = Date.UTC(+year, month - 1, +day, +hour, +minute, +second);
+        const zone = utc ? 'UTC' : (!allDay && property.params && property.params.TZID) || null;
+        const date = fromWallClock(wallClock, zone);
+        return isNaN(date.getTime()) ? null : { date, allDay, wallClock, zone };
+    }
+
+    /**
+     * Read a duration such as PT1H30M or P1D
+     * @param {string} text - Duration value
+     * @returns {number|null} Milliseconds, or null if invalid
+     */
+    function parseDuration(text) {
+        const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec((text || '').trim());
+        if (!match) {
+            return null;
+        }
+        const [, sign, weeks, days, hours, minutes, seconds] = match;
+        const total = ((+(weeks || 0) * 7 + +(days || 0)) * 86400 + +(hours || 0) * 3600 + +(minutes || 0) * 60 + +(seconds || 0)) * 1000;
+        return sign === '-' ? -total : total;
+    }
+
+    /**
+     * Read the events of a calendar
+     * @param {string} text - iCalendar text
+     * @returns {Array} Events: { uid, start: Date, startValue: parsed DTSTART, end: Date|null, allDay, summary,
+     *   description, status, rrule }.
+     *   Events without a valid start are left out.
+     * @throws {Error} If the text is not a calendar
+     */
+    function parseCalendar(text) {
+        const lines = String(text).replace(/^\uFEFF/, '').replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+        if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+            throw new Error('Not an iCalendar file');
+        }
+
+        const events = [];
+        let current = null;
+        // Alarms and other components nested in an event have their own DTSTART, SUMMARY, ...
+        let nested = 0;
+
+        lines.forEach(line => {
+            const property = parseProperty(line);
+            if (!property) return;
+            const value = property.value.trim().toUpperCase();
+
+            if (property.name === 'BEGIN') {
+                if (value === 'VEVENT' && !current) current = { properties: {} };
+                else if (current) nested++;
+            } else if (property.name === 'END') {
+                if (current && nested > 0) nested--;
+                else if (current && value === 'VEVENT') {
+                    events.push(current.properties);
+                    current = null;
+                }
+            } else if (current && nested === 0 && !(property.name in current.properties)) {
+                current.properties[property.name] = property;
+            }
+        });
+
+        return events.map(properties => {
+            const start = properties.DTSTART ? parseDateValue(properties.DTSTART) : null;
+            if (!start) {
+                return null;
+            }
+            let end = properties.DTEND ? parseDateValue(properties.DTEND) : null;
+            if (!end && properties.DURATION) {
+                const duration = parseDuration(properties.DURATION.value);
+                end = duration !== null ? { date: new Date(start.date.getTime() + duration) } : null;
+            }
+            const text = name => (properties[name] ? unescapeText(properties[name].value) : '');
+            return {
+                uid: text('UID').trim(),
+                start: start.date,
+                startValue: start,
+                end: end ? end.date : null,
+                allDay: start.allDay,
+                summary: text('SUMMARY').trim(),
+                description: text('DESCRIPTION'),
+                status: text('STATUS').trim().toUpperCase(),
+                rrule: properties.RRULE ? properties.RRULE.value.trim() : ''
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * List the start dates of a recurring event. Daily and weekly rules (with INTERVAL, COUNT, UNTIL
+     * and BYDAY) are supported.
+     * @param {Object} event - Parsed event with rrule
+     * @param {Object} options - { until: Date after which no occurrences are listed, max: maximum number }
+     * @returns {Array<Date>|null} Start dates, or null if the rule is not supported
+     */
+    function expandRecurrence(event, { until, max = 500 } = {}) {
+        const rule = {};
+        event.rrule.split(';').forEach(part => {
+            const [key, value] = part.split('=');
+            if (key && value) rule[key.toUpperCase()] = value.toUpperCase();
+        });
+
+        const supported = (rule.FREQ === 'DAILY' || rule.FREQ === 'WEEKLY') &&
+            Object.keys(rule).every(key => ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'WKST'].includes(key)) &&
+            !(rule.FREQ === 'DAILY' && rule.BYDAY);
+        if (!supported) {
+            return null;
+        }
+
+        const interval = Math.max(parseInt(rule.INTERVAL, 10) || 1, 1);
+        const count = rule.COUNT ? parseInt(rule.COUNT, 10) : Infinity;
+        if (Number.isNaN(count)) {
+            return null;
+        }
+        const limit = Math.min(count, max);
+        const ruleUntil = rule.UNTIL ? parseDateValue({ value: rule.UNTIL }) : null;
+        let last = ruleUntil ? ruleUntil.date : null;
+        if (ruleUntil && ruleUntil.allDay) {
+            // An UNTIL date includes that whole day
+            last = new Date(last.getFullYear(), last.getMonth(), last.getDate() + 1);
+            last.setMilliseconds(-1);
+        }
+        if (until && (!last || until < last)) {
+            last = until;
+        }
+
+        // Occurrences are stepped on the wall clock of the event's time zone, so they keep their
+        // time and weekday across daylight saving changes
+        const { wallClock, zone } = event.startValue;
+        const startDay = new Date(wallClock).getUTCDay();
+        const at = offsetDays => fromWallClock(wallClock + offsetDays * 86400000, zone);
+
+        // Weekdays as offsets from Monday; a BYDAY without a valid weekday would never produce an occurrence
+        const days = rule.BYDAY
+            ? rule.BYDAY.split(',').map(day => WEEKDAYS.indexOf(day.trim().slice(-2))).filter(day => day !== -1)
+            : [startDay];
+        const weekOffsets = days.map(day => (day + 6) % 7).sort((a, b) => a - b);
+        if (weekOffsets.length === 0) {
+            return null;
+        }
+
+        const offsets = function* () {
+            if (rule.FREQ === 'DAILY') {
+                for (let offset = 0; ; offset += interval) yield offset;
+            }
+            // Offsets from the start, with weeks starting on Monday
+            const weekStart = -((startDay + 6) % 7);
+            // The start is always the first occurrence
+            yield 0;
+            for (let week = 0; ; week += interval) {
+                for (const day of weekOffsets) {
+                    const offset = weekStart + week * 7 + day;
+                    if (offset > 0) yield offset;
+                }
+            }
+        };
+
+        const dates = [];
+        for (const offset of offsets()) {
+            const date = at(offset);
+            if (dates.length >= limit || (last && date > last)) break;
+            dates.push(date);
+        }
+        return dates;
+    }
+
+    global.ICSUtils = {
+        stringifyCalendar,
+        parseCalendar,
+        expandRecurrence,
+        escapeText,
+        unescapeText,
+        foldLine,
+        formatDateTime
+    };
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,289 @@
+// ImportFormats - Pure readers for the CSV exports of other workout apps and weight unit conversion (no DOM access)
+(function (global) {
+    'use strict';
+
+    const POUNDS_TO_KILOGRAMS = 0.45359237;
+    const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+    /**
+     * Parse a local date and time such as "2024-03-26 08:51:00", "2024-03-26T08:51" or "2024-03-26".
+     * A date without time gets the given default hour.
+     * @param {string} text - Date text
+     * @param {number} defaultHour - Hour used when the text has no time
+     * @returns {Date|null} Local date, or null if the text is not a date
+     */
+    function parseLocalDateTime(text, defaultHour = 12) {
+        const match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec((text || '').trim());
+        if (!match) {
+            return null;
+        }
+        const [, year, month, day, hour, minute, second] = match;
+        const date = hour === undefined
+            ? new Date(+year, month - 1, +day, defaultHour)
+            : new Date(+year, month - 1, +day, +hour, +minute, +(second || 0));
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Parse a Hevy date such as "26 Mar 2024, 08:51", falling back to an ISO date
+     * @param {string} text - Date text
+     * @returns {Date|null} Local date, or null if the text is not a date
+     */
+    function parseHevyDateTime(text) {
+        const trimmed = (text || '').trim();
+        const match = /^(\d{1,2}) ([A-Za-z]{3})[a-z]* (\d{4}),? (\d{1,2}):(\d{2})$/.exec(trimmed);
+        if (match) {
+            const month = MONTHS.indexOf(match[2].toLowerCase());
+            if (month !== -1) {
+                return new Date(+match[3], month, +match[1], +match[4], +match[5]);
+            }
+            return null;
+        }
+        const date = parseLocalDateTime(trimmed) || (trimmed ? new Date(trimmed) : null);
+        return date && !isNaN(date.getTime()) ? date : null;
+    }
+
+    /**
+     * Parse a Strong workout duration such as "1h 5m", "45m" or "30s"
+     * @param {string} text - Duration text
+     * @returns {number} Duration in minutes, 0 if unknown
+     */
+    function parseDuration(text) {
+        const match = /^(?:(\d+)h)?\s*(?:(\d+)m(?:in)?)?\s*(?:(\d+)s)?$/.exec((text || '').trim());
+        if (!match || !(match[1] || match[2] || match[3])) {
+            return 0;
+        }
+        return (+(match[1] || 0)) * 60 + (+(match[2] || 0)) + (+(match[3] || 0)) / 60;
+    }
+
+    /**
+     * Read a unit name as used in the exports
+     * @param {string} text - Unit text ("kg", "kgs", "lbs", ...)
+     * @returns {string|null} 'kg', 'lbs' or null if unknown
+     */
+    function normalizeUnit(text) {
+        const unit = (text || '').trim().toLowerCase();
+        if (unit === 'kg' || unit === 'kgs') return 'kg';
+        if (unit === 'lb' || unit === 'lbs') return 'lbs';
+        return null;
+    }
+
+    /**
+     * Convert a weight to kilograms, rounded to 0.01
+     * @param {number|null} weight - Weight
+     * @param {string} unit - 'kg' or 'lbs'
+     * @returns {number|null} Weight in kilograms
+     */
+    function toKilograms(weight, unit) {
+        if (weight === null) {
+            return null;
+        }
+        const kilograms = unit === 'lbs' ? weight * POUNDS_TO_KILOGRAMS : weight;
+        return Math.round(kilograms * 100) / 100;
+    }
+
+    /**
+     * Convert a weight in kilograms to the given unit; pounds are rounded to 0.01
+     * @param {number|null} weight - Weight in kilograms
+     * @param {string} unit - 'kg' or 'lbs'
+     * @returns {number|null} Weight in the unit
+     */
+    function fromKilograms(weight, unit) {
+        if (weight === null || unit !== 'lbs') {
+            return weight;
+        }
+        return Math.round(weight / POUNDS_TO_KILOGRAMS * 100) / 100;
+    }
+
+    function parseNumber(text) {
+        const trimmed = (text || '').trim();
+        return /^[+-]?(\d+\.?\d*|\.\d+)$/.test(trimmed) ? parseFloat(trimmed) : NaN;
+    }
+
+    /**
+     * Supported formats. Each one detects itself from the header and reads one row into a set:
+     * { sessionKey, start, durationMinutes, exercise, reps, weight, weightUnit, setOrder }
+     * Sets of the same session share a sessionKey; weightUnit is null when the file does not say;
+     * setOrder is the number of the set within its exercise, or null if the file does not number it.
+     */
+    const FORMATS = [
+        {
+            id: 'strong',
+            name: 'Strong',
+            detect: header => ['Date', 'Exercise Name', 'Set Order', 'Reps'].every(column => header.includes(column)),
+            columns: header => ({
+                date: header.indexOf('Date'),
+                workoutName: header.indexOf('Workout Name'),
+                duration: header.includes('Duration') ? header.indexOf('Duration') : header.indexOf('Workout Duration'),
+                exercise: header.indexOf('Exercise Name'),
+                setOrder: header.indexOf('Set Order'),
+                weight: header.indexOf('Weight'),
+                weightUnit: header.indexOf('Weight Unit'),
+                reps: header.indexOf('Reps')
+            }),
+            weightUnit: header => (header.includes('Weight Unit') ? undefined : null),
+            read(fields, columns) {
+                const setOrder = (fields[columns.setOrder] || '').trim();
+                // Newer exports add rows for rest timers and notes between the sets
+                if (setOrder !== '' && !/^(\d+|[WDF])$/i.test(setOrder)) {
+                    return { ignored: true };
+                }
+                const start = parseLocalDateTime(fields[columns.date]);
+                return {
+                    start,
+                    sessionKey: `${(fields[columns.date] || '').trim()}|${(fields[columns.workoutName] || '').trim()}`,
+                    durationMinutes: columns.duration !== -1 ? parseDuration(fields[columns.duration]) : 0,
+                    weightUnit: columns.weightUnit !== -1 ? normalizeUnit(fields[columns.weightUnit]) : null,
+                    // Warm-up, drop and failure sets (W, D, F) are not numbered
+                    setOrder: /^\d+$/.test(setOrder) ? parseInt(setOrder, 10) : null
+                };
+            }
+        },
+        {
+            id: 'hevy',
+            name: 'Hevy',
+            detect: header => ['start_time', 'exercise_title', 'set_index', 'reps'].every(column => header.includes(column)),
+            columns: header => ({
+                date: header.indexOf('start_time'),
+                end: header.indexOf('end_time'),
+                workoutName: header.indexOf('title'),
+                exercise: header.indexOf('exercise_title'),
+                weight: header.includes('weight_kg') ? header.indexOf('weight_kg') : header.indexOf('weight_lbs'),
+                reps: header.indexOf('reps')
+            }),
+            weightUnit: header => (header.includes('weight_kg') ? 'kg' : header.includes('weight_lbs') ? 'lbs' : null),
+            read(fields, columns) {
+                const start = parseHevyDateTime(fields[columns.date]);
+                const end = columns.end !== -1 ? parseHevyDateTime(fields[columns.end]) : null;
+                return {
+                    start,
+                    sessionKey: `${(fields[columns.date] || '').trim()}|${(fields[columns.workoutName] || '').trim()}`,
+                    durationMinutes: start && end && end > start ? (end - start) / 60000 : 0
+                };
+            }
+        },
+        {
+            id: 'fitnotes',
+            name: 'FitNotes',
+            detect: header => ['Date', 'Exercise', 'Category', 'Reps'].every(column => header.includes(column)) &&
+                header.some(column => /^Weight \((kgs?|lbs?)\)$/i.test(column)),
+            columns: header => ({
+                date: header.indexOf('Date'),
+                exercise: header.indexOf('Exercise'),
+                weight: header.findIndex(column => /^Weight \((kgs?|lbs?)\)$/i.test(column)),
+                reps: header.indexOf('Reps')
+            }),
+            weightUnit: header => normalizeUnit(/^Weight \((\w+)\)$/i.exec(header.find(column => /^Weight \((kgs?|lbs?)\)$/i.test(column)))[1]),
+            read(fields, columns) {
+                // FitNotes only records the day; the sets are placed around noon
+                return {
+                    start: parseLocalDateTime(fields[columns.date], 12),
+                    sessionKey: (fields[columns.date] || '').trim(),
+                    durationMinutes: 0
+                };
+            }
+        }
+    ];
+
+    /**
+     * Detect which app exported a CSV file
+     * @param {Array<string>} header - Trimmed header fields
+     * @returns {Object|null} Reader with id, name, columns (column indexes) and weightUnit
+     *   ('kg', 'lbs', undefined when every row names its unit, or null when the file does not say)
+     */
+    function detectFormat(header) {
+        const format = FORMATS.find(candidate => candidate.detect(header));
+        if (!format) {
+            return null;
+        }
+        return {
+            id: format.id,
+            name: format.name,
+            columns: format.columns(header),
+            weightUnit: format.weightUnit(header)
+        };
+    }
+
+    /**
+     * Read one data row of a detected format
+     * @param {Object} reader - Result of detectFormat
+     * @param {Array<string>} fields - Row fields
+     * @param {Array<string>} header - Header fields, for error messages
+     * @returns {Object} { set } for a valid set, { ignored: true } for rows that are not sets,
+     *   or { issues: [{ column, value, reason }] } for invalid rows
+     */
+    function readRow(reader, fields, header) {
+        const format = FORMATS.find(candidate => candidate.id === reader.id);
+        const { columns } = reader;
+        const issues = [];
+        const reject = (index, reason) => issues.push({ column: header[index] || '', value: fields[index] || '', reason });
+
+        const row = format.read(fields, columns);
+        if (row.ignored) {
+            return row;
+        }
+
+        const exercise = (fields[columns.exercise] || '').trim();
+        const repsText = (fields[columns.reps] || '').trim();
+        const reps = parseNumber(repsText);
+        const weightText = columns.weight !== -1 ? (fields[columns.weight] || '').trim() : '';
+        const weight = weightText === '' ? 0 : parseNumber(weightText);
+
+        if (!row.start) reject(columns.date, 'Invalid date');
+        if (exercise === '') reject(columns.exercise, 'Missing exercise');
+        if (repsText === '') reject(columns.reps, 'No reps (distance and time sets are not supported)');
+        else if (!Number.isInteger(reps) || reps <= 0) reject(columns.reps, 'Reps must be a whole number greater than 0');
+        if (isNaN(weight) || weight < 0) reject(columns.weight, 'Not a valid weight');
+
+        if (issues.length > 0) {
+            return { issues };
+        }
+
+        return {
+            set: {
+                sessionKey: row.sessionKey,
+                start: row.start,
+                durationMinutes: row.durationMinutes,
+                exercise,
+                reps,
+                // A weight of 0 is how these apps record bodyweight sets
+                weight: weight === 0 ? null : weight,
+                weightUnit: row.weightUnit !== undefined ? row.weightUnit : reader.weightUnit,
+                setOrder: row.setOrder !== undefined ? row.setOrder : null
+            }
+        };
+    }
+
+    /**
+     * Put the sets of one session in the order they were done. The numbered sets of each exercise are sorted
+     * by their number within the places they take in the file; sets without a number keep their place.
+     * @param {Array} sets - Sets of one session (from readRow), in file order
+     * @returns {Array} The sets in the order they were done
+     */
+    function sortSessionSets(sets) {
+        const sorted = sets.slice();
+        const byExercise = new Map();
+        sets.forEach((set, index) => {
+            if (set.setOrder === null || set.setOrder === undefined) return;
+            if (!byExercise.has(set.exercise)) byExercise.set(set.exercise, []);
+            byExercise.get(set.exercise).push(index);
+        });
+        byExercise.forEach(indexes => {
+            const numbered = indexes.map(index => sets[index]).sort((a, b) => a.setOrder - b.setOrder);
+            indexes.forEach((index, i) => { sorted[index] = numbered[i]; });
+        });
+        return sorted;
+    }
+
+    global.ImportFormats = {
+        detectFormat,
+        readRow,
+        sortSessionSets,
+        toKilograms,
+        fromKilograms,
+        parseLocalDateTime,
+        parseHevyDateTime,
+        parseDuration
+    };
+
+})(typeof window !== 'undefined' ? window : this);
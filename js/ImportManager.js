@@ -0,0 +1,259 @@
+/**
+ * ImportManager - Shows what an import would change before anything is committed and lets the user
+ * choose how workouts that already exist are handled, links exercise names of other apps to exercise
+ * types, and reports the rows an import rejected. Used by the CSV and JSON backup imports.
+ */
+class ImportManager {
+    constructor(dataManager, notificationManager) {
+        this.dataManager = dataManager;
+        this.notificationManager = notificationManager;
+        this.maxListedWorkouts = 50;
+        this.maxListedIssues = 100;
+        this.strategies = [
+            {
+                value: 'skip',
+                label: 'Skip duplicates',
+                description: 'Only add workouts you don\'t have yet. Existing workouts are left untouched.'
+            },
+            {
+                value: 'merge',
+                label: 'Merge series',
+                description: 'Add the missing series to existing workouts. Where a series differs, your version is kept.'
+            },
+            {
+                value: 'overwrite',
+                label: 'Overwrite',
+                description: 'Replace the series of existing workouts with the imported ones.'
+            }
+        ];
+    }
+
+    /**
+     * Show the import preview dialog
+     * @param {Array} workouts - Validated workouts to import
+     * @param {Object} options - { title, invalidCount: workouts that will be skipped as invalid }
+     * @returns {Promise<string|null>} Chosen strategy ('skip', 'merge' or 'overwrite'), or null if cancelled
+     */
+    showPreview(workouts, { title = 'Import Preview', invalidCount = 0 } = {}) {
+        const { items, summary } = this.dataManager.analyzeImport(workouts);
+        const matched = items.filter(item => item.status !== 'new');
+
+        return new Promise(resolve => {
+            let strategy = null;
+            const { dialog, close } = this.notificationManager.createModal(`
+                <h3>${DOMUtils.escapeHtml(title)}</h3>
+                <div style="background: #f5f5f5; padding: 15px; border-radius: 4px; margin: 15px 0; text-align: left;">
+                    New workouts: ${summary.newWorkouts}<br>
+                    Duplicate workouts: ${summary.duplicateWorkouts}<br>
+                    Workouts with new or conflicting series: ${summary.conflictingWorkouts}<br>
+                    Series: ${summary.newSeries} new, ${summary.duplicateSeries} duplicate, ${summary.conflictingSeries} conflicting
+                    ${invalidCount > 0 ? `<br>${invalidCount} invalid workouts will be skipped` : ''}
+                </div>
+                ${matched.length > 0 ? this.renderMatchedWorkouts(matched) : ''}
+                ${matched.length > 0 ? this.renderStrategies() : ''}
+                <button id="import-preview-confirm" class="modal-btn btn-green mr-10">Import</button>
+                <button id="import-preview-cancel" class="modal-btn btn-grey">Cancel</button>
+            `, { maxWidth: '550px', onClose: () => resolve(strategy) });
+
+            dialog.querySelector('#import-preview-confirm').addEventListener('click', () => {
+                const selected = dialog.querySelector('input[name="import-strategy"]:checked');
+                // Without matches every strategy does the same thing
+                strategy = selected ? selected.value : 'merge';
+                close();
+            });
+            dialog.querySelector('#import-preview-cancel').addEventListener('click', close);
+        });
+    }
+
+    /**
+     * Render the list of imported workouts that match existing ones
+     * @param {Array} matched - Analyzed items with status 'duplicate' or 'conflict'
+     * @returns {string} HTML
+     */
+    renderMatchedWorkouts(matched) {
+        const rows = matched.slice(0, this.maxListedWorkouts).map(item => {
+            const details = [];
+            if (item.newSeries > 0) details.push(`${item.newSeries} new`);
+            if (item.conflictingSeries > 0) details.push(`<span style="color: #c62828;">${item.conflictingSeries} conflicting</span>`);
+            if (item.duplicateSeries > 0) details.push(`${item.duplicateSeries} duplicate`);
+
+            return `<tr>
+                <td>${DOMUtils.escapeHtml(item.workout.dateString)}</td>
+                <td>${DOMUtils.escapeHtml(item.workout.exercise)}</td>
+                <td>${item.status === 'duplicate' ? 'Duplicate' : 'Conflict'}</td>
+                <td style="text-align: right;">${details.join(', ')}</td>
+            </tr>`;
+        }).join('');
+
+        const more = matched.length - this.maxListedWorkouts;
+
+        return `
+            <div style="max-height: 200px; overflow-y: auto; margin-bottom: 15px; text-align: left;">
+                <table style="width: 100%; border-collapse: collapse;">
+                    <tr><th style="text-align: left;">Date</th><th style="text-align: left;">Exercise</th><th style="text-align: left;">Status</th><th style="text-align: right;">Series</th></tr>
+                    ${rows}
+                </table>
+                ${more > 0 ? `<p>...and ${more} more</p>` : ''}
+            </div>`;
+    }
+
+    /**
+     * Render the strategy choices, with merging selected
+     * @returns {string} HTML
+     */
+    renderStrategies() {
+        const options = this.strategies.map(({ value, label, description }) => `
+            <label style="display: block; margin-bottom: 8px;">
+                <input type="radio" name="import-strategy" value="${value}"${value === 'merge' ? ' checked' : ''}>
+                <strong>${label}</strong> - ${description}
+            </label>`).join('');
+
+        return `<div style="text-align: left; margin-bottom: 15px;">
+            <p><strong>Existing workouts:</strong></p>
+            ${options}
+        </div>`;
+    }
+
+    /**
+     * Ask how the exercise names of another app map to exercise types
+     * @param {Array} names - Exercise names that are not exercise types yet
+     * @param {Array} exerciseTypes - Existing exercise types
+     * @param {Object} options - { source: app name, askWeightUnit: also ask for the weight unit of the file }
+     * @returns {Promise<Object|null>} { mapping: name -> exercise type, weightUnit: 'kg' or 'lbs' },
+     *   or null if cancelled
+     */
+    showExerciseMapping(names, exerciseTypes, { source = 'the file', askWeightUnit = false } = {}) {
+        const rows = names.map((name, index) => {
+            const match = this.findSimilarExerciseType(name, exerciseTypes);
+            const options = exerciseTypes.map(type =>
+                `<option value="${DOMUtils.escapeHtml(type)}"${type === match ? ' selected' : ''}>${DOMUtils.escapeHtml(type)}</option>`
+            ).join('');
+            return `<tr>
+                <td>${DOMUtils.escapeHtml(name)}</td>
+                <td>
+                    <select data-index="${index}" style="width: 100%;">
+                        <option value="">Add as new exercise</option>
+                        ${options}
+                    </select>
+                </td>
+            </tr>`;
+        }).join('');
+
+        return new Promise(resolve => {
+            let result = null;
+            const { dialog, close } = this.notificationManager.createModal(`
+                <h3>Import from ${DOMUtils.escapeHtml(source)}</h3>
+                ${names.length > 0 ? `
+                <p>These exercises are not in your exercise list yet. Link each one to an existing exercise or add it as a new one.</p>
+                <div style="max-height: 260px; overflow-y: auto; margin-bottom: 15px; text-align: left;">
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <tr><th style="text-align: left;">${DOMUtils.escapeHtml(source)}</th><th style="text-align: left;">WorkoutTrackr</th></tr>
+                        ${rows}
+                    </table>
+                </div>` : ''}
+                ${askWeightUnit ? `
+                <p>
+                    <label for="import-weight-unit">The file does not say which unit its weights are in:</label>
+                    <select id="import-weight-unit">
+                        <option value="kg">kg</option>
+                        <option value="lbs">lbs</option>
+                    </select>
+                </p>` : ''}
+                <button id="import-mapping-confirm" class="modal-btn btn-green mr-10">Continue</button>
+                <button id="import-mapping-cancel" class="modal-btn btn-grey">Cancel</button>
+            `, { maxWidth: '550px', onClose: () => resolve(result) });
+
+            dialog.querySelector('#import-mapping-confirm').addEventListener('click', () => {
+                const mapping = {};
+                dialog.querySelectorAll('select[data-index]').forEach(select => {
+                    const name = names[Number(select.dataset.index)];
+                    mapping[name] = select.value || name;
+                });
+                const unitSelect = dialog.querySelector('#import-weight-unit');
+                result = { mapping: mapping, weightUnit: unitSelect ? unitSelect.value : 'kg' };
+                close();
+            });
+            dialog.querySelector('#import-mapping-cancel').addEventListener('click', close);
+        });
+    }
+
+    /**
+     * Find an exercise type whose name only differs in case, punctuation or a plural "s"
+     * (e.g. "Push Up" and "Push-ups")
+     * @param {string} name - Exercise name
+     * @param {Array} exerciseTypes - Existing exercise types
+     * @returns {string|undefined} Matching exercise type
+     */
+    findSimilarExerciseType(name, exerciseTypes) {
+        const normalize = text => text.toLowerCase().replace(/[^a-z0-9]/g, '').replace(/s$/, '');
+        const normalized = normalize(name);
+        return exerciseTypes.find(type => normalize(type) === normalized);
+    }
+
+    /**
+     * Show the rows an import rejected, with the column, value and reason of every problem
+     * @param {Object} report - Import report ({ totalRows, acceptedRows, rejectedRows: [{ line, fields, issues }] })
+     * @param {Object} options - { imported: whether the accepted rows were imported, onDownloadRejected }
+     */
+    showReport(report, { imported = true, onDownloadRejected = null } = {}) {
+        const issues = [];
+        report.rejectedRows.forEach(row => {
+            row.issues.forEach(issue => issues.push({ line: row.line, ...issue }));
+        });
+
+        const rows = issues.slice(0, this.maxListedIssues).map(issue => `<tr>
+                <td style="text-align: right;">${issue.line}</td>
+                <td>${DOMUtils.escapeHtml(issue.column)}</td>
+                <td>${DOMUtils.escapeHtml(issue.value)}</td>
+                <td>${DOMUtils.escapeHtml(issue.reason)}</td>
+            </tr>`).join('');
+        const more = issues.length - this.maxListedIssues;
+
+        const { dialog, close } = this.notificationManager.createModal(`
+            <h3>${imported ? 'Import Report' : 'Nothing Imported'}</h3>
+            <div style="background: #f5f5f5; padding: 15px; border-radius: 4px; margin: 15px 0; text-align: left;">
+                Rows read: ${report.totalRows}<br>
+                Rows accepted: ${report.acceptedRows}<br>
+                Rows skipped: <span style="color: #c62828;">${report.rejectedRows.length}</span>
+            </div>
+            <div style="max-height: 240px; overflow-y: auto; margin-bottom: 15px; text-align: left;">
+                <table style="width: 100%; border-collapse: collapse;">
+                    <tr><th style="text-align: right;">Line</th><th style="text-align: left;">Column</th><th style="text-align: left;">Value</th><th style="text-align: left;">Problem</th></tr>
+                    ${rows}
+                </table>
+                ${more > 0 ? `<p>...and ${more} more</p>` : ''}
+            </div>
+            ${onDownloadRejected ? `<p>Download the skipped rows to fix them and import the file again.</p>
+            <button id="import-report-download" class="modal-btn btn-blue mr-10">Download Skipped Rows</button>` : ''}
+            <button id="import-report-close" class="modal-btn btn-grey">Close</button>
+        `, { maxWidth: '600px' });
+
+        if (onDownloadRejected) {
+            dialog.querySelector('#import-report-download').addEventListener('click', onDownloadRejected);
+        }
+        dialog.querySelector('#import-report-close').addEventListener('click', close);
+    }
+
+    /**
+     * Describe the result of WorkoutDataManager.mergeWorkouts
+     * @param {Object} result - Counts of added, updated, unchanged and skipped workouts
+     * @returns {string} Message
+     */
+    formatResult(result) {
+        const parts = [`${result.added} workouts added`, `${result.updated} updated`];
+        if (result.skipped > 0) {
+            parts.push(`${result.skipped} skipped`);
+        }
+        if (result.unchanged > 0) {
+            parts.push(`${result.unchanged} already up to date`);
+        }
+        return parts.join(', ');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImportManager;
+} else {
+    window.ImportManager = ImportManager;
+}
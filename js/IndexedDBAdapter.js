@@ -0,0 +1,262 @@
+/**
+ * IndexedDBAdapter - Persists workouts in IndexedDB, one record per workout keyed by
+ * the workout ID. Records are indexed by date and exercise so they can be queried without
+ * deserializing the whole history.
+ */
+class IndexedDBAdapter {
+    constructor(dbName = 'WorkoutTrackr') {
+        this.name = 'indexedDB';
+        this.dbName = dbName;
+        this.dbVersion = 2; // v2 adds the snapshots store
+        this.workoutStore = 'workouts';
+        this.metaStore = 'meta';
+        this.snapshotStore = 'snapshots';
+        this.db = null;
+        // Called when opening has to wait for another tab to close an older version of the database
+        this.onBlocked = null;
+    }
+
+    /**
+     * Check if IndexedDB exists in this browser
+     * @returns {boolean} True if IndexedDB is available
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Open (and create or upgrade if needed) the database
+     * @returns {Promise<IndexedDBAdapter>} The opened adapter
+     */
+    open() {
+        if (this.db) {
+            return Promise.resolve(this);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.workoutStore)) {
+                    const store = db.createObjectStore(this.workoutStore);
+                    store.createIndex('date', 'dateString', { unique: false });
+                    store.createIndex('exercise', 'exercise', { unique: false });
+                }
+                if (!db.objectStoreNames.contains(this.metaStore)) {
+                    db.createObjectStore(this.metaStore, { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains(this.snapshotStore)) {
+                    const store = db.createObjectStore(this.snapshotStore, { keyPath: 'id' });
+                    store.createIndex('createdAt', 'createdAt', { unique: false });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Let other tabs upgrade the database without being blocked by us
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(this);
+            };
+
+            request.onerror = () => reject(request.error || new Error("Failed to open IndexedDB"));
+            // The upgrade continues once the other tab closes the database; falling back to localStorage
+            // here would split the data between the two tabs
+            request.onblocked = () => {
+                if (this.onBlocked) {
+                    this.onBlocked();
+                }
+            };
+        });
+    }
+
+    /**
+     * Load the stored payload
+     * @returns {Promise<Object|null>} Object with version and data, or null if nothing is stored
+     */
+    async load() {
+        await this.open();
+        const tx = this.db.transaction([this.workoutStore, this.metaStore], 'readonly');
+        const [versionEntry, workouts] = await Promise.all([
+            this.requestToPromise(tx.objectStore(this.metaStore).get('dataVersion')),
+            this.requestToPromise(tx.objectStore(this.workoutStore).getAll())
+        ]);
+
+        if (!versionEntry) {
+            return null;
+        }
+
+        return {
+            version: versionEntry.value,
+            data: workouts
+        };
+    }
+
+    /**
+     * Save the payload in a single transaction. With changedIds only those workouts are written (or deleted when
+     * they are no longer in the payload); without, the stored workouts are replaced completely.
+     * @param {Object} payload - Object with version and data properties
+     * @param {Set} [changedIds] - IDs of the workouts changed since the last save
+     */
+    async save(payload, changedIds = null) {
+        await this.open();
+        const tx = this.db.transaction([this.workoutStore, this.metaStore], 'readwrite');
+        const workoutStore = tx.objectStore(this.workoutStore);
+
+        if (changedIds) {
+            const workoutsById = new Map(payload.data.map(workout => [workout.id, workout]));
+            changedIds.forEach(id => {
+                if (workoutsById.has(id)) {
+                    workoutStore.put(this.toRecord(workoutsById.get(id)), id);
+                } else {
+                    workoutStore.delete(id);
+                }
+            });
+        } else {
+            workoutStore.clear();
+            payload.data.forEach(workout => {
+                workoutStore.put(this.toRecord(workout), workout.id);
+            });
+        }
+        tx.objectStore(this.metaStore).put({ key: 'dataVersion', value: payload.version });
+
+        await this.transactionToPromise(tx);
+    }
+
+    /**
+     * Remove all stored workouts and metadata
+     */
+    async clear() {
+        await this.open();
+        const tx = this.db.transaction([this.workoutStore, this.metaStore], 'readwrite');
+        tx.objectStore(this.workoutStore).clear();
+        tx.objectStore(this.metaStore).clear();
+        await this.transactionToPromise(tx);
+    }
+
+    /**
+     * Load the undo/redo history
+     * @returns {Promise<Object|null>} Object with undo and redo stacks, or null if none is stored
+     */
+    async loadHistory() {
+        await this.open();
+        const tx = this.db.transaction(this.metaStore, 'readonly');
+        const entry = await this.requestToPromise(tx.objectStore(this.metaStore).get('history'));
+        return entry ? entry.value : null;
+    }
+
+    /**
+     * Save the undo/redo history
+     * @param {Object} history - Object with undo and redo stacks
+     */
+    async saveHistory(history) {
+        await this.open();
+        const tx = this.db.transaction(this.metaStore, 'readwrite');
+        tx.objectStore(this.metaStore).put({ key: 'history', value: this.toRecord(history) });
+        await this.transactionToPromise(tx);
+    }
+
+    /**
+     * Load the sync state (see SyncManager)
+     * @returns {Promise<Object|null>} Sync state with the queue of unsent changes, or null if none is stored
+     */
+    async loadSyncState() {
+        await this.open();
+        const tx = this.db.transaction(this.metaStore, 'readonly');
+        const entry = await this.requestToPromise(tx.objectStore(this.metaStore).get('syncState'));
+        return entry ? entry.value : null;
+    }
+
+    /**
+     * Save the sync state
+     * @param {Object} state - Sync state with the queue of unsent changes
+     */
+    async saveSyncState(state) {
+        await this.open();
+        const tx = this.db.transaction(this.metaStore, 'readwrite');
+        tx.objectStore(this.metaStore).put({ key: 'syncState', value: this.toRecord(state) });
+        await this.transactionToPromise(tx);
+    }
+
+    /**
+     * Save a snapshot
+     * @param {Object} snapshot - Snapshot with id, metadata and data
+     */
+    async saveSnapshot(snapshot) {
+        await this.open();
+        const tx = this.db.transaction(this.snapshotStore, 'readwrite');
+        tx.objectStore(this.snapshotStore).put(this.toRecord(snapshot));
+        await this.transactionToPromise(tx);
+    }
+
+    /**
+     * List stored snapshots without their data, newest first
+     * @returns {Promise<Array>} Array of snapshot metadata
+     */
+    async listSnapshots() {
+        await this.open();
+        const tx = this.db.transaction(this.snapshotStore, 'readonly');
+        const snapshots = await this.requestToPromise(tx.objectStore(this.snapshotStore).index('createdAt').getAll());
+        return snapshots
+            .map(({ data, ...metadata }) => metadata)
+            .reverse();
+    }
+
+    /**
+     * Load a snapshot including its data
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<Object|null>} The snapshot, or null if it does not exist
+     */
+    async loadSnapshot(id) {
+        await this.open();
+        const tx = this.db.transaction(this.snapshotStore, 'readonly');
+        const snapshot = await this.requestToPromise(tx.objectStore(this.snapshotStore).get(id));
+        return snapshot || null;
+    }
+
+    /**
+     * Delete a snapshot
+     * @param {string} id - Snapshot ID
+     */
+    async deleteSnapshot(id) {
+        await this.open();
+        const tx = this.db.transaction(this.snapshotStore, 'readwrite');
+        tx.objectStore(this.snapshotStore).delete(id);
+        await this.transactionToPromise(tx);
+    }
+
+    /**
+     * Convert a workout or snapshot into a plain record so it reads back the same way as from
+     * localStorage (Date objects become ISO strings)
+     * @param {Object} value - Workout or snapshot object
+     * @returns {Object} Plain record
+     */
+    toRecord(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    transactionToPromise(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IndexedDBAdapter;
+} else {
+    window.IndexedDBAdapter = IndexedDBAdapter;
+}
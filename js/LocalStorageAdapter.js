@@ -0,0 +1,187 @@
+/**
+ * LocalStorageAdapter - Persists the workout payload as a single localStorage entry.
+ * Used as the fallback storage backend when IndexedDB is not available.
+ */
+class LocalStorageAdapter {
+    constructor(storageKey = 'workoutData', snapshotKey = 'workoutSnapshots', historyKey = 'workoutHistory',
+        syncStateKey = 'syncState') {
+        this.name = 'localStorage';
+        this.storageKey = storageKey;
+        this.snapshotKey = snapshotKey;
+        this.historyKey = historyKey;
+        this.syncStateKey = syncStateKey;
+        // Snapshots share the origin's quota (usually 5 MB) with the workout data, so they get a fixed
+        // share of it (in JSON characters) and can never take the space the next save needs
+        this.snapshotBudget = 1024 * 1024;
+        // The undo history holds copies of the changed workouts, so it is limited the same way
+        this.historyBudget = 512 * 1024;
+    }
+
+    /**
+     * Check if localStorage can be used in this browser
+     * @returns {boolean} True if localStorage is available
+     */
+    static isSupported() {
+        try {
+            const test = '__localStorage_test__';
+            localStorage.setItem(test, test);
+            localStorage.removeItem(test);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Prepare the adapter for use (nothing to open for localStorage)
+     */
+    async open() {
+        return this;
+    }
+
+    /**
+     * Load the stored payload
+     * @returns {Object|Array|null} Parsed payload, or null if nothing is stored
+     */
+    async load() {
+        const storedDataStr = localStorage.getItem(this.storageKey);
+        if (storedDataStr === null) {
+            return null;
+        }
+        if (!storedDataStr.trim()) {
+            throw new Error("Stored data is empty");
+        }
+        return JSON.parse(storedDataStr);
+    }
+
+    /**
+     * Save the complete payload
+     * @param {Object} payload - Object with version and data properties
+     */
+    async save(payload) {
+        localStorage.setItem(this.storageKey, JSON.stringify(payload));
+    }
+
+    /**
+     * Remove the stored payload
+     */
+    async clear() {
+        localStorage.removeItem(this.storageKey);
+    }
+
+    /**
+     * Load the undo/redo history
+     * @returns {Object|null} Object with undo and redo stacks, or null if none is stored
+     */
+    async loadHistory() {
+        const storedHistory = localStorage.getItem(this.historyKey);
+        return storedHistory === null ? null : JSON.parse(storedHistory);
+    }
+
+    /**
+     * Save the undo/redo history
+     * @param {Object} history - Object with undo and redo stacks
+     * @throws {Error} If the history is larger than historyBudget, or the quota is exceeded
+     */
+    async saveHistory(history) {
+        const json = JSON.stringify(history);
+        if (json.length > this.historyBudget) {
+            throw new Error("The undo history is larger than the space reserved for it");
+        }
+        localStorage.setItem(this.historyKey, json);
+    }
+
+    /**
+     * Load the sync state (see SyncManager)
+     * @returns {Object|null} Sync state with the queue of unsent changes, or null if none is stored
+     */
+    async loadSyncState() {
+        const storedState = localStorage.getItem(this.syncStateKey);
+        return storedState === null ? null : JSON.parse(storedState);
+    }
+
+    /**
+     * Save the sync state. Unsent changes cannot be dropped, so it has no budget of its own.
+     * @param {Object} state - Sync state with the queue of unsent changes
+     * @throws {Error} If the quota is exceeded
+     */
+    async saveSyncState(state) {
+        localStorage.setItem(this.syncStateKey, JSON.stringify(state));
+    }
+
+    /**
+     * Save a snapshot. The newest snapshots that fit into snapshotBudget are kept, the older ones are dropped.
+     * @param {Object} snapshot - Snapshot with id, metadata and data
+     * @throws {Error} If the snapshot alone is larger than the budget, or the quota is exceeded
+     */
+    async saveSnapshot(snapshot) {
+        let size = JSON.stringify(snapshot).length;
+        if (size > this.snapshotBudget) {
+            throw new Error("The snapshot is larger than the space reserved for snapshots");
+        }
+
+        const kept = [snapshot];
+        const older = this.readSnapshots()
+            .filter(existing => existing.id !== snapshot.id)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        for (const existing of older) {
+            size += JSON.stringify(existing).length;
+            if (size > this.snapshotBudget) {
+                break;
+            }
+            kept.push(existing);
+        }
+
+        kept.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        localStorage.setItem(this.snapshotKey, JSON.stringify(kept));
+    }
+
+    /**
+     * List stored snapshots without their data, newest first
+     * @returns {Array} Array of snapshot metadata
+     */
+    async listSnapshots() {
+        return this.readSnapshots()
+            .map(({ data, ...metadata }) => metadata)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    /**
+     * Load a snapshot including its data
+     * @param {string} id - Snapshot ID
+     * @returns {Object|null} The snapshot, or null if it does not exist
+     */
+    async loadSnapshot(id) {
+        return this.readSnapshots().find(snapshot => snapshot.id === id) || null;
+    }
+
+    /**
+     * Delete a snapshot
+     * @param {string} id - Snapshot ID
+     */
+    async deleteSnapshot(id) {
+        const snapshots = this.readSnapshots().filter(snapshot => snapshot.id !== id);
+        localStorage.setItem(this.snapshotKey, JSON.stringify(snapshots));
+    }
+
+    /**
+     * Read all stored snapshots
+     * @returns {Array} Array of snapshots (an unreadable entry is treated as empty)
+     */
+    readSnapshots() {
+        try {
+            const storedSnapshots = JSON.parse(localStorage.getItem(this.snapshotKey));
+            return Array.isArray(storedSnapshots) ? storedSnapshots : [];
+        } catch (error) {
+            console.warn("Could not read snapshots:", error);
+            return [];
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocalStorageAdapter;
+} else {
+    window.LocalStorageAdapter = LocalStorageAdapter;
+}
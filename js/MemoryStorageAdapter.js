@@ -0,0 +1,128 @@
+/**
+ * MemoryStorageAdapter - Keeps the workout payload and snapshots in memory only.
+ * Used by the shared link viewer, so viewing someone else's workouts never touches the stored data.
+ */
+class MemoryStorageAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.payload = null;
+        this.snapshots = new Map();
+        this.history = null;
+        this.syncState = null;
+    }
+
+    /**
+     * Memory storage is always available
+     * @returns {boolean} True
+     */
+    static isSupported() {
+        return true;
+    }
+
+    /**
+     * Prepare the adapter for use (nothing to open in memory)
+     */
+    async open() {
+        return this;
+    }
+
+    /**
+     * Load the payload
+     * @returns {Object|Array|null} A copy of the payload, or null if nothing was saved
+     */
+    async load() {
+        return this.payload === null ? null : JSON.parse(this.payload);
+    }
+
+    /**
+     * Save the complete payload
+     * @param {Object} payload - Object with version and data properties
+     */
+    async save(payload) {
+        this.payload = JSON.stringify(payload);
+    }
+
+    /**
+     * Remove the payload
+     */
+    async clear() {
+        this.payload = null;
+    }
+
+    /**
+     * Load the undo/redo history
+     * @returns {Object|null} A copy of the history, or null if none was saved
+     */
+    async loadHistory() {
+        return this.history === null ? null : JSON.parse(this.history);
+    }
+
+    /**
+     * Save the undo/redo history
+     * @param {Object} history - Object with undo and redo stacks
+     */
+    async saveHistory(history) {
+        this.history = JSON.stringify(history);
+    }
+
+    /**
+     * Load the sync state
+     * @returns {Object|null} A copy of the sync state, or null if none was saved
+     */
+    async loadSyncState() {
+        return this.syncState === null ? null : JSON.parse(this.syncState);
+    }
+
+    /**
+     * Save the sync state
+     * @param {Object} state - Sync state with the queue of unsent changes
+     */
+    async saveSyncState(state) {
+        this.syncState = JSON.stringify(state);
+    }
+
+    /**
+     * Save a snapshot
+     * @param {Object} snapshot - Snapshot with id, metadata and data
+     */
+    async saveSnapshot(snapshot) {
+        this.snapshots.set(snapshot.id, JSON.stringify(snapshot));
+    }
+
+    /**
+     * List snapshots without their data, newest first
+     * @returns {Array} Array of snapshot metadata
+     */
+    async listSnapshots() {
+        return Array.from(this.snapshots.values())
+            .map(json => {
+                const { data, ...metadata } = JSON.parse(json);
+                return metadata;
+            })
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    /**
+     * Load a snapshot including its data
+     * @param {string} id - Snapshot ID
+     * @returns {Object|null} The snapshot, or null if it does not exist
+     */
+    async loadSnapshot(id) {
+        return this.snapshots.has(id) ? JSON.parse(this.snapshots.get(id)) : null;
+    }
+
+    /**
+     * Delete a snapshot
+     * @param {string} id - Snapshot ID
+     */
+    async deleteSnapshot(id) {
+        this.snapshots.delete(id);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemoryStorageAdapter;
+} else {
+    window.MemoryStorageAdapter = MemoryStorageAdapter;
+}
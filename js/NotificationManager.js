@@ -20,27 +20,30 @@ class NotificationManager {
      * Show success message to the user
      * @param {string} message - Success message to display
      * @param {number} duration - Duration in milliseconds (optional)
+     * @param {Object} action - Optional action button ({label, onClick})
      */
-    showSuccess(message, duration = this.defaultDuration) {
-        this.showMessage(message, 'success', duration);
+    showSuccess(message, duration = this.defaultDuration, action = null) {
+        this.showMessage(message, 'success', duration, action);
     }
 
     /**
      * Show warning message to the user
      * @param {string} message - Warning message to display
      * @param {number} duration - Duration in milliseconds (optional)
+     * @param {Object} action - Optional action button ({label, onClick})
      */
-    showWarning(message, duration = this.defaultDuration) {
-        this.showMessage(message, 'warning', duration);
+    showWarning(message, duration = this.defaultDuration, action = null) {
+        this.showMessage(message, 'warning', duration, action);
     }
 
     /**
      * Show info message to the user
      * @param {string} message - Info message to display
      * @param {number} duration - Duration in milliseconds (optional)
+     * @param {Object} action - Optional action button ({label, onClick})
      */
-    showInfo(message, duration = this.defaultDuration) {
-        this.showMessage(message, 'info', duration);
+    showInfo(message, duration = this.defaultDuration, action = null) {
+        this.showMessage(message, 'info', duration, action);
     }
 
     /**
@@ -48,8 +51,9 @@ class NotificationManager {
      * @param {string} message - Message to display
      * @param {string} type - Type of message ('error', 'success', 'warning', 'info')
      * @param {number} duration - Duration in milliseconds
+     * @param {Object} action - Optional action button ({label, onClick}) shown in the message
      */
-    showMessage(message, type = 'info', duration = this.defaultDuration) {
+    showMessage(message, type = 'info', duration = this.defaultDuration, action = null) {
         // Remove existing alert if present
         this.clearExistingAlert();
 
@@ -87,6 +91,31 @@ class NotificationManager {
         closeButton.addEventListener('click', () => this.removeAlert(alertDiv));
         alertDiv.appendChild(closeButton);
 
+        // Add action button (e.g. "Undo")
+        if (action && action.label && typeof action.onClick === 'function') {
+            const actionButton = document.createElement('button');
+            actionButton.type = 'button';
+            actionButton.className = 'alert-action';
+            actionButton.textContent = action.label;
+            actionButton.style.cssText = `
+                display: block;
+                margin-top: 8px;
+                padding: 4px 12px;
+                background: transparent;
+                color: white;
+                border: 1px solid white;
+                border-radius: 3px;
+                cursor: pointer;
+                font-size: 13px;
+                font-weight: bold;
+            `;
+            actionButton.addEventListener('click', () => {
+                this.removeAlert(alertDiv);
+                action.onClick();
+            });
+            alertDiv.appendChild(actionButton);
+        }
+
         // Add to document
         document.body.appendChild(alertDiv);
         this.alertContainer = alertDiv;
@@ -153,6 +182,33 @@ class NotificationManager {
         }
     }
 
+    /**
+     * Create a modal dialog overlay
+     * @param {string} contentHtml - HTML content of the dialog
+     * @param {Object} options - { maxWidth, onClose }
+     * @returns {Object} Object with the modal and dialog elements and a close function
+     */
+    createModal(contentHtml, { maxWidth = '500px', onClose } = {}) {
+        const modal = document.createElement('div');
+        modal.style.cssText = `
+            position: fixed; top: 0; left: 0; right: 0; bottom: 0; width: 100%; height: 100%;
+            background: rgba(0,0,0,0.5); display: flex; align-items: center;
+            justify-content: center; z-index: 10000; padding: 10px; box-sizing: border-box;`;
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = `background: white; padding: 20px; border-radius: 8px; width: 100%; max-width: ${maxWidth}; box-shadow: 0 4px 12px rgba(0,0,0,0.25);`;
+        dialog.innerHTML = contentHtml;
+        modal.appendChild(dialog);
+        document.body.appendChild(modal);
+
+        const close = () => {
+            modal.remove();
+            if (onClose) onClose();
+        };
+
+        return { modal, dialog, close };
+    }
+
     /**
      * Show loading message
      * @param {string} message - Loading message
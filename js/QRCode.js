@@ -0,0 +1,1023 @@
+// QRCode - Encodes text as a QR code symbol (byte mode, versions 1-40), drawn by the caller, and reads QR codes
+// from image pixels (no DOM access)
+(function (global) {
+    'use strict';
+
+    // Error correction levels with their format bits (ISO/IEC 18004, table 25)
+    const EC_LEVELS = {
+        L: { index: 0, formatBits: 1 },
+        M: { index: 1, formatBits: 0 },
+        Q: { index: 2, formatBits: 3 },
+        H: { index: 3, formatBits: 2 }
+    };
+
+    // Error correction codewords per block, by level (L, M, Q, H) and version (index 0 unused)
+    const ECC_CODEWORDS_PER_BLOCK = [
+        [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    ];
+
+    // Error correction blocks, by level (L, M, Q, H) and version (index 0 unused)
+    const ECC_BLOCKS = [
+        [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    ];
+
+    const MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+
+    function getBit(value, index) {
+        return ((value >>> index) & 1) !== 0;
+    }
+
+    function getLevel(ecLevel) {
+        const level = EC_LEVELS[ecLevel];
+        if (!level) {
+            throw new Error(`Unknown QR error correction level: ${ecLevel}`);
+        }
+        return level;
+    }
+
+    // Modules available for data and error correction codewords, after the function patterns
+    function getRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignmentCount = Math.floor(version / 7) + 2;
+            result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    function getDataCodewords(version, level) {
+        return Math.floor(getRawDataModules(version) / 8) -
+            ECC_CODEWORDS_PER_BLOCK[level.index][version] * ECC_BLOCKS[level.index][version];
+    }
+
+    /**
+     * Get how many bytes of text fit in a QR code
+     * @param {number} version - QR version (1-40)
+     * @param {string} ecLevel - Error correction level: 'L', 'M', 'Q' or 'H'
+     * @returns {number} Capacity in bytes (UTF-8)
+     */
+    function getByteCapacity(version, ecLevel = 'M') {
+        const countBits = version <= 9 ? 8 : 16;
+        return Math.floor((getDataCodewords(version, getLevel(ecLevel)) * 8 - 4 - countBits) / 8);
+    }
+
+    // ---------- Reed-Solomon error correction over GF(2^8), polynomial 0x11D ----------
+    function multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    function getDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = multiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = multiply(root, 0x02);
+        }
+        return result;
+    }
+
+    function getRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => { result[i] ^= multiply(coefficient, factor); });
+        });
+        return result;
+    }
+
+    // Splits the data codewords into blocks, adds error correction to each and interleaves them
+    function addErrorCorrection(data, version, level) {
+        const blockCount = ECC_BLOCKS[level.index][version];
+        const eccLength = ECC_CODEWORDS_PER_BLOCK[level.index][version];
+        const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+        const shortBlockCount = blockCount - rawCodewords % blockCount;
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+        const divisor = getDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, position = 0; i < blockCount; i++) {
+            const blockData = data.slice(position, position + shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1));
+            position += blockData.length;
+            const ecc = getRemainder(blockData, divisor);
+            if (i < shortBlockCount) blockData.push(0);
+            blocks.push(blockData.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Short blocks have a placeholder at the end of their data
+                if (i !== shortBlockLength - eccLength || j >= shortBlockCount) result.push(block[i]);
+            });
+        }
+        return result;
+    }
+
+    // ---------- Symbol layout ----------
+    class QRSymbol {
+        constructor(version, level) {
+            this.version = version;
+            this.level = level;
+            this.size = version * 4 + 17;
+            this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+            this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        }
+
+        setFunction(x, y, dark) {
+            this.modules[y][x] = dark;
+            this.isFunction[y][x] = true;
+        }
+
+        getAlignmentPositions() {
+            if (this.version === 1) return [];
+            const count = Math.floor(this.version / 7) + 2;
+            const step = this.version === 32 ? 26 : Math.ceil((this.version * 4 + 4) / (count * 2 - 2)) * 2;
+            const result = [6];
+            for (let position = this.size - 7; result.length < count; position -= step) {
+                result.splice(1, 0, position);
+            }
+            return result;
+        }
+
+        drawFunctionPatterns() {
+            for (let i = 0; i < this.size; i++) {
+                this.setFunction(6, i, i % 2 === 0);
+                this.setFunction(i, 6, i % 2 === 0);
+            }
+            this.drawFinder(3, 3);
+            this.drawFinder(this.size - 4, 3);
+            this.drawFinder(3, this.size - 4);
+
+            const positions = this.getAlignmentPositions();
+            const last = positions.length - 1;
+            positions.forEach((x, i) => positions.forEach((y, j) => {
+                // No alignment patterns on the finder patterns
+                if (!((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0))) {
+                    this.drawAlignment(x, y);
+                }
+            }));
+
+            this.drawFormatBits(0); // Reserves the area; drawn again with the chosen mask
+            this.drawVersion();
+        }
+
+        drawFinder(centerX, centerY) {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = centerX + dx;
+                    const y = centerY + dy;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < this.size && y >= 0 && y < this.size) {
+                        this.setFunction(x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        }
+
+        drawAlignment(centerX, centerY) {
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    this.setFunction(centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }
+
+        drawFormatBits(mask) {
+            const data = (this.level.formatBits << 3) | mask;
+            let remainder = data;
+            for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+            const bits = ((data << 10) | remainder) ^ 0x5412;
+
+            // First copy, around the top left finder pattern
+            for (let i = 0; i <= 5; i++) this.setFunction(8, i, getBit(bits, i));
+            this.setFunction(8, 7, getBit(bits, 6));
+            this.setFunction(8, 8, getBit(bits, 7));
+            this.setFunction(7, 8, getBit(bits, 8));
+            for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, getBit(bits, i));
+
+            // Second copy, split between the other two finder patterns
+            for (let i = 0; i < 8; i++) this.setFunction(this.size - 1 - i, 8, getBit(bits, i));
+            for (let i = 8; i < 15; i++) this.setFunction(8, this.size - 15 + i, getBit(bits, i));
+            this.setFunction(8, this.size - 8, true); // Always dark
+        }
+
+        drawVersion() {
+            if (this.version < 7) return;
+            let remainder = this.version;
+            for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            const bits = (this.version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const a = this.size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                this.setFunction(a, b, getBit(bits, i));
+                this.setFunction(b, a, getBit(bits, i));
+            }
+        }
+
+        // Fills the codeword bits in the zigzag order of two-module columns, right to left
+        drawCodewords(codewords) {
+            let bit = 0;
+            for (let right = this.size - 1; right >= 1; right -= 2) {
+                if (right === 6) right = 5; // Skip the vertical timing pattern
+                for (let vertical = 0; vertical < this.size; vertical++) {
+                    for (let j = 0; j < 2; j++) {
+                        const x = right - j;
+                        const upward = ((right + 1) & 2) === 0;
+                        const y = upward ? this.size - 1 - vertical : vertical;
+                        if (!this.isFunction[y][x] && bit < codewords.length * 8) {
+                            this.modules[y][x] = getBit(codewords[bit >>> 3], 7 - (bit & 7));
+                            bit++;
+                        }
+                    }
+                }
+            }
+        }
+
+        applyMask(mask) {
+            for (let y = 0; y < this.size; y++) {
+                for (let x = 0; x < this.size; x++) {
+                    if (!this.isFunction[y][x] && MASKS[mask](x, y)) {
+                        this.modules[y][x] = !this.modules[y][x];
+                    }
+                }
+            }
+        }
+
+        // Penalty score of the current modules (ISO/IEC 18004, 7.8.3); the mask with the lowest one is used
+        getPenalty() {
+            const size = this.size;
+            const finderLike = [true, false, true, true, true, false, true, false, false, false, false];
+            let penalty = 0;
+            let dark = 0;
+
+            const scoreLine = line => {
+                let run = 1;
+                for (let i = 1; i <= size; i++) {
+                    if (i < size && line[i] === line[i - 1]) {
+                        run++;
+                    } else {
+                        if (run >= 5) penalty += run - 2;
+                        run = 1;
+                    }
+                }
+                for (let i = 0; i + finderLike.length <= size; i++) {
+                    const forward = finderLike.every((value, k) => line[i + k] === value);
+                    const backward = finderLike.every((value, k) => line[i + finderLike.length - 1 - k] === value);
+                    if (forward || backward) penalty += 40;
+                }
+            };
+
+            for (let y = 0; y < size; y++) {
+                scoreLine(this.modules[y]);
+                scoreLine(this.modules.map(row => row[y]));
+                for (let x = 0; x < size; x++) {
+                    if (this.modules[y][x]) dark++;
+                    if (x + 1 < size && y + 1 < size) {
+                        const color = this.modules[y][x];
+                        if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] &&
+                            color === this.modules[y + 1][x + 1]) {
+                            penalty += 3;
+                        }
+                    }
+                }
+            }
+
+            const total = size * size;
+            penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+            return penalty;
+        }
+    }
+
+    /**
+     * Encode text as a QR code, using the smallest version it fits in
+     * @param {string} text - Text to encode (as UTF-8 bytes)
+     * @param {Object} options - { ecLevel: 'L', 'M', 'Q' or 'H', maxVersion: largest version to use (1-40) }
+     * @returns {Object} { version, size, modules: rows of booleans (true is dark), without the quiet zone }
+     */
+    function encode(text, { ecLevel = 'M', maxVersion = 40 } = {}) {
+        const level = getLevel(ecLevel);
+        const bytes = BinaryUtils.utf8Encode(text);
+
+        let version = 1;
+        while (getByteCapacity(version, ecLevel) < bytes.length) {
+            if (version >= maxVersion) {
+                throw new Error(`Text is too long for a QR code (${bytes.length} bytes)`);
+            }
+            version++;
+        }
+
+        // Byte mode segment, terminator and pad bytes
+        const bits = [];
+        const appendBits = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        appendBits(0x4, 4);
+        appendBits(bytes.length, version <= 9 ? 8 : 16);
+        bytes.forEach(byte => appendBits(byte, 8));
+        const capacityBits = getDataCodewords(version, level) * 8;
+        appendBits(0, Math.min(4, capacityBits - bits.length));
+        appendBits(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            appendBits(pad, 8);
+        }
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+
+        const symbol = new QRSymbol(version, level);
+        symbol.drawFunctionPatterns();
+        symbol.drawCodewords(addErrorCorrection(data, version, level));
+
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < MASKS.length; mask++) {
+            symbol.applyMask(mask);
+            symbol.drawFormatBits(mask);
+            const penalty = symbol.getPenalty();
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            symbol.applyMask(mask); // Masking twice restores the modules
+        }
+        symbol.applyMask(bestMask);
+        symbol.drawFormatBits(bestMask);
+
+        return { version, size: symbol.size, modules: symbol.modules };
+    }
+
+    // ---------- Decoding ----------
+    // Reads QR codes from camera frames and uploaded images where the browser has no BarcodeDetector
+
+    // Exponent and logarithm tables of GF(2^8) for Reed-Solomon decoding
+    const EXP = new Array(512);
+    const LOG = new Array(256);
+    for (let i = 0, x = 1; i < 255; i++, x = multiply(x, 0x02)) {
+        EXP[i] = x;
+        LOG[x] = i;
+    }
+    for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+
+    function gfMultiply(x, y) {
+        return x === 0 || y === 0 ? 0 : EXP[LOG[x] + LOG[y]];
+    }
+
+    function gfDivide(x, y) {
+        return x === 0 ? 0 : EXP[LOG[x] + 255 - LOG[y]];
+    }
+
+    // Evaluates a polynomial given lowest degree first
+    function evaluate(poly, x) {
+        let result = 0;
+        for (let i = poly.length - 1; i >= 0; i--) result = gfMultiply(result, x) ^ poly[i];
+        return result;
+    }
+
+    /**
+     * Correct the errors of a block in place (Berlekamp-Massey and Forney)
+     * @param {Array} block - Data codewords followed by eccLength error correction codewords
+     * @param {number} eccLength - Number of error correction codewords
+     * @returns {boolean} False if the block has more errors than can be corrected
+     */
+    function correctErrors(block, eccLength) {
+        // The generator has the roots 2^0 .. 2^(eccLength - 1); block[0] is the highest degree coefficient
+        const syndromes = [];
+        for (let j = 0; j < eccLength; j++) {
+            const root = EXP[j];
+            syndromes.push(block.reduce((sum, codeword) => gfMultiply(sum, root) ^ codeword, 0));
+        }
+        if (syndromes.every(syndrome => syndrome === 0)) return true;
+
+        let locator = [1];
+        let previous = [1];
+        let errorCount = 0;
+        let shift = 1;
+        let previousDiscrepancy = 1;
+        for (let n = 0; n < eccLength; n++) {
+            let discrepancy = syndromes[n];
+            for (let i = 1; i <= errorCount; i++) discrepancy ^= gfMultiply(locator[i] || 0, syndromes[n - i]);
+            if (discrepancy === 0) {
+                shift++;
+                continue;
+            }
+
+            const factor = gfDivide(discrepancy, previousDiscrepancy);
+            const updated = locator.slice();
+            previous.forEach((coefficient, i) => {
+                updated[i + shift] = (updated[i + shift] || 0) ^ gfMultiply(factor, coefficient);
+            });
+            if (2 * errorCount <= n) {
+                previous = locator;
+                errorCount = n + 1 - errorCount;
+                previousDiscrepancy = discrepancy;
+                shift = 1;
+            } else {
+                shift++;
+            }
+            locator = updated;
+        }
+        if (2 * errorCount > eccLength) return false;
+
+        // Error evaluator: syndromes times locator, modulo x^eccLength
+        const evaluator = new Array(eccLength).fill(0);
+        for (let i = 0; i < eccLength; i++) {
+            for (let j = 0; j <= i && j < locator.length; j++) evaluator[i] ^= gfMultiply(locator[j] || 0, syndromes[i - j]);
+        }
+        // Formal derivative: only the odd powers remain in GF(2^8)
+        const derivative = locator.slice(1).map((coefficient, i) => (i % 2 === 0 ? coefficient || 0 : 0));
+
+        let found = 0;
+        for (let index = 0; index < block.length; index++) {
+            const power = block.length - 1 - index;
+            const inverse = EXP[(255 - power) % 255];
+            if (evaluate(locator, inverse) !== 0) continue;
+            const magnitude = gfMultiply(EXP[power], gfDivide(evaluate(evaluator, inverse), evaluate(derivative, inverse)));
+            block[index] ^= magnitude;
+            found++;
+        }
+        return found === errorCount;
+    }
+
+    function getFormatBits(levelBits, mask) {
+        const data = (levelBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        return ((data << 10) | remainder) ^ 0x5412;
+    }
+
+    function getVersionBits(version) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        return (version << 12) | remainder;
+    }
+
+    function countBitDifferences(a, b) {
+        let difference = a ^ b;
+        let count = 0;
+        for (; difference; difference &= difference - 1) count++;
+        return count;
+    }
+
+    // Finds the valid code word closest to one of the read copies, allowing up to maxErrors wrong bits
+    function findClosest(candidates, copies, maxErrors) {
+        let best = null;
+        let bestDistance = maxErrors + 1;
+        candidates.forEach(candidate => copies.forEach(copy => {
+            const distance = countBitDifferences(candidate.bits, copy);
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }));
+        return best;
+    }
+
+    /**
+     * Read the version encoded in a sampled symbol (versions 7 and up)
+     * @param {Array} modules - Rows of booleans
+     * @returns {number|null} The version, or null if it cannot be read
+     */
+    function readVersion(modules) {
+        const size = modules.length;
+        let topRight = 0;
+        let bottomLeft = 0;
+        for (let i = 17; i >= 0; i--) {
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            topRight = (topRight << 1) | (modules[b][a] ? 1 : 0);
+            bottomLeft = (bottomLeft << 1) | (modules[a][b] ? 1 : 0);
+        }
+        const candidates = [];
+        for (let version = 7; version <= 40; version++) candidates.push({ version, bits: getVersionBits(version) });
+        const match = findClosest(candidates, [topRight, bottomLeft], 3);
+        return match ? match.version : null;
+    }
+
+    function readFormat(modules) {
+        const size = modules.length;
+        const bit = (x, y) => (modules[y][x] ? 1 : 0);
+        let first = 0;
+        let second = 0;
+        for (let i = 14; i >= 0; i--) {
+            let x;
+            let y;
+            if (i <= 5) [x, y] = [8, i];
+            else if (i === 6) [x, y] = [8, 7];
+            else if (i === 7) [x, y] = [8, 8];
+            else if (i === 8) [x, y] = [7, 8];
+            else [x, y] = [14 - i, 8];
+            first = (first << 1) | bit(x, y);
+            second = (second << 1) | (i < 8 ? bit(size - 1 - i, 8) : bit(8, size - 15 + i));
+        }
+
+        const candidates = [];
+        Object.values(EC_LEVELS).forEach(level => {
+            for (let mask = 0; mask < MASKS.length; mask++) {
+                candidates.push({ level, mask, bits: getFormatBits(level.formatBits, mask) });
+            }
+        });
+        return findClosest(candidates, [first, second], 3);
+    }
+
+    // Reverses the interleaving of addErrorCorrection and corrects each block
+    function readBlocks(codewords, version, level) {
+        const blockCount = ECC_BLOCKS[level.index][version];
+        const eccLength = ECC_CODEWORDS_PER_BLOCK[level.index][version];
+        const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+        const shortBlockCount = blockCount - rawCodewords % blockCount;
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+
+        const blocks = Array.from({ length: blockCount }, () => []);
+        let position = 0;
+        for (let i = 0; i <= shortBlockLength; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+                    block[i] = codewords[position++];
+                }
+            });
+        }
+
+        const data = [];
+        for (let j = 0; j < blockCount; j++) {
+            // Short blocks have a gap where the long ones have their last data codeword
+            const block = j < shortBlockCount
+                ? blocks[j].slice(0, shortBlockLength - eccLength).concat(blocks[j].slice(shortBlockLength - eccLength + 1))
+                : blocks[j];
+            if (!correctErrors(block, eccLength)) return null;
+            data.push(...block.slice(0, block.length - eccLength));
+        }
+        return data;
+    }
+
+    // Parses the numeric, alphanumeric and byte segments of the data codewords
+    function parseSegments(data, version) {
+        const ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+        const sizeClass = version <= 9 ? 0 : version <= 26 ? 1 : 2;
+        let position = 0;
+        const readBits = length => {
+            if (position + length > data.length * 8) throw new Error('QR code data ends unexpectedly');
+            let value = 0;
+            for (let i = 0; i < length; i++, position++) {
+                value = (value << 1) | ((data[position >>> 3] >>> (7 - (position & 7))) & 1);
+            }
+            return value;
+        };
+
+        const bytes = [];
+        const pushText = text => bytes.push(...BinaryUtils.utf8Encode(text));
+        while (position + 4 <= data.length * 8) {
+            const mode = readBits(4);
+            if (mode === 0x0) break;
+            if (mode === 0x7) {
+                readBits(8); // ECI designator; the text is read as UTF-8 anyway
+            } else if (mode === 0x4) {
+                const count = readBits([8, 16, 16][sizeClass]);
+                for (let i = 0; i < count; i++) bytes.push(readBits(8));
+            } else if (mode === 0x2) {
+                let count = readBits([9, 11, 13][sizeClass]);
+                for (; count >= 2; count -= 2) {
+                    const value = readBits(11);
+                    pushText(ALPHANUMERIC[Math.floor(value / 45)] + ALPHANUMERIC[value % 45]);
+                }
+                if (count === 1) pushText(ALPHANUMERIC[readBits(6)]);
+            } else if (mode === 0x1) {
+                let count = readBits([10, 12, 14][sizeClass]);
+                for (; count >= 3; count -= 3) pushText(String(readBits(10)).padStart(3, '0'));
+                if (count === 2) pushText(String(readBits(7)).padStart(2, '0'));
+                if (count === 1) pushText(String(readBits(4)));
+            } else {
+                throw new Error(`Unsupported QR code mode: ${mode}`);
+            }
+        }
+        return BinaryUtils.utf8Decode(new Uint8Array(bytes));
+    }
+
+    /**
+     * Decode a sampled QR code symbol
+     * @param {Array} modules - Rows of booleans (true is dark), without the quiet zone
+     * @returns {string|null} The text, or null if the symbol cannot be read
+     */
+    function decodeModules(modules) {
+        const size = modules.length;
+        const version = (size - 17) / 4;
+        if (!Number.isInteger(version) || version < 1 || version > 40) return null;
+
+        const format = readFormat(modules);
+        if (!format) return null;
+
+        // The function patterns tell which modules hold codewords
+        const symbol = new QRSymbol(version, format.level);
+        symbol.drawFunctionPatterns();
+        symbol.modules = modules.map(row => row.slice());
+        symbol.applyMask(format.mask);
+
+        const codewords = new Array(Math.floor(getRawDataModules(version) / 8)).fill(0);
+        let bit = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const y = ((right + 1) & 2) === 0 ? size - 1 - vertical : vertical;
+                    if (!symbol.isFunction[y][x] && bit < codewords.length * 8) {
+                        if (symbol.modules[y][x]) codewords[bit >>> 3] |= 0x80 >>> (bit & 7);
+                        bit++;
+                    }
+                }
+            }
+        }
+
+        const data = readBlocks(codewords, version, format.level);
+        if (!data) return null;
+        try {
+            return parseSegments(data, version);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // ---------- Locating a symbol in an image ----------
+
+    // Dark/light image with a threshold per 8x8 block, from the average of the surrounding 5x5 blocks
+    function binarize(imageData) {
+        const { width, height, data } = imageData;
+        const luminance = new Uint8Array(width * height);
+        for (let i = 0; i < width * height; i++) {
+            luminance[i] = (data[i * 4] * 77 + data[i * 4 + 1] * 150 + data[i * 4 + 2] * 29) >> 8;
+        }
+
+        const blockSize = 8;
+        const columns = Math.ceil(width / blockSize);
+        const rows = Math.ceil(height / blockSize);
+        const averages = new Float32Array(columns * rows);
+        for (let by = 0; by < rows; by++) {
+            for (let bx = 0; bx < columns; bx++) {
+                let sum = 0;
+                let count = 0;
+                let min = 255;
+                let max = 0;
+                for (let y = by * blockSize; y < Math.min(height, (by + 1) * blockSize); y++) {
+                    for (let x = bx * blockSize; x < Math.min(width, (bx + 1) * blockSize); x++) {
+                        const value = luminance[y * width + x];
+                        sum += value;
+                        count++;
+                        if (value < min) min = value;
+                        if (value > max) max = value;
+                    }
+                }
+                // A block without contrast is background; it counts as light unless a neighbour says otherwise
+                averages[by * columns + bx] = max - min > 24 ? sum / count : min / 2;
+            }
+        }
+
+        const dark = new Uint8Array(width * height);
+        for (let by = 0; by < rows; by++) {
+            for (let bx = 0; bx < columns; bx++) {
+                let sum = 0;
+                let count = 0;
+                for (let ny = Math.max(0, by - 2); ny <= Math.min(rows - 1, by + 2); ny++) {
+                    for (let nx = Math.max(0, bx - 2); nx <= Math.min(columns - 1, bx + 2); nx++) {
+                        sum += averages[ny * columns + nx];
+                        count++;
+                    }
+                }
+                const threshold = sum / count;
+                for (let y = by * blockSize; y < Math.min(height, (by + 1) * blockSize); y++) {
+                    for (let x = bx * blockSize; x < Math.min(width, (bx + 1) * blockSize); x++) {
+                        dark[y * width + x] = luminance[y * width + x] <= threshold ? 1 : 0;
+                    }
+                }
+            }
+        }
+        return { width, height, dark };
+    }
+
+    function isDark(image, x, y) {
+        return x >= 0 && y >= 0 && x < image.width && y < image.height && image.dark[y * image.width + x] === 1;
+    }
+
+    // Checks the 1:1:3:1:1 proportions of a finder pattern
+    function isFinderRatio(counts) {
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        if (total < 7 || counts.some(count => count === 0)) return false;
+        const moduleSize = total / 7;
+        const variance = moduleSize / 2;
+        return Math.abs(moduleSize - counts[0]) < variance && Math.abs(moduleSize - counts[1]) < variance &&
+            Math.abs(3 * moduleSize - counts[2]) < 3 * variance &&
+            Math.abs(moduleSize - counts[3]) < variance && Math.abs(moduleSize - counts[4]) < variance;
+    }
+
+    /**
+     * Measure the finder pattern through a point along one axis
+     * @returns {Object|null} { center: position of the center on that axis, total: width of the pattern }
+     */
+    function crossCheckFinder(image, x, y, dx, dy, maxCount) {
+        const dark = offset => isDark(image, x + dx * offset, y + dy * offset);
+        if (!dark(0)) return null;
+
+        let back = 0;
+        while (back <= 3 * maxCount && dark(-back - 1)) back++;
+        let backRing = 0;
+        while (backRing <= maxCount && !dark(-back - backRing - 1)) backRing++;
+        let backOuter = 0;
+        while (backOuter <= maxCount && dark(-back - backRing - backOuter - 1)) backOuter++;
+
+        let forward = 0;
+        while (forward <= 3 * maxCount && dark(forward + 1)) forward++;
+        let forwardRing = 0;
+        while (forwardRing <= maxCount && !dark(forward + forwardRing + 1)) forwardRing++;
+        let forwardOuter = 0;
+        while (forwardOuter <= maxCount && dark(forward + forwardRing + forwardOuter + 1)) forwardOuter++;
+
+        const counts = [backOuter, backRing, back + forward + 1, forwardRing, forwardOuter];
+        if (!isFinderRatio(counts)) return null;
+        return {
+            center: (dx ? x : y) + (forward - back) / 2 + 0.5,
+            total: counts.reduce((sum, count) => sum + count, 0)
+        };
+    }
+
+    // Scans the rows for the 1:1:3:1:1 runs of finder patterns and confirms them vertically and horizontally
+    function findFinderPatterns(image) {
+        const candidates = [];
+        const addCandidate = (counts, endX, y) => {
+            const total = counts.reduce((sum, count) => sum + count, 0);
+            const maxCount = Math.ceil(total / 7 * 1.5) + 1;
+            const vertical = crossCheckFinder(image, Math.floor(endX - counts[4] - counts[3] - counts[2] / 2), y, 0, 1, maxCount);
+            if (!vertical || 5 * Math.abs(vertical.total - total) >= 2 * total) return;
+            const horizontal = crossCheckFinder(image, Math.floor(endX - counts[4] - counts[3] - counts[2] / 2),
+                Math.floor(vertical.center), 1, 0, maxCount);
+            if (!horizontal) return;
+
+            const x = horizontal.center;
+            const centerY = vertical.center;
+            const moduleSize = (horizontal.total + vertical.total) / 14;
+            const existing = candidates.find(candidate =>
+                Math.abs(candidate.x - x) <= moduleSize && Math.abs(candidate.y - centerY) <= moduleSize &&
+                Math.abs(candidate.moduleSize - moduleSize) <= Math.max(1, moduleSize / 2));
+            if (existing) {
+                const count = existing.count + 1;
+                existing.x = (existing.x * existing.count + x) / count;
+                existing.y = (existing.y * existing.count + centerY) / count;
+                existing.moduleSize = (existing.moduleSize * existing.count + moduleSize) / count;
+                existing.count = count;
+            } else {
+                candidates.push({ x, y: centerY, moduleSize, count: 1 });
+            }
+        };
+
+        for (let y = 0; y < image.height; y++) {
+            let counts = [0, 0, 0, 0, 0];
+            let state = 0;
+            for (let x = 0; x <= image.width; x++) {
+                if (x < image.width && isDark(image, x, y)) {
+                    if (state === 1 || state === 3) state++;
+                    counts[state]++;
+                } else if (state === 4) {
+                    if (isFinderRatio(counts)) addCandidate(counts, x, y);
+                    counts = [counts[2], counts[3], counts[4], 1, 0];
+                    state = 3;
+                } else if (state === 0) {
+                    if (counts[0] > 0) {
+                        state = 1;
+                        counts[1]++;
+                    }
+                } else {
+                    if (state === 2) state = 3;
+                    counts[state]++;
+                }
+            }
+        }
+        return candidates;
+    }
+
+    /**
+     * Pick sets of three finder patterns that can be the corners of one symbol, most plausible first
+     * @returns {Array} Array of { topLeft, topRight, bottomLeft }
+     */
+    function chooseFinderPatterns(candidates) {
+        const patterns = candidates
+            .slice()
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 10);
+        const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+        const sets = [];
+        for (let i = 0; i < patterns.length; i++) {
+            for (let j = i + 1; j < patterns.length; j++) {
+                for (let k = j + 1; k < patterns.length; k++) {
+                    const three = [patterns[i], patterns[j], patterns[k]];
+                    const sizes = three.map(pattern => pattern.moduleSize);
+                    if (Math.max(...sizes) > 1.5 * Math.min(...sizes)) continue;
+
+                    // The top left pattern is opposite the longest side (the diagonal)
+                    const sides = [
+                        { corner: three[0], others: [three[1], three[2]], length: distance(three[1], three[2]) },
+                        { corner: three[1], others: [three[0], three[2]], length: distance(three[0], three[2]) },
+                        { corner: three[2], others: [three[0], three[1]], length: distance(three[0], three[1]) }
+                    ].sort((a, b) => b.length - a.length);
+                    const topLeft = sides[0].corner;
+                    let [topRight, bottomLeft] = sides[0].others;
+                    const a = distance(topLeft, topRight);
+                    const b = distance(topLeft, bottomLeft);
+                    const moduleSize = sizes.reduce((sum, size) => sum + size, 0) / 3;
+                    if (Math.min(a, b) < 7 * moduleSize) continue;
+
+                    // Right angle and equal sides, loosely, to allow for perspective
+                    const legs = Math.abs(a - b) / Math.max(a, b);
+                    const diagonal = Math.abs(sides[0].length - Math.hypot(a, b)) / sides[0].length;
+                    if (legs > 0.5 || diagonal > 0.25) continue;
+
+                    // With y pointing down, top right lies clockwise from bottom left
+                    const cross = (topRight.x - topLeft.x) * (bottomLeft.y - topLeft.y) -
+                        (topRight.y - topLeft.y) * (bottomLeft.x - topLeft.x);
+                    if (cross < 0) [topRight, bottomLeft] = [bottomLeft, topRight];
+                    sets.push({ topLeft, topRight, bottomLeft, moduleSize, score: legs + diagonal });
+                }
+            }
+        }
+        return sets.sort((a, b) => a.score - b.score);
+    }
+
+    // Looks for the bottom right alignment pattern (a dark module in a light ring in a dark ring) near a point
+    function findAlignmentPattern(image, estimateX, estimateY, moduleSize) {
+        const radius = Math.ceil(8 * moduleSize);
+        const fits = count => count >= moduleSize * 0.5 && count <= moduleSize * 1.5 + 1;
+        // Length of the run of one color through a point along one axis: [before, after]
+        const measure = (x, y, dx, dy, dark) => {
+            let before = 0;
+            let after = 0;
+            while (before <= 2 * moduleSize && isDark(image, x - dx * (before + 1), y - dy * (before + 1)) === dark) before++;
+            while (after <= 2 * moduleSize && isDark(image, x + dx * (after + 1), y + dy * (after + 1)) === dark) after++;
+            return [before, after];
+        };
+        // Checks center and light ring along one axis; returns the center on that axis
+        const check = (x, y, dx, dy) => {
+            if (!isDark(image, x, y)) return null;
+            const [back, forward] = measure(x, y, dx, dy, true);
+            if (!fits(back + forward + 1)) return null;
+            const [, ringAfter] = measure(x + dx * (forward + 1), y + dy * (forward + 1), dx, dy, false);
+            const [ringBefore] = measure(x - dx * (back + 1), y - dy * (back + 1), dx, dy, false);
+            if (!fits(ringAfter + 1) || !fits(ringBefore + 1)) return null;
+            return (dx ? x : y) + (forward - back) / 2 + 0.5;
+        };
+
+        let best = null;
+        const left = Math.max(0, Math.floor(estimateX - radius));
+        const right = Math.min(image.width - 1, Math.ceil(estimateX + radius));
+        const top = Math.max(0, Math.floor(estimateY - radius));
+        const bottom = Math.min(image.height - 1, Math.ceil(estimateY + radius));
+        for (let y = top; y <= bottom; y++) {
+            for (let x = left; x <= right; x++) {
+                if (!isDark(image, x, y) || isDark(image, x - 1, y)) continue; // Left end of a dark run
+                let end = x;
+                while (end + 1 <= right && isDark(image, end + 1, y)) end++;
+                const centerX = Math.floor((x + end) / 2);
+                const centerY = check(centerX, y, 0, 1);
+                if (centerY === null) continue;
+                const refinedX = check(centerX, Math.floor(centerY), 1, 0);
+                if (refinedX === null) continue;
+                const offset = Math.hypot(refinedX - estimateX, centerY - estimateY);
+                if (!best || offset < best.offset) best = { x: refinedX, y: centerY, offset };
+            }
+        }
+        return best;
+    }
+
+    // ---------- Perspective transform (maps the unit square to a quadrilateral, as 3x3 matrices) ----------
+    function squareToQuadrilateral([x0, y0, x1, y1, x2, y2, x3, y3]) {
+        const dx3 = x0 - x1 + x2 - x3;
+        const dy3 = y0 - y1 + y2 - y3;
+        if (Math.abs(dx3) < 1e-9 && Math.abs(dy3) < 1e-9) {
+            return [x1 - x0, x2 - x1, x0, y1 - y0, y2 - y1, y0, 0, 0, 1];
+        }
+        const dx1 = x1 - x2;
+        const dx2 = x3 - x2;
+        const dy1 = y1 - y2;
+        const dy2 = y3 - y2;
+        const denominator = dx1 * dy2 - dx2 * dy1;
+        const a13 = (dx3 * dy2 - dx2 * dy3) / denominator;
+        const a23 = (dx1 * dy3 - dx3 * dy1) / denominator;
+        return [x1 - x0 + a13 * x1, x3 - x0 + a23 * x3, x0, y1 - y0 + a13 * y1, y3 - y0 + a23 * y3, y0, a13, a23, 1];
+    }
+
+    function adjugate([a, b, c, d, e, f, g, h, i]) {
+        return [e * i - f * h, c * h - b * i, b * f - c * e, f * g - d * i, a * i - c * g, c * d - a * f,
+            d * h - e * g, b * g - a * h, a * e - b * d];
+    }
+
+    function multiplyMatrices(m, n) {
+        const result = new Array(9).fill(0);
+        for (let row = 0; row < 3; row++) {
+            for (let column = 0; column < 3; column++) {
+                for (let k = 0; k < 3; k++) result[row * 3 + column] += m[row * 3 + k] * n[k * 3 + column];
+            }
+        }
+        return result;
+    }
+
+    // Samples the modules of a symbol of the given size from the image
+    function sampleModules(image, set, size) {
+        const { topLeft, topRight, bottomLeft } = set;
+        // Affine estimate of a module position from the three finder patterns
+        const estimate = (column, row) => ({
+            x: topLeft.x + (topRight.x - topLeft.x) * (column - 3.5) / (size - 7) + (bottomLeft.x - topLeft.x) * (row - 3.5) / (size - 7),
+            y: topLeft.y + (topRight.y - topLeft.y) * (column - 3.5) / (size - 7) + (bottomLeft.y - topLeft.y) * (row - 3.5) / (size - 7)
+        });
+
+        let corner = { column: size - 3.5, row: size - 3.5, point: estimate(size - 3.5, size - 3.5) };
+        if (size > 21) {
+            const expected = estimate(size - 6.5, size - 6.5);
+            const alignment = findAlignmentPattern(image, expected.x, expected.y, set.moduleSize);
+            corner = { column: size - 6.5, row: size - 6.5, point: alignment || expected };
+        }
+
+        const source = squareToQuadrilateral([3.5, 3.5, size - 3.5, 3.5, corner.column, corner.row, 3.5, size - 3.5]);
+        const target = squareToQuadrilateral([topLeft.x, topLeft.y, topRight.x, topRight.y,
+            corner.point.x, corner.point.y, bottomLeft.x, bottomLeft.y]);
+        const transform = multiplyMatrices(target, adjugate(source));
+
+        return Array.from({ length: size }, (_, row) => Array.from({ length: size }, (__, column) => {
+            const x = column + 0.5;
+            const y = row + 0.5;
+            const w = transform[6] * x + transform[7] * y + transform[8];
+            const imageX = (transform[0] * x + transform[1] * y + transform[2]) / w;
+            const imageY = (transform[3] * x + transform[4] * y + transform[5]) / w;
+            return isDark(image, Math.floor(imageX), Math.floor(imageY));
+        }));
+    }
+
+    /**
+     * Find and decode a QR code in an image
+     * @param {Object} imageData - { width, height, data: RGBA bytes }, e.g. from CanvasRenderingContext2D.getImageData
+     * @returns {string|null} The text of the first QR code that could be read, or null
+     */
+    function decode(imageData) {
+        const image = binarize(imageData);
+        const sets = chooseFinderPatterns(findFinderPatterns(image)).slice(0, 5);
+
+        for (const set of sets) {
+            const { topLeft, topRight, bottomLeft } = set;
+            const span = (Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y) +
+                Math.hypot(bottomLeft.x - topLeft.x, bottomLeft.y - topLeft.y)) / 2;
+            // The finder patterns were measured along the image axes, which cut a rotated symbol at a slant
+            const angle = Math.atan2(topRight.y - topLeft.y, topRight.x - topLeft.x);
+            const moduleSize = set.moduleSize * Math.max(Math.abs(Math.cos(angle)), Math.abs(Math.sin(angle)));
+            const estimated = Math.round((Math.round(span / moduleSize) + 7 - 17) / 4) * 4 + 17;
+            const sizes = [estimated, estimated - 4, estimated + 4];
+
+            for (let i = 0; i < sizes.length; i++) {
+                const size = sizes[i];
+                if (size < 21 || size > 177) continue;
+                const modules = sampleModules(image, set, size);
+
+                // From version 7 on the symbol states its version, which corrects a wrong estimate
+                if (size >= 45) {
+                    const version = readVersion(modules);
+                    if (version && version * 4 + 17 !== size && !sizes.includes(version * 4 + 17)) {
+                        sizes.splice(i + 1, 0, version * 4 + 17);
+                    }
+                }
+
+                const text = decodeModules(modules);
+                if (text !== null) return text;
+            }
+        }
+        return null;
+    }
+
+    global.QRCode = {
+        encode,
+        decode,
+        getByteCapacity
+    };
+
+})(typeof window !== 'undefined' ? window : this);
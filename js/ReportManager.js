@@ -0,0 +1,385 @@
+/**
+ * ReportManager - Builds a printable training report for a date range and a selection of exercises:
+ * totals, volume tables per exercise, personal record progression, consistency and chart images.
+ * The report opens as a standalone page that can be printed or saved as PDF from the browser.
+ */
+class ReportManager {
+    constructor(dataManager, notificationManager, chartManager) {
+        this.dataManager = dataManager;
+        this.notificationManager = notificationManager;
+        this.chartManager = chartManager;
+        // Longer reports list months instead of weeks in the volume tables
+        this.maxWeeklyDays = 183;
+    }
+
+    /**
+     * Show the report options dialog and create the report
+     * @returns {Promise<boolean>} True if a report was created
+     */
+    async showReportOptions() {
+        const workouts = this.dataManager.getAllWorkouts();
+        if (workouts.length === 0) {
+            this.notificationManager.showInfo("No workout data for a report.");
+            return false;
+        }
+
+        const exercises = [...new Set(workouts.map(workout => workout.exercise))].sort();
+        const exerciseItems = exercises.map(exercise => `
+            <label style="display: block;">
+                <input type="checkbox" value="${DOMUtils.escapeHtml(exercise)}" checked>
+                ${DOMUtils.escapeHtml(exercise)}
+            </label>`).join('');
+
+        // Default to the last four weeks
+        const today = this.dataManager.getDayString(new Date());
+        const start = ChartDataUtils.getWorkoutDay({ dateString: today });
+        start.setDate(start.getDate() - 27);
+
+        return new Promise(resolve => {
+            let created = false;
+            const { dialog, close } = this.notificationManager.createModal(`
+                <h3>Training Report</h3>
+                <div class="csv-export-options" style="text-align: left; max-height: 60vh; overflow-y: auto; margin-bottom: 15px;">
+                    <div class="setting-row">
+                        <label for="report-from">From</label>
+                        <input type="date" id="report-from" value="${ChartDataUtils.createShortFormattedDate(start)}">
+                    </div>
+                    <div class="setting-row">
+                        <label for="report-to">To</label>
+                        <input type="date" id="report-to" value="${today}">
+                    </div>
+                    <p class="setting-hint">Leave a date empty to include all workouts before or after the other one.</p>
+                    <p><strong>Exercises</strong></p>
+                    <div class="report-exercises">${exerciseItems}</div>
+                </div>
+                <p>Use your browser's print dialog to print the report or save it as PDF.</p>
+                <button id="report-open" class="modal-btn btn-green mr-10">Open Report</button>
+                <button id="report-download" class="modal-btn btn-blue mr-10">Download HTML</button>
+                <button id="report-cancel" class="modal-btn btn-grey">Cancel</button>
+            `, { maxWidth: '500px', onClose: () => resolve(created) });
+
+            const create = download => {
+                const options = {
+                    from: dialog.querySelector('#report-from').value,
+                    to: dialog.querySelector('#report-to').value,
+                    excludedExercises: Array.from(dialog.querySelectorAll('.report-exercises input'))
+                        .filter(input => !input.checked)
+                        .map(input => input.value)
+                };
+                if (options.from && options.to && options.from > options.to) {
+                    this.notificationManager.showWarning("The start date must be before the end date.");
+                    return;
+                }
+                created = this.createReport(options, download);
+                if (created) {
+                    close();
+                }
+            };
+
+            dialog.querySelector('#report-open').addEventListener('click', () => create(false));
+            dialog.querySelector('#report-download').addEventListener('click', () => create(true));
+            dialog.querySelector('#report-cancel').addEventListener('click', close);
+        });
+    }
+
+    /**
+     * Create the report and open it in a new window, or download it as an HTML file
+     * @param {Object} options - { from, to: training days (YYYY-MM-DD, inclusive, empty for no limit), excludedExercises }
+     * @param {boolean} download - Download the report instead of opening it
+     * @returns {boolean} True if the report was created
+     */
+    createReport(options, download = false) {
+        try {
+            const report = this.prepareReportData(this.dataManager.getAllWorkouts(), options);
+            if (report.workouts.length === 0) {
+                this.notificationManager.showInfo("No workouts match the selected dates and exercises.");
+                return false;
+            }
+
+            report.charts = this.chartManager.createReportChartImages(report.workouts);
+            const html = this.renderReport(report);
+
+            if (!download) {
+                const reportWindow = window.open('', '_blank');
+                if (reportWindow) {
+                    reportWindow.document.open();
+                    reportWindow.document.write(html);
+                    reportWindow.document.close();
+                    return true;
+                }
+                // Pop-ups are blocked, so hand the report over as a file instead
+                this.notificationManager.showInfo("Your browser blocked the report window, so it was downloaded instead.");
+            }
+
+            this.downloadReport(html, report);
+            return true;
+
+        } catch (error) {
+            console.error("Error creating report:", error);
+            this.notificationManager.showError("Failed to create the report. Please try again.");
+            return false;
+        }
+    }
+
+    /**
+     * Compute everything the report shows except the charts
+     * @param {Array} allWorkouts - All workouts
+     * @param {Object} options - Report options (see createReport)
+     * @returns {Object} { from, to, workouts, totals, period, exercises: [{ exercise, rows, total }],
+     *   records: [{ date, exercise, record, value, previous }], consistency }
+     */
+    prepareReportData(allWorkouts, { from = '', to = '', excludedExercises = [] } = {}) {
+        const included = allWorkouts
+            .filter(workout => !excludedExercises.includes(workout.exercise))
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+        const workouts = included.filter(workout =>
+            (!from || workout.dateString >= from) && (!to || workout.dateString <= to));
+
+        const firstDay = from || (workouts.length > 0 ? workouts[0].dateString : '');
+        const lastDay = to || (workouts.length > 0 ? workouts[workouts.length - 1].dateString : '');
+
+        const totals = {
+            workouts: workouts.length,
+            trainingDays: new Set(workouts.map(workout => workout.dateString)).size,
+            exercises: new Set(workouts.map(workout => workout.exercise)).size,
+            series: workouts.reduce((sum, workout) => sum + (workout.series || []).length, 0),
+            reps: workouts.reduce((sum, workout) => sum + workout.totalReps, 0),
+            volume: workouts.reduce((sum, workout) => sum + ChartDataUtils.getWorkoutVolume(workout), 0),
+            minutes: workouts.reduce((sum, workout) => sum + (workout.totalTime || 0), 0)
+        };
+
+        const days = firstDay && lastDay
+            ? Math.round((ChartDataUtils.getWorkoutDay({ dateString: lastDay }) - ChartDataUtils.getWorkoutDay({ dateString: firstDay })) / 86400000) + 1
+            : 0;
+        const period = days > this.maxWeeklyDays ? 'monthly' : 'weekly';
+
+        const exercises = [];
+        ChartDataUtils.summarizeByExercisePeriod(workouts, period).forEach(summary => {
+            let entry = exercises.find(item => item.exercise === summary.exercise);
+            if (!entry) {
+                entry = {
+                    exercise: summary.exercise,
+                    rows: [],
+                    total: { workouts: 0, series: 0, reps: 0, volume: 0, maxReps: 0, maxWeight: null }
+                };
+                exercises.push(entry);
+            }
+            entry.rows.push(summary);
+            entry.total.workouts += summary.workouts;
+            entry.total.series += summary.series;
+            entry.total.reps += summary.reps;
+            entry.total.volume += summary.volume;
+            entry.total.maxReps = Math.max(entry.total.maxReps, summary.maxReps);
+            if (summary.maxWeight !== null && (entry.total.maxWeight === null || summary.maxWeight > entry.total.maxWeight)) {
+                entry.total.maxWeight = summary.maxWeight;
+            }
+        });
+        exercises.sort((a, b) => a.exercise.localeCompare(b.exercise));
+
+        return {
+            from: firstDay,
+            to: lastDay,
+            workouts,
+            totals,
+            period,
+            exercises,
+            records: this.getRecordProgression(included, from, to),
+            consistency: this.chartManager.prepareConsistencyChartData(workouts).stats
+        };
+    }
+
+    /**
+     * List the personal records set in the date range. Workouts before the range set the bar,
+     * so only real records are listed.
+     * @param {Array} workouts - Workouts of the selected exercises, sorted by date
+     * @param {string} from - First training day, or empty
+     * @param {string} to - Last training day, or empty
+     * @returns {Array} Records in the order they were set: { date, exercise, record, value, previous }
+     */
+    getRecordProgression(workouts, from, to) {
+        const bests = {};
+        const records = [];
+
+        workouts.forEach(workout => {
+            if (to && workout.dateString > to) {
+                return;
+            }
+            const inRange = !from || workout.dateString >= from;
+            const best = bests[workout.exercise] || (bests[workout.exercise] = { reps: 0, weight: 0, workoutReps: 0 });
+            const update = (key, value, record, label) => {
+                if (value > best[key]) {
+                    if (inRange) {
+                        records.push({
+                            date: workout.dateString,
+                            exercise: workout.exercise,
+                            record: record,
+                            value: label(value),
+                            previous: best[key] > 0 ? label(best[key]) : ''
+                        });
+                    }
+                    best[key] = value;
+                }
+            };
+
+            const series = workout.series || [];
+            if (series.length > 0) {
+                update('reps', Math.max(...series.map(s => s.reps)), 'Most reps in a set', value => `${value} reps`);
+                const weights = series.filter(s => s.weight).map(s => s.weight);
+                if (weights.length > 0) {
+                    update('weight', Math.max(...weights), 'Heaviest weight', value => `${this.formatNumber(value)} kg`);
+                }
+            }
+            update('workoutReps', workout.totalReps, 'Most reps in a workout', value => `${value} reps`);
+        });
+
+        return records;
+    }
+
+    /**
+     * Render the report as a standalone HTML document
+     * @param {Object} report - Result of prepareReportData, with charts
+     * @returns {string} HTML document
+     */
+    renderReport(report) {
+        const { totals, consistency } = report;
+        const range = `${report.from || '...'} to ${report.to || '...'}`;
+        const stat = (label, value) => `<div class="stat"><div class="value">${value}</div><div class="label">${label}</div></div>`;
+        const periodLabel = report.period === 'monthly' ? 'Month' : 'Week';
+
+        const exerciseTables = report.exercises.map(({ exercise, rows, total }) => `
+            <section class="keep-together">
+                <h3>${DOMUtils.escapeHtml(exercise)}</h3>
+                <table>
+                    <thead><tr><th>${periodLabel}</th><th>Workouts</th><th>Series</th><th>Reps</th><th>Best Set</th><th>Max Weight (kg)</th><th>Volume (kg)</th></tr></thead>
+                    <tbody>
+                        ${rows.map(row => this.renderVolumeRow(DOMUtils.escapeHtml(row.period), row)).join('')}
+                    </tbody>
+                    <tfoot>${this.renderVolumeRow('Total', total)}</tfoot>
+                </table>
+            </section>`).join('');
+
+        const recordRows = report.records.map(record => `<tr>
+                <td>${record.date}</td>
+                <td>${DOMUtils.escapeHtml(record.exercise)}</td>
+                <td>${record.record}</td>
+                <td class="number">${record.value}</td>
+                <td class="number">${record.previous || '-'}</td>
+            </tr>`).join('');
+
+        const charts = (report.charts || []).map(chart => `
+            <figure class="keep-together">
+                <img src="${chart.image}" alt="${DOMUtils.escapeHtml(chart.title)}">
+            </figure>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Training Report ${range}</title>
+<style>
+    body { font-family: Montserrat, Arial, sans-serif; color: #374151; max-width: 900px; margin: 0 auto; padding: 24px; }
+    h1 { margin-bottom: 4px; }
+    h2 { border-bottom: 2px solid #3B82F6; padding-bottom: 4px; margin-top: 32px; }
+    .subtitle { color: #6b7280; margin-top: 0; }
+    .stats { display: flex; flex-wrap: wrap; gap: 12px; }
+    .stat { flex: 1 1 120px; background: #f5f5f5; border-radius: 4px; padding: 12px; text-align: center; }
+    .stat .value { font-size: 22px; font-weight: bold; }
+    .stat .label { font-size: 12px; color: #6b7280; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { padding: 4px 8px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+    th:not(:first-child), td.number { text-align: right; }
+    tfoot td { font-weight: bold; border-top: 2px solid #d1d5db; }
+    figure { margin: 16px 0; }
+    figure img { width: 100%; }
+    .toolbar { text-align: right; }
+    .toolbar button { padding: 8px 16px; font-size: 14px; cursor: pointer; }
+    @media print {
+        body { padding: 0; max-width: none; }
+        .toolbar { display: none; }
+        .keep-together, tr { break-inside: avoid; }
+        h2 { break-after: avoid; }
+    }
+</style>
+</head>
+<body>
+    <div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>
+    <h1>Training Report</h1>
+    <p class="subtitle">${range} &middot; created ${ChartDataUtils.createShortFormattedDate(new Date())} with WorkoutTrackr</p>
+
+    <h2>Totals</h2>
+    <div class="stats">
+        ${stat('Workouts', totals.workouts)}
+        ${stat('Training days', totals.trainingDays)}
+        ${stat('Exercises', totals.exercises)}
+        ${stat('Series', totals.series)}
+        ${stat('Reps', totals.reps)}
+        ${stat('Volume (kg)', this.formatNumber(totals.volume))}
+        ${stat('Time (min)', this.formatNumber(totals.minutes))}
+    </div>
+
+    <h2>Consistency</h2>
+    <div class="stats">
+        ${stat('Current streak (days)', consistency.currentStreak)}
+        ${stat('Longest streak (days)', consistency.longestStreak)}
+        ${stat('Average days per week', consistency.avgDaysPerWeek)}
+    </div>
+
+    <h2>Volume by Exercise</h2>
+    <p class="subtitle">Volume is reps &times; weight of the weighted series.</p>
+    ${exerciseTables}
+
+    <h2>Personal Records</h2>
+    ${recordRows ? `<table>
+        <thead><tr><th style="text-align: left;">Date</th><th style="text-align: left;">Exercise</th><th style="text-align: left;">Record</th><th>New</th><th>Previous</th></tr></thead>
+        <tbody>${recordRows}</tbody>
+    </table>` : '<p>No new personal records in this period.</p>'}
+
+    ${charts ? `<h2>Charts</h2>${charts}` : ''}
+</body>
+</html>`;
+    }
+
+    /**
+     * Render one row of a volume table
+     * @param {string} label - First cell (HTML)
+     * @param {Object} summary - { workouts, series, reps, maxReps, maxWeight, volume }
+     * @returns {string} HTML
+     */
+    renderVolumeRow(label, summary) {
+        return `<tr>
+            <td>${label}</td>
+            <td class="number">${summary.workouts}</td>
+            <td class="number">${summary.series}</td>
+            <td class="number">${summary.reps}</td>
+            <td class="number">${summary.maxReps || '-'}</td>
+            <td class="number">${summary.maxWeight !== null ? this.formatNumber(summary.maxWeight) : '-'}</td>
+            <td class="number">${summary.volume > 0 ? this.formatNumber(summary.volume) : '-'}</td>
+        </tr>`;
+    }
+
+    /**
+     * Download the report as an HTML file
+     * @param {string} html - Report document
+     * @param {Object} report - Report data, for the file name
+     */
+    downloadReport(html, report) {
+        const blob = new Blob([html], { type: 'text/html;charset=utf-8;' });
+        DOMUtils.downloadBlob(blob, `training_report_${report.from}_${report.to}.html`);
+    }
+
+    /**
+     * Format a number with at most one decimal
+     * @param {number} value - Number
+     * @returns {string} Formatted number
+     */
+    formatNumber(value) {
+        return String(Math.round(value * 10) / 10);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReportManager;
+} else {
+    window.ReportManager = ReportManager;
+}
@@ -0,0 +1,299 @@
+// ShareFormat - Compact binary encoding of share link payloads, deflated for C2 links (no DOM access)
+(function (global) {
+    'use strict';
+
+    const FORMAT_VERSION = 3; // 1: without times, time zones and bodyweight (null) weights; 2: without flags
+    const ID_NONE = 0;
+    const ID_UUID = 1;
+    const ID_TEXT = 2;
+    // Marks IDs packed by ShareManager.packId, so other IDs of the same length are never unpacked
+    const PACKED_ID_PREFIX = '~';
+    const DAY_MS = 86400000;
+
+    /**
+     * Appends unsigned varints (7 bits per byte, low bits first), zigzag varints (optionally null) and strings
+     * to a growing buffer.
+     * Arithmetic instead of bit operations keeps integers above 2^31 (timestamps) exact.
+     */
+    class ByteWriter {
+        constructor() {
+            this.bytes = new Uint8Array(256);
+            this.length = 0;
+        }
+
+        ensure(extra) {
+            if (this.length + extra > this.bytes.length) {
+                const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + extra));
+                grown.set(this.bytes.subarray(0, this.length));
+                this.bytes = grown;
+            }
+        }
+
+        byte(value) {
+            this.ensure(1);
+            this.bytes[this.length++] = value;
+        }
+
+        raw(bytes) {
+            this.ensure(bytes.length);
+            this.bytes.set(bytes, this.length);
+            this.length += bytes.length;
+        }
+
+        uint(value) {
+            if (!Number.isSafeInteger(value) || value < 0) {
+                throw new Error(`Cannot encode ${value} as an unsigned integer`);
+            }
+            while (value >= 0x80) {
+                this.byte((value % 0x80) + 0x80);
+                value = Math.floor(value / 0x80);
+            }
+            this.byte(value);
+        }
+
+        int(value) {
+            this.uint(value < 0 ? -value * 2 - 1 : value * 2);
+        }
+
+        optionalInt(value) {
+            this.uint(value === null ? 0 : (value < 0 ? -value * 2 - 1 : value * 2) + 1);
+        }
+
+        string(text) {
+            const bytes = BinaryUtils.utf8Encode(text);
+            this.uint(bytes.length);
+            this.raw(bytes);
+        }
+
+        toBytes() {
+            return this.bytes.slice(0, this.length);
+        }
+    }
+
+    /**
+     * Reads what ByteWriter wrote; throws on truncated data
+     */
+    class ByteReader {
+        constructor(bytes) {
+            this.bytes = bytes;
+            this.position = 0;
+        }
+
+        byte() {
+            if (this.position >= this.bytes.length) {
+                throw new Error('Share data is truncated');
+            }
+            return this.bytes[this.position++];
+        }
+
+        raw(length) {
+            if (this.position + length > this.bytes.length) {
+                throw new Error('Share data is truncated');
+            }
+            const bytes = this.bytes.subarray(this.position, this.position + length);
+            this.position += length;
+            return bytes;
+        }
+
+        uint() {
+            let value = 0;
+            let factor = 1;
+            let byte;
+            do {
+                byte = this.byte();
+                value += (byte % 0x80) * factor;
+                factor *= 0x80;
+            } while (byte >= 0x80);
+            return value;
+        }
+
+        int() {
+            const value = this.uint();
+            return value % 2 === 1 ? -(value + 1) / 2 : value / 2;
+        }
+
+        optionalInt() {
+            const value = this.uint();
+            if (value === 0) return null;
+            return value % 2 === 0 ? -value / 2 : (value - 1) / 2;
+        }
+
+        string() {
+            return BinaryUtils.utf8Decode(this.raw(this.uint()));
+        }
+    }
+
+    // IDs packed by ShareManager.packId (the prefix and 22 base64url characters for a UUID) are stored as
+    // their 16 bytes; all other IDs as text
+    function writeId(writer, id) {
+        if (!id) {
+            writer.byte(ID_NONE);
+            return;
+        }
+        if (new RegExp(`^${PACKED_ID_PREFIX}[A-Za-z0-9_-]{22}$`).test(id)) {
+            const bytes = BinaryUtils.fromBase64Url(id.slice(PACKED_ID_PREFIX.length));
+            if (PACKED_ID_PREFIX + BinaryUtils.toBase64Url(bytes) === id) {
+                writer.byte(ID_UUID);
+                writer.raw(bytes);
+                return;
+            }
+        }
+        writer.byte(ID_TEXT);
+        writer.string(String(id));
+    }
+
+    function readId(reader) {
+        const type = reader.byte();
+        if (type === ID_NONE) return '';
+        if (type === ID_UUID) return PACKED_ID_PREFIX + BinaryUtils.toBase64Url(reader.raw(16));
+        if (type === ID_TEXT) return reader.string();
+        throw new Error(`Unknown ID type ${type}`);
+    }
+
+    function toDayNumber(dateString) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(dateString || '');
+        if (!match) {
+            throw new Error(`Invalid workout date: ${dateString}`);
+        }
+        return Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) / DAY_MS;
+    }
+
+    /**
+     * Encode an optimized share object (see ShareManager.optimizeDataForCompression) as bytes.
+     * Exercise names and time zones are stored once in a string table, training days as the difference in
+     * days from the previous workout, start times in milliseconds from midnight UTC of the training day,
+     * series times in milliseconds after the previous series, and weights in grams (or null for bodyweight).
+     * Workout IDs are kept; series IDs are left out, because they are random bytes that deflate can't shrink
+     * (imported series get new IDs).
+     * @param {Object} optimized - { t, x: exercise types, p: original count of a partial share,
+     *   f: flags (see ShareManager.shareFlags), w: workouts }
+     * @returns {Uint8Array} Encoded bytes
+     */
+    function encode(optimized) {
+        const writer = new ByteWriter();
+        const strings = [];
+        const stringIndex = new Map();
+        const indexOf = text => {
+            if (!stringIndex.has(text)) {
+                stringIndex.set(text, strings.length);
+                strings.push(text);
+            }
+            return stringIndex.get(text);
+        };
+        const types = (optimized.x || []).map(indexOf);
+        const workouts = optimized.w.map(([dateString, exercise, series, id, start, timeZone]) => ({
+            day: toDayNumber(dateString),
+            exercise: indexOf(String(exercise)),
+            series: series || [],
+            id,
+            start: typeof start === 'number' ? start : null,
+            timeZone: timeZone ? indexOf(timeZone) + 1 : 0
+        }));
+
+        const time = Date.parse(optimized.t);
+        writer.uint(FORMAT_VERSION);
+        writer.uint(Number.isNaN(time) ? 0 : time + 1);
+        writer.uint(optimized.p || 0);
+        writer.uint(optimized.f || 0);
+        writer.uint(strings.length);
+        strings.forEach(text => writer.string(text));
+        writer.uint(types.length);
+        types.forEach(index => writer.uint(index));
+
+        writer.uint(workouts.length);
+        let previousDay = 0;
+        workouts.forEach(workout => {
+            writer.int(workout.day - previousDay);
+            previousDay = workout.day;
+            writer.uint(workout.exercise);
+            writeId(writer, workout.id);
+            writer.uint(workout.timeZone);
+            writer.optionalInt(workout.start === null ? null : workout.start - workout.day * DAY_MS);
+            writer.uint(workout.series.length);
+            let previousOffset = 0;
+            workout.series.forEach(([reps, weight, , offset]) => {
+                writer.uint(Math.max(Math.round(reps) || 0, 0));
+                writer.optionalInt(typeof weight === 'number' ? Math.round(weight * 1000) : null);
+                writer.int((offset || 0) - previousOffset);
+                previousOffset = offset || 0;
+            });
+        });
+
+        return writer.toBytes();
+    }
+
+    /**
+     * Decode bytes written by encode back into an optimized share object
+     * @param {Uint8Array} bytes - Encoded bytes
+     * @returns {Object} { v, t, x, p, f, w }
+     */
+    function decode(bytes) {
+        const reader = new ByteReader(bytes);
+        const version = reader.uint();
+        if (version < 1 || version > FORMAT_VERSION) {
+            throw new Error(`Unsupported share format version ${version}`);
+        }
+
+        const time = reader.uint();
+        const originalCount = reader.uint();
+        const flags = version >= 3 ? reader.uint() : 0;
+        const strings = Array.from({ length: reader.uint() }, () => reader.string());
+        const stringAt = index => {
+            if (index >= strings.length) throw new Error('Share data is corrupted');
+            return strings[index];
+        };
+        const types = Array.from({ length: reader.uint() }, () => stringAt(reader.uint()));
+
+        const workoutCount = reader.uint();
+        const workouts = [];
+        let day = 0;
+        for (let i = 0; i < workoutCount; i++) {
+            day += reader.int();
+            const exercise = stringAt(reader.uint());
+            const id = readId(reader);
+            const dateString = new Date(day * DAY_MS).toISOString().split('T')[0];
+            if (version === 1) {
+                const series = Array.from({ length: reader.uint() }, () => {
+                    const reps = reader.uint();
+                    return [reps, reader.int() / 1000];
+                });
+                workouts.push([dateString, exercise, series, id]);
+                continue;
+            }
+
+            const timeZoneIndex = reader.uint();
+            const startOffset = reader.optionalInt();
+            let offset = 0;
+            const series = Array.from({ length: reader.uint() }, () => {
+                const reps = reader.uint();
+                const grams = reader.optionalInt();
+                offset += reader.int();
+                return [reps, grams === null ? null : grams / 1000, '', offset];
+            });
+            workouts.push([
+                dateString,
+                exercise,
+                series,
+                id,
+                startOffset === null ? null : day * DAY_MS + startOffset,
+                timeZoneIndex > 0 ? stringAt(timeZoneIndex - 1) : ''
+            ]);
+        }
+
+        return {
+            v: 1,
+            t: time > 0 ? new Date(time - 1).toISOString() : undefined,
+            x: types,
+            p: originalCount || undefined,
+            f: flags || undefined,
+            w: workouts
+        };
+    }
+
+    global.ShareFormat = {
+        encode,
+        decode,
+        packedIdPrefix: PACKED_ID_PREFIX
+    };
+
+})(typeof window !== 'undefined' ? window : this);
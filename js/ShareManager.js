@@ -1,10 +1,20 @@
 class ShareManager {
-    constructor(workoutDataManager, notificationManager, exerciseTypeManager) {
+    constructor(workoutDataManager, notificationManager, exerciseTypeManager, importManager = null, historyManager = null,
+        refreshCallback = null) {
         this.workoutDataManager = workoutDataManager;
         this.notificationManager = notificationManager;
         this.exerciseTypeManager = exerciseTypeManager;
+        this.importManager = importManager;
+        this.historyManager = historyManager;
+        this.refreshCallback = refreshCallback;
         this.maxUrlLength = 8192; // Conservative limit for server compatibility (8KB, 8192 characters)
-        this.checkForSharedData();
+        // What a selective share left out or changed, stored as bit flags in the link
+        this.shareFlags = { relativeDates: 1, withoutWeights: 2, withoutTimes: 4 };
+        // Relative dates start in the week of Monday, January 3, 2000
+        this.relativeDatesStart = '2000-01-03';
+        this.qrMaxVersion = 20; // Denser QR codes are hard to scan from a screen
+        this.qrFrameDuration = 800; // Milliseconds each part of a split link is shown
+        this.qrScanMaxSize = 1280; // Larger images and frames are scaled down before the bundled decoder reads them
     }
 
     // ---------- Small Utilities (kept private-ish) ----------
@@ -12,103 +22,189 @@ class ShareManager {
         return window.location.origin + window.location.pathname;
     }
 
-    createModal(contentHtml, { maxWidth = '500px', onClose } = {}) {
-        const modal = document.createElement('div');
-        modal.style.cssText = `
-            position: fixed; top: 0; left: 0; right: 0; bottom: 0; width: 100%; height: 100%;
-            background: rgba(0,0,0,0.5); display: flex; align-items: center;
-            justify-content: center; z-index: 10000; padding: 10px; box-sizing: border-box;`;
-
-        const dialog = document.createElement('div');
-        dialog.style.cssText = `background: white; padding: 20px; border-radius: 8px; width: 100%; max-width: ${maxWidth}; box-shadow: 0 4px 12px rgba(0,0,0,0.25);`;
-        dialog.innerHTML = contentHtml;
-        modal.appendChild(dialog);
-        document.body.appendChild(modal);
-
-        const close = () => {
-            modal.remove();
-            if (onClose) onClose();
-        };
-
-        return { modal, dialog, close };
-    }
-
     // Simple compression: pack with dictionaries & base64url encode
     compressOptimized(optimizedObj) {
         const dateMap = new Map();
         const exerciseMap = new Map();
         const dates = [];
         const exercises = [];
-        const packedWorkouts = optimizedObj.w.map(([date, exercise, series]) => {
+        const packedWorkouts = optimizedObj.w.map(([date, exercise, series, id, ...times]) => {
             if (!dateMap.has(date)) { dateMap.set(date, dates.length); dates.push(date); }
             if (!exerciseMap.has(exercise)) { exerciseMap.set(exercise, exercises.length); exercises.push(exercise); }
-            return [dateMap.get(date), exerciseMap.get(exercise), series];
+            return [dateMap.get(date), exerciseMap.get(exercise), series, id, ...times];
         });
         const packed = { v: 1, t: optimizedObj.t, d: dates, e: exercises, x: optimizedObj.x || [], w: packedWorkouts };
+        if (optimizedObj.p) packed.p = optimizedObj.p;
+        if (optimizedObj.f) packed.f = optimizedObj.f;
+        packed.m = 1; // IDs packed by packId are marked with ShareFormat.packedIdPrefix
         const json = JSON.stringify(packed);
         const b64 = btoa(json).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
         return 'C1' + b64; // prefix for format identification
     }
 
-    // Decompresses a compressed URL-safe string back into the optimized object (simpler contract)
-    decompressToOptimized(compressed) {
+    // Real compression: compact binary encoding (ShareFormat), raw deflate & base64url encode
+    async compressDeflated(optimizedObj) {
+        const deflated = await BinaryUtils.deflateRaw(ShareFormat.encode(optimizedObj));
+        return 'C2' + BinaryUtils.toBase64Url(deflated);
+    }
+
+    // Uses C2 where the browser can deflate, C1 otherwise
+    async compress(optimizedObj) {
+        return BinaryUtils.supportsDeflate() ? this.compressDeflated(optimizedObj) : this.compressOptimized(optimizedObj);
+    }
+
+    // Encrypted: E1 + base64url(encrypted format byte + the bytes behind the C1 or C2 base64url text)
+    async encryptCompressed(compressed, passphrase) {
+        const format = compressed.startsWith('C2') ? 2 : 1;
+        const payload = BinaryUtils.concatBytes([Uint8Array.of(format), BinaryUtils.fromBase64Url(compressed.slice(2))]);
+        return 'E1' + BinaryUtils.toBase64Url(await BinaryUtils.encryptBytes(payload, passphrase));
+    }
+
+    // Length encryptCompressed will return, computed without the slow key derivation
+    getEncryptedCompressedLength(compressed) {
+        const bytes = BinaryUtils.getEncryptedLength(1 + BinaryUtils.fromBase64Url(compressed.slice(2)).length);
+        return 2 + Math.ceil(bytes * 4 / 3);
+    }
+
+    // Decrypts an E1 string back into the C1 or C2 string; null if the passphrase is wrong or the link was changed
+    async decryptCompressed(encrypted, passphrase) {
+        if (!BinaryUtils.supportsEncryption()) throw new Error('This browser cannot open encrypted share links');
+        const payload = await BinaryUtils.decryptBytes(BinaryUtils.fromBase64Url(encrypted.slice(2)), passphrase);
+        if (payload === null) return null;
+        if (payload[0] !== 1 && payload[0] !== 2) throw new Error('Unsupported encrypted data');
+        return `C${payload[0]}` + BinaryUtils.toBase64Url(payload.subarray(1));
+    }
+
+    // Decompresses a compressed URL-safe string (C1 or C2) back into the optimized object (simpler contract)
+    async decompressToOptimized(compressed) {
+        if (compressed.startsWith('C2')) {
+            if (!BinaryUtils.supportsDeflate()) throw new Error('This browser cannot decompress C2 share links');
+            return ShareFormat.decode(await BinaryUtils.inflateRaw(BinaryUtils.fromBase64Url(compressed.slice(2))));
+        }
         if (!compressed.startsWith('C1')) throw new Error('Unsupported compressed data');
         let b64 = compressed.slice(2).replace(/-/g, '+').replace(/_/g, '/');
         while (b64.length % 4) b64 += '=';
         const json = atob(b64);
         const packed = JSON.parse(json);
         if (packed.v !== 1) throw new Error('Bad version');
+        // Older links did not mark packed IDs; every ID of 22 characters was a packed UUID then
+        const markId = id => (!packed.m && typeof id === 'string' && /^[A-Za-z0-9_-]{22}$/.test(id) ? ShareFormat.packedIdPrefix + id : id);
+        packed.w.forEach(workout => {
+            workout[3] = markId(workout[3]);
+            (workout[2] || []).forEach(series => {
+                if (Array.isArray(series)) series[2] = markId(series[2]);
+            });
+        });
         return {
             v: 1,
             t: packed.t,
             x: packed.x || [],
-            w: packed.w.map(([di, ei, series]) => [packed.d[di], packed.e[ei], series])
+            p: packed.p,
+            f: packed.f,
+            w: packed.w.map(([di, ei, series, id, ...times]) => [packed.d[di], packed.e[ei], series, id, ...times])
         };
     }
 
+    // UUIDs are packed as 22-char base64url strings to keep share URLs short, behind ShareFormat.packedIdPrefix
+    // so that other IDs pass through unchanged
+    packId(id) {
+        if (typeof id !== 'string' || !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
+            return id || '';
+        }
+        const hex = id.replace(/-/g, '');
+        let binary = '';
+        for (let i = 0; i < hex.length; i += 2) binary += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+        return ShareFormat.packedIdPrefix + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    unpackId(packed) {
+        const prefix = ShareFormat.packedIdPrefix;
+        if (typeof packed !== 'string' || packed.length !== prefix.length + 22 || !packed.startsWith(prefix)) {
+            return packed || undefined;
+        }
+        const binary = atob(packed.slice(prefix.length).replace(/-/g, '+').replace(/_/g, '/') + '==');
+        const hex = Array.from(binary, c => c.charCodeAt(0).toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
     // Build optimized transferable structure from internal workouts
     optimizeDataForCompression(shareData) {
-        // Internal workout: {date: Date, dateString, exercise, series:[{reps, weight, timestamp}], ...}
-        // Optimized: { v:1, t: timestamp, x: exerciseTypes, w: [ [dateString, exercise, [ [reps, weight], ... ] ] ... ] }
+        // Internal workout: {id, date: Date, dateString, timeZone, exercise, series:[{id, reps, weight, timestamp}], ...}
+        // Optimized: { v:1, t: timestamp, x: exerciseTypes, p: originalCount (partial shares only), f: shareFlags,
+        //             w: [ [dateString, exercise, [ [reps, weight|null, seriesId, msAfterStart], ... ], workoutId,
+        //                   startMs, timeZone ] ... ] }
+        const flags = Object.entries(this.shareFlags).reduce((sum, [name, flag]) => (shareData[name] ? sum | flag : sum), 0);
         const optimized = {
             v: 1,
             t: shareData.timestamp,
             x: shareData.exerciseTypes || [],
-            w: shareData.workouts.map(w => [
-                w.dateString || (w.date && new Date(w.date).toISOString().split('T')[0]),
-                w.exercise,
-                w.series.map(s => [s.reps, s.weight || 0])
-            ])
+            p: shareData.isPartial ? shareData.originalCount : undefined,
+            f: flags || undefined,
+            w: shareData.workouts.map(w => {
+                const times = shareData.withoutTimes ? w.series.map(() => NaN) : w.series.map(s => new Date(s.timestamp).getTime());
+                const validTimes = times.filter(time => !Number.isNaN(time));
+                const start = validTimes.length > 0 ? Math.min(...validTimes) : (shareData.withoutTimes ? NaN : new Date(w.date).getTime());
+                return [
+                    w.dateString || (w.date && new Date(w.date).toISOString().split('T')[0]),
+                    w.exercise,
+                    w.series.map((s, index) => [
+                        s.reps,
+                        typeof s.weight === 'number' ? s.weight : null,
+                        this.packId(s.id),
+                        Number.isNaN(times[index]) ? 0 : times[index] - start
+                    ]),
+                    this.packId(w.id),
+                    Number.isNaN(start) ? null : start,
+                    (!shareData.withoutTimes && w.timeZone) || ''
+                ];
+            })
         };
         return optimized;
     }
 
     restoreDataFromOptimized(optimized) {
         const workouts = [];
-        optimized.w.forEach(([dateStr, exercise, series]) => {
+        optimized.w.forEach(([dateStr, exercise, series, id, start, timeZone]) => {
             const iso = (dateStr || '').split('T')[0];
             const baseDate = new Date(iso + 'T00:00:00.000Z');
+            // Links without times (older formats) get series one minute apart from midnight UTC
+            const hasTimes = typeof start === 'number';
             const workout = {
-                date: baseDate,
+                id: this.unpackId(id),
+                date: hasTimes ? new Date(start).toISOString() : baseDate,
                 dateString: iso,
                 exercise,
                 series: [],
                 totalTime: 0,
                 totalReps: 0
             };
+            if (timeZone) workout.timeZone = timeZone;
             (series || []).forEach((arr, idx) => {
                 let reps = Array.isArray(arr) ? arr[0] : 0;
-                let weight = Array.isArray(arr) ? (arr[1] || 0) : 0;
+                let weight = Array.isArray(arr) ? arr[1] : 0;
                 if (typeof reps !== 'number' || Number.isNaN(reps)) reps = 0;
-                if (typeof weight !== 'number' || Number.isNaN(weight)) weight = 0;
-                const ts = new Date(baseDate.getTime() + idx * 60000);
-                workout.series.push({ reps, weight, timestamp: ts });
+                if (weight !== null && (typeof weight !== 'number' || Number.isNaN(weight))) weight = 0;
+                const ts = hasTimes
+                    ? new Date(start + (Array.isArray(arr) && typeof arr[3] === 'number' ? arr[3] : 0)).toISOString()
+                    : new Date(baseDate.getTime() + idx * 60000);
+                workout.series.push({ id: Array.isArray(arr) ? this.unpackId(arr[2]) : undefined, reps, weight, timestamp: ts });
                 workout.totalReps += reps;
             });
-            if (workout.series.length > 1) workout.totalTime = workout.series.length - 1;
+            if (workout.series.length > 1) {
+                const seriesTimes = workout.series.map(s => new Date(s.timestamp).getTime());
+                workout.totalTime = Math.round((Math.max(...seriesTimes) - Math.min(...seriesTimes)) / 60000);
+            }
             workouts.push(workout);
         });
-        return { timestamp: optimized.t, exerciseTypes: optimized.x || [], workouts };
+        const shareData = { timestamp: optimized.t, exerciseTypes: optimized.x || [], workouts };
+        if (optimized.p) {
+            shareData.isPartial = true;
+            shareData.originalCount = optimized.p;
+        }
+        Object.entries(this.shareFlags).forEach(([name, flag]) => {
+            if (optimized.f & flag) shareData[name] = true;
+        });
+        return shareData;
     }
 
     // Build raw share payload
@@ -121,12 +217,15 @@ class ShareManager {
         };
     }
 
-    // End-to-end compression pipeline returning stats + URL
-    generateCompressedLink(shareData) {
+    // End-to-end compression pipeline returning stats + URL; encrypted (E1) when a passphrase is given
+    async generateCompressedLink(shareData, passphrase = '') {
         const originalJson = JSON.stringify(shareData);
         const optimized = this.optimizeDataForCompression(shareData);
         const optimizedJson = JSON.stringify(optimized);
-        const compressed = this.compressOptimized(optimized);
+        let compressed = await this.compress(optimized);
+        if (passphrase) {
+            compressed = await this.encryptCompressed(compressed, passphrase);
+        }
         const baseUrl = this.getBaseUrl();
         const shareUrl = `${baseUrl}?c=${compressed}`;
         return {
@@ -137,6 +236,7 @@ class ShareManager {
                 originalSize: originalJson.length,
                 optimizedSize: optimizedJson.length,
                 compressedSize: compressed.length,
+                encrypted: Boolean(passphrase),
                 compressionRatio: ((originalJson.length - compressed.length) / originalJson.length * 100).toFixed(1)
             }
         };
@@ -147,77 +247,207 @@ class ShareManager {
     }
 
     async shareData() {
-        try {
-            const workouts = this.workoutDataManager.getAllWorkouts();
-            const exerciseTypes = this.exerciseTypeManager.getExerciseTypes();
-            const payload = this.buildSharePayload(workouts, exerciseTypes);
+        if (this.workoutDataManager.getAllWorkouts().length === 0) {
+            this.notificationManager.showInfo('No workout data to share.');
+            return false;
+        }
+        return this.showShareBuilder();
+    }
 
-            this.notificationManager.showInfo(
-                `Compressing ${workouts.length} workouts...`
-            );
+    // ---------- Share builder ----------
+    /**
+     * Show the share builder: choose the workouts and details to share, with a live estimate of the link length
+     * @returns {Promise<boolean>} True if a link was copied
+     */
+    showShareBuilder() {
+        const exercises = this.workoutDataManager.getUniqueExerciseTypes().sort();
+        const exerciseItems = exercises.map(exercise => `
+            <label style="display: block;">
+                <input type="checkbox" value="${DOMUtils.escapeHtml(exercise)}" checked>
+                ${DOMUtils.escapeHtml(exercise)}
+            </label>`).join('');
 
-            const { shareUrl, stats } = this.generateCompressedLink(payload);
-            this.logCompressionStats(stats, shareUrl);
+        return new Promise(resolve => {
+            let shared = false;
+            const { dialog, close } = this.notificationManager.createModal(`
+                <h3>Share Workouts</h3>
+                <div class="csv-export-options" style="text-align: left; max-height: 60vh; overflow-y: auto; margin-bottom: 15px;">
+                    <div class="setting-row">
+                        <label for="share-from">From</label>
+                        <input type="date" id="share-from">
+                    </div>
+                    <div class="setting-row">
+                        <label for="share-to">To</label>
+                        <input type="date" id="share-to">
+                    </div>
+                    <p class="setting-hint">Leave a date empty to share all workouts before or after the other one.</p>
+                    <p><strong>Exercises</strong></p>
+                    <div class="share-exercises">${exerciseItems}</div>
+                    <p><strong>Details</strong></p>
+                    <label style="display: block;"><input type="checkbox" id="share-weights" checked> Include weights</label>
+                    <label style="display: block;"><input type="checkbox" id="share-times" checked> Include times of day and time zone</label>
+                    <label style="display: block;"><input type="checkbox" id="share-relative"> Shift dates for privacy</label>
+                    <p class="setting-hint">Shifted dates start in the first week of January 2000; weekdays and the days between workouts are kept.</p>
+                    <div class="setting-row">
+                        <label for="share-passphrase">Passphrase</label>
+                        <input type="password" id="share-passphrase" autocomplete="new-password" placeholder="Optional">
+                    </div>
+                    <p class="setting-hint">${BinaryUtils.supportsEncryption()
+                        ? 'With a passphrase the link is encrypted and can only be opened with it. Send the passphrase separately from the link.'
+                        : 'Encrypted links need a secure (https) connection.'}</p>
+                </div>
+                <p id="share-estimate">Estimating link length...</p>
+                <button id="share-copy" class="modal-btn btn-green mr-10">Copy Link</button>
+                <button id="share-qr" class="modal-btn btn-blue mr-10">Show QR Code</button>
+                <button id="share-csv" class="modal-btn btn-blue mr-10">Download CSV Instead</button>
+                <button id="share-cancel" class="modal-btn btn-grey">Cancel</button>
+            `, { maxWidth: '500px', onClose: () => resolve(shared) });
 
-            if (shareUrl.length > this.maxUrlLength) {
-                this.handleLargeDataset(payload, stats.workouts, {
-                    original: stats.originalSize,
-                    compressed: stats.compressedSize,
-                    ratio: stats.compressionRatio
-                });
-                return;
-            }
+            const estimate = dialog.querySelector('#share-estimate');
+            const copyBtn = dialog.querySelector('#share-copy');
+            const qrBtn = dialog.querySelector('#share-qr');
+            const passphraseInput = dialog.querySelector('#share-passphrase');
+            passphraseInput.disabled = !BinaryUtils.supportsEncryption();
+            const readOptions = () => ({
+                from: dialog.querySelector('#share-from').value,
+                to: dialog.querySelector('#share-to').value,
+                excludedExercises: Array.from(dialog.querySelectorAll('.share-exercises input'))
+                    .filter(input => !input.checked)
+                    .map(input => input.value),
+                includeWeights: dialog.querySelector('#share-weights').checked,
+                includeTimes: dialog.querySelector('#share-times').checked,
+                relativeDates: dialog.querySelector('#share-relative').checked
+            });
 
-            await this.copyToClipboard(shareUrl);
-            this.notificationManager.showSuccess(
-                `Share link copied! Compressed ${stats.compressionRatio}% (${stats.workouts} workouts)`
-            );
-        } catch (error) {
-            this.notificationManager.showError('Error creating share link.');
-        }
+            // Only the latest estimate is shown; earlier ones may finish later
+            let estimateRun = 0;
+            const updateEstimate = async () => {
+                const run = ++estimateRun;
+                try {
+                    const payload = this.createSelectivePayload(readOptions());
+                    if (payload.workouts.length === 0) {
+                        estimate.textContent = 'No workouts match the selection.';
+                        estimate.style.color = '#c62828';
+                        copyBtn.disabled = true;
+                        qrBtn.disabled = true;
+                        return;
+                    }
+                    // The link is encrypted only when it is copied; deriving the key on every change would be too slow
+                    const { shareUrl, compressed } = await this.generateCompressedLink(payload);
+                    if (run !== estimateRun) return;
+                    const linkLength = passphraseInput.value
+                        ? shareUrl.length - compressed.length + this.getEncryptedCompressedLength(compressed)
+                        : shareUrl.length;
+                    const fits = linkLength <= this.maxUrlLength;
+                    estimate.textContent = `${payload.workouts.length} workout(s), link length ${linkLength.toLocaleString()} ` +
+                        `of ${this.maxUrlLength.toLocaleString()} characters` +
+                        (fits ? '' : '. Too long: choose fewer workouts or leave out details.');
+                    estimate.style.color = fits ? '' : '#c62828';
+                    copyBtn.disabled = !fits;
+                    qrBtn.disabled = !fits;
+                } catch (error) {
+                    console.error('Error estimating share link:', error);
+                    estimate.textContent = 'Could not estimate the link length.';
+                }
+            };
+            dialog.addEventListener('change', updateEstimate);
+            updateEstimate();
+
+            copyBtn.addEventListener('click', async () => {
+                try {
+                    const { shareUrl, stats } = await this.generateCompressedLink(
+                        this.createSelectivePayload(readOptions()), passphraseInput.value
+                    );
+                    if (shareUrl.length > this.maxUrlLength) {
+                        this.notificationManager.showWarning('The link is too long. Choose fewer workouts or leave out details.');
+                        return;
+                    }
+                    await this.copyToClipboard(shareUrl);
+                    this.notificationManager.showSuccess(stats.encrypted
+                        ? `Encrypted share link copied (${stats.workouts} workouts)! Send the passphrase separately.`
+                        : `Share link copied! Compressed ${stats.compressionRatio}% (${stats.workouts} workouts)`
+                    );
+                    shared = true;
+                    close();
+                } catch (error) {
+                    console.error('Error creating share link:', error);
+                    this.notificationManager.showError('Error creating share link.');
+                }
+            });
+            qrBtn.addEventListener('click', async () => {
+                try {
+                    const { shareUrl, compressed } = await this.generateCompressedLink(
+                        this.createSelectivePayload(readOptions()), passphraseInput.value
+                    );
+                    shared = true;
+                    close();
+                    this.showQRCode(shareUrl, compressed);
+                } catch (error) {
+                    console.error('Error creating share QR code:', error);
+                    this.notificationManager.showError('Error creating share QR code.');
+                }
+            });
+            dialog.querySelector('#share-csv').addEventListener('click', () => { this.downloadAsCSV(); close(); });
+            dialog.querySelector('#share-cancel').addEventListener('click', close);
+        });
     }
 
-    handleLargeDataset(shareData, workoutCount, compressionStats) {
-        const { dialog, close } = this.createModal(`
-            <h3>Dataset Too Large for URL</h3>
-            <div style="background: #f5f5f5; padding: 15px; border-radius: 4px; margin: 15px 0; text-align: left;">
-                <strong>Compression Results:</strong><br>
-                Original: ${(compressionStats.original / 1024).toFixed(1)}KB<br>
-                Compressed: ${(compressionStats.compressed / 1024).toFixed(1)}KB<br>
-                Saved: ${compressionStats.ratio}%<br>
-                Workouts: ${workoutCount}
-            </div>
-            <p>Choose an alternative sharing method:</p>
-            <div style="margin: 20px 0;">
-                <button id="share-recent" class="modal-btn modal-btn-narrow modal-btn-spaced btn-blue">Share Recent 100 Workouts</button>
-                <button id="share-csv" class="modal-btn modal-btn-narrow modal-btn-spaced btn-green">Download CSV Instead</button>
-            </div>
-            <button id="cancel-share" class="modal-btn btn-grey">Cancel</button>
-        `, { maxWidth: '500px' });
+    /**
+     * Build the share payload for the share builder options. Workouts are copied, so leaving out details
+     * never changes the stored data.
+     * @param {Object} options - { from, to: training days (YYYY-MM-DD, inclusive, empty for no limit), excludedExercises,
+     *   includeWeights, includeTimes, relativeDates }
+     * @returns {Object} Share payload
+     */
+    createSelectivePayload({ from = '', to = '', excludedExercises = [], includeWeights = true, includeTimes = true,
+        relativeDates = false } = {}) {
+        const allWorkouts = this.workoutDataManager.getAllWorkouts();
+        const selected = allWorkouts.filter(workout => !excludedExercises.includes(workout.exercise) &&
+            (!from || workout.dateString >= from) && (!to || workout.dateString <= to));
+        const shiftDays = relativeDates ? this.getRelativeDateShift(selected) : 0;
 
-        dialog.querySelector('#share-recent').addEventListener('click', async () => {
-            await this.shareRecentWorkouts(shareData, 100);
-            close();
+        const workouts = selected.map(workout => {
+            const copy = JSON.parse(JSON.stringify(workout));
+            if (!includeWeights) {
+                copy.series.forEach(series => { series.weight = null; });
+            }
+            if (shiftDays !== 0) {
+                const shift = time => new Date(new Date(time).getTime() + shiftDays * 86400000).toISOString();
+                copy.dateString = shift(copy.dateString + 'T00:00:00.000Z').split('T')[0];
+                copy.date = shift(copy.date);
+                copy.series.forEach(series => { series.timestamp = shift(series.timestamp); });
+            }
+            return copy;
         });
-        dialog.querySelector('#share-csv').addEventListener('click', () => { this.downloadAsCSV(); close(); });
-        dialog.querySelector('#cancel-share').addEventListener('click', close);
-    }
 
-    async shareRecentWorkouts(shareData, limit) {
-        try {
-            const sortedWorkouts = [...shareData.workouts]
-                .sort((a, b) => new Date(b.date) - new Date(a.date))
-                .slice(0, limit);
-            const limited = this.buildSharePayload(sortedWorkouts, shareData.exerciseTypes, {
-                isPartial: true,
-                originalCount: shareData.workouts.length
-            });
-            const { shareUrl } = this.generateCompressedLink(limited);
-            await this.copyToClipboard(shareUrl);
-            this.notificationManager.showSuccess(`Share link created with ${limit} most recent workouts (of ${shareData.workouts.length} total)`);
-        } catch (error) {
-            this.notificationManager.showError('Error creating share link.');
+        const exerciseTypes = this.exerciseTypeManager.getExerciseTypes().filter(type => !excludedExercises.includes(type));
+        const extra = {};
+        if (workouts.length < allWorkouts.length) {
+            extra.isPartial = true;
+            extra.originalCount = allWorkouts.length;
         }
+        if (relativeDates) extra.relativeDates = true;
+        if (!includeWeights) extra.withoutWeights = true;
+        if (!includeTimes) extra.withoutTimes = true;
+        return this.buildSharePayload(workouts, exerciseTypes, extra);
+    }
+
+    // Whole weeks to add so the first workout falls in the week of relativeDatesStart (weekdays are kept)
+    getRelativeDateShift(workouts) {
+        if (workouts.length === 0) return 0;
+        const toDay = dateString => Date.parse(dateString + 'T00:00:00.000Z') / 86400000;
+        const first = Math.min(...workouts.map(workout => toDay(workout.dateString)));
+        const start = toDay(this.relativeDatesStart);
+        return start - first + (((first - start) % 7) + 7) % 7;
+    }
+
+    // Notes on what the sender left out or changed, for the import dialog
+    describeShareFlags(shareData) {
+        const notes = [];
+        if (shareData.relativeDates) notes.push('Dates were shifted for privacy; they start in January 2000.');
+        if (shareData.withoutWeights) notes.push('Weights were left out.');
+        if (shareData.withoutTimes) notes.push('Times of day were left out.');
+        return notes.length > 0 ? `<p><em>${notes.join(' ')}</em></p>` : '';
     }
 
     downloadAsCSV() {
@@ -255,7 +485,7 @@ class ShareManager {
     }
 
     showManualCopyDialog(text) {
-        const { dialog, close } = this.createModal(`
+        const { dialog, close } = this.notificationManager.createModal(`
             <h3>Copy Share Link</h3>
             <p>Please copy this link manually:</p>
             <textarea readonly style="width: 100%; height: 100px; margin: 10px 0; font-family: monospace; font-size: 12px;">${text}</textarea>
@@ -268,6 +498,342 @@ class ShareManager {
         dialog.querySelector('#close-copy-modal').addEventListener('click', close);
     }
 
+    // ---------- QR codes ----------
+    /**
+     * Split a share link into QR code texts. A link that fits one code is the plain URL, so phone camera apps
+     * can open it directly; longer links become parts "WTQR:<part>/<total>:<CRC-32 of the data>:<chunk of data>"
+     * that the scanner puts back together.
+     * @param {string} shareUrl - Share link
+     * @param {string} compressed - Compressed data of the link (the c parameter)
+     * @returns {Array<string>} QR code texts
+     */
+    splitIntoQRParts(shareUrl, compressed) {
+        const capacity = QRCode.getByteCapacity(this.qrMaxVersion, 'M');
+        if (shareUrl.length <= capacity) return [shareUrl];
+
+        const checksum = BinaryUtils.crc32Hex(compressed);
+        const chunkLength = capacity - `WTQR:999/999:${checksum}:`.length;
+        const total = Math.ceil(compressed.length / chunkLength);
+        return Array.from({ length: total }, (_, index) =>
+            `WTQR:${index + 1}/${total}:${checksum}:${compressed.slice(index * chunkLength, (index + 1) * chunkLength)}`);
+    }
+
+    /**
+     * Read a scanned QR code text: a share link, or a part of a split link
+     * @param {string} text - Scanned text
+     * @param {Object} state - Parts read so far ({} to start); parts of another link start over
+     * @returns {Object|null} { done: true, compressed } or { done: true, legacyData } once complete,
+     *   { done: false, received, total } while parts are missing, null if the code is not a share link
+     */
+    readScannedCode(text, state) {
+        const part = /^WTQR:(\d+)\/(\d+):([0-9a-f]{8}):([A-Za-z0-9_-]*)$/.exec(text);
+        if (!part) {
+            let url;
+            try {
+                url = new URL(text);
+            } catch (error) {
+                return null;
+            }
+            if (url.searchParams.get('c')) return { done: true, compressed: url.searchParams.get('c') };
+            if (url.searchParams.get('data')) return { done: true, legacyData: url.searchParams.get('data') };
+            return null;
+        }
+
+        const [, index, total, checksum, chunk] = part;
+        if (state.checksum !== checksum || state.total !== Number(total)) {
+            state.checksum = checksum;
+            state.total = Number(total);
+            state.chunks = new Map();
+        }
+        state.chunks.set(Number(index), chunk);
+        if (state.chunks.size < state.total) {
+            return { done: false, received: state.chunks.size, total: state.total };
+        }
+
+        const compressed = Array.from({ length: state.total }, (_, i) => state.chunks.get(i + 1)).join('');
+        if (BinaryUtils.crc32Hex(compressed) !== checksum) {
+            // A misread part; start over
+            state.chunks = new Map();
+            return { done: false, received: 0, total: state.total };
+        }
+        return { done: true, compressed };
+    }
+
+    /**
+     * Draw a QR code on a canvas, with the quiet zone of four modules around it
+     * @param {HTMLCanvasElement} canvas - Canvas
+     * @param {Object} qr - Result of QRCode.encode
+     * @param {number} maxSize - Largest width and height in pixels
+     */
+    drawQRCode(canvas, qr, maxSize = 320) {
+        const modules = qr.size + 8;
+        const scale = Math.max(2, Math.floor(maxSize / modules));
+        canvas.width = modules * scale;
+        canvas.height = modules * scale;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#000';
+        qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) ctx.fillRect((x + 4) * scale, (y + 4) * scale, scale, scale);
+        }));
+    }
+
+    /**
+     * Show a share link as a QR code; links too long for one code cycle through their parts
+     * @param {string} shareUrl - Share link
+     * @param {string} compressed - Compressed data of the link
+     */
+    showQRCode(shareUrl, compressed) {
+        let codes;
+        try {
+            codes = this.splitIntoQRParts(shareUrl, compressed)
+                .map(text => QRCode.encode(text, { ecLevel: 'M', maxVersion: this.qrMaxVersion }));
+        } catch (error) {
+            console.error('Error creating share QR code:', error);
+            this.notificationManager.showError('Error creating share QR code.');
+            return;
+        }
+
+        let timer = null;
+        const { dialog, close } = this.notificationManager.createModal(`
+            <h3>Share QR Code</h3>
+            <p>${codes.length === 1
+                ? 'Scan the code with your phone\'s camera, or with "Scan to Import" in WorkoutTrackr.'
+                : `The link is split into ${codes.length} codes shown one after another. Scan them with "Scan to Import" in WorkoutTrackr on the other device.`}</p>
+            <canvas id="share-qr-canvas" style="max-width: 100%; image-rendering: pixelated;"></canvas>
+            <p id="share-qr-part"></p>
+            <button id="share-qr-close" class="modal-btn btn-grey">Close</button>
+        `, { maxWidth: '420px', onClose: () => clearInterval(timer) });
+
+        const canvas = dialog.querySelector('#share-qr-canvas');
+        const partLabel = dialog.querySelector('#share-qr-part');
+        let current = 0;
+        const showPart = () => {
+            this.drawQRCode(canvas, codes[current]);
+            partLabel.textContent = codes.length > 1 ? `Part ${current + 1} of ${codes.length}` : '';
+            current = (current + 1) % codes.length;
+        };
+        showPart();
+        if (codes.length > 1) {
+            timer = setInterval(showPart, this.qrFrameDuration);
+        }
+        dialog.querySelector('#share-qr-close').addEventListener('click', close);
+    }
+
+    /**
+     * Get a QR code reader: the browser's BarcodeDetector, or else the bundled decoder (QRCode.decode)
+     * reading a canvas copy of the image or video frame
+     * @returns {Promise<Object>} Object with detect(source), resolving to an array of { rawValue }
+     */
+    async createQRDetector() {
+        try {
+            if (typeof BarcodeDetector !== 'undefined' &&
+                (await BarcodeDetector.getSupportedFormats()).includes('qr_code')) {
+                return new BarcodeDetector({ formats: ['qr_code'] });
+            }
+        } catch (error) {
+            console.error('Error checking QR code support:', error);
+        }
+
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        return {
+            detect: async source => {
+                const width = source.videoWidth || source.width;
+                const height = source.videoHeight || source.height;
+                if (!width || !height) return [];
+                const scale = Math.min(1, this.qrScanMaxSize / Math.max(width, height));
+                canvas.width = Math.round(width * scale);
+                canvas.height = Math.round(height * scale);
+                context.drawImage(source, 0, 0, canvas.width, canvas.height);
+                const text = QRCode.decode(context.getImageData(0, 0, canvas.width, canvas.height));
+                return text === null ? [] : [{ rawValue: text }];
+            }
+        };
+    }
+
+    /**
+     * Scan share QR codes with the camera or from an image, and import the link once all its parts are read.
+     * Uses the browser's BarcodeDetector, or the bundled decoder where the browser has none.
+     */
+    async showScanner() {
+        const detector = await this.createQRDetector();
+        const state = {};
+        let stream = null;
+        let timer = null;
+        let closed = false;
+        const stopCamera = () => {
+            clearTimeout(timer);
+            if (stream) stream.getTracks().forEach(track => track.stop());
+            stream = null;
+        };
+
+        const { dialog, close } = this.notificationManager.createModal(`
+            <h3>Scan to Import</h3>
+            <p>Point the camera at a share QR code. For a link split into several codes, keep the camera on them until all parts are read.</p>
+            <video id="qr-scan-video" playsinline muted style="width: 100%; max-height: 50vh; background: #000; border-radius: 4px;"></video>
+            <p id="qr-scan-status">Starting camera...</p>
+            <button id="qr-scan-image" class="modal-btn btn-blue mr-10">Scan an Image</button>
+            <input type="file" id="qr-scan-file" accept="image/*" style="display: none;">
+            <button id="qr-scan-cancel" class="modal-btn btn-grey">Cancel</button>
+        `, { maxWidth: '500px', onClose: () => { closed = true; stopCamera(); } });
+
+        const video = dialog.querySelector('#qr-scan-video');
+        const status = dialog.querySelector('#qr-scan-status');
+        const fileInput = dialog.querySelector('#qr-scan-file');
+
+        // Returns true if a code was a share link or part of one
+        const handleCodes = codes => {
+            let recognized = false;
+            for (const code of codes) {
+                const result = this.readScannedCode(code.rawValue, state);
+                if (!result) continue;
+                recognized = true;
+                if (result.done) {
+                    close();
+                    const base = this.getBaseUrl();
+                    if (result.compressed) {
+                        this.importCompressedData(result.compressed, `${base}?c=${result.compressed}&view=1`);
+                    } else {
+                        this.importSharedData(result.legacyData, `${base}?data=${encodeURIComponent(result.legacyData)}&view=1`);
+                    }
+                    return true;
+                }
+                status.textContent = `Read ${result.received} of ${result.total} parts...`;
+            }
+            return recognized;
+        };
+
+        const scanFrame = async () => {
+            if (closed || !stream) return;
+            try {
+                if (video.readyState >= 2) handleCodes(await detector.detect(video));
+            } catch (error) {
+                console.error('Error scanning QR code:', error);
+            }
+            if (!closed && stream) timer = setTimeout(scanFrame, 250);
+        };
+
+        dialog.querySelector('#qr-scan-image').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                const codes = await detector.detect(await createImageBitmap(file));
+                if (!closed && !handleCodes(codes)) {
+                    status.textContent = codes.length > 0
+                        ? 'This QR code is not a WorkoutTrackr share link.'
+                        : 'No QR code found in the image.';
+                }
+            } catch (error) {
+                console.error('Error scanning QR code image:', error);
+                status.textContent = 'The image could not be read.';
+            }
+        });
+        dialog.querySelector('#qr-scan-cancel').addEventListener('click', close);
+
+        try {
+            const cameraStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+            if (closed) {
+                cameraStream.getTracks().forEach(track => track.stop());
+                return;
+            }
+            stream = cameraStream;
+            video.srcObject = stream;
+            await video.play();
+            status.textContent = 'Looking for a QR code...';
+            scanFrame();
+        } catch (error) {
+            console.error('Error starting camera:', error);
+            video.style.display = 'none';
+            status.textContent = 'The camera is not available. Scan an image of the QR code instead.';
+        }
+    }
+
+    // ---------- Read-only viewer ----------
+    // A shared link with a view parameter opens in the full UI against in-memory data (see WorkoutTrackerApp)
+    static isViewerLink() {
+        const urlParams = new URLSearchParams(window.location.search);
+        return urlParams.has('view') && (urlParams.has('c') || urlParams.has('data'));
+    }
+
+    getSharedLinkUrl(view) {
+        const urlParams = new URLSearchParams(window.location.search);
+        if (view) urlParams.set('view', '1');
+        else urlParams.delete('view');
+        return `${this.getBaseUrl()}?${urlParams.toString()}`;
+    }
+
+    // Reads the shared data of the current ?c= or legacy ?data= link; null if the passphrase prompt was cancelled
+    async readSharedLink() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const compressedData = urlParams.get('c');
+        if (compressedData) {
+            return this.openCompressedData(compressedData);
+        }
+        return JSON.parse(decodeURIComponent(atob(urlParams.get('data'))));
+    }
+
+    /**
+     * Load the workouts of a viewer link into the data manager, which must use in-memory storage.
+     * Exercise types are the shared ones plus any other exercise of the shared workouts.
+     * @returns {Promise<Object|null>} The shared data, or null if the link could not be read
+     */
+    async loadSharedView() {
+        try {
+            const storage = await this.workoutDataManager.getStorage();
+            if (storage.name !== 'memory') {
+                throw new Error('Shared workouts can only be viewed with in-memory storage');
+            }
+
+            const shareData = await this.readSharedLink();
+            if (!shareData) return null;
+            // Series of C2 links come without IDs
+            const workouts = this.workoutDataManager.ensureIds(shareData.workouts);
+            await storage.save({ version: this.workoutDataManager.CURRENT_DATA_VERSION, data: workouts });
+            await this.workoutDataManager.loadWorkoutData();
+
+            const exerciseTypes = Array.isArray(shareData.exerciseTypes) ? [...shareData.exerciseTypes] : [];
+            this.workoutDataManager.getUniqueExerciseTypes().forEach(exercise => {
+                if (!exerciseTypes.includes(exercise)) exerciseTypes.push(exercise);
+            });
+            await this.exerciseTypeManager.setExerciseTypes(exerciseTypes);
+            return shareData;
+        } catch (error) {
+            console.error('Error opening shared workouts:', error);
+            this.notificationManager.showError('Error opening shared workout data. The link may be corrupted.');
+            return null;
+        }
+    }
+
+    // Banner at the top of the viewer, with ways to import the shared data or go back to your own
+    showViewerBanner(shareData) {
+        const description = shareData
+            ? `${shareData.workouts.length} workout(s) shared on ${DOMUtils.escapeHtml(new Date(shareData.timestamp).toLocaleDateString())}` +
+                (shareData.isPartial ? ` (of ${Number(shareData.originalCount) || 0} in total)` : '') +
+                (shareData.relativeDates ? ', dates shifted for privacy' : '')
+            : 'The shared link could not be opened';
+        const banner = document.createElement('div');
+        banner.className = 'shared-view-banner';
+        banner.innerHTML = `
+            <span><strong>Viewing shared workouts</strong> - ${description}. Read-only: nothing is saved in this browser.</span>
+            <span>
+                ${shareData ? '<button id="shared-view-import">Import...</button>' : ''}
+                <button id="shared-view-exit">Back to My Workouts</button>
+            </span>
+        `;
+        document.body.insertBefore(banner, document.body.firstChild);
+
+        const importBtn = banner.querySelector('#shared-view-import');
+        if (importBtn) {
+            importBtn.addEventListener('click', () => window.location.assign(this.getSharedLinkUrl(false)));
+        }
+        banner.querySelector('#shared-view-exit').addEventListener('click', () => window.location.assign(this.getBaseUrl()));
+    }
+
+    // Called once the local data is loaded, so the import dialog can compare the shared workouts with it
     checkForSharedData() {
         const urlParams = new URLSearchParams(window.location.search);
         const compressedData = urlParams.get('c');
@@ -280,22 +846,75 @@ class ShareManager {
         }
     }
 
-    async importCompressedData(compressedData) {
+    async importCompressedData(compressedData, viewerUrl = this.getSharedLinkUrl(true)) {
         try {
-            this.notificationManager.showInfo('Decompressing shared workout data...');
-            const optimizedData = this.decompressToOptimized(compressedData);
-            const shareData = this.restoreDataFromOptimized(optimizedData);
-            this.showImportDialog(shareData);
+            const shareData = await this.openCompressedData(compressedData);
+            if (!shareData) {
+                window.history.replaceState({}, document.title, window.location.pathname);
+                return;
+            }
+            this.showImportDialog(shareData, viewerUrl);
         } catch (error) {
             this.notificationManager.showError('Error importing shared workout data. The link may be corrupted.');
         }
     }
 
-    importSharedData(encodedData) {
+    // Decrypts encrypted (E1) links with a passphrase from the user, then decompresses; null if the user cancelled
+    async openCompressedData(compressedData) {
+        let compressed = compressedData;
+        if (compressed.startsWith('E1')) {
+            if (!BinaryUtils.supportsEncryption()) {
+                this.notificationManager.showError('This browser cannot open encrypted share links. Open the link over https.');
+                return null;
+            }
+            let message = '';
+            for (;;) {
+                const passphrase = await this.requestPassphrase(message);
+                if (passphrase === null) return null;
+                compressed = await this.decryptCompressed(compressedData, passphrase);
+                if (compressed !== null) break;
+                message = 'Wrong passphrase, or the link was changed after it was shared.';
+            }
+        }
+        this.notificationManager.showInfo('Decompressing shared workout data...');
+        return this.restoreDataFromOptimized(await this.decompressToOptimized(compressed));
+    }
+
+    /**
+     * Ask for the passphrase of an encrypted share link
+     * @param {string} message - Error from a previous attempt, if any
+     * @returns {Promise<string|null>} The passphrase, or null if cancelled
+     */
+    requestPassphrase(message = '') {
+        return new Promise(resolve => {
+            let passphrase = null;
+            const { dialog, close } = this.notificationManager.createModal(`
+                <h3>Encrypted Workouts</h3>
+                <p>These shared workouts are protected with a passphrase. Enter it to open them.</p>
+                ${message ? `<p style="color: #c62828;">${DOMUtils.escapeHtml(message)}</p>` : ''}
+                <input type="password" id="share-unlock-passphrase" autocomplete="off" style="width: 100%; margin-bottom: 15px;">
+                <button id="share-unlock" class="modal-btn btn-green mr-10">Open</button>
+                <button id="share-unlock-cancel" class="modal-btn btn-grey">Cancel</button>
+            `, { maxWidth: '400px', onClose: () => resolve(passphrase) });
+
+            const input = dialog.querySelector('#share-unlock-passphrase');
+            const submit = () => {
+                if (!input.value) return;
+                passphrase = input.value;
+                close();
+            };
+            input.addEventListener('keydown', event => { if (event.key === 'Enter') submit(); });
+            dialog.querySelector('#share-unlock').addEventListener('click', submit);
+            dialog.querySelector('#share-unlock-cancel').addEventListener('click', close);
+            input.focus();
+        });
+    }
+
+    importSharedData(encodedData, viewerUrl = this.getSharedLinkUrl(true)) {
         try {
             const jsonString = decodeURIComponent(atob(encodedData));
             const shareData = JSON.parse(jsonString);
-            this.showImportDialog(shareData);
+            this.showImportDialog(shareData, viewerUrl);
         } catch (error) {
             this.notificationManager.showError(
                 'Error importing shared workout data.'
@@ -303,37 +922,92 @@ class ShareManager {
         }
     }
 
-    showImportDialog(shareData) {
+    // The viewer URL defaults to the current link, read before closing the dialog clears it
+    showImportDialog(shareData, viewerUrl = this.getSharedLinkUrl(true)) {
         const workoutCount = shareData.workouts.length;
         const shareDate = new Date(shareData.timestamp).toLocaleDateString();
         const isPartial = shareData.isPartial;
-        const { dialog, close } = this.createModal(`
+        const { summary } = this.workoutDataManager.analyzeImport(shareData.workouts);
+        const currentTypes = this.exerciseTypeManager.getExerciseTypes();
+        const newTypes = (shareData.exerciseTypes || []).filter(type => !currentTypes.includes(type));
+        const { dialog, close } = this.notificationManager.createModal(`
             <h3>Import Shared Workouts</h3>
-            <p>Someone shared ${workoutCount} workout(s) with you from ${shareDate}.</p>
-            ${isPartial ? `<p><em>Note: This is a partial dataset (${shareData.originalCount} total workouts)</em></p>` : ''}
-            <p><strong>This will replace all your current data!</strong></p>
+            <p>Someone shared ${workoutCount} workout(s) with you from ${DOMUtils.escapeHtml(shareDate)}.</p>
+            ${isPartial ? `<p><em>Note: This is a partial dataset (${Number(shareData.originalCount) || 0} total workouts)</em></p>` : ''}
+            ${this.describeShareFlags(shareData)}
+            <div style="background: #f5f5f5; padding: 15px; border-radius: 4px; margin: 15px 0; text-align: left;">
+                <strong>Compared with your data:</strong><br>
+                New workouts: ${summary.newWorkouts}<br>
+                Already in your data: ${summary.duplicateWorkouts}<br>
+                With new or conflicting series: ${summary.conflictingWorkouts}<br>
+                New exercise types: ${newTypes.length}
+            </div>
+            <p><strong>Merge</strong> adds the workouts and series you don't have yet, after a preview of duplicates.<br>
+            <strong>Replace All</strong> replaces all your current data with the shared workouts.<br>
+            <strong>View</strong> opens the shared workouts read-only, with all lists and charts; nothing is saved.</p>
             <div style="margin-top: 20px;">
-                <button id="confirm-import" class="modal-btn mr-10 btn-blue">Import Data</button>
+                <button id="merge-import" class="modal-btn mr-10 btn-green">Merge</button>
+                <button id="confirm-import" class="modal-btn mr-10 btn-blue">Replace All</button>
+                <button id="view-import" class="modal-btn mr-10 btn-blue">View</button>
                 <button id="cancel-import" class="modal-btn btn-grey">Cancel</button>
             </div>
-        `, { maxWidth: '400px', onClose: () => window.history.replaceState({}, document.title, window.location.pathname) });
+        `, { maxWidth: '500px', onClose: () => window.history.replaceState({}, document.title, window.location.pathname) });
+        dialog.querySelector('#merge-import').addEventListener('click', async () => {
+            close();
+            const strategy = this.importManager
+                ? await this.importManager.showPreview(shareData.workouts, { title: 'Merge Shared Workouts' })
+                : 'merge';
+            if (strategy) {
+                this.performMerge(shareData, strategy);
+            }
+        });
         dialog.querySelector('#confirm-import').addEventListener('click', () => { this.performImport(shareData); close(); });
+        dialog.querySelector('#view-import').addEventListener('click', () => { close(); window.location.assign(viewerUrl); });
         dialog.querySelector('#cancel-import').addEventListener('click', close);
     }
 
-    performImport(shareData) {
+    async performMerge(shareData, strategy) {
+        try {
+            const result = this.workoutDataManager.mergeWorkouts(shareData.workouts, strategy);
+
+            // Add the shared exercise types you don't have yet
+            if (Array.isArray(shareData.exerciseTypes)) {
+                const currentTypes = this.exerciseTypeManager.getExerciseTypes();
+                const newTypes = shareData.exerciseTypes.filter(type => !currentTypes.includes(type));
+                if (newTypes.length > 0) {
+                    await this.exerciseTypeManager.setExerciseTypes(currentTypes.concat(newTypes));
+                }
+            }
+
+            await this.workoutDataManager.saveWorkoutData();
+            this.notificationManager.showSuccess(
+                this.importManager
+                    ? `Merged shared workouts: ${this.importManager.formatResult(result)}.`
+                    : `Merged shared workouts: ${result.added} added, ${result.updated} updated, ${result.unchanged} already present.`,
+                undefined,
+                this.historyManager ? this.historyManager.createUndoAction() : null
+            );
+
+            if (this.refreshCallback) {
+                this.refreshCallback();
+            }
+        } catch (error) {
+            console.error('Error merging shared workouts:', error);
+            this.notificationManager.showError('Error importing workout data.');
+        }
+    }
+
+    async performImport(shareData) {
         try {
             // Import exercise types if provided
             if (shareData.exerciseTypes && Array.isArray(shareData.exerciseTypes)) {
                 this.exerciseTypeManager.setExerciseTypes(shareData.exerciseTypes);
             }
 
-            // Import workouts
-            this.workoutDataManager.replaceAllData(shareData.workouts);
-            // Persist immediately
-            if (this.workoutDataManager.saveWorkoutData) {
-                this.workoutDataManager.saveWorkoutData();
-            }
+            // Import workouts (a backup snapshot of the current data is taken first)
+            this.workoutDataManager.replaceAllData(shareData.workouts, 'Before importing shared data');
+            // Persist before reloading so neither the snapshot nor the import is lost
+            await this.workoutDataManager.saveWorkoutData();
 
             this.notificationManager.showSuccess(
                 `Successfully imported ${shareData.workouts.length} workout(s)!`
@@ -349,4 +1023,5 @@ class ShareManager {
             );
         }
     }
+
 }
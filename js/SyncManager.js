@@ -0,0 +1,470 @@
+/**
+ * SyncManager - Syncs workouts between devices through a self-hosted REST server (protocol in SYNC_PROTOCOL.md).
+ * Every local change is queued per workout ID with the time it was made, survives reloads and is pushed when
+ * the device is online; changes made on other devices are pulled and applied. When a workout changed on two
+ * devices, the most recent change wins.
+ */
+class SyncManager {
+    constructor(dataManager, notificationManager, refreshCallback = null) {
+        this.dataManager = dataManager;
+        this.notificationManager = notificationManager;
+        this.refreshCallback = refreshCallback;
+        this.settingsKey = 'syncSettings';
+        // localStorage key of the sync state before it moved into the storage adapter
+        this.legacyStateKey = 'syncState';
+        this.pushDelay = 2000; // A burst of edits is pushed as one request
+        this.pollInterval = 60000; // How often changes from other devices are pulled while the app is open
+        this.firstRetryDelay = 15000; // Doubled after every failed attempt, up to maxRetryDelay
+        this.maxRetryDelay = 300000;
+        this.requestTimeout = 20000;
+        this.maxBatchSize = 200; // Workouts per push request
+        this.settings = this.loadSettings();
+        this.state = this.createEmptyState(); // Replaced by loadState
+        this.saveQueue = Promise.resolve();
+        this.saveFailed = false;
+        this.status = this.settings.enabled ? 'idle' : 'off';
+        this.running = null;
+        this.started = false;
+        this.timer = null;
+        this.retryDelay = 0;
+
+        this.dataManager.addChangeListener(change => this.recordChange(change));
+    }
+
+    /**
+     * Load the sync settings from localStorage
+     * @returns {Object} { endpoint, token, enabled, deviceId }
+     */
+    loadSettings() {
+        const defaults = { endpoint: '', token: '', enabled: false, deviceId: '' };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem(this.settingsKey)) };
+        } catch (error) {
+            console.warn('Could not load sync settings:', error);
+            return defaults;
+        }
+    }
+
+    saveSettings() {
+        localStorage.setItem(this.settingsKey, JSON.stringify(this.settings));
+    }
+
+    /**
+     * Create the state of a device that has not synced yet
+     * @returns {Object} { cursor: server position of the last pull, pending: { [workoutId]: { id, workout, modifiedAt } },
+     *   lastSyncAt, lastError }
+     */
+    createEmptyState() {
+        return { cursor: null, pending: {}, lastSyncAt: null, lastError: null };
+    }
+
+    /**
+     * Load the sync state from the storage adapter, moving a state left in localStorage by earlier versions into it
+     */
+    async loadState() {
+        try {
+            const storage = await this.dataManager.getStorage();
+            let state = await storage.loadSyncState();
+
+            if (!state && storage.name !== 'localStorage') {
+                const legacyState = localStorage.getItem(this.legacyStateKey);
+                if (legacyState !== null) {
+                    state = JSON.parse(legacyState);
+                    await storage.saveSyncState(state);
+                    localStorage.removeItem(this.legacyStateKey);
+                }
+            }
+
+            this.state = { ...this.createEmptyState(), ...state };
+            if (!this.state.pending || typeof this.state.pending !== 'object') this.state.pending = {};
+        } catch (error) {
+            console.warn('Could not load sync state:', error);
+            this.state = this.createEmptyState();
+        }
+    }
+
+    /**
+     * Persist the sync state through the storage adapter. Writes are queued so they reach the storage in order.
+     * The queue holds changes that exist nowhere else yet, so a failed write is shown to the user
+     * (once, until a write succeeds again).
+     * @returns {Promise} Resolves when the state is written
+     */
+    saveState() {
+        this.saveQueue = this.saveQueue.then(async () => {
+            const storage = await this.dataManager.getStorage();
+            await storage.saveSyncState(this.state);
+            this.saveFailed = false;
+        }).catch(error => {
+            console.error('Could not save the sync queue:', error);
+            if (!this.saveFailed) {
+                this.saveFailed = true;
+                this.notificationManager.showError('Could not save the changes waiting to sync. ' +
+                    'Keep the app open until they are synced, or they may be lost.');
+            }
+        });
+        return this.saveQueue;
+    }
+
+    getPendingCount() {
+        return Object.keys(this.state.pending).length;
+    }
+
+    /**
+     * Start syncing: sync now, then whenever the device comes back online or the app becomes visible
+     */
+    start() {
+        if (this.started) return;
+        this.started = true;
+        window.addEventListener('online', () => this.sync());
+        window.addEventListener('offline', () => this.setStatus('offline'));
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.sync();
+        });
+        this.updateStatusDisplay();
+        this.sync();
+    }
+
+    /**
+     * Queue the workouts changed by a local mutation (see WorkoutDataManager.trackChange)
+     * @param {Object} change - Change object
+     */
+    recordChange(change) {
+        if (!this.settings.enabled || change.source === 'sync') {
+            return;
+        }
+
+        const changedIds = new Set(change.after.map(workout => workout.id));
+        change.before.forEach(workout => {
+            if (!changedIds.has(workout.id)) {
+                this.state.pending[workout.id] = { id: workout.id, workout: null, modifiedAt: change.timestamp };
+            }
+        });
+        change.after.forEach(workout => {
+            this.state.pending[workout.id] = { id: workout.id, workout, modifiedAt: change.timestamp };
+        });
+        this.saveState();
+        this.updateStatusDisplay();
+        this.scheduleSync(this.pushDelay);
+    }
+
+    /**
+     * Queue every local workout, for the first sync with a server. A workout counts as changed at its
+     * last series, so changes other devices made later win.
+     */
+    queueAllWorkouts() {
+        this.state.pending = {};
+        this.dataManager.getAllWorkouts().forEach(workout => {
+            const times = (workout.series || []).map(series => new Date(series.timestamp).getTime())
+                .filter(time => !Number.isNaN(time));
+            const modifiedAt = times.length > 0 ? new Date(Math.max(...times)) : new Date(workout.date);
+            this.state.pending[workout.id] = {
+                id: workout.id,
+                workout: JSON.parse(JSON.stringify(workout)),
+                modifiedAt: Number.isNaN(modifiedAt.getTime()) ? new Date(0).toISOString() : modifiedAt.toISOString()
+            };
+        });
+    }
+
+    scheduleSync(delay) {
+        clearTimeout(this.timer);
+        if (this.started && this.settings.enabled) {
+            this.timer = setTimeout(() => this.sync(), delay);
+        }
+    }
+
+    /**
+     * Push the queued changes, then pull the changes of other devices
+     * @returns {Promise<boolean>} True if the sync succeeded
+     */
+    sync() {
+        if (!this.settings.enabled) {
+            return Promise.resolve(false);
+        }
+        if (this.running) {
+            return this.running;
+        }
+        if (navigator.onLine === false) {
+            this.setStatus('offline');
+            return Promise.resolve(false);
+        }
+
+        this.running = this.runSync().finally(() => {
+            this.running = null;
+        });
+        return this.running;
+    }
+
+    async runSync() {
+        clearTimeout(this.timer);
+        this.setStatus('syncing');
+        try {
+            await this.push();
+            await this.pull();
+            this.state.lastSyncAt = new Date().toISOString();
+            this.state.lastError = null;
+            this.saveState();
+            this.retryDelay = 0;
+            this.setStatus('idle');
+            // Changes made while syncing are pushed right away
+            this.scheduleSync(this.getPendingCount() > 0 ? this.pushDelay : this.pollInterval);
+            return true;
+        } catch (error) {
+            console.error('Sync failed:', error);
+            this.state.lastError = error.message;
+            this.saveState();
+            this.retryDelay = Math.min(this.maxRetryDelay, this.retryDelay ? this.retryDelay * 2 : this.firstRetryDelay);
+            // fetch rejects with a TypeError when the server cannot be reached at all
+            this.setStatus(navigator.onLine === false || error instanceof TypeError ? 'offline' : 'error');
+            this.scheduleSync(this.retryDelay);
+            return false;
+        }
+    }
+
+    async push() {
+        const queued = Object.values(this.state.pending);
+        for (let start = 0; start < queued.length; start += this.maxBatchSize) {
+            const batch = queued.slice(start, start + this.maxBatchSize);
+            await this.request('POST', 'changes', {
+                deviceId: this.settings.deviceId,
+                changes: batch.map(({ id, workout, modifiedAt }) => ({ id, workout, modifiedAt }))
+            });
+            // Entries that changed again during the request stay queued
+            batch.forEach(sent => {
+                if (this.state.pending[sent.id] === sent) delete this.state.pending[sent.id];
+            });
+            this.saveState();
+        }
+    }
+
+    async pull() {
+        let hasMore = true;
+        while (hasMore) {
+            const since = this.state.cursor === null ? '' : String(this.state.cursor);
+            const response = await this.request('GET', `changes?since=${encodeURIComponent(since)}`);
+            if (!response || !Array.isArray(response.changes)) {
+                throw new Error('The sync server sent an invalid response');
+            }
+
+            await this.applyRemoteChanges(response.changes);
+            if (response.cursor !== undefined && response.cursor !== null) {
+                this.state.cursor = response.cursor;
+            }
+            this.saveState();
+            hasMore = Boolean(response.hasMore) && response.changes.length > 0;
+        }
+    }
+
+    /**
+     * Apply pulled changes, except this device's own ones and those older than a queued local change
+     * @param {Array} changes - [{ id, workout, modifiedAt, deviceId }]
+     */
+    async applyRemoteChanges(changes) {
+        const latest = new Map();
+        changes.forEach(remote => {
+            if (!remote || typeof remote.id !== 'string' || remote.deviceId === this.settings.deviceId) return;
+            if (remote.workout && (remote.workout.id !== remote.id || !Array.isArray(remote.workout.series))) {
+                console.warn('Skipping invalid synced workout:', remote.id);
+                return;
+            }
+
+            const local = this.state.pending[remote.id];
+            if (local && new Date(local.modifiedAt) > new Date(remote.modifiedAt)) return;
+            if (local) delete this.state.pending[remote.id];
+
+            const previous = latest.get(remote.id);
+            if (!previous || new Date(remote.modifiedAt) >= new Date(previous.modifiedAt)) {
+                latest.set(remote.id, remote);
+            }
+        });
+        if (latest.size === 0) return;
+
+        // Workouts merged with another one of the same day and exercise go back to the server
+        const merged = this.dataManager.applySyncedChanges([...latest.values()]);
+        const modifiedAt = new Date().toISOString();
+        merged.forEach(({ id, workout }) => {
+            this.state.pending[id] = { id, workout, modifiedAt };
+        });
+        await this.dataManager.saveWorkoutData();
+        if (this.refreshCallback) {
+            this.refreshCallback();
+        }
+    }
+
+    /**
+     * Send a request to the sync server
+     * @param {string} method - 'GET' or 'POST'
+     * @param {string} path - Path relative to the endpoint
+     * @param {Object|null} body - JSON body
+     * @returns {Promise<Object>} Parsed JSON response
+     */
+    async request(method, path, body = null) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), this.requestTimeout);
+        const headers = { Accept: 'application/json' };
+        if (body) headers['Content-Type'] = 'application/json';
+        if (this.settings.token) headers.Authorization = `Bearer ${this.settings.token}`;
+
+        try {
+            const response = await fetch(`${this.settings.endpoint.replace(/\/+$/, '')}/${path}`, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined,
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`The sync server responded with ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`);
+            }
+            return await response.json();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('The sync server did not respond in time');
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    // ---------- Status ----------
+    setStatus(status) {
+        this.status = status;
+        this.updateStatusDisplay();
+    }
+
+    getStatusText() {
+        const pending = this.getPendingCount();
+        const waiting = pending > 0 ? `${pending} change${pending === 1 ? '' : 's'} waiting` : '';
+        switch (this.status) {
+            case 'off':
+                return 'Sync off';
+            case 'syncing':
+                return 'Syncing...';
+            case 'offline':
+                return `Offline${waiting ? ` - ${waiting}` : ''}`;
+            case 'error':
+                return `Sync error${waiting ? ` - ${waiting}` : ''}`;
+            default:
+                if (waiting) return waiting;
+                return this.state.lastSyncAt
+                    ? `Synced ${new Date(this.state.lastSyncAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+                    : 'Not synced yet';
+        }
+    }
+
+    updateStatusDisplay() {
+        const element = document.getElementById('sync-status');
+        if (!element) return;
+        element.hidden = !this.settings.enabled;
+        element.textContent = this.getStatusText();
+        element.className = `sync-status sync-status-${this.status}`;
+        element.title = this.state.lastError ? `Last error: ${this.state.lastError}` : '';
+    }
+
+    // ---------- Settings dialog ----------
+    /**
+     * Show the sync settings: server URL, access token and whether this device syncs
+     */
+    showSettings() {
+        const { endpoint, token, enabled } = this.settings;
+        const lastSync = this.state.lastSyncAt ? new Date(this.state.lastSyncAt).toLocaleString() : 'Never';
+        const { dialog, close } = this.notificationManager.createModal(`
+            <h3>Sync</h3>
+            <p style="text-align: left;">Sync your workouts between your phones and computers through your own server.
+                The server needs the small JSON API described in SYNC_PROTOCOL.md.</p>
+            <div class="csv-export-options" style="text-align: left; margin-bottom: 15px;">
+                <div class="setting-row">
+                    <label for="sync-endpoint">Server URL</label>
+                    <input type="url" id="sync-endpoint" placeholder="https://example.com/sync" value="${DOMUtils.escapeHtml(endpoint)}">
+                </div>
+                <div class="setting-row">
+                    <label for="sync-token">Access token</label>
+                    <input type="password" id="sync-token" autocomplete="off" value="${DOMUtils.escapeHtml(token)}">
+                </div>
+                <p class="setting-hint">Optional; sent as a Bearer token with every request.</p>
+                <label style="display: block;"><input type="checkbox" id="sync-enabled"${enabled ? ' checked' : ''}> Sync this device</label>
+            </div>
+            <div style="background: #f5f5f5; padding: 15px; border-radius: 4px; margin: 15px 0; text-align: left;">
+                <strong>Status:</strong> ${DOMUtils.escapeHtml(this.getStatusText())}<br>
+                <strong>Last sync:</strong> ${DOMUtils.escapeHtml(lastSync)}<br>
+                <strong>Changes waiting:</strong> ${this.getPendingCount()}
+                ${this.state.lastError ? `<br><strong>Last error:</strong> ${DOMUtils.escapeHtml(this.state.lastError)}` : ''}
+            </div>
+            <button id="sync-save" class="modal-btn btn-green mr-10">Save</button>
+            ${enabled ? '<button id="sync-now" class="modal-btn btn-blue mr-10">Sync Now</button>' : ''}
+            <button id="sync-cancel" class="modal-btn btn-grey">Close</button>
+        `, { maxWidth: '500px' });
+
+        dialog.querySelector('#sync-save').addEventListener('click', () => {
+            const saved = this.updateSettings({
+                endpoint: dialog.querySelector('#sync-endpoint').value.trim(),
+                token: dialog.querySelector('#sync-token').value.trim(),
+                enabled: dialog.querySelector('#sync-enabled').checked
+            });
+            if (saved) {
+                close();
+            }
+        });
+        const syncNowBtn = dialog.querySelector('#sync-now');
+        if (syncNowBtn) {
+            syncNowBtn.addEventListener('click', async () => {
+                close();
+                const synced = await this.sync();
+                if (synced) {
+                    this.notificationManager.showSuccess('Workouts synced.');
+                } else if (this.state.lastError) {
+                    this.notificationManager.showError(`Sync failed: ${this.state.lastError}`);
+                }
+            });
+        }
+        dialog.querySelector('#sync-cancel').addEventListener('click', close);
+    }
+
+    /**
+     * Change the sync settings. Turning sync on, or pointing it at another server, starts over with a full sync:
+     * every local workout is uploaded and every workout on the server is pulled.
+     * @param {Object} settings - { endpoint, token, enabled }
+     * @returns {boolean} True if the settings were saved
+     */
+    updateSettings({ endpoint, token, enabled }) {
+        if (enabled && !/^https?:\/\/\S+$/i.test(endpoint)) {
+            this.notificationManager.showWarning('Enter the URL of your sync server (http:// or https://).');
+            return false;
+        }
+
+        const fullSync = enabled && (!this.settings.enabled || endpoint !== this.settings.endpoint);
+        this.settings = {
+            ...this.settings,
+            endpoint,
+            token,
+            enabled,
+            deviceId: this.settings.deviceId || this.dataManager.generateId()
+        };
+        this.saveSettings();
+
+        if (fullSync) {
+            this.state = this.createEmptyState();
+            this.queueAllWorkouts();
+            this.saveState();
+        }
+
+        if (!enabled) {
+            clearTimeout(this.timer);
+            this.setStatus('off');
+            this.notificationManager.showInfo('Sync is off for this device.');
+            return true;
+        }
+
+        this.setStatus('idle');
+        this.start();
+        this.sync();
+        this.notificationManager.showSuccess('Sync settings saved.');
+        return true;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyncManager;
+} else {
+    window.SyncManager = SyncManager;
+}
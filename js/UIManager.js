@@ -2,11 +2,13 @@
  * UIManager - Handles DOM manipulation and user interface updates
  */
 class UIManager {
-    constructor(dataManager, notificationManager, refreshCallback = null, exerciseTypeManager = null) {
+    constructor(dataManager, notificationManager, refreshCallback = null, exerciseTypeManager = null, historyManager = null) {
         this.dataManager = dataManager;
         this.notificationManager = notificationManager;
         this.refreshCallback = refreshCallback;
         this.exerciseTypeManager = exerciseTypeManager;
+        this.historyManager = historyManager;
+        this.sandboxed = false; // Set to true to keep UI preferences in memory only (shared link viewer)
         this.domElements = this.initializeDOMElements();
     }
 
@@ -31,7 +33,12 @@ class UIManager {
             newExerciseInput: document.getElementById("new-exercise-input"),
             addExerciseBtn: document.getElementById("add-exercise-btn"),
             exerciseTypesList: document.getElementById("exercise-types-list"),
-            resetExercisesBtn: document.getElementById("reset-exercises-btn")
+            resetExercisesBtn: document.getElementById("reset-exercises-btn"),
+            // Settings elements
+            settingsPanel: document.getElementById("settings-panel"),
+            settingsHeader: document.getElementById("settings-header"),
+            dayRolloverSelect: document.getElementById("day-rollover-select"),
+            settingsTimeZone: document.getElementById("settings-time-zone")
         };
     }
 
@@ -121,7 +128,7 @@ class UIManager {
         if (isDeletedExerciseType) {
             workoutItem.classList.add('deleted-exercise-type');
         }
-        workoutItem.dataset.id = new Date(workout.date).getTime(); // Use timestamp as ID
+        workoutItem.dataset.id = workout.id;
 
         // Format date
         const dateDetail = document.createElement('div');
@@ -135,12 +142,8 @@ class UIManager {
         dateInput.type = 'date';
         dateInput.className = 'workout-date-input';
         dateInput.style.display = 'none';
-        // Format to YYYY-MM-DD for the date input
-        const dateObj = new Date(workout.date);
-        const yyyy = dateObj.getFullYear();
-        const mm = String(dateObj.getMonth() + 1).padStart(2, '0');
-        const dd = String(dateObj.getDate()).padStart(2, '0');
-        dateInput.value = `${yyyy}-${mm}-${dd}`;
+        // The date input shows the training day (YYYY-MM-DD), which honors the day rollover hour
+        dateInput.value = workout.dateString;
         
         const editDateBtn = document.createElement('button');
         editDateBtn.className = 'edit-date-btn';
@@ -195,8 +198,7 @@ class UIManager {
         seriesContainer.className = 'series-container';
 
         // Create series list using the helper function
-        const workoutId = new Date(workout.date).getTime().toString();
-        seriesContainer.innerHTML = this.createSeriesListHtml(workout.series, workoutId);
+        seriesContainer.innerHTML = this.createSeriesListHtml(workout.series, workout.id);
 
         // Add the workout item and series container to the list
         this.domElements.workoutListContainer.appendChild(workoutItem);
@@ -206,7 +208,7 @@ class UIManager {
     /**
      * Create HTML for series list
      * @param {Array} series - Array of series objects
-     * @param {string} workoutId - Workout identifier for delete functionality
+     * @param {string} workoutId - Workout ID for edit and delete functionality
      * @returns {string} HTML string for the series list
      */
     createSeriesListHtml(series, workoutId) {
@@ -224,7 +226,7 @@ class UIManager {
             const datetimeValue = `${year}-${month}-${day}T${hours}:${minutes}`;
 
             seriesHtml += `
-                <li class="series-item" data-workout-id="${workoutId}" data-series-index="${index}">
+                <li class="series-item" data-workout-id="${workoutId}" data-series-id="${seriesItem.id}">
                     <span class="series-info">Series ${index + 1}: ${seriesItem.reps} reps - ${weightDisplay} - ${seriesTime.toLocaleTimeString()}</span>
                     <div class="edit-series-form">
                         <input type="number" class="edit-series-input reps" value="${seriesItem.reps}" min="1" max="500" title="Repetitions">
@@ -236,8 +238,8 @@ class UIManager {
                         </div>
                     </div>
                     <div class="series-actions">
-                        <button class="edit-series-btn" data-workout-id="${workoutId}" data-series-index="${index}" title="Edit this series">✎</button>
-                        <button class="delete-series-btn" data-workout-id="${workoutId}" data-series-index="${index}" title="Delete this series">×</button>
+                        <button class="edit-series-btn" data-workout-id="${workoutId}" data-series-id="${seriesItem.id}" title="Edit this series">✎</button>
+                        <button class="delete-series-btn" data-workout-id="${workoutId}" data-series-id="${seriesItem.id}" title="Delete this series">×</button>
                     </div>
                 </li>`;
         });
@@ -332,6 +334,9 @@ class UIManager {
         // Initialize dashboard mode
         this.initializeDashboardMode();
 
+        // Initialize settings panel
+        this.initializeSettingsPanel();
+
         const workouts = this.dataManager.getAllWorkouts();
         if (workouts.length > 0) {
             this.updateWorkoutTable();
@@ -453,7 +458,7 @@ class UIManager {
             this.dataManager.updateWorkoutDate(workoutId, newDate);
             await this.dataManager.saveWorkoutData();
             
-            this.notificationManager.showSuccess('Workout date updated');
+            this.notificationManager.showSuccess('Workout date updated', undefined, this.getUndoAction());
             
             // Give it a moment before refreshing to ensure state is clean
             setTimeout(() => {
@@ -470,6 +475,14 @@ class UIManager {
         }
     }
 
+    /**
+     * Get the "Undo" action for success notifications
+     * @returns {Object|null} Action object, or null if undo is not available
+     */
+    getUndoAction() {
+        return this.historyManager ? this.historyManager.createUndoAction() : null;
+    }
+
     /**
      * Handle date input blur (cancel edit if no change)
      * @param {Event} event - Blur event
@@ -499,7 +512,7 @@ class UIManager {
         event.stopPropagation();
         const seriesItem = event.target.closest('.series-item');
         const workoutId = seriesItem.dataset.workoutId;
-        const seriesIndex = parseInt(seriesItem.dataset.seriesIndex);
+        const seriesId = seriesItem.dataset.seriesId;
         
         const repsInput = seriesItem.querySelector('.edit-series-input.reps');
         const weightInput = seriesItem.querySelector('.edit-series-input.weight');
@@ -516,9 +529,9 @@ class UIManager {
         }
 
         try {
-            this.dataManager.updateSeries(workoutId, seriesIndex, reps, weight, timestamp);
+            this.dataManager.updateSeries(workoutId, seriesId, reps, weight, timestamp);
             await this.dataManager.saveWorkoutData();
-            this.notificationManager.showSuccess('Series updated successfully');
+            this.notificationManager.showSuccess('Series updated successfully', undefined, this.getUndoAction());
             
             if (this.refreshCallback) {
                 this.refreshCallback();
@@ -549,7 +562,7 @@ class UIManager {
         event.stopPropagation(); // Prevent the workout item from toggling
 
         const workoutId = event.target.dataset.workoutId;
-        const seriesIndex = parseInt(event.target.dataset.seriesIndex);
+        const seriesId = event.target.dataset.seriesId;
 
         try {
             // Show confirmation dialog
@@ -559,15 +572,15 @@ class UIManager {
             }
 
             // Delete the series using the data manager
-            const workoutRemains = this.dataManager.deleteSeries(workoutId, seriesIndex);
+            const workoutRemains = this.dataManager.deleteSeries(workoutId, seriesId);
 
             // Save the updated data
             await this.dataManager.saveWorkoutData();
 
             if (workoutRemains) {
-                this.notificationManager.showSuccess('Series deleted successfully');
+                this.notificationManager.showSuccess('Series deleted successfully', undefined, this.getUndoAction());
             } else {
-                this.notificationManager.showSuccess('Workout deleted (was the last series)');
+                this.notificationManager.showSuccess('Workout deleted (was the last series)', undefined, this.getUndoAction());
             }
 
             // Refresh the UI to show updated data
@@ -847,6 +860,107 @@ class UIManager {
         }
     }
 
+    // ============================================
+    // SETTINGS METHODS
+    // ============================================
+
+    /**
+     * Initialize the settings panel
+     */
+    initializeSettingsPanel() {
+        const { settingsPanel, settingsHeader, dayRolloverSelect, settingsTimeZone } = this.domElements;
+        if (!settingsPanel) {
+            return;
+        }
+
+        if (settingsHeader) {
+            settingsHeader.addEventListener('click', () => settingsPanel.classList.toggle('collapsed'));
+        }
+
+        if (settingsTimeZone) {
+            settingsTimeZone.textContent = this.dataManager.getTimeZone() || 'unknown';
+        }
+
+        if (dayRolloverSelect) {
+            for (let hour = 0; hour <= this.dataManager.maxDayRolloverHour; hour++) {
+                const option = document.createElement('option');
+                option.value = hour;
+                option.textContent = `${String(hour).padStart(2, '0')}:00${hour === 0 ? ' (midnight)' : ''}`;
+                dayRolloverSelect.appendChild(option);
+            }
+            dayRolloverSelect.value = this.dataManager.dayRolloverHour;
+            dayRolloverSelect.addEventListener('change', () => this.handleDayRolloverChange());
+        }
+    }
+
+    /**
+     * Handle a change of the day rollover hour
+     */
+    async handleDayRolloverChange() {
+        const hour = parseInt(this.domElements.dayRolloverSelect.value, 10);
+
+        try {
+            this.dataManager.setDayRolloverHour(hour);
+            await this.dataManager.saveWorkoutData();
+            this.notificationManager.showSuccess(`Training days now start at ${String(hour).padStart(2, '0')}:00`);
+
+            if (this.refreshCallback) {
+                this.refreshCallback();
+            } else {
+                this.refreshUI();
+            }
+        } catch (error) {
+            console.error('Error changing day rollover hour:', error);
+            this.domElements.dayRolloverSelect.value = this.dataManager.dayRolloverHour;
+            this.notificationManager.showError('Failed to change when the training day starts');
+        }
+    }
+
+    /**
+     * Get the user interface preferences (for backups)
+     * @returns {Object} Settings object
+     */
+    getUISettings() {
+        return {
+            dashboardMode: localStorage.getItem('dashboardMode') === 'true',
+            exerciseManagementCollapsed: this.exerciseTypeManager ? this.exerciseTypeManager.getCollapsedState() : true,
+            dayRolloverHour: this.dataManager.dayRolloverHour
+        };
+    }
+
+    /**
+     * Apply user interface preferences (from a backup)
+     * @param {Object} settings - Settings object as returned by getUISettings
+     */
+    applyUISettings(settings) {
+        if (!settings) {
+            return;
+        }
+
+        // Hours the settings panel does not offer are ignored
+        const hour = settings.dayRolloverHour;
+        if (Number.isInteger(hour) && hour >= 0 && hour <= this.dataManager.maxDayRolloverHour &&
+            hour !== this.dataManager.dayRolloverHour) {
+            this.dataManager.setDayRolloverHour(hour);
+            if (this.domElements.dayRolloverSelect) {
+                this.domElements.dayRolloverSelect.value = hour;
+            }
+        }
+
+        if (typeof settings.exerciseManagementCollapsed === 'boolean' && this.exerciseTypeManager) {
+            this.exerciseTypeManager.setCollapsed(settings.exerciseManagementCollapsed);
+            this.updateAccordionState();
+        }
+
+        if (typeof settings.dashboardMode === 'boolean') {
+            if (settings.dashboardMode) {
+                this.enableDashboardMode();
+            } else {
+                this.disableDashboardMode();
+            }
+        }
+    }
+
     // ============================================
     // DASHBOARD MODE METHODS
     // ============================================
@@ -884,6 +998,17 @@ class UIManager {
         }
     }
 
+    /**
+     * Remember whether dashboard mode is on
+     * @param {boolean} enabled - True if dashboard mode is on
+     */
+    saveDashboardMode(enabled) {
+        if (this.sandboxed) {
+            return;
+        }
+        localStorage.setItem('dashboardMode', String(enabled));
+    }
+
     /**
      * Enable dashboard mode
      */
@@ -900,7 +1025,7 @@ class UIManager {
         this.updateDashboardStats();
 
         // Save state
-        localStorage.setItem('dashboardMode', 'true');
+        this.saveDashboardMode(true);
 
         // Trigger chart resize after layout change
         setTimeout(() => {
@@ -921,7 +1046,7 @@ class UIManager {
         }
 
         // Save state
-        localStorage.setItem('dashboardMode', 'false');
+        this.saveDashboardMode(false);
 
         // Trigger chart resize after layout change
         setTimeout(() => {
@@ -947,7 +1072,7 @@ class UIManager {
         startOfWeek.setHours(0, 0, 0, 0);
         
         const thisWeekReps = workouts
-            .filter(workout => new Date(workout.date) >= startOfWeek)
+            .filter(workout => ChartDataUtils.getWorkoutDay(workout) >= startOfWeek)
             .reduce((sum, workout) => sum + workout.totalReps, 0);
 
         // Update DOM elements
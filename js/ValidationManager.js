@@ -161,7 +161,7 @@ class ValidationManager {
             errors.push("The selected file is empty.");
         } else {
             // Basic CSV structure validation
-            const lines = csvData.split('\n');
+            const lines = csvData.split(/\r\n|\n|\r/);
             if (lines.length < 2) {
                 errors.push("CSV file must have at least a header and one data row.");
             }
@@ -179,6 +179,74 @@ class ValidationManager {
         };
     }
 
+    /**
+     * Validate JSON backup file
+     * @param {File} file - File to validate
+     * @returns {Object} Validation result
+     */
+    validateBackupFile(file) {
+        const errors = [];
+
+        if (!file) {
+            errors.push("Please select a file to import.");
+        } else {
+            if (!file.name.toLowerCase().endsWith('.json')) {
+                errors.push("Please select a valid JSON backup file.");
+            }
+
+            // Backups include every series, so allow more than for CSV (50MB limit)
+            if (file.size > 50 * 1024 * 1024) {
+                errors.push("File is too large. Maximum size is 50MB.");
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Validate the envelope of a JSON backup: schema identifier, format version and checksum
+     * @param {Object} backup - Parsed backup object
+     * @param {string} schema - Expected schema identifier
+     * @param {number} maxFormatVersion - Newest supported format version
+     * @returns {Object} Validation result
+     */
+    validateBackupData(backup, schema, maxFormatVersion) {
+        const errors = [];
+
+        if (!backup || typeof backup !== 'object' || Array.isArray(backup) || backup.schema !== schema) {
+            errors.push('The file is not a WorkoutTrackr backup.');
+        } else if (!Number.isInteger(backup.formatVersion) || backup.formatVersion < 1) {
+            errors.push('The backup has an invalid format version.');
+        } else if (backup.formatVersion > maxFormatVersion) {
+            errors.push('The backup was created by a newer version of WorkoutTrackr. Please update the app.');
+        } else if (!backup.content || typeof backup.content !== 'object') {
+            errors.push('The backup has no content.');
+        } else if (!backup.checksum || backup.checksum.algorithm !== 'crc32' ||
+            backup.checksum.value !== BinaryUtils.crc32Hex(JSON.stringify(backup.content))) {
+            errors.push('The backup checksum does not match. The file may be corrupted or was modified.');
+        } else {
+            const { content } = backup;
+            if (!Number.isInteger(content.dataVersion)) {
+                errors.push('The backup is missing its data version.');
+            }
+            if (!Array.isArray(content.workouts)) {
+                errors.push('The backup contains no workout list.');
+            }
+            if ('exerciseTypes' in content && (!Array.isArray(content.exerciseTypes) ||
+                content.exerciseTypes.some(type => typeof type !== 'string'))) {
+                errors.push('The backup has an invalid exercise type list.');
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
     /**
      * Validate parsed workout data array
      * @param {Array} workouts - Array of workout objects
@@ -0,0 +1,518 @@
+/**
+ * WebDAVManager - Keeps a JSON backup (see BackupManager) in a WebDAV folder, e.g. on Nextcloud. The backup is
+ * uploaded on demand or periodically, and can be downloaded and merged. Before every upload the server copy's
+ * Last-Modified (and ETag, where the server exposes it) is compared with the one this device last uploaded or
+ * downloaded, so a backup another device uploaded in the meantime is never overwritten without asking.
+ */
+class WebDAVManager {
+    constructor(dataManager, notificationManager, backupManager) {
+        this.dataManager = dataManager;
+        this.notificationManager = notificationManager;
+        this.backupManager = backupManager;
+        this.settingsKey = 'webdavSettings';
+        this.stateKey = 'webdavState';
+        this.checkInterval = 5 * 60 * 1000; // How often the automatic upload checks whether it is due
+        this.requestTimeout = 30000;
+        this.uploadIntervals = [
+            [0, 'Off (Sync Now only)'],
+            [1, 'Every hour'],
+            [6, 'Every 6 hours'],
+            [24, 'Every day']
+        ];
+        this.settings = this.loadSettings();
+        this.state = this.loadState();
+        this.running = false;
+        this.timer = null;
+
+        this.dataManager.addChangeListener(() => {
+            if (!this.state.changedSinceUpload) {
+                this.state.changedSinceUpload = true;
+                this.saveState();
+                this.updateStatusDisplay();
+            }
+        });
+    }
+
+    /**
+     * Load the WebDAV settings from localStorage
+     * @returns {Object} { url: folder URL, username, password, fileName, interval: hours between uploads (0 = off) }
+     */
+    loadSettings() {
+        const defaults = { url: '', username: '', password: '', fileName: 'workouttrackr-backup.json', interval: 24 };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem(this.settingsKey)) };
+        } catch (error) {
+            console.warn('Could not load WebDAV settings:', error);
+            return defaults;
+        }
+    }
+
+    saveSettings() {
+        localStorage.setItem(this.settingsKey, JSON.stringify(this.settings));
+    }
+
+    /**
+     * Load the WebDAV state from localStorage
+     * @returns {Object} { lastModified, etag: server copy as last seen by this device, lastUploadAt, lastDownloadAt,
+     *   changedSinceUpload, conflict, lastError }
+     */
+    loadState() {
+        const defaults = {
+            lastModified: null,
+            etag: null,
+            lastUploadAt: null,
+            lastDownloadAt: null,
+            changedSinceUpload: true,
+            conflict: false,
+            lastError: null
+        };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem(this.stateKey)) };
+        } catch (error) {
+            console.warn('Could not load WebDAV state:', error);
+            return defaults;
+        }
+    }
+
+    saveState() {
+        localStorage.setItem(this.stateKey, JSON.stringify(this.state));
+    }
+
+    isConfigured() {
+        return Boolean(this.settings.url);
+    }
+
+    /**
+     * Start the automatic upload and show the status in the Backups panel
+     */
+    start() {
+        const settingsBtn = document.getElementById('webdav-settings');
+        const syncBtn = document.getElementById('webdav-sync-now');
+        if (settingsBtn) {
+            settingsBtn.addEventListener('click', () => this.showSettings());
+        }
+        if (syncBtn) {
+            syncBtn.addEventListener('click', () => this.sync());
+        }
+
+        this.updateStatusDisplay();
+        clearInterval(this.timer);
+        this.timer = setInterval(() => this.runScheduledUpload(), this.checkInterval);
+        this.runScheduledUpload();
+    }
+
+    /**
+     * Upload the backup if automatic uploads are on, the data changed and the interval has passed
+     */
+    runScheduledUpload() {
+        const { interval } = this.settings;
+        if (!this.isConfigured() || !interval || !this.state.changedSinceUpload || this.state.conflict
+            || navigator.onLine === false) {
+            return;
+        }
+
+        const lastUpload = this.state.lastUploadAt ? new Date(this.state.lastUploadAt).getTime() : 0;
+        if (Date.now() - lastUpload >= interval * 60 * 60 * 1000) {
+            this.sync({ automatic: true });
+        }
+    }
+
+    /**
+     * Upload the backup, unless the server copy changed since this device last saw it
+     * @param {Object} options - { automatic: true } to report problems without opening dialogs
+     * @returns {Promise<boolean>} True if the backup was uploaded
+     */
+    async sync({ automatic = false } = {}) {
+        if (!this.isConfigured()) {
+            this.showSettings();
+            return false;
+        }
+        if (this.running) {
+            return false;
+        }
+
+        this.running = true;
+        this.updateStatusDisplay();
+        let remote;
+        try {
+            remote = await this.getRemoteInfo();
+            if (!remote || !this.isRemoteChanged(remote)) {
+                if (await this.upload(remote)) {
+                    if (!automatic) {
+                        this.notificationManager.showSuccess('Backup uploaded to your WebDAV server.');
+                    }
+                    return true;
+                }
+                // Another device uploaded between the check and the upload
+                remote = (await this.getRemoteInfo()) || { lastModified: null, etag: null };
+            }
+        } catch (error) {
+            return this.handleError(error, automatic);
+        } finally {
+            this.running = false;
+            this.updateStatusDisplay();
+        }
+
+        this.state.conflict = true;
+        this.saveState();
+        this.updateStatusDisplay();
+        if (automatic) {
+            this.notificationManager.showWarning(
+                'The backup on your WebDAV server was changed by another device. Automatic uploads are paused.',
+                10000,
+                { label: 'Resolve', onClick: () => this.showConflict(remote) }
+            );
+            return false;
+        }
+        return this.showConflict(remote);
+    }
+
+    /**
+     * Whether the server copy differs from the one this device last uploaded or downloaded
+     * @param {Object} remote - { lastModified, etag }
+     * @returns {boolean} True if another device changed it (or this device never saw it)
+     */
+    isRemoteChanged(remote) {
+        if (remote.etag && this.state.etag) {
+            return remote.etag !== this.state.etag;
+        }
+        return !this.state.lastModified || remote.lastModified !== this.state.lastModified;
+    }
+
+    /**
+     * Upload the current data as a JSON backup
+     * @param {Object|null} remote - Server copy it replaces ({ lastModified, etag }), or null if there is none
+     * @returns {Promise<boolean>} False if the server copy changed since it was checked
+     */
+    async upload(remote) {
+        const headers = { 'Content-Type': 'application/json' };
+        // Let the server refuse the upload if another device uploaded since the check
+        if (remote && remote.etag) {
+            headers['If-Match'] = remote.etag;
+        } else if (!remote) {
+            headers['If-None-Match'] = '*';
+        }
+
+        // Changes made during the upload are uploaded next time
+        this.state.changedSinceUpload = false;
+        const json = JSON.stringify(this.backupManager.createBackup(), null, 2);
+        let response;
+        try {
+            response = await this.request('PUT', { headers, body: json, accept: [412] });
+        } catch (error) {
+            this.state.changedSinceUpload = true;
+            throw error;
+        }
+        if (response.status === 412) {
+            this.state.changedSinceUpload = true;
+            return false;
+        }
+
+        const uploaded = await this.getRemoteInfo();
+        Object.assign(this.state, {
+            lastModified: uploaded ? uploaded.lastModified : null,
+            etag: uploaded ? uploaded.etag : null,
+            lastUploadAt: new Date().toISOString(),
+            conflict: false,
+            lastError: null
+        });
+        this.saveState();
+        return true;
+    }
+
+    /**
+     * Download the server copy and open it like an imported backup file, with the choice to merge it or
+     * replace all data. Once it is imported, the combined data is uploaded.
+     * @returns {Promise<boolean>} True if the backup was imported
+     */
+    async downloadAndMerge() {
+        if (!this.isConfigured()) {
+            this.showSettings();
+            return false;
+        }
+
+        try {
+            const response = await this.request('GET', { accept: [404] });
+            if (response.status === 404) {
+                this.notificationManager.showInfo('There is no backup on your WebDAV server yet.');
+                return false;
+            }
+
+            const remote = this.readRemoteInfo(response);
+            const parsed = this.backupManager.parseBackup(await response.text());
+            if (!parsed) {
+                return false;
+            }
+
+            const imported = await this.backupManager.showImportOptions(parsed.backup, parsed.workouts, parsed.invalidCount);
+            if (!imported) {
+                return false;
+            }
+
+            Object.assign(this.state, {
+                lastModified: remote.lastModified,
+                etag: remote.etag,
+                lastDownloadAt: new Date().toISOString(),
+                conflict: false,
+                lastError: null
+            });
+            this.saveState();
+            this.updateStatusDisplay();
+            return this.sync();
+        } catch (error) {
+            return this.handleError(error, false);
+        }
+    }
+
+    /**
+     * Ask what to do when the server copy was changed by another device
+     * @param {Object} remote - { lastModified, etag } of the server copy
+     * @returns {Promise<boolean>} True if the conflict was resolved
+     */
+    showConflict(remote) {
+        const changed = remote.lastModified ? this.formatDateTime(remote.lastModified) : 'an unknown time';
+        const seen = this.state.lastModified || this.state.etag;
+        return new Promise(resolve => {
+            const { dialog, close } = this.notificationManager.createModal(`
+                <h3>WebDAV Backup Changed</h3>
+                <p style="text-align: left;">${seen
+                    ? `The backup on your server was changed (${DOMUtils.escapeHtml(changed)}) since this device last uploaded or downloaded it, probably by another device.`
+                    : `There is already a backup on your server (${DOMUtils.escapeHtml(changed)}), which this device has never downloaded.`}</p>
+                <p style="text-align: left;"><strong>Download &amp; Merge</strong> imports the server copy first (merging it or replacing your data),
+                    then uploads the result.<br>
+                    <strong>Overwrite</strong> replaces the server copy with the data on this device.</p>
+                <button id="webdav-conflict-merge" class="modal-btn btn-green mr-10">Download &amp; Merge</button>
+                <button id="webdav-conflict-overwrite" class="modal-btn btn-blue mr-10">Overwrite</button>
+                <button id="webdav-conflict-cancel" class="modal-btn btn-grey">Cancel</button>
+            `, { maxWidth: '500px' });
+
+            dialog.querySelector('#webdav-conflict-merge').addEventListener('click', async () => {
+                close();
+                resolve(await this.downloadAndMerge());
+            });
+            dialog.querySelector('#webdav-conflict-overwrite').addEventListener('click', async () => {
+                close();
+                try {
+                    const uploaded = await this.upload(remote);
+                    if (uploaded) {
+                        this.notificationManager.showSuccess('Backup uploaded to your WebDAV server.');
+                    } else {
+                        this.notificationManager.showWarning('The backup on your WebDAV server changed again. Press Sync Now to resolve it.');
+                    }
+                    resolve(uploaded);
+                } catch (error) {
+                    resolve(this.handleError(error, false));
+                } finally {
+                    this.updateStatusDisplay();
+                }
+            });
+            dialog.querySelector('#webdav-conflict-cancel').addEventListener('click', () => {
+                close();
+                resolve(false);
+            });
+        });
+    }
+
+    handleError(error, automatic) {
+        console.error('WebDAV sync failed:', error);
+        this.state.lastError = error.message;
+        this.saveState();
+        this.updateStatusDisplay();
+        if (!automatic) {
+            this.notificationManager.showError(`WebDAV sync failed: ${error.message}`);
+        }
+        return false;
+    }
+
+    // ---------- Requests ----------
+    getFileUrl() {
+        return `${this.settings.url.replace(/\/+$/, '')}/${encodeURIComponent(this.settings.fileName)}`;
+    }
+
+    /**
+     * Read the Last-Modified and ETag of the server copy
+     * @returns {Promise<Object|null>} { lastModified, etag }, or null if there is no backup on the server
+     */
+    async getRemoteInfo() {
+        const response = await this.request('HEAD', { accept: [404] });
+        return response.status === 404 ? null : this.readRemoteInfo(response);
+    }
+
+    readRemoteInfo(response) {
+        return {
+            lastModified: response.headers.get('Last-Modified'),
+            etag: response.headers.get('ETag')
+        };
+    }
+
+    /**
+     * Send a request for the backup file to the WebDAV server
+     * @param {string} method - 'HEAD', 'GET' or 'PUT'
+     * @param {Object} options - { headers, body, accept: error statuses to resolve with instead of throwing }
+     * @returns {Promise<Response>} The response
+     */
+    async request(method, { headers = {}, body, accept = [] } = {}) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), this.requestTimeout);
+        const { username, password } = this.settings;
+        if (username || password) {
+            const credentials = BinaryUtils.utf8Encode(`${username}:${password}`);
+            headers = { ...headers, Authorization: `Basic ${btoa(String.fromCharCode(...credentials))}` };
+        }
+
+        let response;
+        try {
+            response = await fetch(this.getFileUrl(), { method, headers, body, cache: 'no-store', signal: controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('The WebDAV server did not respond in time');
+            }
+            throw new Error('Could not reach the WebDAV server. Check the URL, your connection and the server\'s CORS settings');
+        } finally {
+            clearTimeout(timeout);
+        }
+
+        if (response.ok || accept.includes(response.status)) {
+            return response;
+        }
+        switch (response.status) {
+            case 401:
+            case 403:
+                throw new Error('The WebDAV server rejected the user name or password');
+            case 409:
+                throw new Error('The folder does not exist on the WebDAV server');
+            default:
+                throw new Error(`The WebDAV server responded with ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`);
+        }
+    }
+
+    // ---------- Status ----------
+    getStatusText() {
+        if (!this.isConfigured()) return 'WebDAV sync is not set up.';
+        if (this.running) return 'Syncing with WebDAV...';
+        if (this.state.conflict) return 'The WebDAV backup was changed by another device. Press Sync Now to resolve it.';
+        if (this.state.lastError) return `Last WebDAV sync failed: ${this.state.lastError}`;
+        if (!this.state.lastUploadAt) return 'Not uploaded to WebDAV yet.';
+        return `Uploaded to WebDAV ${this.formatDateTime(this.state.lastUploadAt)}${this.state.changedSinceUpload ? ', changes since then not uploaded yet' : ''}.`;
+    }
+
+    updateStatusDisplay() {
+        const element = document.getElementById('webdav-status');
+        if (element) {
+            element.textContent = this.getStatusText();
+        }
+    }
+
+    // ---------- Settings dialog ----------
+    /**
+     * Show the WebDAV settings: folder URL, credentials, file name and upload interval
+     */
+    showSettings() {
+        const { url, username, password, fileName, interval } = this.settings;
+        const intervalOptions = this.uploadIntervals
+            .map(([hours, label]) => `<option value="${hours}"${hours === interval ? ' selected' : ''}>${label}</option>`)
+            .join('');
+        const lastUpload = this.state.lastUploadAt ? this.formatDateTime(this.state.lastUploadAt) : 'Never';
+        const lastDownload = this.state.lastDownloadAt ? this.formatDateTime(this.state.lastDownloadAt) : 'Never';
+
+        const { dialog, close } = this.notificationManager.createModal(`
+            <h3>WebDAV Backup Sync</h3>
+            <p style="text-align: left;">Keep a backup in a folder on a WebDAV server, such as Nextcloud, and merge it on your other devices.</p>
+            <div class="csv-export-options" style="text-align: left; margin-bottom: 15px;">
+                <div class="setting-row">
+                    <label for="webdav-url">Folder URL</label>
+                    <input type="url" id="webdav-url" placeholder="https://cloud.example.com/remote.php/dav/files/me/Backups" value="${DOMUtils.escapeHtml(url)}">
+                </div>
+                <p class="setting-hint">On Nextcloud, the WebDAV address is shown under Files &gt; Files settings. The folder must exist.</p>
+                <div class="setting-row">
+                    <label for="webdav-username">User name</label>
+                    <input type="text" id="webdav-username" autocomplete="off" value="${DOMUtils.escapeHtml(username)}">
+                </div>
+                <div class="setting-row">
+                    <label for="webdav-password">Password</label>
+                    <input type="password" id="webdav-password" autocomplete="off" value="${DOMUtils.escapeHtml(password)}">
+                </div>
+                <p class="setting-hint">Stored unencrypted in this browser only. On Nextcloud, create an app password under Settings &gt; Security.</p>
+                <div class="setting-row">
+                    <label for="webdav-file">File name</label>
+                    <input type="text" id="webdav-file" value="${DOMUtils.escapeHtml(fileName)}">
+                </div>
+                <div class="setting-row">
+                    <label for="webdav-interval">Upload automatically</label>
+                    <select id="webdav-interval">${intervalOptions}</select>
+                </div>
+            </div>
+            <div style="background: #f5f5f5; padding: 15px; border-radius: 4px; margin: 15px 0; text-align: left;">
+                <strong>Status:</strong> ${DOMUtils.escapeHtml(this.getStatusText())}<br>
+                <strong>Last upload:</strong> ${DOMUtils.escapeHtml(lastUpload)}<br>
+                <strong>Last download:</strong> ${DOMUtils.escapeHtml(lastDownload)}
+            </div>
+            <button id="webdav-save" class="modal-btn btn-green mr-10">Save</button>
+            ${url ? '<button id="webdav-download" class="modal-btn btn-blue mr-10">Download &amp; Merge</button>' : ''}
+            <button id="webdav-cancel" class="modal-btn btn-grey">Close</button>
+        `, { maxWidth: '500px' });
+
+        dialog.querySelector('#webdav-save').addEventListener('click', () => {
+            const saved = this.updateSettings({
+                url: dialog.querySelector('#webdav-url').value.trim(),
+                username: dialog.querySelector('#webdav-username').value.trim(),
+                password: dialog.querySelector('#webdav-password').value,
+                fileName: dialog.querySelector('#webdav-file').value.trim(),
+                interval: Number(dialog.querySelector('#webdav-interval').value)
+            });
+            if (saved) {
+                close();
+            }
+        });
+        const downloadBtn = dialog.querySelector('#webdav-download');
+        if (downloadBtn) {
+            downloadBtn.addEventListener('click', () => {
+                close();
+                this.downloadAndMerge();
+            });
+        }
+        dialog.querySelector('#webdav-cancel').addEventListener('click', close);
+    }
+
+    /**
+     * Change the WebDAV settings. Pointing them at another file forgets what this device knew about the
+     * server copy, so an existing backup there is never overwritten without asking.
+     * @param {Object} settings - { url, username, password, fileName, interval }
+     * @returns {boolean} True if the settings were saved
+     */
+    updateSettings({ url, username, password, fileName, interval }) {
+        if (url && !/^https?:\/\/\S+$/i.test(url)) {
+            this.notificationManager.showWarning('Enter the URL of a WebDAV folder (http:// or https://).');
+            return false;
+        }
+        if (!fileName || /[\\/]/.test(fileName)) {
+            this.notificationManager.showWarning('Enter a file name without slashes.');
+            return false;
+        }
+
+        const otherFile = url !== this.settings.url || username !== this.settings.username || fileName !== this.settings.fileName;
+        this.settings = { url, username, password, fileName, interval };
+        this.saveSettings();
+        if (otherFile) {
+            localStorage.removeItem(this.stateKey);
+            this.state = this.loadState();
+        }
+
+        this.updateStatusDisplay();
+        this.notificationManager.showSuccess(url ? 'WebDAV settings saved.' : 'WebDAV sync is off.');
+        this.runScheduledUpload();
+        return true;
+    }
+
+    formatDateTime(value) {
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WebDAVManager;
+} else {
+    window.WebDAVManager = WebDAVManager;
+}
@@ -2,44 +2,88 @@
  * WorkoutDataManager - Handles data storage, retrieval, and persistence
  */
 class WorkoutDataManager {
-    constructor() {
+    constructor(storageAdapter = null) {
         this.workoutsData = [];
+        this.storage = storageAdapter;
         this.DATA_VERSION_V1 = 1;
         this.DATA_VERSION_V2 = 2;
         this.DATA_VERSION_V3 = 3;
-        this.CURRENT_DATA_VERSION = this.DATA_VERSION_V3;
+        this.DATA_VERSION_V4 = 4; // Workouts and series carry stable unique IDs
+        this.DATA_VERSION_V5 = 5; // Workouts are bucketed by local day and record their time zone
+        this.CURRENT_DATA_VERSION = this.DATA_VERSION_V5;
+        // Hour (local time) at which a new training day starts; series logged earlier count towards the previous day.
+        // Late-night training rarely goes past 6 AM.
+        this.maxDayRolloverHour = 6;
+        this.dayRolloverHour = this.loadDayRolloverHour();
+        // localStorage keys that may hold data written before the storage adapter layer existed
+        this.legacyStorageKeys = ["workoutData", "pushUpsData"];
+        // Listeners notified with a description of every data mutation (see trackChange)
+        this.changeListeners = [];
+        this.changeDepth = 0;
+        // JSON of the workouts touched by the running change before they changed, keyed by ID (see touchWorkout)
+        this.touchedWorkouts = null;
+        // IDs of the workouts changed by trackChange since the last save; null when everything has to be written
+        this.changedIds = null;
+        // Called when the database is upgraded in another tab and loading has to wait for it
+        this.onStorageBlocked = null;
+        // Set for data that must not change (the shared link viewer); every mutation then throws
+        this.readOnly = false;
+        // Set to true to keep settings in memory only (shared link viewer)
+        this.sandboxed = false;
+        // Snapshot retention: one daily snapshot per day, plus the most recent ones taken before destructive operations
+        this.maxDailySnapshots = 7;
+        this.maxOperationSnapshots = 10;
+        // Pending snapshot writes; saveWorkoutData waits for them so a snapshot is never newer than the saved data
+        this.snapshotQueue = Promise.resolve();
     }
 
     /**
-     * Load workout data from localStorage
+     * Get the storage adapter, choosing IndexedDB when available and localStorage otherwise
+     * @returns {Promise<Object>} The opened storage adapter
+     */
+    async getStorage() {
+        if (this.storage) {
+            return this.storage;
+        }
+
+        if (IndexedDBAdapter.isSupported()) {
+            try {
+                const adapter = new IndexedDBAdapter();
+                adapter.onBlocked = () => {
+                    if (this.onStorageBlocked) {
+                        this.onStorageBlocked();
+                    }
+                };
+                this.storage = await adapter.open();
+                return this.storage;
+            } catch (error) {
+                console.warn("IndexedDB unavailable, falling back to localStorage:", error);
+            }
+        }
+
+        this.storage = await new LocalStorageAdapter().open();
+        return this.storage;
+    }
+
+    /**
+     * Load workout data from the storage adapter, migrating legacy localStorage data on first load
      * @returns {Array} Array of workout data
      */
     async loadWorkoutData() {
         try {
-            // First try to load from the current storage key
-            if (localStorage.getItem("workoutData")) {
-                const storedDataStr = localStorage.getItem("workoutData");
-                if (!storedDataStr.trim()) {
-                    throw new Error("Stored data is empty");
-                }
-                const storedData = JSON.parse(storedDataStr);
-                this.processStoredData(storedData, "workoutData");
-            }
-            // Check for legacy data storage key for backward compatibility
-            else if (localStorage.getItem("pushUpsData")) {
-                const storedDataStr = localStorage.getItem("pushUpsData");
-                if (!storedDataStr.trim()) {
-                    throw new Error("Legacy data is empty");
-                }
-                const storedData = JSON.parse(storedDataStr);
-                this.processStoredData(storedData, "pushUpsData");
+            const storage = await this.getStorage();
+            const storedData = await storage.load();
 
-                // After successfully migrating, remove the old data
-                try {
-                    localStorage.removeItem("pushUpsData");
-                } catch (removeError) {
-                    console.warn("Could not remove legacy data:", removeError);
+            if (storedData) {
+                const migrated = this.processStoredData(storedData);
+                if (migrated) {
+                    await this.saveWorkoutData();
+                } else {
+                    // The stored workouts match the loaded ones, so later saves only write what changes
+                    this.changedIds = new Set();
                 }
+            } else {
+                await this.migrateLegacyLocalStorage(storage);
             }
         } catch (error) {
             console.error("Error loading workout data:", error);
@@ -47,40 +91,75 @@ class WorkoutDataManager {
             throw new Error("Failed to load saved data. Starting with empty workout list.");
         }
 
+        await this.ensureDailySnapshot();
+
         return this.workoutsData;
     }
 
+    /**
+     * Move data found under legacy localStorage keys into the storage adapter
+     * @param {Object} storage - The active storage adapter
+     */
+    async migrateLegacyLocalStorage(storage) {
+        for (const storageKey of this.legacyStorageKeys) {
+            // The localStorage adapter already read its own key
+            if (storage.name === 'localStorage' && storage.storageKey === storageKey) {
+                continue;
+            }
+
+            const storedDataStr = localStorage.getItem(storageKey);
+            if (storedDataStr === null) {
+                continue;
+            }
+            if (!storedDataStr.trim()) {
+                throw new Error("Legacy data is empty");
+            }
+
+            this.processStoredData(JSON.parse(storedDataStr));
+            await this.saveWorkoutData();
+
+            // After successfully migrating, remove the old data
+            try {
+                localStorage.removeItem(storageKey);
+            } catch (removeError) {
+                console.warn("Could not remove legacy data:", removeError);
+            }
+            return;
+        }
+    }
+
     /**
      * Process stored data and handle different format versions
      * @param {Object|Array} storedData - The stored data
-     * @param {string} storageKey - The storage key used
+     * @returns {boolean} True if the data was migrated and needs to be saved
      */
-    processStoredData(storedData, storageKey) {
+    processStoredData(storedData) {
+        let migrated = false;
+
         try {
             // Check if the stored data is an array (original format)
             if (Array.isArray(storedData)) {
-                const migratedData = this.migrateArrayToV2Format(storedData);
-                localStorage.setItem("workoutData", JSON.stringify(migratedData));
-                this.workoutsData = migratedData.data;
+                this.workoutsData = this.migrateToV5Format(this.migrateToV4Format(this.migrateArrayToV2Format(storedData))).data;
+                migrated = true;
             }
             // Check if it's v1 format
             else if (storedData.version === this.DATA_VERSION_V1) {
-                const migratedData = this.migrateV1ToV2Format(storedData);
-                localStorage.setItem("workoutData", JSON.stringify(migratedData));
-                this.workoutsData = migratedData.data;
+                this.workoutsData = this.migrateToV5Format(this.migrateToV4Format(this.migrateV1ToV2Format(storedData))).data;
+                migrated = true;
             }
-            // Already v2 or v3 format
+            // v2 or v3 format, needs IDs
             else if (storedData.version === this.DATA_VERSION_V2 || storedData.version === this.DATA_VERSION_V3) {
+                this.workoutsData = this.migrateToV5Format(this.migrateToV4Format(storedData)).data;
+                migrated = true;
+            }
+            // v4 format, needs re-bucketing by local day
+            else if (storedData.version === this.DATA_VERSION_V4) {
+                this.workoutsData = this.migrateToV5Format(storedData).data;
+                migrated = true;
+            }
+            // Already v5 format
+            else if (storedData.version === this.DATA_VERSION_V5) {
                 this.workoutsData = storedData.data || [];
-
-                // If loading from legacy storage key, save to new key
-                if (storageKey !== "workoutData") {
-                    try {
-                        localStorage.setItem("workoutData", JSON.stringify(storedData));
-                    } catch (saveError) {
-                        console.warn("Could not save migrated data:", saveError);
-                    }
-                }
             }
             // Unknown format - use empty array
             else {
@@ -93,26 +172,450 @@ class WorkoutDataManager {
             throw new Error("Failed to process stored data. Starting with empty workout list.");
         }
 
-        return this.workoutsData;
+        return migrated;
     }
 
     /**
-     * Save workout data to localStorage
+     * Convert data in any supported stored format to current-format workouts without touching the loaded data
+     * @param {Object|Array} storedData - The stored data (e.g. from a backup file)
+     * @returns {Array} Array of workouts in the current format
+     */
+    convertStoredData(storedData) {
+        const currentData = this.workoutsData;
+        try {
+            this.processStoredData(storedData);
+            return this.workoutsData;
+        } finally {
+            this.workoutsData = currentData;
+        }
+    }
+
+    /**
+     * Save workout data through the storage adapter
      */
     async saveWorkoutData() {
+        await this.snapshotQueue;
+
+        const changedIds = this.changedIds;
+        this.changedIds = new Set();
         try {
             const dataToSave = {
                 version: this.CURRENT_DATA_VERSION,
                 data: this.workoutsData
             };
-            localStorage.setItem("workoutData", JSON.stringify(dataToSave));
+            const storage = await this.getStorage();
+            await storage.save(dataToSave, changedIds);
             return true;
         } catch (error) {
+            // Write the workouts of this save again with the next one
+            if (changedIds === null) {
+                this.changedIds = null;
+            } else if (this.changedIds !== null) {
+                changedIds.forEach(id => this.changedIds.add(id));
+            }
             console.error("Error saving workout data:", error);
             throw new Error("Failed to save workout data. Your data might be lost.");
         }
     }
 
+    /**
+     * Take a snapshot of the current workouts. The data is captured immediately; the write is queued
+     * and completes before the next saveWorkoutData.
+     * @param {string} reason - 'daily', 'manual' or 'before-operation'
+     * @param {string} label - Human readable description shown in the Backups panel
+     * @returns {Promise<Object|null>} Snapshot metadata, or null if nothing was saved
+     */
+    createSnapshot(reason, label) {
+        if (this.workoutsData.length === 0) {
+            return Promise.resolve(null);
+        }
+
+        const json = JSON.stringify(this.workoutsData);
+        const snapshot = {
+            id: this.generateId(),
+            createdAt: new Date().toISOString(),
+            reason,
+            label,
+            version: this.CURRENT_DATA_VERSION,
+            workoutCount: this.workoutsData.length,
+            seriesCount: this.workoutsData.reduce((sum, workout) => sum + workout.series.length, 0),
+            size: json.length,
+            data: JSON.parse(json)
+        };
+
+        const pending = this.snapshotQueue.then(async () => {
+            const storage = await this.getStorage();
+            await storage.saveSnapshot(snapshot);
+            await this.pruneSnapshots();
+            const { data, ...metadata } = snapshot;
+            return metadata;
+        }).catch(error => {
+            console.warn("Could not create snapshot:", error);
+            return null;
+        });
+
+        this.snapshotQueue = pending;
+        return pending;
+    }
+
+    /**
+     * Take the daily snapshot if none has been taken on the current training day
+     */
+    async ensureDailySnapshot() {
+        try {
+            const today = this.getDayString(new Date());
+            const snapshots = await this.listSnapshots();
+            const hasTodaysSnapshot = snapshots.some(snapshot =>
+                snapshot.reason === 'daily' && this.getDayString(new Date(snapshot.createdAt)) === today
+            );
+            if (!hasTodaysSnapshot) {
+                await this.createSnapshot('daily', 'Daily backup');
+            }
+        } catch (error) {
+            console.warn("Could not check daily snapshot:", error);
+        }
+    }
+
+    /**
+     * Delete snapshots outside the retention window
+     */
+    async pruneSnapshots() {
+        const storage = await this.getStorage();
+        const snapshots = await storage.listSnapshots();
+        const daily = snapshots.filter(snapshot => snapshot.reason === 'daily');
+        const others = snapshots.filter(snapshot => snapshot.reason !== 'daily');
+        const expired = daily.slice(this.maxDailySnapshots).concat(others.slice(this.maxOperationSnapshots));
+
+        for (const snapshot of expired) {
+            await storage.deleteSnapshot(snapshot.id);
+        }
+    }
+
+    /**
+     * List stored snapshots, newest first
+     * @returns {Promise<Array>} Array of snapshot metadata (without data)
+     */
+    async listSnapshots() {
+        await this.snapshotQueue;
+        const storage = await this.getStorage();
+        return storage.listSnapshots();
+    }
+
+    /**
+     * Load a snapshot including its workouts
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<Object>} The snapshot
+     */
+    async getSnapshot(id) {
+        const storage = await this.getStorage();
+        const snapshot = await storage.loadSnapshot(id);
+        if (!snapshot) {
+            throw new Error("Snapshot not found");
+        }
+        return snapshot;
+    }
+
+    /**
+     * Delete a snapshot
+     * @param {string} id - Snapshot ID
+     */
+    async deleteSnapshot(id) {
+        const storage = await this.getStorage();
+        await storage.deleteSnapshot(id);
+    }
+
+    /**
+     * Replace the current workouts with the contents of a snapshot and save.
+     * The current data is snapshotted first, so a restore can itself be reverted.
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<number>} Number of restored workouts
+     */
+    async restoreSnapshot(id) {
+        const snapshot = await this.getSnapshot(id);
+
+        const previousData = this.workoutsData;
+        try {
+            this.trackChange('Restore backup', () => {
+                // Only taken once trackChange has let the restore go ahead
+                this.createSnapshot('before-operation', 'Before restoring a backup');
+                this.processStoredData({ version: snapshot.version, data: snapshot.data });
+            }, { wholeData: true });
+        } catch (error) {
+            this.workoutsData = previousData;
+            throw error;
+        }
+
+        await this.saveWorkoutData();
+        return this.workoutsData.length;
+    }
+
+    /**
+     * Load the day rollover hour setting
+     * @returns {number} Hour between 0 and maxDayRolloverHour
+     */
+    loadDayRolloverHour() {
+        try {
+            const storedHour = parseInt(localStorage.getItem('dayRolloverHour'), 10);
+            return isNaN(storedHour) ? 0 : Math.min(Math.max(storedHour, 0), this.maxDayRolloverHour);
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    /**
+     * Change the day rollover hour and re-bucket all workouts accordingly. The setting is stored only
+     * once the workouts are re-bucketed.
+     * @param {number} hour - Hour between 0 and maxDayRolloverHour
+     */
+    setDayRolloverHour(hour) {
+        const parsedHour = parseInt(hour, 10);
+        if (isNaN(parsedHour) || parsedHour < 0 || parsedHour > this.maxDayRolloverHour) {
+            throw new Error(`Day rollover hour must be between 0 and ${this.maxDayRolloverHour}`);
+        }
+
+        const previousHour = this.dayRolloverHour;
+        this.dayRolloverHour = parsedHour;
+        try {
+            // Re-bucketing depends on the setting, so it cannot be undone on its own
+            this.trackChange('Change training day start', () => this.rebucketWorkouts(), { undoable: false, wholeData: true });
+        } catch (error) {
+            this.dayRolloverHour = previousHour;
+            throw error;
+        }
+        if (!this.sandboxed) {
+            localStorage.setItem('dayRolloverHour', String(parsedHour));
+        }
+    }
+
+    /**
+     * Get the IANA time zone of the browser
+     * @returns {string} Time zone name (e.g. "Europe/Madrid"), or empty string if unknown
+     */
+    getTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Format a date as YYYY-MM-DD using the local calendar day
+     * @param {Date} date - Date to format
+     * @returns {string} Local date string
+     */
+    formatLocalDate(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Get the training day (YYYY-MM-DD) a moment belongs to, honoring the day rollover hour
+     * @param {Date|string} date - Moment to bucket
+     * @param {string|null} timeZone - Time zone the workout was recorded in (defaults to the browser's)
+     * @returns {string} Training day string
+     */
+    getDayString(date, timeZone = null) {
+        const shifted = new Date(new Date(date).getTime() - this.dayRolloverHour * 3600000);
+        const localZone = this.getTimeZone();
+
+        if (timeZone && timeZone !== localZone) {
+            try {
+                const parts = new Intl.DateTimeFormat('en-CA', {
+                    timeZone: timeZone,
+                    year: 'numeric',
+                    month: '2-digit',
+                    day: '2-digit'
+                }).formatToParts(shifted);
+                const part = type => parts.find(p => p.type === type).value;
+                return `${part('year')}-${part('month')}-${part('day')}`;
+            } catch (error) {
+                // Unknown time zone, fall back to the local calendar
+            }
+        }
+
+        return this.formatLocalDate(shifted);
+    }
+
+    /**
+     * Regroup all series into one workout per training day and exercise.
+     * Used after migrations and when the day rollover hour changes.
+     */
+    rebucketWorkouts() {
+        const groups = new Map();
+        const usedIds = new Set();
+        const untouched = [];
+
+        const sortedWorkouts = [...this.workoutsData].sort((a, b) => new Date(a.date) - new Date(b.date));
+        sortedWorkouts.forEach(workout => {
+            if (!workout.series || workout.series.length === 0) {
+                untouched.push(workout);
+                return;
+            }
+
+            const timeZone = workout.timeZone || this.getTimeZone();
+            workout.series.forEach(series => {
+                const key = `${this.getDayString(series.timestamp, timeZone)}|${workout.exercise}`;
+                if (!groups.has(key)) {
+                    // The first workout contributing to a day keeps its ID
+                    const id = usedIds.has(workout.id) ? this.generateId() : workout.id;
+                    usedIds.add(id);
+                    groups.set(key, { ...workout, id: id, timeZone: timeZone, series: [] });
+                }
+                groups.get(key).series.push(series);
+            });
+        });
+
+        const rebucketed = Array.from(groups.values());
+        rebucketed.forEach(workout => this.recalculateWorkoutTotals(workout));
+        this.workoutsData = rebucketed.concat(untouched);
+    }
+
+    /**
+     * Register a listener that is called after every data mutation
+     * @param {Function} listener - Receives a change object ({ id, label, timestamp, before, after, undoable, source })
+     */
+    addChangeListener(listener) {
+        this.changeListeners.push(listener);
+    }
+
+    /**
+     * Run a mutation, remember the workouts it changed for the next save and notify change listeners with them.
+     * The change lists the affected workouts before and after the mutation, keyed by ID,
+     * so it can be reverted or replayed with applyChange.
+     * Only the workouts the mutation passes to touchWorkout are compared, so it must touch every workout it
+     * changes, adds or removes. Mutations that rewrite all workouts pass { wholeData: true } instead.
+     * @param {string} label - Human readable description of the mutation
+     * @param {Function} mutate - Function performing the mutation
+     * @param {Object} options - { undoable: false } for changes that cannot be reverted, { source } to tag the origin,
+     *   { wholeData: true } to compare all workouts
+     * @returns {*} The return value of mutate
+     */
+    trackChange(label, mutate, { undoable = true, source = 'user', wholeData = false } = {}) {
+        if (this.readOnly) {
+            throw new Error("Shared workouts are read-only.");
+        }
+
+        // Nested mutations are reported as part of the outermost one
+        if (this.changeDepth > 0) {
+            return mutate();
+        }
+
+        const before = wholeData ? this.serializeById(this.workoutsData) : null;
+        const touched = wholeData ? null : new Map();
+        let result;
+        this.changeDepth++;
+        this.touchedWorkouts = touched;
+        try {
+            result = mutate();
+        } finally {
+            this.changeDepth--;
+            this.touchedWorkouts = null;
+        }
+
+        const change = { id: this.generateId(), label, timestamp: new Date().toISOString(), before: [], after: [], undoable, source };
+        if (wholeData) {
+            const after = this.serializeById(this.workoutsData);
+            before.forEach((json, id) => {
+                if (after.get(id) !== json) {
+                    change.before.push(JSON.parse(json));
+                }
+            });
+            after.forEach((json, id) => {
+                if (before.get(id) !== json) {
+                    change.after.push(JSON.parse(json));
+                }
+            });
+        } else {
+            const current = new Map();
+            this.workoutsData.forEach(workout => {
+                if (touched.has(workout.id)) current.set(workout.id, workout);
+            });
+            touched.forEach((json, id) => {
+                const afterJson = current.has(id) ? JSON.stringify(current.get(id)) : null;
+                if (afterJson === json) return;
+                if (json !== null) change.before.push(JSON.parse(json));
+                if (afterJson !== null) change.after.push(JSON.parse(afterJson));
+            });
+        }
+
+        // Remember what to write with the next save
+        if (this.changedIds !== null) {
+            change.before.forEach(workout => this.changedIds.add(workout.id));
+            change.after.forEach(workout => this.changedIds.add(workout.id));
+        }
+
+        if (change.before.length > 0 || change.after.length > 0) {
+            this.changeListeners.forEach(listener => {
+                try {
+                    listener(change);
+                } catch (error) {
+                    console.error("Error in change listener:", error);
+                }
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Mark a workout as changed by the running trackChange mutation. Call it before changing or removing
+     * the workout, and with added = true once a new workout has its ID. Only the first call per ID counts.
+     * @param {Object} workout - Workout about to change, or the workout just added
+     * @param {boolean} added - True if the workout did not exist before the mutation
+     */
+    touchWorkout(workout, added = false) {
+        if (this.touchedWorkouts && !this.touchedWorkouts.has(workout.id)) {
+            this.touchedWorkouts.set(workout.id, added ? null : JSON.stringify(workout));
+        }
+    }
+
+    /**
+     * Serialize workouts into a map of workout ID to JSON string
+     * @param {Array} workouts - Workouts to serialize
+     * @returns {Map} Map of ID to JSON
+     */
+    serializeById(workouts) {
+        const serialized = new Map();
+        workouts.forEach(workout => serialized.set(workout.id, JSON.stringify(workout)));
+        return serialized;
+    }
+
+    /**
+     * Revert or replay a change recorded by trackChange
+     * @param {Object} change - Change object
+     * @param {string} direction - 'undo' restores the "before" workouts, 'redo' restores the "after" workouts
+     */
+    applyChange(change, direction) {
+        const remove = direction === 'undo' ? change.after : change.before;
+        const restore = direction === 'undo' ? change.before : change.after;
+        const label = `${direction === 'undo' ? 'Undo' : 'Redo'}: ${change.label}`;
+
+        this.trackChange(label, () => {
+            const removedIds = new Set(remove.map(workout => workout.id));
+            const restored = new Map(restore.map(workout => [workout.id, JSON.parse(JSON.stringify(workout))]));
+            this.workoutsData.forEach(workout => {
+                if (removedIds.has(workout.id) || restored.has(workout.id)) this.touchWorkout(workout);
+            });
+            restored.forEach(workout => this.touchWorkout(workout, true));
+
+            // Replace workouts in place so the list keeps its order, then add the ones that were deleted
+            this.workoutsData = this.workoutsData
+                .filter(workout => restored.has(workout.id) || !removedIds.has(workout.id))
+                .map(workout => {
+                    const replacement = restored.get(workout.id);
+                    if (replacement) {
+                        restored.delete(workout.id);
+                        return replacement;
+                    }
+                    return workout;
+                })
+                .concat([...restored.values()]);
+        }, { source: 'history' });
+    }
+
     /**
      * Add a new workout or series to existing workout
      * @param {string} exercise - Exercise type
@@ -121,52 +624,60 @@ class WorkoutDataManager {
      * @returns {Object} The workout that was created or updated
      */
     addWorkout(exercise, reps, weight) {
-        const newEntryTime = new Date();
-        const dateString = newEntryTime.toISOString().split('T')[0]; // YYYY-MM-DD
-
-        // Check if a workout for today already exists
-        const existingWorkout = this.workoutsData.find(workout =>
-            workout.dateString === dateString &&
-            workout.exercise === exercise
-        );
-
-        if (existingWorkout) {
-            // If a workout exists for today with the same exercise, add a new series
-            const newSeries = {
-                reps: reps,
-                weight: weight,
-                timestamp: newEntryTime.toISOString()
-            };
+        return this.trackChange('Add series', () => {
+            const newEntryTime = new Date();
+            const dateString = this.getDayString(newEntryTime); // YYYY-MM-DD
+
+            // Check if a workout for today already exists
+            const existingWorkout = this.workoutsData.find(workout =>
+                workout.dateString === dateString &&
+                workout.exercise === exercise
+            );
+
+            if (existingWorkout) {
+                // If a workout exists for today with the same exercise, add a new series
+                const newSeries = {
+                    id: this.generateId(),
+                    reps: reps,
+                    weight: weight,
+                    timestamp: newEntryTime.toISOString()
+                };
 
-            existingWorkout.series.push(newSeries);
+                this.touchWorkout(existingWorkout);
+                existingWorkout.series.push(newSeries);
 
-            // Update the totals
-            existingWorkout.totalReps += reps;
+                // Update the totals
+                existingWorkout.totalReps += reps;
 
-            // Calculate total time between first and last series
-            const firstSeriesTime = new Date(existingWorkout.series[0].timestamp).getTime();
-            const lastSeriesTime = newEntryTime.getTime();
-            existingWorkout.totalTime = Math.round((lastSeriesTime - firstSeriesTime) / 60000);
+                // Calculate total time between first and last series
+                const firstSeriesTime = new Date(existingWorkout.series[0].timestamp).getTime();
+                const lastSeriesTime = newEntryTime.getTime();
+                existingWorkout.totalTime = Math.round((lastSeriesTime - firstSeriesTime) / 60000);
 
-            return existingWorkout;
-        } else {
-            // Create a new workout for today
-            const newWorkout = {
-                date: newEntryTime.toISOString(),
-                dateString: dateString,
-                exercise: exercise,
-                series: [{
-                    reps: reps,
-                    weight: weight,
-                    timestamp: newEntryTime.toISOString()
-                }],
-                totalTime: 0, // First series, so no time elapsed yet
-                totalReps: reps
-            };
+                return existingWorkout;
+            } else {
+                // Create a new workout for today
+                const newWorkout = {
+                    id: this.generateId(),
+                    date: newEntryTime.toISOString(),
+                    dateString: dateString,
+                    timeZone: this.getTimeZone(),
+                    exercise: exercise,
+                    series: [{
+                        id: this.generateId(),
+                        reps: reps,
+                        weight: weight,
+                        timestamp: newEntryTime.toISOString()
+                    }],
+                    totalTime: 0, // First series, so no time elapsed yet
+                    totalReps: reps
+                };
 
-            this.workoutsData.push(newWorkout);
-            return newWorkout;
-        }
+                this.workoutsData.push(newWorkout);
+                this.touchWorkout(newWorkout, true);
+                return newWorkout;
+            }
+        });
     }
 
     /**
@@ -196,204 +707,228 @@ class WorkoutDataManager {
         }
 
         // Update the main workout date and dateString to match the first series
+        if (!workout.timeZone) {
+            workout.timeZone = this.getTimeZone();
+        }
         workout.date = workout.series[0].timestamp;
-        workout.dateString = new Date(workout.date).toISOString().split('T')[0];
+        workout.dateString = this.getDayString(workout.date, workout.timeZone);
     }
 
     /**
-     * Delete a series from a workout and recalculate totals
-     * @param {string} workoutId - Workout identifier (timestamp as string)
-     * @param {number} seriesIndex - Index of the series to delete
-     * @returns {boolean} True if series was deleted, false if workout was deleted
+     * Find the index of a workout by its ID
+     * @param {string} workoutId - Workout ID
+     * @returns {number} Index in workoutsData
      */
-    deleteSeries(workoutId, seriesIndex) {
-        const workoutIndex = this.workoutsData.findIndex(workout =>
-            new Date(workout.date).getTime().toString() === workoutId
-        );
+    findWorkoutIndex(workoutId) {
+        const workoutIndex = this.workoutsData.findIndex(workout => workout.id === workoutId);
 
         if (workoutIndex === -1) {
             throw new Error("Workout not found");
         }
 
-        const workout = this.workoutsData[workoutIndex];
+        return workoutIndex;
+    }
 
-        if (seriesIndex < 0 || seriesIndex >= workout.series.length) {
-            throw new Error("Series index out of bounds");
-        }
+    /**
+     * Find the index of a series within a workout by its ID
+     * @param {Object} workout - Workout containing the series
+     * @param {string} seriesId - Series ID
+     * @returns {number} Index in workout.series
+     */
+    findSeriesIndex(workout, seriesId) {
+        const seriesIndex = workout.series.findIndex(series => series.id === seriesId);
 
-        // If this is the only series, delete the entire workout
-        if (workout.series.length === 1) {
-            this.workoutsData.splice(workoutIndex, 1);
-            return false; // Indicates workout was deleted
+        if (seriesIndex === -1) {
+            throw new Error("Series not found");
         }
 
-        // Remove the series
-        workout.series.splice(seriesIndex, 1);
+        return seriesIndex;
+    }
+
+    /**
+     * Delete a series from a workout and recalculate totals
+     * @param {string} workoutId - Workout ID
+     * @param {string} seriesId - Series ID
+     * @returns {boolean} True if series was deleted, false if workout was deleted
+     */
+    deleteSeries(workoutId, seriesId) {
+        return this.trackChange('Delete series', () => {
+            const workoutIndex = this.findWorkoutIndex(workoutId);
+            const workout = this.workoutsData[workoutIndex];
+            const seriesIndex = this.findSeriesIndex(workout, seriesId);
+            this.touchWorkout(workout);
+
+            // If this is the only series, delete the entire workout
+            if (workout.series.length === 1) {
+                this.workoutsData.splice(workoutIndex, 1);
+                return false; // Indicates workout was deleted
+            }
+
+            // Remove the series
+            workout.series.splice(seriesIndex, 1);
 
-        // Recalculate totals
-        this.recalculateWorkoutTotals(workout);
+            // Recalculate totals
+            this.recalculateWorkoutTotals(workout);
 
-        return true; // Indicates series was deleted but workout remains
+            return true; // Indicates series was deleted but workout remains
+        });
     }
 
     /**
      * Update an existing series in a workout and recalculate totals
-     * @param {string} workoutId - Workout identifier (timestamp as string)
-     * @param {number} seriesIndex - Index of the series to update
+     * @param {string} workoutId - Workout ID
+     * @param {string} seriesId - Series ID
      * @param {number} reps - New number of reps
      * @param {number|null} weight - New weight used
      * @param {Date|null} newTimestamp - Optional new timestamp for the series
      * @returns {Object} The updated (or new) workout
      */
-    updateSeries(workoutId, seriesIndex, reps, weight, newTimestamp = null) {
-        const workoutIndex = this.workoutsData.findIndex(workout =>
-            new Date(workout.date).getTime().toString() === workoutId
-        );
-
-        if (workoutIndex === -1) {
-            throw new Error("Workout not found");
-        }
-
-        const workout = this.workoutsData[workoutIndex];
-
-        if (seriesIndex < 0 || seriesIndex >= workout.series.length) {
-            throw new Error("Series index out of bounds");
-        }
-
-        // Update the series data
-        const series = workout.series[seriesIndex];
+    updateSeries(workoutId, seriesId, reps, weight, newTimestamp = null) {
+        return this.trackChange('Edit series', () => {
+            const workoutIndex = this.findWorkoutIndex(workoutId);
+            const workout = this.workoutsData[workoutIndex];
+            const seriesIndex = this.findSeriesIndex(workout, seriesId);
+            this.touchWorkout(workout);
+
+            // Update the series data
+            const series = workout.series[seriesIndex];
         
-        if (newTimestamp) {
-            const oldTimestamp = new Date(series.timestamp);
-            const oldDateString = oldTimestamp.toISOString().split('T')[0];
-            const newDateString = newTimestamp.toISOString().split('T')[0];
-
-            if (oldDateString !== newDateString) {
-                // The date has changed, create a new series object and move it
-                const movedSeries = {
-                    ...series,
-                    reps: reps,
-                    weight: weight !== null && !isNaN(weight) ? weight : null,
-                    timestamp: newTimestamp.toISOString()
-                };
+            if (newTimestamp) {
+                const oldDateString = workout.dateString;
+                const newDateString = this.getDayString(newTimestamp, workout.timeZone);
+
+                if (oldDateString !== newDateString) {
+                    // The date has changed, create a new series object and move it
+                    const movedSeries = {
+                        ...series,
+                        reps: reps,
+                        weight: weight !== null && !isNaN(weight) ? weight : null,
+                        timestamp: newTimestamp.toISOString()
+                    };
 
-                // 1. Remove from current workout
-                workout.series.splice(seriesIndex, 1);
+                    // 1. Remove from current workout
+                    workout.series.splice(seriesIndex, 1);
                 
-                // 2. If current workout is now empty, remove it
-                if (workout.series.length === 0) {
-                    this.workoutsData.splice(workoutIndex, 1);
-                } else {
-                    // Otherwise update original workout's totals
-                    this.recalculateWorkoutTotals(workout);
-                }
+                    // 2. If current workout is now empty, remove it
+                    if (workout.series.length === 0) {
+                        this.workoutsData.splice(workoutIndex, 1);
+                    } else {
+                        // Otherwise update original workout's totals
+                        this.recalculateWorkoutTotals(workout);
+                    }
 
-                // 3. Find or create a workout on the new date
-                let targetWorkout = this.workoutsData.find(w => 
-                    w.dateString === newDateString && 
-                    w.exercise === workout.exercise
-                );
-
-                if (targetWorkout) {
-                    // Add to existing workout
-                    targetWorkout.series.push(movedSeries);
-                    this.recalculateWorkoutTotals(targetWorkout);
-                    return targetWorkout;
+                    // 3. Find or create a workout on the new date
+                    let targetWorkout = this.workoutsData.find(w => 
+                        w.dateString === newDateString && 
+                        w.exercise === workout.exercise
+                    );
+
+                    if (targetWorkout) {
+                        // Add to existing workout
+                        this.touchWorkout(targetWorkout);
+                        targetWorkout.series.push(movedSeries);
+                        this.recalculateWorkoutTotals(targetWorkout);
+                        return targetWorkout;
+                    } else {
+                        // Create new workout for this date
+                        const newWorkout = {
+                            id: this.generateId(),
+                            date: newTimestamp.toISOString(),
+                            dateString: newDateString,
+                            timeZone: workout.timeZone || this.getTimeZone(),
+                            exercise: workout.exercise,
+                            series: [movedSeries],
+                            totalTime: 0,
+                            totalReps: movedSeries.reps
+                        };
+                        this.workoutsData.push(newWorkout);
+                        this.touchWorkout(newWorkout, true);
+                        // Keep workouts sorted by date (newest first)
+                        this.workoutsData.sort((a, b) => new Date(b.date) - new Date(a.date));
+                        return newWorkout;
+                    }
                 } else {
-                    // Create new workout for this date
-                    const newWorkout = {
-                        date: newTimestamp.toISOString(),
-                        dateString: newDateString,
-                        exercise: workout.exercise,
-                        series: [movedSeries],
-                        totalTime: 0,
-                        totalReps: movedSeries.reps
-                    };
-                    this.workoutsData.push(newWorkout);
-                    // Keep workouts sorted by date (newest first)
-                    this.workoutsData.sort((a, b) => new Date(b.date) - new Date(a.date));
-                    return newWorkout;
+                    // Same day, update in place
+                    series.reps = reps;
+                    series.weight = weight !== null && !isNaN(weight) ? weight : null;
+                    series.timestamp = newTimestamp.toISOString();
+                    this.recalculateWorkoutTotals(workout);
+                    return workout;
                 }
             } else {
-                // Same day, update in place
+                // No timestamp change, update in place
                 series.reps = reps;
                 series.weight = weight !== null && !isNaN(weight) ? weight : null;
-                series.timestamp = newTimestamp.toISOString();
                 this.recalculateWorkoutTotals(workout);
                 return workout;
             }
-        } else {
-            // No timestamp change, update in place
-            series.reps = reps;
-            series.weight = weight !== null && !isNaN(weight) ? weight : null;
-            this.recalculateWorkoutTotals(workout);
-            return workout;
-        }
+        });
     }
 
     /**
      * Update the date of a workout
-     * @param {string} workoutId - Workout identifier (timestamp as string)
+     * @param {string} workoutId - Workout ID
      * @param {Date} newDate - The new date for the workout
      * @returns {Object} The updated (or merged) workout
      */
     updateWorkoutDate(workoutId, newDate) {
-        const workoutIndex = this.workoutsData.findIndex(workout =>
-            new Date(workout.date).getTime().toString() === workoutId
-        );
-
-        if (workoutIndex === -1) {
-            throw new Error("Workout not found");
-        }
-
-        const workout = this.workoutsData[workoutIndex];
-        const newDateString = newDate.toISOString().split('T')[0];
-
-        // Check if another workout for the same exercise already exists on the new date
-        // (and it's not the same workout entry)
-        const existingWorkout = this.workoutsData.find(w =>
-            w.dateString === newDateString &&
-            w.exercise === workout.exercise &&
-            new Date(w.date).getTime().toString() !== workoutId
-        );
-
-        if (existingWorkout) {
-            // Merge this workout into the existing one
-            workout.series.forEach(s => {
-                // Update timestamp for the series to match the new date but preserve time
-                const seriesTime = new Date(s.timestamp);
-                const updatedSeriesTime = new Date(newDate);
-                updatedSeriesTime.setHours(seriesTime.getHours());
-                updatedSeriesTime.setMinutes(seriesTime.getMinutes());
-                updatedSeriesTime.setSeconds(seriesTime.getSeconds());
-                updatedSeriesTime.setMilliseconds(seriesTime.getMilliseconds());
-                s.timestamp = updatedSeriesTime.toISOString();
-                
-                existingWorkout.series.push(s);
-            });
-
-            // Recalculate totals and sort series
-            this.recalculateWorkoutTotals(existingWorkout);
+        return this.trackChange('Change workout date', () => {
+            const workoutIndex = this.findWorkoutIndex(workoutId);
+            const workout = this.workoutsData[workoutIndex];
+            // The picked calendar day is the new training day; shift every series by the
+            // same number of days so late-night series stay attached to their session
+            const newDateString = this.formatLocalDate(newDate);
+            const dayDelta = Math.round(
+                (Date.parse(newDateString + 'T00:00:00Z') - Date.parse(workout.dateString + 'T00:00:00Z')) / 86400000
+            );
+
+            // Check if another workout for the same exercise already exists on the new date
+            // (and it's not the same workout entry)
+            const existingWorkout = this.workoutsData.find(w =>
+                w.dateString === newDateString &&
+                w.exercise === workout.exercise &&
+                w.id !== workoutId
+            );
+
+            this.touchWorkout(workout);
+            if (existingWorkout) {
+                // Merge this workout into the existing one
+                this.touchWorkout(existingWorkout);
+                workout.series.forEach(s => {
+                    // Update timestamp for the series to match the new date but preserve time
+                    s.timestamp = this.shiftTimestampByDays(s.timestamp, dayDelta);
+                    existingWorkout.series.push(s);
+                });
+
+                // Recalculate totals and sort series
+                this.recalculateWorkoutTotals(existingWorkout);
+
+                // Remove the old workout entry
+                this.workoutsData.splice(workoutIndex, 1);
+                return existingWorkout;
+            } else {
+                // No conflict, update the date by updating all series timestamps
+                workout.series.forEach(s => {
+                    s.timestamp = this.shiftTimestampByDays(s.timestamp, dayDelta);
+                });
 
-            // Remove the old workout entry
-            this.workoutsData.splice(workoutIndex, 1);
-            return existingWorkout;
-        } else {
-            // No conflict, update the date by updating all series timestamps
-            workout.series.forEach(s => {
-                const seriesTime = new Date(s.timestamp);
-                const updatedSeriesTime = new Date(newDate);
-                updatedSeriesTime.setHours(seriesTime.getHours());
-                updatedSeriesTime.setMinutes(seriesTime.getMinutes());
-                updatedSeriesTime.setSeconds(seriesTime.getSeconds());
-                updatedSeriesTime.setMilliseconds(seriesTime.getMilliseconds());
-                s.timestamp = updatedSeriesTime.toISOString();
-            });
+                // Recalculate everything (this updates workout.date and workout.dateString)
+                this.recalculateWorkoutTotals(workout);
+                return workout;
+            }
+        });
+    }
 
-            // Recalculate everything (this updates workout.date and workout.dateString)
-            this.recalculateWorkoutTotals(workout);
-            return workout;
-        }
+    /**
+     * Move a timestamp by a number of calendar days, preserving the local time of day
+     * @param {Date|string} timestamp - Original timestamp
+     * @param {number} days - Number of days to move (may be negative)
+     * @returns {string} Shifted ISO timestamp
+     */
+    shiftTimestampByDays(timestamp, days) {
+        const shifted = new Date(timestamp);
+        shifted.setDate(shifted.getDate() + days);
+        return shifted.toISOString();
     }
 
     /**
@@ -421,11 +956,16 @@ class WorkoutDataManager {
     }
 
     /**
-     * Replace all workout data (used for CSV import)
+     * Replace all workout data (used for CSV import). A snapshot of the current data is taken first.
      * @param {Array} newData - New workout data
+     * @param {string} snapshotLabel - Label of the snapshot taken before replacing (optional)
      */
-    replaceAllData(newData) {
-        this.workoutsData = newData;
+    replaceAllData(newData, snapshotLabel = 'Before replacing all data') {
+        return this.trackChange('Replace all data', () => {
+            // Inside trackChange, so a read-only replace does not leave a snapshot behind
+            this.createSnapshot('before-operation', snapshotLabel);
+            this.workoutsData = this.ensureIds(newData);
+        }, { wholeData: true });
     }
 
     /**
@@ -433,7 +973,299 @@ class WorkoutDataManager {
      * @param {Array} newWorkouts - Array of new workouts to add
      */
     addMultipleWorkouts(newWorkouts) {
-        this.workoutsData = this.workoutsData.concat(newWorkouts);
+        return this.trackChange('Import workouts', () => {
+            const existingIds = new Set(this.workoutsData.map(workout => workout.id));
+            const added = this.ensureIds(newWorkouts, existingIds);
+            added.forEach(workout => this.touchWorkout(workout, true));
+            this.workoutsData = this.workoutsData.concat(added);
+        });
+    }
+
+    /**
+     * Apply workouts changed on another device (see SyncManager): replaces or adds the changed workouts and
+     * removes the deleted ones. A workout that ends up on the same training day and exercise as another one is
+     * merged with it into the workout with the smaller ID, so every device keeps the same one.
+     * The change is reported with source 'sync', which the undo history and the sync queue skip.
+     * @param {Array} changes - [{ id, workout }], workout is null for a deleted workout
+     * @returns {Array} Workouts changed or removed by merging, [{ id, workout }], to be synced back
+     */
+    applySyncedChanges(changes) {
+        return this.trackChange('Sync from other devices', () => {
+            const mergedIds = new Set();
+            changes.forEach(({ id, workout }) => {
+                const index = this.workoutsData.findIndex(existing => existing.id === id);
+                if (index !== -1) this.touchWorkout(this.workoutsData[index]);
+                if (!workout) {
+                    if (index !== -1) this.workoutsData.splice(index, 1);
+                    return;
+                } else if (index !== -1) {
+                    this.workoutsData[index] = workout;
+                } else {
+                    this.workoutsData.push(workout);
+                    this.touchWorkout(workout, true);
+                }
+
+                const duplicate = this.workoutsData.find(existing => existing !== workout &&
+                    existing.exercise === workout.exercise && existing.dateString === workout.dateString);
+                if (!duplicate) return;
+                this.touchWorkout(duplicate);
+
+                const [kept, removed] = duplicate.id < workout.id ? [duplicate, workout] : [workout, duplicate];
+                removed.series.forEach(series => {
+                    if (!this.findMatchingSeries(kept, series)) {
+                        kept.series.push({ ...series });
+                    }
+                });
+                this.recalculateWorkoutTotals(kept);
+                this.workoutsData.splice(this.workoutsData.indexOf(removed), 1);
+                mergedIds.add(kept.id);
+                mergedIds.add(removed.id);
+            });
+
+            return Array.from(mergedIds, id => {
+                const workout = this.workoutsData.find(existing => existing.id === id);
+                return { id, workout: workout ? JSON.parse(JSON.stringify(workout)) : null };
+            });
+        }, { source: 'sync' });
+    }
+
+    /**
+     * Find the existing workout an imported workout corresponds to: the one with the same ID or,
+     * failing that, the same exercise on the same training day
+     * @param {Object} workout - Imported workout
+     * @returns {Object|undefined} The matching workout
+     */
+    findMatchingWorkout(workout) {
+        return this.workoutsData.find(existing => workout.id && existing.id === workout.id) ||
+            this.workoutsData.find(existing =>
+                existing.exercise === workout.exercise && existing.dateString === workout.dateString
+            );
+    }
+
+    /**
+     * Find the series of a workout an imported series corresponds to: same ID or same timestamp
+     * @param {Object} workout - Existing workout
+     * @param {Object} series - Imported series
+     * @returns {Object|undefined} The matching series
+     */
+    findMatchingSeries(workout, series) {
+        const second = this.getTimestampSecond(series.timestamp);
+        const sameSecond = workout.series.filter(existing => this.getTimestampSecond(existing.timestamp) === second);
+        return workout.series.find(existing => series.id && existing.id === series.id) ||
+            sameSecond.find(existing => this.isSameSeries(existing, series)) ||
+            sameSecond[0];
+    }
+
+    /**
+     * Get a timestamp in whole seconds. Imports compare timestamps to the second, because CSV
+     * exports with a custom date format don't include milliseconds.
+     * @param {Date|string} timestamp - Timestamp
+     * @returns {number} Seconds since the epoch
+     */
+    getTimestampSecond(timestamp) {
+        return Math.floor(new Date(timestamp).getTime() / 1000);
+    }
+
+    /**
+     * Check whether two series hold the same values
+     * @param {Object} a - Series
+     * @param {Object} b - Series
+     * @returns {boolean} True if reps, weight and timestamp (to the second) are equal
+     */
+    isSameSeries(a, b) {
+        const weightA = a.weight === undefined ? null : a.weight;
+        const weightB = b.weight === undefined ? null : b.weight;
+        return a.reps === b.reps && weightA === weightB &&
+            this.getTimestampSecond(a.timestamp) === this.getTimestampSecond(b.timestamp);
+    }
+
+    /**
+     * Compare workouts to import with the existing data without changing anything.
+     * Each workout is classified as 'new' (no matching workout), 'duplicate' (all of its series already
+     * exist with the same values) or 'conflict' (it matches a workout but has new or different series).
+     * @param {Array} newWorkouts - Workouts to import
+     * @returns {Object} Object with an items array ({ workout, existing, status, newSeries, duplicateSeries,
+     *   conflictingSeries }) and summary counts
+     */
+    analyzeImport(newWorkouts) {
+        const summary = {
+            newWorkouts: 0, duplicateWorkouts: 0, conflictingWorkouts: 0,
+            newSeries: 0, duplicateSeries: 0, conflictingSeries: 0
+        };
+
+        const items = newWorkouts.map(workout => {
+            const existing = this.findMatchingWorkout(workout);
+            const item = { workout, existing: existing || null, status: 'new', newSeries: 0, duplicateSeries: 0, conflictingSeries: 0 };
+
+            if (!existing) {
+                item.newSeries = workout.series.length;
+            } else {
+                workout.series.forEach(series => {
+                    const match = this.findMatchingSeries(existing, series);
+                    if (!match) {
+                        item.newSeries++;
+                    } else if (this.isSameSeries(match, series)) {
+                        item.duplicateSeries++;
+                    } else {
+                        item.conflictingSeries++;
+                    }
+                });
+                item.status = item.newSeries === 0 && item.conflictingSeries === 0 ? 'duplicate' : 'conflict';
+            }
+
+            summary.newSeries += item.newSeries;
+            summary.duplicateSeries += item.duplicateSeries;
+            summary.conflictingSeries += item.conflictingSeries;
+            if (item.status === 'new') summary.newWorkouts++;
+            else if (item.status === 'duplicate') summary.duplicateWorkouts++;
+            else summary.conflictingWorkouts++;
+
+            return item;
+        });
+
+        return { items, summary };
+    }
+
+    /**
+     * Merge workouts into the existing data. Workouts and series are matched as in analyzeImport;
+     * workouts without a match are always added.
+     * @param {Array} newWorkouts - Array of workouts to merge
+     * @param {string} strategy - How to handle workouts that match an existing one:
+     *   'skip' leaves the existing workout untouched, 'merge' adds the series it does not have yet
+     *   (existing series win on conflicts), 'overwrite' replaces its series with the imported ones
+     * @returns {Object} Counts of added, updated, unchanged and skipped workouts
+     */
+    mergeWorkouts(newWorkouts, strategy = 'merge') {
+        if (!['skip', 'merge', 'overwrite'].includes(strategy)) {
+            throw new Error(`Unknown merge strategy: ${strategy}`);
+        }
+
+        return this.trackChange('Merge workouts', () => {
+            const result = { added: 0, updated: 0, unchanged: 0, skipped: 0 };
+            const usedIds = new Set();
+            this.workoutsData.forEach(workout => {
+                usedIds.add(workout.id);
+                workout.series.forEach(series => usedIds.add(series.id));
+            });
+            // Imported IDs are kept unless they are missing or already taken
+            const claimId = (item) => {
+                if (!item.id || typeof item.id !== 'string' || usedIds.has(item.id)) {
+                    item.id = this.generateId();
+                }
+                usedIds.add(item.id);
+            };
+
+            newWorkouts.forEach(newWorkout => {
+                const existing = this.findMatchingWorkout(newWorkout);
+
+                if (!existing) {
+                    claimId(newWorkout);
+                    newWorkout.series.forEach(claimId);
+                    this.workoutsData.push(newWorkout);
+                    this.touchWorkout(newWorkout, true);
+                    result.added++;
+                    return;
+                }
+
+                if (strategy === 'skip') {
+                    result.skipped++;
+                    return;
+                }
+
+                if (strategy === 'overwrite') {
+                    const unchanged = newWorkout.series.length === existing.series.length &&
+                        newWorkout.series.every(series => {
+                            const match = this.findMatchingSeries(existing, series);
+                            return match && this.isSameSeries(match, series);
+                        });
+                    if (unchanged) {
+                        result.unchanged++;
+                        return;
+                    }
+
+                    // Replaced series keep their IDs, so other copies of the data stay in sync
+                    this.touchWorkout(existing);
+                    const keptIds = new Set();
+                    existing.series = newWorkout.series.map(series => {
+                        const replacement = { ...series };
+                        const match = this.findMatchingSeries(existing, series);
+                        if (match && !keptIds.has(match.id)) {
+                            replacement.id = match.id;
+                            keptIds.add(match.id);
+                        } else {
+                            claimId(replacement);
+                        }
+                        return replacement;
+                    });
+                    this.recalculateWorkoutTotals(existing);
+                    result.updated++;
+                    return;
+                }
+
+                const missingSeries = newWorkout.series
+                    .filter(series => !this.findMatchingSeries(existing, series))
+                    .map(series => ({ ...series }));
+                if (missingSeries.length === 0) {
+                    result.unchanged++;
+                    return;
+                }
+
+                missingSeries.forEach(claimId);
+                this.touchWorkout(existing);
+                existing.series.push(...missingSeries);
+                this.recalculateWorkoutTotals(existing);
+                result.updated++;
+            });
+
+            return result;
+        });
+    }
+
+    /**
+     * Generate a new unique identifier for a workout or series
+     * @returns {string} UUID string
+     */
+    generateId() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+
+        // Fallback for browsers without crypto.randomUUID (e.g. non-secure contexts)
+        const bytes = new Uint8Array(16);
+        if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+            crypto.getRandomValues(bytes);
+        } else {
+            for (let i = 0; i < bytes.length; i++) {
+                bytes[i] = Math.floor(Math.random() * 256);
+            }
+        }
+        bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+        bytes[8] = (bytes[8] & 0x3f) | 0x80; // Variant 10xx
+        const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    /**
+     * Make sure every workout and series has a unique ID, keeping valid existing IDs
+     * @param {Array} workouts - Workouts to check (modified in place)
+     * @param {Set} usedIds - IDs already in use that must not be reused
+     * @returns {Array} The same workouts array
+     */
+    ensureIds(workouts, usedIds = new Set()) {
+        const seen = new Set(usedIds);
+        const ensure = (item) => {
+            if (!item.id || typeof item.id !== 'string' || seen.has(item.id)) {
+                item.id = this.generateId();
+            }
+            seen.add(item.id);
+        };
+
+        workouts.forEach(workout => {
+            ensure(workout);
+            (workout.series || []).forEach(ensure);
+        });
+
+        return workouts;
     }
 
     // Migration functions
@@ -462,12 +1294,28 @@ class WorkoutDataManager {
         return series;
     }
 
+    migrateToV4Format(oldData) {
+        return {
+            version: this.DATA_VERSION_V4,
+            data: this.ensureIds(oldData.data || [])
+        };
+    }
+
+    migrateToV5Format(oldData) {
+        this.workoutsData = oldData.data || [];
+        this.rebucketWorkouts();
+        return {
+            version: this.DATA_VERSION_V5,
+            data: this.workoutsData
+        };
+    }
+
     migrateArrayToV2Format(oldData) {
         const workouts = [];
 
         oldData.forEach(entry => {
             const date = new Date(entry.date);
-            const dateString = date.toISOString().split('T')[0]; // YYYY-MM-DD
+            const dateString = this.getDayString(date); // YYYY-MM-DD
 
             // Create series using shared function
             const series = this.createMigratedSeries(date, entry.pushUps, entry.timeBetweenFirstAndLast);
@@ -493,7 +1341,7 @@ class WorkoutDataManager {
 
         oldData.data.forEach(entry => {
             const date = new Date(entry.date);
-            const dateString = date.toISOString().split('T')[0]; // YYYY-MM-DD
+            const dateString = this.getDayString(date); // YYYY-MM-DD
 
             // Create series using shared function
             const series = this.createMigratedSeries(date, entry.pushUps, entry.timeBetweenFirstAndLast);
@@ -5,19 +5,39 @@ class WorkoutTrackerApp {
     constructor() {
         // Initialize managers
         this.notificationManager = new NotificationManager();
-        this.dataManager = new WorkoutDataManager();
+        // Shared links opened for viewing work on in-memory data, so the stored data is never touched
+        this.isSharedView = ShareManager.isViewerLink();
+        this.dataManager = new WorkoutDataManager(this.isSharedView ? new MemoryStorageAdapter() : null);
         this.exerciseTypeManager = new ExerciseTypeManager(this.dataManager, this.notificationManager);
         this.validationManager = new ValidationManager(this.notificationManager);
-        this.uiManager = new UIManager(this.dataManager, this.notificationManager, this.refreshUI.bind(this), this.exerciseTypeManager);
+        this.historyManager = new HistoryManager(this.dataManager, this.notificationManager, this.refreshUI.bind(this));
+        this.uiManager = new UIManager(this.dataManager, this.notificationManager, this.refreshUI.bind(this), this.exerciseTypeManager, this.historyManager);
         this.chartManager = new ChartManager(this.dataManager, this.notificationManager);
-        this.csvManager = new CSVManager(this.dataManager, this.notificationManager, this.validationManager);
-        this.shareManager = new ShareManager(this.dataManager, this.notificationManager, this.exerciseTypeManager);
+        this.reportManager = new ReportManager(this.dataManager, this.notificationManager, this.chartManager);
+        this.cardManager = new CardManager(this.dataManager, this.notificationManager, this.exerciseTypeManager, this.chartManager);
+        this.importManager = new ImportManager(this.dataManager, this.notificationManager);
+        this.calendarManager = new CalendarManager(this.dataManager, this.notificationManager, this.exerciseTypeManager, this.importManager);
+        this.healthExportManager = new HealthExportManager(this.dataManager, this.notificationManager);
+        this.csvManager = new CSVManager(this.dataManager, this.notificationManager, this.validationManager, this.historyManager, this.importManager,
+            this.exerciseTypeManager);
+        this.shareManager = new ShareManager(this.dataManager, this.notificationManager, this.exerciseTypeManager, this.importManager,
+            this.historyManager, this.refreshUI.bind(this));
+        this.backupManager = new BackupManager(this.dataManager, this.notificationManager, this.refreshUI.bind(this),
+            this.validationManager, this.exerciseTypeManager, this.uiManager, this.historyManager, this.importManager);
+        // Workouts of a shared link must never reach the sync server or the WebDAV backup
+        this.syncManager = this.isSharedView ? null : new SyncManager(this.dataManager, this.notificationManager, this.refreshUI.bind(this));
+        this.webdavManager = this.isSharedView ? null : new WebDAVManager(this.dataManager, this.notificationManager, this.backupManager);
 
         // Bind methods to preserve context
         this.handleFormSubmit = this.handleFormSubmit.bind(this);
         this.handleCSVExport = this.handleCSVExport.bind(this);
+        this.handleXLSXExport = this.handleXLSXExport.bind(this);
+        this.handleTrainingReport = this.handleTrainingReport.bind(this);
         this.handleCSVImport = this.handleCSVImport.bind(this);
         this.handleCSVReplace = this.handleCSVReplace.bind(this);
+        this.handleBackupImport = this.handleBackupImport.bind(this);
+        this.handleCalendarImport = this.handleCalendarImport.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
 
         // Application state
         this.isInitialized = false;
@@ -30,14 +50,25 @@ class WorkoutTrackerApp {
         try {
             console.log('Initializing Workout Tracker App...');
 
-            // Initialize exercise types first
-            await this.exerciseTypeManager.initializeExerciseTypes();
+            if (this.isSharedView) {
+                await this.initSharedView();
+            } else {
+                // Initialize exercise types first
+                await this.exerciseTypeManager.initializeExerciseTypes();
 
-            // Load workout data
-            await this.loadData();
+                // Load workout data
+                await this.loadData();
+
+                // Restore undo/redo history
+                await this.historyManager.loadHistory();
+
+                // Restore the changes waiting to sync
+                await this.syncManager.loadState();
+            }
 
             // Initialize UI
             await this.uiManager.initializeUI();
+            await this.backupManager.initializeBackupsPanel();
 
             // Setup event listeners
             this.setupEventListeners();
@@ -47,6 +78,13 @@ class WorkoutTrackerApp {
                 this.chartManager.createOrUpdateCharts();
             }
 
+            // Open a shared link once the local data is loaded, so it can be compared with it
+            if (!this.isSharedView) {
+                this.shareManager.checkForSharedData();
+                this.syncManager.start();
+                this.webdavManager.start();
+            }
+
             this.isInitialized = true;
             console.log('Workout Tracker App initialized successfully');
 
@@ -56,12 +94,40 @@ class WorkoutTrackerApp {
         }
     }
 
+    /**
+     * Load the workouts of a shared link for read-only viewing. Exercise types, colors and preferences stay in memory,
+     * the undo history is not loaded and every data change is refused.
+     */
+    async initSharedView() {
+        document.body.classList.add('shared-view');
+        // Preferences changed while viewing stay in memory
+        this.exerciseTypeManager.sandboxed = true;
+        this.uiManager.sandboxed = true;
+        this.dataManager.sandboxed = true;
+        await this.exerciseTypeManager.initializeExerciseTypes();
+
+        const shareData = await this.shareManager.loadSharedView();
+        this.dataManager.readOnly = true;
+        this.shareManager.showViewerBanner(shareData);
+    }
+
     /**
      * Load workout data from storage
      */
     async loadData() {
+        // Loading waits while another tab still has an older version of the database open
+        let hideBlockedMessage = null;
+        this.dataManager.onStorageBlocked = () => {
+            hideBlockedMessage = this.notificationManager.showLoading(
+                'WorkoutTrackr is open in another tab with an older version. Close or reload that tab to load your workouts.'
+            );
+        };
+
         try {
             await this.dataManager.loadWorkoutData();
+            if (hideBlockedMessage) {
+                hideBlockedMessage();
+            }
         } catch (error) {
             console.error('Error loading data:', error);
             this.notificationManager.showError(error.message || 'Failed to load workout data');
@@ -84,6 +150,30 @@ class WorkoutTrackerApp {
             exportBtn.addEventListener('click', this.handleCSVExport);
         }
 
+        // Excel export
+        const xlsxBtn = document.getElementById('download-xlsx');
+        if (xlsxBtn) {
+            xlsxBtn.addEventListener('click', this.handleXLSXExport);
+        }
+
+        // Training report
+        const reportBtn = document.getElementById('training-report');
+        if (reportBtn) {
+            reportBtn.addEventListener('click', this.handleTrainingReport);
+        }
+
+        // Image cards
+        const cardBtn = document.getElementById('image-card');
+        if (cardBtn) {
+            cardBtn.addEventListener('click', () => this.cardManager.showCardOptions());
+        }
+
+        // Sync settings
+        const syncBtn = document.getElementById('sync-settings');
+        if (syncBtn && this.syncManager) {
+            syncBtn.addEventListener('click', () => this.syncManager.showSettings());
+        }
+
         // CSV import
         const importBtn = document.getElementById('import-csv');
         const importInput = document.getElementById('file-input');
@@ -100,11 +190,78 @@ class WorkoutTrackerApp {
             replaceInput.addEventListener('change', this.handleCSVReplace);
         }
 
+        // JSON backup export
+        const backupBtn = document.getElementById('download-backup');
+        if (backupBtn) {
+            backupBtn.addEventListener('click', () => this.backupManager.exportBackup());
+        }
+
+        // JSON backup import
+        const backupImportBtn = document.getElementById('import-backup');
+        const backupInput = document.getElementById('backup-file-input');
+        if (backupImportBtn && backupInput) {
+            backupImportBtn.addEventListener('click', () => backupInput.click());
+            backupInput.addEventListener('change', this.handleBackupImport);
+        }
+
+        // Calendar export and planned sessions
+        const calendarBtn = document.getElementById('download-ics');
+        if (calendarBtn) {
+            calendarBtn.addEventListener('click', () => this.calendarManager.showExportOptions());
+        }
+
+        const plannedBtn = document.getElementById('planned-sessions');
+        const calendarInput = document.getElementById('ics-file-input');
+        if (plannedBtn && calendarInput) {
+            plannedBtn.addEventListener('click', () => this.calendarManager.showPlannedSessions());
+            calendarInput.addEventListener('change', this.handleCalendarImport);
+        }
+
+        // Health app export
+        const healthExportBtn = document.getElementById('health-export');
+        if (healthExportBtn) {
+            healthExportBtn.addEventListener('click', () => this.healthExportManager.showExportOptions());
+        }
+
         // Share button
         const shareBtn = document.getElementById('share-data');
         if (shareBtn) {
             shareBtn.addEventListener('click', () => this.shareManager.shareData());
         }
+
+        // Scan share QR codes
+        const scanBtn = document.getElementById('scan-share');
+        if (scanBtn) {
+            scanBtn.addEventListener('click', () => this.shareManager.showScanner());
+        }
+
+        // Undo/redo keyboard shortcuts
+        document.addEventListener('keydown', this.handleKeyDown);
+    }
+
+    /**
+     * Handle undo (Ctrl+Z) and redo (Ctrl+Shift+Z / Ctrl+Y) shortcuts
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleKeyDown(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+            return;
+        }
+
+        // Leave native text undo alone while editing a field
+        const target = event.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+            return;
+        }
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.historyManager.undo();
+        } else if ((key === 'z' && event.shiftKey) || (key === 'y' && !event.shiftKey)) {
+            event.preventDefault();
+            this.historyManager.redo();
+        }
     }
 
     /**
@@ -136,7 +293,7 @@ class WorkoutTrackerApp {
 
             // Save data
             await this.dataManager.saveWorkoutData();
-            this.notificationManager.showSuccess("Workout saved successfully!");
+            this.notificationManager.showSuccess("Workout saved successfully!", undefined, this.historyManager.createUndoAction());
 
             // Update UI
             this.refreshUI();
@@ -153,7 +310,25 @@ class WorkoutTrackerApp {
      */
     async handleCSVExport(event) {
         event.preventDefault();
-        await this.csvManager.exportToCSV();
+        await this.csvManager.showExportOptions();
+    }
+
+    /**
+     * Handle Excel export
+     * @param {Event} event - Click event
+     */
+    async handleXLSXExport(event) {
+        event.preventDefault();
+        await this.csvManager.exportToXLSX();
+    }
+
+    /**
+     * Handle training report
+     * @param {Event} event - Click event
+     */
+    async handleTrainingReport(event) {
+        event.preventDefault();
+        await this.reportManager.showReportOptions();
     }
 
     /**
@@ -188,6 +363,32 @@ class WorkoutTrackerApp {
         event.target.value = '';
     }
 
+    /**
+     * Handle JSON backup import
+     * @param {Event} event - File input change event
+     */
+    async handleBackupImport(event) {
+        const file = event.target.files[0];
+        if (file) {
+            await this.backupManager.importBackup(file);
+        }
+        // Clear the input
+        event.target.value = '';
+    }
+
+    /**
+     * Handle calendar import
+     * @param {Event} event - File input change event
+     */
+    async handleCalendarImport(event) {
+        const file = event.target.files[0];
+        if (file) {
+            await this.calendarManager.importFromICS(file);
+        }
+        // Clear the input
+        event.target.value = '';
+    }
+
     /**
      * Refresh the entire UI
      */
@@ -195,6 +396,7 @@ class WorkoutTrackerApp {
         try {
             this.uiManager.refreshUI();
             this.chartManager.createOrUpdateCharts();
+            this.backupManager.updateBackupList();
         } catch (error) {
             console.error('Error refreshing UI:', error);
             this.notificationManager.showWarning('Failed to refresh display. Please refresh the page.');
@@ -238,6 +440,16 @@ class WorkoutTrackerApp {
                 exportBtn.removeEventListener('click', this.handleCSVExport);
             }
 
+            const xlsxBtn = document.getElementById('download-xlsx');
+            if (xlsxBtn) {
+                xlsxBtn.removeEventListener('click', this.handleXLSXExport);
+            }
+
+            const reportBtn = document.getElementById('training-report');
+            if (reportBtn) {
+                reportBtn.removeEventListener('click', this.handleTrainingReport);
+            }
+
             const importInput = document.getElementById('file-input');
             if (importInput) {
                 importInput.removeEventListener('change', this.handleCSVImport);
@@ -248,6 +460,18 @@ class WorkoutTrackerApp {
                 replaceInput.removeEventListener('change', this.handleCSVReplace);
             }
 
+            const backupInput = document.getElementById('backup-file-input');
+            if (backupInput) {
+                backupInput.removeEventListener('change', this.handleBackupImport);
+            }
+
+            const calendarInput = document.getElementById('ics-file-input');
+            if (calendarInput) {
+                calendarInput.removeEventListener('change', this.handleCalendarImport);
+            }
+
+            document.removeEventListener('keydown', this.handleKeyDown);
+
             // Clean up chart manager
             this.chartManager.cleanup();
 
@@ -264,13 +488,13 @@ class WorkoutTrackerApp {
      */
     resetData() {
         this.notificationManager.showConfirmation(
-            'Are you sure you want to delete all workout data? This action cannot be undone.',
+            'Are you sure you want to delete all workout data?',
             () => {
                 try {
                     this.dataManager.replaceAllData([]);
                     this.dataManager.saveWorkoutData();
                     this.refreshUI();
-                    this.notificationManager.showSuccess('All workout data has been cleared.');
+                    this.notificationManager.showSuccess('All workout data has been cleared.', undefined, this.historyManager.createUndoAction());
                 } catch (error) {
                     console.error('Error resetting data:', error);
                     this.notificationManager.showError('Failed to reset data.');
@@ -0,0 +1,212 @@
+// XLSXUtils - Minimal Office Open XML (.xlsx) workbook writer built on BinaryUtils.createZip (no DOM access)
+(function (global) {
+    'use strict';
+
+    // Cell styles defined in styles.xml, by index
+    const STYLE = { normal: 0, header: 1, dateTime: 2, date: 3 };
+    const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+    function escapeXml(text) {
+        return String(text)
+            // Control characters are not allowed in XML
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Get the column letters of a zero-based column index (0 -> A, 26 -> AA)
+     * @param {number} index - Column index
+     * @returns {string} Column letters
+     */
+    function columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    /**
+     * Convert a date to an Excel serial number, keeping its local wall-clock time
+     * @param {Date} date - Date
+     * @returns {number} Days since 1899-12-30
+     */
+    function toSerialDate(date) {
+        const local = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+            date.getHours(), date.getMinutes(), date.getSeconds());
+        return (local - EXCEL_EPOCH) / 86400000;
+    }
+
+    /**
+     * Write one cell. Values can be strings, numbers, booleans, Dates, null (empty) or
+     * { value, type: 'date' } for a date without time.
+     */
+    function cellXml(value, ref, isHeader) {
+        if (value === null || value === undefined || value === '') {
+            return '';
+        }
+        if (isHeader) {
+            return `<c r="${ref}" t="inlineStr" s="${STYLE.header}"><is><t>${escapeXml(value)}</t></is></c>`;
+        }
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? '' : `<c r="${ref}" s="${STYLE.dateTime}"><v>${toSerialDate(value)}</v></c>`;
+        }
+        if (typeof value === 'object' && value.type === 'date') {
+            if (!(value.value instanceof Date) || isNaN(value.value.getTime())) {
+                return '';
+            }
+            return `<c r="${ref}" s="${STYLE.date}"><v>${Math.floor(toSerialDate(value.value))}</v></c>`;
+        }
+        if (typeof value === 'number') {
+            if (!isFinite(value)) {
+                return '';
+            }
+            return `<c r="${ref}"><v>${value}</v></c>`;
+        }
+        if (typeof value === 'boolean') {
+            return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+        }
+        const text = escapeXml(value);
+        const space = text !== text.trim() ? ' xml:space="preserve"' : '';
+        return `<c r="${ref}" t="inlineStr"><is><t${space}>${text}</t></is></c>`;
+    }
+
+    /**
+     * Write a worksheet. The first row is a frozen header row with an auto filter.
+     * @param {Object} sheet - { name, rows, widths }
+     * @returns {string} Worksheet XML
+     */
+    function sheetXml(sheet) {
+        const rows = sheet.rows;
+        const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+        const rowsXml = rows.map((row, rowIndex) => {
+            const cells = row.map((value, columnIndex) =>
+                cellXml(value, `${columnName(columnIndex)}${rowIndex + 1}`, rowIndex === 0)).join('');
+            return `<row r="${rowIndex + 1}">${cells}</row>`;
+        }).join('');
+
+        const widths = (sheet.widths || []).map((width, index) =>
+            `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('');
+        const lastCell = `${columnName(Math.max(columnCount - 1, 0))}${Math.max(rows.length, 1)}`;
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+            (widths ? `<cols>${widths}</cols>` : '') +
+            `<sheetData>${rowsXml}</sheetData>` +
+            (rows.length > 1 ? `<autoFilter ref="A1:${lastCell}"/>` : '') +
+            '</worksheet>';
+    }
+
+    /**
+     * Make a valid, unique sheet name (at most 31 characters, without []:*?/\)
+     * @param {string} name - Requested name
+     * @param {Set} used - Names already used (lowercase)
+     * @returns {string} Sheet name
+     */
+    function sheetName(name, used) {
+        const base = String(name).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || 'Sheet';
+        let candidate = base;
+        for (let i = 2; used.has(candidate.toLowerCase()); i++) {
+            candidate = `${base.slice(0, 31 - String(i).length - 1)} ${i}`;
+        }
+        used.add(candidate.toLowerCase());
+        return candidate;
+    }
+
+    /**
+     * Write the hidden names Excel expects for the auto filter of each sheet
+     * @param {Array} sheets - Worksheets
+     * @param {Array<string>} names - Sheet names
+     * @returns {string} definedNames XML, empty if no sheet has a filter
+     */
+    function definedNamesXml(sheets, names) {
+        const definedNames = sheets.map((sheet, index) => {
+            if (sheet.rows.length <= 1) {
+                return '';
+            }
+            const columnCount = sheet.rows.reduce((max, row) => Math.max(max, row.length), 0);
+            // Sheet names in references escape single quotes by doubling them
+            const reference = `'${names[index].replace(/'/g, "''")}'!$A$1:$${columnName(columnCount - 1)}$${sheet.rows.length}`;
+            return `<definedName name="_xlnm._FilterDatabase" localSheetId="${index}" hidden="1">${escapeXml(reference)}</definedName>`;
+        }).join('');
+        return definedNames ? `<definedNames>${definedNames}</definedNames>` : '';
+    }
+
+    /**
+     * Create an .xlsx workbook
+     * @param {Array<{name: string, rows: Array<Array>, widths: Array<number>}>} sheets - Worksheets;
+     *   the first row of each sheet is its header
+     * @returns {Uint8Array} Workbook file bytes
+     */
+    function createWorkbook(sheets) {
+        const used = new Set();
+        const names = sheets.map(sheet => sheetName(sheet.name, used));
+
+        const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            sheets.map((sheet, index) =>
+                `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+            '</Types>';
+
+        const rootRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>';
+
+        const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            '<sheets>' + names.map((name, index) =>
+                `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') + '</sheets>' +
+            definedNamesXml(sheets, names) +
+            '</workbook>';
+
+        const workbookRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            sheets.map((sheet, index) =>
+                `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+            `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+            '</Relationships>';
+
+        const styles = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/><numFmt numFmtId="165" formatCode="yyyy-mm-dd"/></numFmts>' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="4">' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '</cellXfs>' +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>';
+
+        return BinaryUtils.createZip([
+            { name: '[Content_Types].xml', data: contentTypes },
+            { name: '_rels/.rels', data: rootRels },
+            { name: 'xl/workbook.xml', data: workbook },
+            { name: 'xl/_rels/workbook.xml.rels', data: workbookRels },
+            { name: 'xl/styles.xml', data: styles }
+        ].concat(sheets.map((sheet, index) => ({
+            name: `xl/worksheets/sheet${index + 1}.xml`,
+            data: sheetXml(sheet)
+        }))));
+    }
+
+    global.XLSXUtils = {
+        createWorkbook,
+        columnName,
+        toSerialDate
+    };
+
+})(typeof window !== 'undefined' ? window : this);
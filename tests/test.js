@@ -1,4 +1,11 @@
 function loadScript(src) {
+    // Node.js: run the file in the global scope, as a script tag would
+    if (typeof document === 'undefined') {
+        const path = require('path');
+        const code = require('fs').readFileSync(path.join(__dirname, src), 'utf8');
+        require('vm').runInThisContext(code, { filename: src });
+        return Promise.resolve();
+    }
     return new Promise((resolve, reject) => {
         const script = document.createElement('script');
         script.src = src;
@@ -10,7 +17,35 @@ function loadScript(src) {
 
 // Load activity-tracker.js before running tests
 async function init() {
-    await loadScript('../activity-tracker.js');
+    await loadScript('../js/activity-tracker.js');
+    await loadScript('../js/CSVUtils.js');
+    await loadScript('../js/ICSUtils.js');
+    await loadScript('../js/HealthFormats.js');
+    await loadScript('../js/BinaryUtils.js');
+    await loadScript('../js/ShareFormat.js');
+    await loadScript('../js/ImportFormats.js');
+    await loadScript('../js/MemoryStorageAdapter.js');
+    await loadScript('../js/WorkoutDataManager.js');
+    await loadScript('../js/ShareManager.js');
+    await loadScript('../js/SyncManager.js');
+}
+
+function expectEqual(description, result, expected) {
+    if (JSON.stringify(result) !== JSON.stringify(expected)) {
+        console.error(`Test failed: ${description}. Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(result)}`);
+        return false;
+    }
+    return true;
+}
+
+function expectError(description, run) {
+    try {
+        run();
+    } catch (error) {
+        return true;
+    }
+    console.error(`Test failed: ${description}. Expected an error`);
+    return false;
 }
 
 function testWeeksFromYearStart() {
@@ -84,9 +119,694 @@ function testWeeksFromYearStart() {
     return true;
 }
 
+function testCSVParsing() {
+    const testCases = [
+        {
+            description: 'Quoted delimiter',
+            csv: 'Exercise,Reps\n"Rows, inverted",10',
+            expected: [['Exercise', 'Reps'], ['Rows, inverted', '10']]
+        },
+        {
+            description: 'Escaped quotes',
+            csv: 'a,"say ""hi"""',
+            expected: [['a', 'say "hi"']]
+        },
+        {
+            description: 'Embedded newline',
+            csv: '"line 1\r\nline 2",x',
+            expected: [['line 1\r\nline 2', 'x']]
+        },
+        {
+            description: 'CRLF line endings, BOM and trailing line break',
+            csv: '﻿a,b\r\n1,2\r\n',
+            expected: [['a', 'b'], ['1', '2']]
+        },
+        {
+            description: 'Trailing delimiter and empty fields',
+            csv: 'a,,\n,b,',
+            expected: [['a', '', ''], ['', 'b', '']]
+        },
+        {
+            description: 'Semicolon delimiter',
+            csv: 'a;"b;c"',
+            delimiter: ';',
+            expected: [['a', 'b;c']]
+        }
+    ];
+
+    for (const testCase of testCases) {
+        const options = { delimiter: testCase.delimiter || ',' };
+        const result = CSVUtils.parseCSV(testCase.csv, options);
+        if (JSON.stringify(result) !== JSON.stringify(testCase.expected)) {
+            console.error(`Test failed: ${testCase.description}. Expected ${JSON.stringify(testCase.expected)}, but got ${JSON.stringify(result)}`);
+            return false;
+        }
+
+        // Serializing and parsing again must give the same rows
+        const roundTrip = CSVUtils.parseCSV(CSVUtils.stringifyCSV(result, options), options);
+        if (JSON.stringify(roundTrip) !== JSON.stringify(result)) {
+            console.error(`Round trip failed: ${testCase.description}. Got ${JSON.stringify(roundTrip)}`);
+            return false;
+        }
+    }
+
+    return true;
+}
+
+function testICSRecurrence() {
+    const calendar = rrule => [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:test',
+        'DTSTART:20240101T180000Z',
+        'SUMMARY:Squats - 40 reps',
+        `RRULE:${rrule}`,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n');
+    const testCases = [
+        {
+            description: 'Weekly on Monday and Wednesday',
+            rrule: 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4',
+            expected: ['2024-01-01T18:00:00.000Z', '2024-01-03T18:00:00.000Z', '2024-01-08T18:00:00.000Z', '2024-01-10T18:00:00.000Z']
+        },
+        {
+            description: 'Every other day until a date',
+            rrule: 'FREQ=DAILY;INTERVAL=2;UNTIL=20240105T235959Z',
+            expected: ['2024-01-01T18:00:00.000Z', '2024-01-03T18:00:00.000Z', '2024-01-05T18:00:00.000Z']
+        },
+        {
+            // Used to loop forever without yielding an occurrence
+            description: 'Weekly without a valid weekday',
+            rrule: 'FREQ=WEEKLY;BYDAY=XX',
+            expected: null
+        },
+        {
+            description: 'Invalid count',
+            rrule: 'FREQ=DAILY;COUNT=often',
+            expected: null
+        },
+        {
+            description: 'Unsupported frequency',
+            rrule: 'FREQ=MONTHLY;BYMONTHDAY=1',
+            expected: null
+        }
+    ];
+
+    for (const testCase of testCases) {
+        const [event] = ICSUtils.parseCalendar(calendar(testCase.rrule));
+        const dates = ICSUtils.expandRecurrence(event, { until: new Date('2025-01-01T00:00:00Z') });
+        const result = dates && dates.map(date => date.toISOString());
+        if (JSON.stringify(result) !== JSON.stringify(testCase.expected)) {
+            console.error(`Test failed: ${testCase.description}. Expected ${JSON.stringify(testCase.expected)}, but got ${JSON.stringify(result)}`);
+            return false;
+        }
+    }
+
+    return true;
+}
+
+// Unsigned varint as ShareFormat writes it, to build payloads of older versions
+function encodeShareUint(value) {
+    const bytes = [];
+    while (value >= 0x80) {
+        bytes.push((value % 0x80) + 0x80);
+        value = Math.floor(value / 0x80);
+    }
+    return bytes.concat(value);
+}
+
+function encodeShareText(value) {
+    const bytes = Array.from(BinaryUtils.utf8Encode(value));
+    return encodeShareUint(bytes.length).concat(bytes);
+}
+
+async function testShareFormat() {
+    const optimized = {
+        t: '2024-01-02T00:00:00.000Z',
+        x: ['Squats', 'Rows'],
+        w: [
+            ['2024-01-01', 'Squats', [[10, 20.5, '', 0], [8, 22.5, '', 0]],
+                ShareFormat.packedIdPrefix + BinaryUtils.toBase64Url(Uint8Array.from({ length: 16 }, (_, i) => i * 13)), null, ''],
+            ['2024-01-03', 'Rows', [[12, 30, '', 0]], 'legacy-1', null, '']
+        ]
+    };
+    if (!expectEqual('Round trip', ShareFormat.decode(ShareFormat.encode(optimized)), { v: 1, ...optimized })) {
+        return false;
+    }
+
+    // C2 links carry the encoded bytes deflated, in base64url
+    if (BinaryUtils.supportsDeflate()) {
+        const link = BinaryUtils.toBase64Url(await BinaryUtils.deflateRaw(ShareFormat.encode(optimized)));
+        const inflated = await BinaryUtils.inflateRaw(BinaryUtils.fromBase64Url(link));
+        if (!expectEqual('Deflated round trip', ShareFormat.decode(inflated), { v: 1, ...optimized })) {
+            return false;
+        }
+    }
+
+    // Version 1: no times, time zones or bodyweight weights
+    const day = Date.UTC(2024, 0, 1) / 86400000;
+    const version1 = [1, 0, 0, 1, ...encodeShareText('Squats'), 1, 0, 1, ...encodeShareUint(day * 2), 0, 0,
+        2, 10, ...encodeShareUint(20000 * 2), 8, ...encodeShareUint(22500 * 2)];
+    if (!expectEqual('Version 1 payload', ShareFormat.decode(Uint8Array.from(version1)),
+        { v: 1, x: ['Squats'], w: [['2024-01-01', 'Squats', [[10, 20], [8, 22.5]], '']] })) {
+        return false;
+    }
+
+    const encoded = ShareFormat.encode(optimized);
+    return expectError('Unknown version', () => ShareFormat.decode(Uint8Array.from([9, 0, 0]))) &&
+        expectError('Truncated payload', () => ShareFormat.decode(encoded.subarray(0, encoded.length - 2)));
+}
+
+function createDataManager(workouts = []) {
+    const dataManager = new WorkoutDataManager();
+    dataManager.dayRolloverHour = 0;
+    dataManager.workoutsData = workouts;
+    return dataManager;
+}
+
+function testIdMigration() {
+    // Version 3 data gets IDs; existing IDs are kept
+    const dataManager = createDataManager();
+    const series = (reps, timestamp) => ({ reps, weight: null, timestamp });
+    const migrated = dataManager.processStoredData({
+        version: 3,
+        data: [
+            { exercise: 'Squats', date: '2024-01-01T12:00:00.000Z', dateString: '2024-01-01', totalReps: 18, totalTime: 5,
+                series: [series(10, '2024-01-01T12:00:00.000Z'), series(8, '2024-01-01T12:05:00.000Z')] },
+            { id: 'rows-1', exercise: 'Rows', date: '2024-01-02T12:00:00.000Z', dateString: '2024-01-02', totalReps: 12, totalTime: 0,
+                series: [series(12, '2024-01-02T12:00:00.000Z')] }
+        ]
+    });
+    const ids = dataManager.workoutsData.flatMap(workout => [workout.id, ...workout.series.map(s => s.id)]);
+    if (!expectEqual('Version 3 migration',
+        [migrated, dataManager.workoutsData.map(workout => workout.dateString), new Set(ids).size, ids.every(Boolean), ids.includes('rows-1')],
+        [true, ['2024-01-01', '2024-01-02'], 5, true, true])) {
+        return false;
+    }
+
+    // IDs that are missing or taken twice are replaced
+    const workouts = dataManager.ensureIds([
+        { id: 'same', series: [{ id: 'same' }, {}] },
+        { id: 42, series: [{ id: 'kept' }] }
+    ]);
+    const ensured = workouts.flatMap(workout => [workout.id, ...workout.series.map(s => s.id)]);
+    return expectEqual('Ensure IDs', [ensured[0], ensured[4], new Set(ensured).size, ensured.every(id => typeof id === 'string')],
+        ['same', 'kept', 5, true]);
+}
+
+async function testSharedIds() {
+    const shareManager = new ShareManager(null, null, null);
+    // A UUID, an imported ID that is as long as a packed UUID, and a short ID
+    const ids = ['0f8fad5b-d9cb-469f-a165-70867728950e', 'strong-workout-00001AA', 'w1'];
+    const optimized = shareManager.optimizeDataForCompression({
+        timestamp: '2024-01-05T00:00:00.000Z',
+        workouts: ids.map((id, index) => ({
+            id,
+            exercise: 'Squats',
+            dateString: `2024-01-0${index + 1}`,
+            timeZone: 'UTC',
+            series: [{ id, reps: 10, weight: null, timestamp: `2024-01-0${index + 1}T10:00:00.000Z` }]
+        }))
+    });
+    const restore = async compressed =>
+        shareManager.restoreDataFromOptimized(await shareManager.decompressToOptimized(compressed)).workouts;
+
+    const c1 = await restore(shareManager.compressOptimized(optimized));
+    if (!expectEqual('IDs of C1 links', [c1.map(workout => workout.id), c1.map(workout => workout.series[0].id)], [ids, ids])) {
+        return false;
+    }
+    // C2 links leave out series IDs
+    if (BinaryUtils.supportsDeflate()) {
+        const c2 = await restore(await shareManager.compressDeflated(optimized));
+        if (!expectEqual('IDs of C2 links', c2.map(workout => workout.id), ids)) {
+            return false;
+        }
+    }
+
+    // C1 links written before packed IDs were marked
+    const packed = BinaryUtils.toBase64Url(Uint8Array.from(ids[0].replace(/-/g, '').match(/../g), hex => parseInt(hex, 16)));
+    const legacy = { v: 1, d: ['2024-01-01'], e: ['Squats'], x: [], w: [[0, 0, [[10, null, packed]], packed]] };
+    const [workout] = await restore('C1' + BinaryUtils.toBase64Url(BinaryUtils.utf8Encode(JSON.stringify(legacy))));
+    return expectEqual('IDs of older C1 links', [workout.id, workout.series[0].id], [ids[0], ids[0]]);
+}
+
+// Workout in UTC with series given as [id, reps, weight, timestamp]
+function createWorkout(dataManager, id, exercise, series) {
+    const workout = {
+        id,
+        exercise,
+        timeZone: 'UTC',
+        series: series.map(([seriesId, reps, weight, timestamp]) => ({ id: seriesId, reps, weight, timestamp }))
+    };
+    dataManager.recalculateWorkoutTotals(workout);
+    return workout;
+}
+
+function testRebucketing() {
+    // Version 4 data is regrouped into one workout per training day and exercise
+    const v4Manager = createDataManager();
+    const v4 = {
+        version: 4,
+        data: [
+            createWorkout(v4Manager, 'a', 'Squats', [['a1', 10, null, '2024-01-01T10:00:00.000Z'], ['a2', 9, null, '2024-01-02T10:00:00.000Z']]),
+            createWorkout(v4Manager, 'b', 'Squats', [['b1', 8, null, '2024-01-01T18:00:00.000Z']])
+        ]
+    };
+    v4Manager.processStoredData(JSON.parse(JSON.stringify(v4)));
+    const rebucketed = v4Manager.workoutsData
+        .sort((a, b) => a.dateString.localeCompare(b.dateString))
+        .map(workout => [workout.dateString, workout.series.map(s => s.id), workout.totalReps, workout.totalTime]);
+    if (!expectEqual('Version 4 migration', rebucketed, [['2024-01-01', ['a1', 'b1'], 18, 480], ['2024-01-02', ['a2'], 9, 0]]) ||
+        !expectEqual('Version 4 migration IDs', [v4Manager.workoutsData[0].id, ['a', 'b'].includes(v4Manager.workoutsData[1].id)], ['a', false])) {
+        return false;
+    }
+
+    // With the new day starting at 4 AM, a series at 1:30 AM belongs to the previous day
+    const rolloverManager = createDataManager();
+    rolloverManager.workoutsData = [
+        createWorkout(rolloverManager, 'late', 'Squats', [['s1', 10, null, '2024-01-01T23:30:00.000Z']]),
+        createWorkout(rolloverManager, 'early', 'Squats', [['s2', 8, null, '2024-01-02T01:30:00.000Z']])
+    ];
+    rolloverManager.dayRolloverHour = 4;
+    rolloverManager.rebucketWorkouts();
+    const summary = manager => manager.workoutsData.map(workout => [workout.id, workout.dateString, workout.totalReps, workout.totalTime]);
+    if (!expectEqual('Rebucket with day rollover', summary(rolloverManager), [['late', '2024-01-01', 18, 120]])) {
+        return false;
+    }
+
+    rolloverManager.dayRolloverHour = 0;
+    rolloverManager.rebucketWorkouts();
+    const split = summary(rolloverManager);
+    return expectEqual('Rebucket at midnight', split.map(([id, ...rest]) => rest), [['2024-01-01', 10, 0], ['2024-01-02', 8, 0]]) &&
+        expectEqual('Rebucket at midnight keeps the first ID', split[0][0], 'late');
+}
+
+function testChangeTracking() {
+    const dataManager = createDataManager();
+    dataManager.workoutsData = [
+        createWorkout(dataManager, 'a', 'Squats', [['a1', 10, null, '2024-01-01T10:00:00.000Z']]),
+        createWorkout(dataManager, 'b', 'Squats', [['b1', 8, null, '2024-01-02T10:00:00.000Z']]),
+        createWorkout(dataManager, 'c', 'Lunges', [['c1', 6, null, '2024-01-02T11:00:00.000Z']])
+    ];
+    const changes = [];
+    dataManager.addChangeListener(change => changes.push(change));
+    const ids = change => [change.before.map(workout => workout.id), change.after.map(workout => workout.id)];
+    const reps = () => dataManager.workoutsData.map(workout => [workout.id, workout.totalReps]);
+
+    // Only the edited workout is recorded and written with the next save
+    dataManager.changedIds = new Set();
+    dataManager.updateSeries('a', 'a1', 12, null);
+    if (!expectEqual('Change of an edited series', ids(changes[0]), [['a'], ['a']]) ||
+        !expectEqual('Saved IDs after an edit', [...dataManager.changedIds], ['a'])) {
+        return false;
+    }
+
+    // Moving the only series of a workout to another day removes it and changes the target workout
+    dataManager.updateSeries('a', 'a1', 12, null, new Date('2024-01-02T09:00:00.000Z'));
+    if (!expectEqual('Change of a moved series', ids(changes[1]), [['a', 'b'], ['b']]) ||
+        !expectEqual('Workouts after a move', reps(), [['b', 20], ['c', 6]])) {
+        return false;
+    }
+
+    dataManager.applyChange(changes[1], 'undo');
+    if (!expectEqual('Undo of a moved series', ids(changes[2]), [['b'], ['b', 'a']]) ||
+        !expectEqual('Workouts after undo', reps().sort(), [['a', 12], ['b', 8], ['c', 6]])) {
+        return false;
+    }
+
+    // Merging reports the added workout and leaves untouched ones out
+    dataManager.mergeWorkouts([createWorkout(dataManager, 'd', 'Lunges', [['d1', 5, null, '2024-01-03T10:00:00.000Z']])]);
+    return expectEqual('Change of a merge', ids(changes[3]), [[], ['d']]);
+}
+
+async function testReadOnlySnapshots() {
+    const dataManager = new WorkoutDataManager(new MemoryStorageAdapter());
+    dataManager.dayRolloverHour = 0;
+    dataManager.workoutsData = [createWorkout(dataManager, 'a', 'Squats', [['a1', 10, null, '2024-01-01T10:00:00.000Z']])];
+    const storage = await dataManager.getStorage();
+
+    // A refused replace leaves no snapshot behind
+    dataManager.readOnly = true;
+    const refused = expectError('Replace read-only data', () => dataManager.replaceAllData([]));
+    await dataManager.snapshotQueue;
+    if (!refused || !expectEqual('Snapshots after a refused replace', (await storage.listSnapshots()).length, 0)) {
+        return false;
+    }
+
+    dataManager.readOnly = false;
+    dataManager.replaceAllData([]);
+    await dataManager.snapshotQueue;
+    const snapshots = await storage.listSnapshots();
+    return expectEqual('Snapshots after a replace', snapshots.map(snapshot => [snapshot.label, snapshot.workoutCount]),
+        [['Before replacing all data', 1]]);
+}
+
+function testCSVWriting() {
+    const testCases = [
+        {
+            description: 'Fields with delimiters, quotes, line breaks or surrounding spaces are quoted',
+            rows: [['a,b', 'say "hi"', 'line 1\nline 2', ' padded ', 'plain']],
+            expected: '"a,b","say ""hi""","line 1\nline 2"," padded ",plain'
+        },
+        {
+            description: 'Empty values and a row with a single empty field',
+            rows: [[null, undefined, 0], ['']],
+            expected: ',,0\r\n""'
+        },
+        {
+            description: 'Semicolon delimiter and LF line endings',
+            rows: [['a;b', 'c,d'], [1, 2]],
+            options: { delimiter: ';', lineEnding: '\n' },
+            expected: '"a;b";c,d\n1;2'
+        }
+    ];
+
+    for (const testCase of testCases) {
+        if (!expectEqual(testCase.description, CSVUtils.stringifyCSV(testCase.rows, testCase.options), testCase.expected)) {
+            return false;
+        }
+    }
+
+    return expectError('Unterminated quoted field', () => CSVUtils.parseCSV('a,"b\nc'));
+}
+
+function testImportMerge() {
+    const setup = () => {
+        const dataManager = createDataManager();
+        dataManager.workoutsData = [createWorkout(dataManager, 'a', 'Squats', [
+            ['a1', 10, null, '2024-01-01T10:00:00.000Z'],
+            ['a2', 8, null, '2024-01-01T10:05:00.000Z']
+        ])];
+        const duplicate = createWorkout(dataManager, 'x', 'Squats', [['x1', 10, null, '2024-01-01T10:00:00.000Z']]);
+        const conflict = createWorkout(dataManager, 'y', 'Squats', [
+            ['y1', 12, null, '2024-01-01T10:05:00.000Z'],
+            ['y2', 6, null, '2024-01-01T10:10:00.000Z']
+        ]);
+        const added = createWorkout(dataManager, 'z', 'Rows', [['z1', 12, 30, '2024-01-02T10:00:00.000Z']]);
+        return { dataManager, duplicate, conflict, added };
+    };
+    const squats = dataManager => dataManager.workoutsData.find(workout => workout.id === 'a').series
+        .map(series => `${series.id} ${series.reps}`);
+
+    const { dataManager, duplicate, conflict, added } = setup();
+    const analysis = dataManager.analyzeImport([duplicate, conflict, added]);
+    if (!expectEqual('Analyze import', [analysis.items.map(item => item.status), analysis.summary], [
+        ['duplicate', 'conflict', 'new'],
+        { newWorkouts: 1, duplicateWorkouts: 1, conflictingWorkouts: 1, newSeries: 2, duplicateSeries: 1, conflictingSeries: 1 }
+    ])) {
+        return false;
+    }
+
+    const testCases = [
+        {
+            strategy: 'skip',
+            expected: [{ added: 1, updated: 0, unchanged: 0, skipped: 1 }, ['a1 10', 'a2 8']]
+        },
+        {
+            // Existing series win on conflicts
+            strategy: 'merge',
+            expected: [{ added: 1, updated: 1, unchanged: 0, skipped: 0 }, ['a1 10', 'a2 8', 'y2 6']]
+        },
+        {
+            // Replaced series keep their IDs
+            strategy: 'overwrite',
+            expected: [{ added: 1, updated: 1, unchanged: 0, skipped: 0 }, ['a2 12', 'y2 6']]
+        }
+    ];
+    for (const testCase of testCases) {
+        const { dataManager, conflict, added } = setup();
+        const result = dataManager.mergeWorkouts([conflict, added], testCase.strategy);
+        if (!expectEqual(`Merge with strategy ${testCase.strategy}`, [result, squats(dataManager)], testCase.expected) ||
+            !expectEqual(`Workouts after merge with strategy ${testCase.strategy}`, dataManager.workoutsData.length, 2)) {
+            return false;
+        }
+    }
+
+    const unchanged = setup();
+    return expectEqual('Merge a duplicate', unchanged.dataManager.mergeWorkouts([unchanged.duplicate]),
+        { added: 0, updated: 0, unchanged: 1, skipped: 0 }) &&
+        expectError('Unknown merge strategy', () => unchanged.dataManager.mergeWorkouts([], 'replace'));
+}
+
+function testImportFormats() {
+    const detected = [
+        ['Date', 'Workout Name', 'Duration', 'Exercise Name', 'Set Order', 'Weight', 'Reps'],
+        ['title', 'start_time', 'end_time', 'exercise_title', 'set_index', 'weight_lbs', 'reps'],
+        ['Date', 'Exercise', 'Category', 'Weight (kgs)', 'Reps'],
+        ['Workout Date', 'Exercise', 'Reps']
+    ].map(header => {
+        const reader = ImportFormats.detectFormat(header);
+        return reader && [reader.id, reader.weightUnit];
+    });
+    if (!expectEqual('Detect formats', detected, [['strong', null], ['hevy', 'lbs'], ['fitnotes', 'kg'], null])) {
+        return false;
+    }
+
+    const strongHeader = ['Date', 'Workout Name', 'Duration', 'Exercise Name', 'Set Order', 'Weight', 'Reps'];
+    const strong = ImportFormats.detectFormat(strongHeader);
+    const strongRow = fields => ImportFormats.readRow(strong, ['2024-03-26 08:00:00', 'Push', '1h 5m'].concat(fields), strongHeader);
+    const testCases = [
+        {
+            description: 'Strong set',
+            result: strongRow(['Bench Press', '2', '60', '8']),
+            expected: {
+                set: {
+                    sessionKey: '2024-03-26 08:00:00|Push', start: new Date(2024, 2, 26, 8), durationMinutes: 65,
+                    exercise: 'Bench Press', reps: 8, weight: 60, weightUnit: null, setOrder: 2
+                }
+            }
+        },
+        {
+            description: 'Strong warm-up set without weight',
+            result: strongRow(['Bench Press', 'W', '0', '12']).set,
+            expected: {
+                sessionKey: '2024-03-26 08:00:00|Push', start: new Date(2024, 2, 26, 8), durationMinutes: 65,
+                exercise: 'Bench Press', reps: 12, weight: null, weightUnit: null, setOrder: null
+            }
+        },
+        {
+            description: 'Strong rest timer row',
+            result: strongRow(['Bench Press', 'Rest Timer', '', '']),
+            expected: { ignored: true }
+        },
+        {
+            description: 'Strong set with invalid reps',
+            result: strongRow(['Bench Press', '3', '60', '2.5']),
+            expected: { issues: [{ column: 'Reps', value: '2.5', reason: 'Reps must be a whole number greater than 0' }] }
+        },
+        {
+            description: 'Hevy set',
+            result: ImportFormats.readRow(
+                ImportFormats.detectFormat(['title', 'start_time', 'end_time', 'exercise_title', 'set_index', 'weight_lbs', 'reps']),
+                ['Push', '26 Mar 2024, 08:00', '26 Mar 2024, 09:00', 'Bench Press', '0', '135', '10'], []
+            ).set,
+            expected: {
+                sessionKey: '26 Mar 2024, 08:00|Push', start: new Date(2024, 2, 26, 8), durationMinutes: 60,
+                exercise: 'Bench Press', reps: 10, weight: 135, weightUnit: 'lbs', setOrder: null
+            }
+        },
+        {
+            description: 'FitNotes set',
+            result: ImportFormats.readRow(
+                ImportFormats.detectFormat(['Date', 'Exercise', 'Category', 'Weight (kgs)', 'Reps']),
+                ['2024-03-26', 'Pull Up', 'Back', '0.0', '12'], []
+            ).set,
+            expected: {
+                sessionKey: '2024-03-26', start: new Date(2024, 2, 26, 12), durationMinutes: 0,
+                exercise: 'Pull Up', reps: 12, weight: null, weightUnit: 'kg', setOrder: null
+            }
+        },
+        {
+            description: 'Sets sorted by set order, unnumbered sets in place',
+            result: ImportFormats.sortSessionSets([
+                { exercise: 'Bench', setOrder: null, reps: 12 },
+                { exercise: 'Bench', setOrder: 2, reps: 8 },
+                { exercise: 'Squat', setOrder: 2, reps: 5 },
+                { exercise: 'Bench', setOrder: 1, reps: 10 },
+                { exercise: 'Bench', setOrder: null, reps: 4 },
+                { exercise: 'Squat', setOrder: 1, reps: 6 }
+            ]).map(set => `${set.exercise} ${set.reps}`),
+            expected: ['Bench 12', 'Bench 10', 'Squat 6', 'Bench 8', 'Bench 4', 'Squat 5']
+        },
+        {
+            description: 'Semicolon delimiter, ignoring delimiters in quotes',
+            result: CSVUtils.detectDelimiter('"Date,Time";Exercise;Reps\n"a,b,c";Squats;10'),
+            expected: ';'
+        },
+        {
+            description: 'Pounds to kilograms and back',
+            result: [ImportFormats.toKilograms(135, 'lbs'), ImportFormats.fromKilograms(61.23, 'lbs'), ImportFormats.toKilograms(null, 'lbs')],
+            expected: [61.23, 134.99, null]
+        }
+    ];
+
+    return testCases.every(testCase => expectEqual(testCase.description, testCase.result, testCase.expected));
+}
+
+function testICSParsing() {
+    const text = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:one',
+        'DTSTART;TZID=Europe/Madrid:20240701T180000',
+        'DURATION:PT1H30M',
+        'SUMMARY:Squats\\, heavy',
+        'DESCRIPTION:Line 1\\nLine 2 is fol',
+        ' ded',
+        'BEGIN:VALARM',
+        'SUMMARY:Reminder',
+        'END:VALARM',
+        'STATUS:confirmed',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:two',
+        'DTSTART;VALUE=DATE:20240702',
+        'SUMMARY:Rest day',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:three',
+        'SUMMARY:No start',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n');
+    const events = ICSUtils.parseCalendar(text).map(({ startValue, ...event }) => event);
+    const expected = [
+        {
+            uid: 'one', start: '2024-07-01T16:00:00.000Z', end: '2024-07-01T17:30:00.000Z', allDay: false,
+            summary: 'Squats, heavy', description: 'Line 1\nLine 2 is folded', status: 'CONFIRMED', rrule: ''
+        },
+        {
+            uid: 'two', start: new Date(2024, 6, 2).toISOString(), end: null, allDay: true,
+            summary: 'Rest day', description: '', status: '', rrule: ''
+        }
+    ];
+    if (!expectEqual('Parse events', events, expected)) {
+        return false;
+    }
+
+    // Written calendars are read back unchanged, including long folded lines
+    const event = {
+        uid: 'workout-1',
+        start: new Date('2024-01-01T10:00:00Z'),
+        end: new Date('2024-01-01T10:30:00Z'),
+        summary: 'Rows; inverted, 3 series',
+        description: 'Series 1: 10 reps\n'.repeat(8) + 'Ünïcödé'
+    };
+    const [parsed] = ICSUtils.parseCalendar(ICSUtils.stringifyCalendar([event]));
+    if (!expectEqual('Calendar round trip',
+        [parsed.uid, parsed.start, parsed.end, parsed.summary, parsed.description],
+        [event.uid, event.start, event.end, event.summary, event.description])) {
+        return false;
+    }
+
+    return expectError('Text that is not a calendar', () => ICSUtils.parseCalendar('BEGIN:VCARD\r\nEND:VCARD'));
+}
+
+function testGoogleFitExport() {
+    // A long history has more series than a function call takes arguments
+    const start = Date.UTC(2000, 0, 1);
+    const workouts = Array.from({ length: 1500 }, (_, day) => ({
+        id: `w${day}`,
+        exercise: 'Push Ups',
+        totalReps: 1000,
+        series: Array.from({ length: 100 }, (_, index) => ({
+            reps: 10,
+            weight: null,
+            timestamp: new Date(start + day * 86400000 + index * 60000).toISOString()
+        }))
+    }));
+    const [dataset] = HealthFormats.toGoogleFit(workouts, { modified: new Date(start) }).dataset;
+    return expectEqual('Google Fit dataset span', [dataset.point.length, dataset.minStartTimeNs, dataset.maxEndTimeNs],
+        [150000, `${start}000000`, `${start + 1499 * 86400000 + 99 * 60000}000000`]);
+}
+
+function testShareTimes() {
+    // Series times, time zones and bodyweight series (null weight) are kept
+    const day = Date.UTC(2024, 0, 1) / 86400000;
+    const start = Date.UTC(2024, 0, 1, 10);
+    const optimized = {
+        t: '2024-01-02T00:00:00.000Z',
+        x: ['Squats'],
+        w: [['2024-01-01', 'Squats', [[10, null, '', 0], [8, 20.5, '', 90000]], 'w1', start, 'Europe/Madrid']]
+    };
+    if (!expectEqual('Times round trip', ShareFormat.decode(ShareFormat.encode(optimized)), { v: 1, ...optimized })) {
+        return false;
+    }
+
+    // Version 2: no flags
+    const version2 = [2, ...encodeShareUint(Date.parse('2024-01-02T00:00:00Z') + 1), 3, 2,
+        ...encodeShareText('Squats'), ...encodeShareText('Europe/Madrid'),
+        0, 1, ...encodeShareUint(day * 2), 0, 2, ...encodeShareText('w1'), 2, ...encodeShareUint((start - day * 86400000) * 2 + 1),
+        2, 10, 0, 0, 8, ...encodeShareUint(20000 * 2 + 1), ...encodeShareUint(90000 * 2)];
+    return expectEqual('Version 2 payload', ShareFormat.decode(Uint8Array.from(version2)), {
+        v: 1, t: '2024-01-02T00:00:00.000Z', x: [], p: 3,
+        w: [['2024-01-01', 'Squats', [[10, null, '', 0], [8, 20, '', 90000]], 'w1', start, 'Europe/Madrid']]
+    });
+}
+
+function testShareOptions() {
+    // A partial share remembers how many workouts were selected from, and the privacy flags
+    const optimized = {
+        t: '2024-01-02T00:00:00.000Z',
+        x: ['Squats'],
+        p: 5,
+        f: 1,
+        w: [['2024-01-01', 'Squats', [[10, null, '', 0]], 'w1', null, '']]
+    };
+    return expectEqual('Options round trip', ShareFormat.decode(ShareFormat.encode(optimized)), { v: 1, ...optimized });
+}
+
+async function testSyncQueue() {
+    // Node has no localStorage for the settings, and the failed writes below are expected: keep the output quiet
+    const { warn, error } = console;
+    console.warn = console.error = () => {};
+    try {
+        const storage = new MemoryStorageAdapter();
+        const errors = [];
+        const syncManager = new SyncManager(new WorkoutDataManager(storage), { showError: message => errors.push(message) });
+
+        // The queue is written through the storage adapter and read back by the next session
+        syncManager.state.pending.a = { id: 'a', workout: null, modifiedAt: '2024-01-01T10:00:00.000Z' };
+        await syncManager.saveState();
+        const reloaded = new SyncManager(new WorkoutDataManager(storage), {});
+        await reloaded.loadState();
+        if (!expectEqual('Reloaded sync queue', reloaded.state.pending, syncManager.state.pending)) {
+            return false;
+        }
+
+        // Failed writes are shown to the user once until a write succeeds again
+        const saveSyncState = storage.saveSyncState;
+        const failingSave = async () => { throw new Error('Quota exceeded'); };
+        storage.saveSyncState = failingSave;
+        await syncManager.saveState();
+        await syncManager.saveState();
+        storage.saveSyncState = saveSyncState;
+        await syncManager.saveState();
+        storage.saveSyncState = failingSave;
+        await syncManager.saveState();
+        return expectEqual('Errors after failed sync queue writes', errors.length, 2);
+    } finally {
+        console.warn = warn;
+        console.error = error;
+    }
+}
+
 // Execute tests when the script loads
 async function test() {
     console.log('Running tests...');
     await init();
-    return testWeeksFromYearStart();
+    return testWeeksFromYearStart() && testCSVParsing() && testICSRecurrence() && await testShareFormat() &&
+        testIdMigration() && await testSharedIds() && testRebucketing() && testChangeTracking() &&
+        await testReadOnlySnapshots() && testCSVWriting() && testImportMerge() && testImportFormats() &&
+        testICSParsing() && testGoogleFitExport() && testShareTimes() && testShareOptions() && await testSyncQueue();
+}
+
+// Run with: node tests/test.js
+if (typeof module !== 'undefined' && require.main === module) {
+    global.window = global;
+    test().then(result => {
+        console.log(result ? 'All tests passed' : 'Some tests failed');
+        process.exitCode = result ? 0 : 1;
+    });
 }